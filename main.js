@@ -1,8 +1,8 @@
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { promises: fsPromises } = fs;
-const { randomUUID } = require('crypto');
+const { randomUUID, createHash } = require('crypto');
 const fetch = require('node-fetch');
 const amplitude = require('@amplitude/analytics-node');
 const dns = require('dns');
@@ -12,6 +12,22 @@ const { marked } = require('marked');
 const sanitizeHtml = require('sanitize-html');
 const { autoUpdater } = require('electron-updater');
 const os = require('os');
+const {
+  PROVIDER_IDS,
+  getProviderAdapter,
+  listModels,
+  completeChat,
+  createEmbeddings,
+  readChatStream,
+  readStreamLines,
+  readErrorResponse,
+} = require('./providers');
+const {
+  TOKEN_STOP_WORDS,
+  createSearchPlan,
+  describeSearchDecision,
+  truncateForSearch,
+} = require('./search-plan');
 
 const isDevelopment = !app.isPackaged;
 
@@ -26,6 +42,30 @@ if (isDevelopment) {
   }
 }
 
+// The built-in system prompt is the default persona: an empty systemPrompt means "use the built-in one".
+const DEFAULT_PERSONA_ID = 'default';
+const BUILT_IN_PERSONA = {
+  id: DEFAULT_PERSONA_ID,
+  name: 'DioxideAi',
+  systemPrompt: '',
+  model: '',
+  searchPolicy: '',
+  generationParams: {},
+};
+
+// The default endpoint profile mirrors the ollamaEndpoint / useOpenAICompatibleEndpoint settings.
+const DEFAULT_ENDPOINT_PROFILE_ID = 'default';
+const DEFAULT_ENDPOINT_PROFILE = {
+  id: DEFAULT_ENDPOINT_PROFILE_ID,
+  name: 'Local',
+  url: 'http://localhost:11434',
+  apiFlavor: 'ollama',
+  apiKey: '',
+  headers: {},
+  timeoutMs: null,
+  enabled: true,
+};
+
 const DEFAULT_SETTINGS = {
   autoWebSearch: true,
   openThoughtsByDefault: false,
@@ -36,25 +76,107 @@ const DEFAULT_SETTINGS = {
   ollamaEndpoint: 'http://localhost:11434',
   analyticsDeviceId: null,
   useOpenAICompatibleEndpoint: false,
+  searchProvider: 'duckduckgo',
+  searxngEndpoint: '',
+  customSearchEndpoint: '',
+  localCorpusFolders: [],
+  embeddingModel: '',
+  chatFolders: [],
+  autoTitleChats: true,
+  generationDefaults: {},
+  modelGenerationPresets: {},
+  personas: [BUILT_IN_PERSONA],
+  goalGuardrailMode: 'strict',
+  promptTemplates: [],
+  endpointProfiles: [DEFAULT_ENDPOINT_PROFILE],
 };
 
-const STORE_FILE = 'dioxideai-chats.json';
+const CHATS_DIR = 'chats';
+const CHAT_INDEX_FILE = 'index.json';
+const BACKUPS_DIR = 'backups';
+const MAX_BACKUPS = 10;
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+const CHAT_TITLE_MAX_LENGTH = 120;
+const CHAT_TITLE_EXCERPT_CHARS = 1200;
+const DELETED_CHAT_UNDO_LIMIT = 10;
+const CHAT_FOLDER_NAME_MAX_LENGTH = 40;
+const CHAT_TAG_MAX_LENGTH = 24;
+const CHAT_TAGS_PER_CHAT = 12;
+const MAX_PERSONAS = 50;
+const PERSONA_NAME_MAX_LENGTH = 60;
+const PERSONA_PROMPT_MAX_LENGTH = 8000;
+const MAX_PROMPT_TEMPLATES = 100;
+const MAX_ENDPOINT_PROFILES = 20;
+const ENDPOINT_MAX_HEADERS = 20;
+const ENDPOINT_TIMEOUT_LIMITS = { min: 1000, max: 600000 };
+const ENDPOINT_LIST_TIMEOUT_MS = 8000;
+const OLLAMA_MANAGER_TIMEOUT_MS = 15000;
+// Ollama's num_ctx when neither the request nor the Modelfile sets one. A server started with
+// OLLAMA_CONTEXT_LENGTH may use more, which the API does not report.
+const OLLAMA_DEFAULT_CONTEXT_LENGTH = 4096;
+// Layer downloads report progress many times a second; status changes are always forwarded.
+const MODEL_PULL_PROGRESS_INTERVAL_MS = 200;
+const PROMPT_TEMPLATE_BODY_MAX_LENGTH = 16000;
+// '' leaves attachments alone, 'required' asks for a file before sending, 'none' clears attached files.
+const PROMPT_TEMPLATE_ATTACHMENT_RULES = ['', 'required', 'none'];
+const MAX_COMPARE_MODELS = 4;
+const CHAT_SEARCH_RESULT_LIMIT = 30;
+const CHAT_SEARCH_MATCHES_PER_CHAT = 3;
+const CHAT_SEARCH_SNIPPET_RADIUS = 70;
 const SETTINGS_FILE = 'dioxideai-settings.json';
-const LEGACY_STORE_FILES = ['ollama-electron-chats.json'];
+const ENDPOINT_CREDENTIALS_FILE = 'dioxideai-endpoint-credentials.json';
+const LEGACY_STORE_FILES = ['dioxideai-chats.json', 'ollama-electron-chats.json'];
 const LEGACY_SETTINGS_FILES = ['ollama-electron-settings.json'];
+const CHAT_SEARCH_POLICIES = ['auto', 'always', 'never'];
+const DEFAULT_CHAT_SEARCH_POLICY = 'auto';
+const GOAL_GUARDRAIL_MODES = ['strict', 'soft', 'off'];
+const CHAT_GOAL_MAX_LENGTH = 4000;
+const LOCAL_INDEX_FILE = 'dioxideai-local-index.json';
+// Stored chunks keep their tokens; bump this whenever tokenizeForIndex changes so indexes are rebuilt.
+const LOCAL_INDEX_VERSION = 2;
+const EMBEDDINGS_DIR = 'embeddings';
+const EMBEDDING_STORE_VERSION = 1;
+// Generation parameters the user can set globally, per model and per chat. Missing keys fall through
+// to the next level and finally to the server's own defaults.
+const GENERATION_PARAM_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  numCtx: { min: 256, max: 1048576, integer: true },
+  maxTokens: { min: 1, max: 262144, integer: true },
+  seed: { min: 0, max: 2147483647, integer: true },
+};
 
 let chatsCache = [];
 let chatsLoaded = false;
-let storagePath;
+let chatsDirPath;
+const loadedChatIds = new Set();
+const pendingWrites = new Map();
+let chatsLoadPromise = null;
+let settingsLoadPromise = null;
+let lastBackupAt = 0;
+let chatSearchIndex = null;
+const recentlyDeletedChats = new Map();
+let chatSearchIndexPromise = null;
 let settings = null;
 let settingsLoaded = false;
 let settingsPath;
+let endpointCredentialsPath;
+const removedEndpointCredentials = new Map();
+let localIndex = null;
+let localIndexPath;
+let localIndexStats = null;
+let localIndexBuildPromise = null;
+let localIndexRebuildPending = false;
+const embeddingStores = new Map();
 
 const activeRequests = new Map();
+const activeModelPulls = new Map();
+const modelCapabilityCache = new Map();
 let mainWindow = null;
 let autoUpdateInitialized = false;
 let lastConnectivityCheck = 0;
 let lastConnectivityStatus = true;
+let lastConnectivityHost = null;
 const ANALYTICS_CONFIG_FILENAME = 'config/analytics-key.json';
 let analyticsClient = null;
 let analyticsClientInitPromise = null;
@@ -71,80 +193,367 @@ function normalizeOllamaEndpoint(value) {
   return base.replace(/\/+$/, '');
 }
 
-function resolveOllamaEndpoint() {
-  const effective = getEffectiveSettings();
-  return normalizeOllamaEndpoint(effective.ollamaEndpoint);
+function normalizeEndpointHeaders(value) {
+  const headers = {};
+  if (!value || typeof value !== 'object') {
+    return headers;
+  }
+  Object.entries(value)
+    .slice(0, ENDPOINT_MAX_HEADERS)
+    .forEach(([name, raw]) => {
+      const key = String(name || '').trim();
+      // Header names are HTTP tokens; values must not smuggle in extra lines.
+      if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(key) || key.toLowerCase() === 'content-type') {
+        return;
+      }
+      const headerValue = typeof raw === 'string' ? raw.replace(/[\r\n]+/g, ' ').trim() : '';
+      if (headerValue) {
+        headers[key] = headerValue;
+      }
+    });
+  return headers;
+}
+
+function normalizeEndpointProfile(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const id = typeof value.id === 'string' && value.id.trim() ? value.id.trim() : randomUUID();
+  const name = typeof value.name === 'string' ? value.name.replace(/\s+/g, ' ').trim() : '';
+  const timeout = Number(value.timeoutMs);
+  const apiFlavor = PROVIDER_IDS.includes(value.apiFlavor) ? value.apiFlavor : 'ollama';
+  return {
+    id,
+    name: (name || (id === DEFAULT_ENDPOINT_PROFILE_ID ? DEFAULT_ENDPOINT_PROFILE.name : 'Untitled endpoint')).slice(
+      0,
+      PERSONA_NAME_MAX_LENGTH
+    ),
+    url: normalizeOllamaEndpoint(value.url || getProviderAdapter(apiFlavor).defaultUrl),
+    apiFlavor,
+    apiKey: typeof value.apiKey === 'string' ? value.apiKey.trim() : '',
+    headers: normalizeEndpointHeaders(value.headers),
+    timeoutMs:
+      value.timeoutMs !== null && value.timeoutMs !== '' && Number.isFinite(timeout)
+        ? Math.round(Math.min(Math.max(timeout, ENDPOINT_TIMEOUT_LIMITS.min), ENDPOINT_TIMEOUT_LIMITS.max))
+        : null,
+    // The default profile cannot be switched off; it is the fallback for chats whose profile is gone.
+    enabled: id === DEFAULT_ENDPOINT_PROFILE_ID || value.enabled !== false,
+  };
 }
 
-function buildOllamaUrl(pathname) {
-  const base = resolveOllamaEndpoint();
-  const cleanPath = pathname && pathname.startsWith('/') ? pathname : `/${pathname || ''}`;
-  return `${base}${cleanPath}`;
+function normalizeEndpointProfiles(value, legacy = {}) {
+  const profiles = [];
+  const seen = new Set();
+  (Array.isArray(value) ? value : []).forEach((entry) => {
+    const profile = normalizeEndpointProfile(entry);
+    if (profile && !seen.has(profile.id) && profiles.length < MAX_ENDPOINT_PROFILES) {
+      seen.add(profile.id);
+      profiles.push(profile);
+    }
+  });
+  const fallback = normalizeEndpointProfile({
+    ...DEFAULT_ENDPOINT_PROFILE,
+    url: legacy.ollamaEndpoint || DEFAULT_ENDPOINT_PROFILE.url,
+    apiFlavor: legacy.useOpenAICompatibleEndpoint ? 'openai' : 'ollama',
+  });
+  const builtIn = profiles.find((profile) => profile.id === DEFAULT_ENDPOINT_PROFILE_ID) || fallback;
+  return [builtIn, ...profiles.filter((profile) => profile !== builtIn)];
 }
 
-async function chatCompletion(model, messages, options = {}, effectiveSettingsOverride = null) {
-  if (!model || !String(model).trim()) {
-    throw new Error('Model is required for chat completion.');
-  }
-  if (!Array.isArray(messages) || !messages.length) {
-    throw new Error('Messages are required for chat completion.');
+// Disabled or deleted profiles fall back to the default so older chats keep working.
+function getEndpointProfile(profileId, effective = getEffectiveSettings()) {
+  const profiles = normalizeEndpointProfiles(effective.endpointProfiles, effective);
+  return profiles.find((profile) => profile.id === profileId && profile.enabled) || profiles[0];
+}
+
+function buildEndpointHeaders(profile) {
+  return getProviderAdapter(profile?.apiFlavor).buildHeaders(profile);
+}
+
+function describeEndpointHost(profile) {
+  try {
+    return new URL(profile.url).host || profile.url;
+  } catch (err) {
+    return profile.url;
   }
+}
 
-  const timeoutMs = Number.isFinite(options?.timeoutMs) ? Math.max(4000, Number(options.timeoutMs)) : 20000;
-  const effectiveSettings = effectiveSettingsOverride || getEffectiveSettings();
-  const baseUrl = normalizeOllamaEndpoint(effectiveSettings.ollamaEndpoint);
-  const usingChatCompat = Boolean(effectiveSettings.useOpenAICompatibleEndpoint);
-  const endpointPath = usingChatCompat ? '/v1/chat/completions' : '/api/chat';
-  const body = {
-    model,
-    messages,
-    stream: false,
-  };
-  if (options?.temperature !== undefined) {
-    if (usingChatCompat) {
-      body.temperature = options.temperature;
-    } else {
-      body.options = { ...(body.options || {}), temperature: options.temperature };
-    }
+function listEndpointModels(profile) {
+  return listModels(profile, (url, options) =>
+    fetchWithTimeout(url, options, profile.timeoutMs || ENDPOINT_LIST_TIMEOUT_MS)
+  );
+}
+
+function resolveOllamaProfile(profileId) {
+  const profile = getEndpointProfile(profileId);
+  if (profile.apiFlavor !== 'ollama') {
+    throw new Error(`${profile.name} is not an Ollama endpoint. Model management needs the Ollama API.`);
   }
+  return profile;
+}
 
+async function requestOllamaJson(profile, pathname, { method = 'GET', body } = {}) {
   const response = await fetchWithTimeout(
-    `${baseUrl}${endpointPath}`,
+    `${profile.url}${pathname}`,
     {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body),
+      method,
+      headers: buildEndpointHeaders(profile),
+      body: body ? JSON.stringify(body) : undefined,
     },
-    timeoutMs
+    profile.timeoutMs || OLLAMA_MANAGER_TIMEOUT_MS
   );
-
   if (!response.ok) {
-    const errorText = await response.text().catch(() => '');
-    const sourceLabel = usingChatCompat ? 'ChatGPT-compatible chat' : 'Ollama chat';
-    throw new Error(`${sourceLabel} failed (HTTP ${response.status})${errorText ? ` – ${errorText.slice(0, 200)}` : ''}`);
+    throw await readErrorResponse(response, `Ollama ${pathname}`);
+  }
+  const text = await response.text();
+  return text ? JSON.parse(text) : {};
+}
+
+function summarizeOllamaModel(entry) {
+  return {
+    name: entry?.name || entry?.model || '',
+    size: Number.isFinite(entry?.size) ? entry.size : null,
+    modifiedAt: entry?.modified_at || null,
+    family: entry?.details?.family || null,
+    parameterSize: entry?.details?.parameter_size || null,
+    quantization: entry?.details?.quantization_level || null,
+  };
+}
+
+// /api/show keys model_info by architecture, e.g. "llama.context_length".
+function summarizeOllamaModelDetails(name, data) {
+  const info = data?.model_info && typeof data.model_info === 'object' ? data.model_info : {};
+  const architecture = info['general.architecture'] || null;
+  const contextLength = architecture ? Number(info[`${architecture}.context_length`]) : NaN;
+  const parameterCount = Number(info['general.parameter_count']);
+  const parameters = typeof data?.parameters === 'string' ? data.parameters : '';
+  const numCtxMatch = parameters.match(/^num_ctx\s+(\d+)/m);
+  return {
+    name,
+    family: data?.details?.family || architecture,
+    format: data?.details?.format || null,
+    parameterSize: data?.details?.parameter_size || null,
+    parameterCount: Number.isFinite(parameterCount) ? parameterCount : null,
+    quantization: data?.details?.quantization_level || null,
+    contextLength: Number.isFinite(contextLength) ? contextLength : null,
+    numCtx: numCtxMatch ? Number(numCtxMatch[1]) : null,
+    capabilities: Array.isArray(data?.capabilities) ? data.capabilities : [],
+    template: typeof data?.template === 'string' ? data.template : '',
+    parameters,
+  };
+}
+
+function getModelCapabilityKey(profile, name) {
+  return `${profile.apiFlavor} ${profile.url} ${name}`;
+}
+
+// Older Ollama builds omit the capabilities list; report those as unknown rather than missing.
+async function loadModelCapabilities(profile, name) {
+  const key = getModelCapabilityKey(profile, name);
+  if (!modelCapabilityCache.has(key) && profile.apiFlavor === 'ollama') {
+    const data = await requestOllamaJson(profile, '/api/show', { method: 'POST', body: { model: name } });
+    const details = summarizeOllamaModelDetails(name, data);
+    const known = details.capabilities.length > 0;
+    modelCapabilityCache.set(key, {
+      contextLength: details.contextLength,
+      numCtx: details.numCtx,
+      capabilities: {
+        vision: known ? details.capabilities.includes('vision') : null,
+        tools: known ? details.capabilities.includes('tools') : null,
+        thinking: known ? details.capabilities.includes('thinking') : null,
+      },
+    });
+  }
+  return modelCapabilityCache.get(key) || null;
+}
+
+// Hosted APIs describe models in their list response; Ollama needs one /api/show per model.
+async function describeModelEntry(profile, entry) {
+  if (profile.apiFlavor !== 'ollama') {
+    modelCapabilityCache.set(getModelCapabilityKey(profile, entry.name), {
+      contextLength: entry.contextLength,
+      capabilities: entry.capabilities,
+    });
+    return entry;
+  }
+  try {
+    return { ...entry, ...(await loadModelCapabilities(profile, entry.name)) };
+  } catch (err) {
+    console.error(`Failed to read capabilities for ${entry.name}:`, err);
+    return entry;
+  }
+}
+
+function forgetModelCapabilities(profile, name) {
+  modelCapabilityCache.delete(getModelCapabilityKey(profile, name));
+}
+
+// About four characters per token for English prose; close enough to flag prompts that clearly overflow.
+function estimatePromptTokens(messages) {
+  const characters = messages.reduce(
+    (sum, message) => sum + (typeof message.content === 'string' ? message.content.length : 0),
+    0
+  );
+  return Math.ceil(characters / 4);
+}
+
+function normalizeGenerationParams(value) {
+  const params = {};
+  if (!value || typeof value !== 'object') {
+    return params;
+  }
+  Object.entries(GENERATION_PARAM_LIMITS).forEach(([key, limits]) => {
+    const raw = value[key];
+    if (raw === null || raw === undefined || raw === '') {
+      return;
+    }
+    const number = Number(raw);
+    if (!Number.isFinite(number)) {
+      return;
+    }
+    const clamped = Math.min(limits.max, Math.max(limits.min, number));
+    params[key] = limits.integer ? Math.round(clamped) : clamped;
+  });
+  return params;
+}
+
+function normalizeModelGenerationPresets(value) {
+  const presets = {};
+  if (!value || typeof value !== 'object') {
+    return presets;
+  }
+  Object.entries(value).forEach(([model, params]) => {
+    const name = typeof model === 'string' ? model.trim() : '';
+    const normalized = normalizeGenerationParams(params);
+    if (name && Object.keys(normalized).length) {
+      presets[name] = normalized;
+    }
+  });
+  return presets;
+}
+
+function normalizePersona(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  const id = typeof value.id === 'string' && value.id.trim() ? value.id.trim() : randomUUID();
+  const name = typeof value.name === 'string' ? value.name.replace(/\s+/g, ' ').trim() : '';
+  return {
+    id,
+    name: (name || (id === DEFAULT_PERSONA_ID ? BUILT_IN_PERSONA.name : 'Untitled persona')).slice(
+      0,
+      PERSONA_NAME_MAX_LENGTH
+    ),
+    systemPrompt: typeof value.systemPrompt === 'string' ? value.systemPrompt.trim().slice(0, PERSONA_PROMPT_MAX_LENGTH) : '',
+    model: typeof value.model === 'string' ? value.model.trim() : '',
+    searchPolicy: CHAT_SEARCH_POLICIES.includes(value.searchPolicy) ? value.searchPolicy : '',
+    generationParams: normalizeGenerationParams(value.generationParams),
+  };
+}
+
+// The built-in persona is always present and always first; it can be tuned but not removed.
+function normalizePersonas(value) {
+  const personas = [];
+  const seen = new Set();
+  (Array.isArray(value) ? value : []).forEach((entry) => {
+    const persona = normalizePersona(entry);
+    if (persona && !seen.has(persona.id) && personas.length < MAX_PERSONAS) {
+      seen.add(persona.id);
+      personas.push(persona);
+    }
+  });
+  const builtIn = personas.find((persona) => persona.id === DEFAULT_PERSONA_ID) || { ...BUILT_IN_PERSONA };
+  return [builtIn, ...personas.filter((persona) => persona !== builtIn)];
+}
+
+function getPersona(personaId) {
+  const personas = normalizePersonas(getEffectiveSettings().personas);
+  return personas.find((persona) => persona.id === personaId) || personas[0];
+}
+
+function normalizePromptTemplate(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
   }
+  const body = typeof value.body === 'string' ? value.body.trim().slice(0, PROMPT_TEMPLATE_BODY_MAX_LENGTH) : '';
+  const name = typeof value.name === 'string' ? value.name.replace(/\s+/g, ' ').trim() : '';
+  return {
+    id: typeof value.id === 'string' && value.id.trim() ? value.id.trim() : randomUUID(),
+    name: (name || 'Untitled template').slice(0, PERSONA_NAME_MAX_LENGTH),
+    body,
+    attachments: PROMPT_TEMPLATE_ATTACHMENT_RULES.includes(value.attachments) ? value.attachments : '',
+    deepResearch: Boolean(value.deepResearch),
+  };
+}
 
-  const data = await response.json();
-  const firstChoice = Array.isArray(data?.choices) ? data.choices[0] : null;
-  let content = '';
-  if (typeof data?.message?.content === 'string') {
-    content = data.message.content;
-  } else if (typeof data?.response === 'string') {
-    content = data.response;
-  } else if (usingChatCompat) {
-    if (typeof firstChoice?.message?.content === 'string') {
-      content = firstChoice.message.content;
-    } else if (typeof firstChoice?.delta?.content === 'string') {
-      content = firstChoice.delta.content;
+function normalizePromptTemplates(value) {
+  const templates = [];
+  const seen = new Set();
+  (Array.isArray(value) ? value : []).forEach((entry) => {
+    const template = normalizePromptTemplate(entry);
+    if (template && !seen.has(template.id) && templates.length < MAX_PROMPT_TEMPLATES) {
+      seen.add(template.id);
+      templates.push(template);
     }
+  });
+  return templates;
+}
+
+function resolveGenerationParams(model, chat = null) {
+  const effective = getEffectiveSettings();
+  return {
+    ...normalizeGenerationParams(effective.generationDefaults),
+    ...normalizeGenerationParams(model ? effective.modelGenerationPresets?.[model] : null),
+    ...(chat ? getPersona(chat.personaId).generationParams : {}),
+    ...normalizeGenerationParams(chat?.generationParams),
+  };
+}
+
+async function chatCompletion(model, messages, options = {}) {
+  if (!model || !String(model).trim()) {
+    throw new Error('Model is required for chat completion.');
+  }
+  if (!Array.isArray(messages) || !messages.length) {
+    throw new Error('Messages are required for chat completion.');
   }
 
+  const profile = getEndpointProfile(options?.endpointProfileId);
+  const requestedTimeout = profile.timeoutMs || options?.timeoutMs;
+  const timeoutMs = Number.isFinite(requestedTimeout) ? Math.max(4000, Number(requestedTimeout)) : 20000;
+  const generation =
+    options?.temperature !== undefined
+      ? { ...(options?.generation || {}), temperature: options.temperature }
+      : options?.generation;
+  const result = await completeChat(profile, { model, messages, generation }, (url, init) =>
+    fetchWithTimeout(url, init, timeoutMs)
+  );
+
   return {
-    content: typeof content === 'string' ? content.trim() : '',
-    raw: data,
+    content: typeof result.content === 'string' ? result.content.trim() : '',
+    raw: result.raw,
   };
 }
 
+async function embedTexts(texts, endpointProfile, effectiveSettingsOverride = null, timeoutMs = 20000) {
+  const effectiveSettings = effectiveSettingsOverride || getEffectiveSettings();
+  const model = typeof effectiveSettings.embeddingModel === 'string' ? effectiveSettings.embeddingModel.trim() : '';
+  if (!model) {
+    throw new Error('Embedding model is not configured.');
+  }
+  if (!Array.isArray(texts) || !texts.length) {
+    return [];
+  }
+
+  const vectors = await createEmbeddings(endpointProfile, { model, input: texts }, (url, init) =>
+    fetchWithTimeout(url, init, timeoutMs)
+  );
+
+  if (!Array.isArray(vectors) || vectors.length !== texts.length || !vectors.every(Array.isArray)) {
+    throw new Error('Embedding response did not match the request.');
+  }
+  return vectors;
+}
+
 function formatFindingsForPrompt(findings = []) {
   if (!Array.isArray(findings) || !findings.length) {
     return '';
@@ -196,6 +605,7 @@ async function synthesizeDeepResearchDraft({
   findings,
   priorDraft = '',
   reflection = '',
+  endpointProfileId = null,
 }) {
   if (!model || !Array.isArray(findings) || !findings.length) {
     return '';
@@ -227,11 +637,15 @@ async function synthesizeDeepResearchDraft({
     { role: 'user', content: lines.join('\n') },
   ];
 
-  const result = await chatCompletion(model, messages, { timeoutMs: 25000 });
+  const result = await chatCompletion(model, messages, {
+    timeoutMs: 25000,
+    generation: resolveGenerationParams(model),
+    endpointProfileId,
+  });
   return result.content || '';
 }
 
-async function evaluateDeepResearchDraft({ model, topic, draft }) {
+async function evaluateDeepResearchDraft({ model, topic, draft, endpointProfileId = null }) {
   if (!model || !draft) {
     return null;
   }
@@ -250,7 +664,7 @@ async function evaluateDeepResearchDraft({ model, topic, draft }) {
     },
   ];
 
-  const result = await chatCompletion(model, messages, { timeoutMs: 20000 });
+  const result = await chatCompletion(model, messages, { timeoutMs: 20000, endpointProfileId });
   const parsed = extractJsonObjectFromText(result.content);
   if (!parsed) {
     return null;
@@ -266,6 +680,62 @@ async function evaluateDeepResearchDraft({ model, topic, draft }) {
   };
 }
 
+async function generateChatTitle(chat, model) {
+  const messages = getActiveBranch(chat);
+  const firstUser = messages.find((message) => message.role === 'user' && message.content);
+  const firstAssistant = messages.find((message) => message.role === 'assistant' && message.content);
+  if (!model || !firstUser) {
+    return '';
+  }
+
+  const excerpt = [`User: ${firstUser.content.slice(0, CHAT_TITLE_EXCERPT_CHARS)}`];
+  if (firstAssistant) {
+    excerpt.push(`Assistant: ${firstAssistant.content.slice(0, CHAT_TITLE_EXCERPT_CHARS)}`);
+  }
+
+  const result = await chatCompletion(
+    model,
+    [
+      {
+        role: 'system',
+        content:
+          'You name conversations for a chat history sidebar. Reply with the title only: 3 to 7 words that capture the specific topic, no quotes, no trailing punctuation.',
+      },
+      { role: 'user', content: `${excerpt.join('\n\n')}\n\nTitle for this conversation:` },
+    ],
+    { timeoutMs: 20000, temperature: 0.2, endpointProfileId: chat.endpointProfileId }
+  );
+  return cleanGeneratedTitle(result.content);
+}
+
+function cleanGeneratedTitle(text) {
+  const withoutReasoning = String(text || '').replace(/<think>[\s\S]*?<\/think>/gi, '');
+  const firstLine = withoutReasoning
+    .split('\n')
+    .map((line) => line.trim())
+    .find(Boolean);
+  if (!firstLine) {
+    return '';
+  }
+  return firstLine
+    .replace(/^title\s*:\s*/i, '')
+    .replace(/^["'`*#\s]+|["'`*\s]+$/g, '')
+    .replace(/[.!?;:,]+$/, '')
+    .trim()
+    .slice(0, CHAT_TITLE_MAX_LENGTH);
+}
+
+async function applyGeneratedChatTitle(chat, model) {
+  const title = await generateChatTitle(chat, model);
+  // The user may have renamed or deleted the chat while the title was generating.
+  if (!title || chat.customTitle || !chatsCache.includes(chat)) {
+    return '';
+  }
+  chat.title = title;
+  await persistChat(chat);
+  return title;
+}
+
 function getAnalyticsApiKey() {
   if (!analyticsApiKeyLoaded) {
     analyticsApiKey = resolveAnalyticsApiKey();
@@ -488,92 +958,6 @@ async function trackAnalyticsEventMain(name, props = {}) {
   }
 }
 
-const TOKEN_STOP_WORDS = new Set([
-  'what',
-  "what's",
-  'whats',
-  'is',
-  'are',
-  'was',
-  'were',
-  'be',
-  'been',
-  'being',
-  'it',
-  "it's",
-  'its',
-  'that',
-  'this',
-  'those',
-  'these',
-  'they',
-  'them',
-  'their',
-  'theirs',
-  'he',
-  'she',
-  'him',
-  'her',
-  'hers',
-  'we',
-  'us',
-  'our',
-  'ours',
-  'you',
-  'your',
-  'yours',
-  'me',
-  'do',
-  'does',
-  'did',
-  'done',
-  'have',
-  'has',
-  'had',
-  'will',
-  'would',
-  'can',
-  'could',
-  'should',
-  'about',
-  'the',
-  'a',
-  'an',
-  'and',
-  'or',
-  'of',
-  'to',
-  'for',
-  'on',
-  'in',
-  'at',
-  'with',
-  'from',
-  'as',
-  'so',
-  'just',
-  'really',
-  'thing',
-  'things',
-  'stuff',
-  'one',
-  'something',
-  'give',
-  'more',
-  'some',
-  'another',
-  'else',
-  'info',
-  'information',
-  'details',
-  'bit',
-  'tell',
-  'still',
-  'same',
-]);
-
-const REFERENTIAL_FOLLOW_UP_STOP_WORDS = TOKEN_STOP_WORDS;
-
 const MAX_ATTACHMENTS_PER_PROMPT = 1;
 const MAX_ATTACHMENT_BYTES = 512 * 1024; // 512 KB per file
 const MAX_ATTACHMENT_TOTAL_BYTES = 1024 * 1024; // 1 MB per request
@@ -590,6 +974,19 @@ const SUPPORTED_ATTACHMENT_EXTENSIONS = new Set([
   '.yml',
 ]);
 
+const LOCAL_INDEX_MAX_FILES = 2000;
+const LOCAL_INDEX_MAX_FILE_BYTES = 1024 * 1024; // 1 MB per file
+const LOCAL_INDEX_MAX_TOTAL_BYTES = 32 * 1024 * 1024; // 32 MB across all folders
+const LOCAL_INDEX_CHUNK_CHARS = 1200;
+const LOCAL_INDEX_MAX_RESULTS = 4;
+const LOCAL_INDEX_SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', '.svn', '.hg', 'dist', 'build']);
+
+const EMBEDDING_CHUNK_CHARS = 1500;
+const EMBEDDING_RECENT_MESSAGES = 6;
+const EMBEDDING_RETRIEVAL_LIMIT = 4;
+const EMBEDDING_EXCERPT_LIMIT = 2;
+const EMBEDDING_MIN_SIMILARITY = 0.35;
+
 const MIN_DEEP_RESEARCH_ITERATIONS = 3;
 const MAX_DEEP_RESEARCH_ITERATIONS = 5;
 const DEFAULT_DEEP_RESEARCH_ITERATIONS = 4;
@@ -636,10 +1033,35 @@ const DUCKDUCKGO_SEARCH_VARIANTS = [
       `https://duckduckgo.com/?q=${encodeURIComponent(query)}&format=json&no_redirect=1&no_html=1&skip_disambig=1`,
   },
 ];
+const SEARCH_PROVIDERS = {
+  duckduckgo: {
+    label: 'DuckDuckGo',
+    resolveHost: () => 'duckduckgo.com',
+    search: (query, { timeoutMs }) => fetchDuckDuckGoResults(query, timeoutMs),
+  },
+  searxng: {
+    label: 'SearXNG',
+    resolveHost: (prefs) => extractEndpointHost(prefs.searxngEndpoint),
+    search: (query, { timeoutMs, settings: prefs }) =>
+      fetchSearxngResults(query, prefs.searxngEndpoint, timeoutMs),
+  },
+  custom: {
+    label: 'Custom JSON endpoint',
+    resolveHost: (prefs) => extractEndpointHost(prefs.customSearchEndpoint),
+    search: (query, { timeoutMs, settings: prefs }) =>
+      fetchCustomJsonResults(query, prefs.customSearchEndpoint, timeoutMs),
+  },
+};
 
 app.whenReady().then(async () => {
   await Promise.all([ensureSettingsLoaded(), ensureChatsLoaded()]);
   createWindow();
+  createBackup().catch((err) => console.error('Failed to create backup:', err));
+
+  if ((getEffectiveSettings().localCorpusFolders || []).length) {
+    // Pick up edits made while the app was closed; unchanged files reuse their indexed chunks.
+    rebuildLocalIndex().catch((err) => console.error('Failed to refresh local document index:', err));
+  }
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
@@ -784,96 +1206,272 @@ ipcMain.handle('update-settings', async (_event, partialSettings) => {
   await ensureSettingsLoaded();
   const base = settings || getDefaultSettings();
   const next = applySettingsPatch(base, partialSettings);
+  rememberRemovedEndpointCredentials(base.endpointProfiles, next.endpointProfiles);
   settings = next;
   await persistSettings();
   return getRendererSafeSettings();
 });
 
+// Lists models from every enabled endpoint profile; one unreachable host does not hide the others.
 ipcMain.handle('fetch-models', async () => {
+  await ensureSettingsLoaded();
+  const effective = getEffectiveSettings();
+  const profiles = normalizeEndpointProfiles(effective.endpointProfiles, effective).filter((profile) => profile.enabled);
+  const results = await Promise.all(
+    profiles.map(async (profile) => {
+      try {
+        const models = await listEndpointModels(profile);
+        return { profile, models: await Promise.all(models.map((entry) => describeModelEntry(profile, entry))) };
+      } catch (err) {
+        console.error(`Error fetching models from ${profile.url}:`, err);
+        return { profile, models: [], error: err?.message || 'Unable to reach endpoint.' };
+      }
+    })
+  );
+
+  return {
+    models: results.flatMap(({ profile, models }) => models.map((entry) => ({ ...entry, profileId: profile.id }))),
+    profiles: results.map(({ profile, models, error }) => ({
+      id: profile.id,
+      name: profile.name,
+      host: describeEndpointHost(profile),
+      url: profile.url,
+      apiFlavor: profile.apiFlavor,
+      modelCount: models.length,
+      error: error || null,
+    })),
+  };
+});
+
+ipcMain.handle('list-ollama-models', async (_event, { profileId } = {}) => {
   try {
     await ensureSettingsLoaded();
-    const effective = getEffectiveSettings();
-    const baseUrl = normalizeOllamaEndpoint(effective.ollamaEndpoint);
-    const usingChatCompat = Boolean(effective.useOpenAICompatibleEndpoint);
-    const endpointPath = usingChatCompat ? '/v1/models' : '/api/tags';
-    const res = await fetch(`${baseUrl}${endpointPath}`);
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}`);
-    }
-
-    const data = await res.json();
-    if (usingChatCompat) {
-      const entries = Array.isArray(data?.data) ? data.data : [];
-      return entries
-        .map((entry) => (typeof entry?.id === 'string' ? entry.id.trim() : typeof entry?.name === 'string' ? entry.name.trim() : typeof entry?.model === 'string' ? entry.model.trim() : ''))
-        .filter((name) => Boolean(name));
-    }
-
-    const models = Array.isArray(data?.models) ? data.models : [];
-    return models
-      .map((model) => {
-        if (typeof model?.name === 'string') {
-          return model.name.trim();
-        }
-        if (typeof model?.model === 'string') {
-          return model.model.trim();
-        }
-        return '';
-      })
-      .filter((name) => Boolean(name));
+    const profile = resolveOllamaProfile(profileId);
+    const [tags, running] = await Promise.all([
+      requestOllamaJson(profile, '/api/tags'),
+      requestOllamaJson(profile, '/api/ps'),
+    ]);
+    return {
+      success: true,
+      profileId: profile.id,
+      installed: (Array.isArray(tags?.models) ? tags.models : []).map(summarizeOllamaModel),
+      loaded: (Array.isArray(running?.models) ? running.models : []).map((entry) => ({
+        ...summarizeOllamaModel(entry),
+        sizeVram: Number.isFinite(entry?.size_vram) ? entry.size_vram : null,
+        expiresAt: entry?.expires_at || null,
+      })),
+    };
   } catch (err) {
-    console.error('Error fetching models:', err);
-    return [];
+    console.error('Failed to list Ollama models:', err);
+    return { success: false, error: err?.message || 'Unable to list models.' };
   }
 });
 
-ipcMain.handle('list-chats', async () => {
-  await ensureChatsLoaded();
-  return getChatSummaries();
+ipcMain.handle('show-ollama-model', async (_event, { profileId, name } = {}) => {
+  try {
+    await ensureSettingsLoaded();
+    const profile = resolveOllamaProfile(profileId);
+    const data = await requestOllamaJson(profile, '/api/show', { method: 'POST', body: { model: name } });
+    return { success: true, details: summarizeOllamaModelDetails(name, data) };
+  } catch (err) {
+    console.error('Failed to show Ollama model:', err);
+    return { success: false, error: err?.message || 'Unable to load model details.' };
+  }
 });
 
-ipcMain.handle('create-chat', async (_event, { model }) => {
-  await ensureChatsLoaded();
-  const chat = createChatRecord(model || null);
-  upsertChat(chat);
-  await persistChats();
-  return sanitizeChat(chat);
-});
+ipcMain.handle('pull-ollama-model', async (event, { profileId, name, requestId } = {}) => {
+  const model = typeof name === 'string' ? name.trim() : '';
+  if (!model) {
+    return { success: false, error: 'Enter a model name to pull.' };
+  }
 
-ipcMain.handle('get-chat', async (_event, { chatId }) => {
-  await ensureChatsLoaded();
-  const chat = chatsCache.find((item) => item.id === chatId);
-  return chat ? sanitizeChat(chat) : null;
+  const controller = new AbortController();
+  if (requestId) {
+    activeModelPulls.set(requestId, controller);
+  }
+  let lastStatus = '';
+  let lastSentAt = 0;
+  try {
+    await ensureSettingsLoaded();
+    const profile = resolveOllamaProfile(profileId);
+    const response = await fetch(`${profile.url}/api/pull`, {
+      method: 'POST',
+      headers: buildEndpointHeaders(profile),
+      body: JSON.stringify({ model, stream: true }),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw await readErrorResponse(response, 'Ollama pull');
+    }
+
+    await readStreamLines(response.body, (line) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (err) {
+        console.error('Failed to parse pull progress:', err);
+        return false;
+      }
+      if (parsed.error) {
+        throw new Error(parsed.error);
+      }
+      const now = Date.now();
+      if (parsed.status === lastStatus && now - lastSentAt < MODEL_PULL_PROGRESS_INTERVAL_MS) {
+        return false;
+      }
+      lastStatus = parsed.status;
+      lastSentAt = now;
+      event.sender.send('ollama-pull-progress', {
+        requestId,
+        name: model,
+        status: parsed.status || '',
+        completed: Number.isFinite(parsed.completed) ? parsed.completed : null,
+        total: Number.isFinite(parsed.total) ? parsed.total : null,
+      });
+      return false;
+    });
+    forgetModelCapabilities(profile, model);
+    return { success: true, name: model };
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      return { success: false, aborted: true };
+    }
+    controller.abort();
+    console.error('Failed to pull model:', err);
+    return { success: false, error: err?.message || 'Unable to pull model.' };
+  } finally {
+    if (requestId) {
+      activeModelPulls.delete(requestId);
+    }
+  }
 });
 
-ipcMain.handle('cancel-ollama', async (_event, { requestId }) => {
-  if (!requestId) {
+ipcMain.handle('cancel-ollama-pull', async (_event, { requestId } = {}) => {
+  const controller = activeModelPulls.get(requestId);
+  if (!controller) {
     return { success: false };
   }
+  controller.abort();
+  activeModelPulls.delete(requestId);
+  return { success: true };
+});
 
-  const controller = activeRequests.get(requestId);
-  if (controller) {
-    controller.abort();
-    activeRequests.delete(requestId);
+ipcMain.handle('delete-ollama-model', async (_event, { profileId, name } = {}) => {
+  try {
+    await ensureSettingsLoaded();
+    const profile = resolveOllamaProfile(profileId);
+    await requestOllamaJson(profile, '/api/delete', { method: 'DELETE', body: { model: name } });
+    forgetModelCapabilities(profile, name);
     return { success: true };
+  } catch (err) {
+    console.error('Failed to delete Ollama model:', err);
+    return { success: false, error: err?.message || 'Unable to delete model.' };
   }
-
-  return { success: false };
 });
 
-ipcMain.handle('render-markdown', async (_event, text) => {
+// A generate call with keep_alive 0 and no prompt is Ollama's way to evict a model from memory.
+ipcMain.handle('unload-ollama-model', async (_event, { profileId, name } = {}) => {
   try {
-    const rawHtml = marked.parse(String(text || ''));
-    return sanitizeHtml(rawHtml, {
-      allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img']),
-      allowedAttributes: {
-        ...sanitizeHtml.defaults.allowedAttributes,
-        img: ['src', 'alt', 'title', 'width', 'height'],
-        code: ['class'],
-        pre: ['class'],
-        span: ['class'],
-      },
-      allowedSchemes: ['http', 'https', 'mailto', 'tel', 'data'],
+    await ensureSettingsLoaded();
+    const profile = resolveOllamaProfile(profileId);
+    await requestOllamaJson(profile, '/api/generate', {
+      method: 'POST',
+      body: { model: name, keep_alive: 0, stream: false },
+    });
+    return { success: true };
+  } catch (err) {
+    console.error('Failed to unload Ollama model:', err);
+    return { success: false, error: err?.message || 'Unable to unload model.' };
+  }
+});
+
+ipcMain.handle('list-chats', async () => {
+  await ensureChatsLoaded();
+  return getChatSummaries();
+});
+
+ipcMain.handle('search-chats', async (_event, { query } = {}) => {
+  try {
+    await ensureChatsLoaded();
+    return { success: true, results: await searchChats(query) };
+  } catch (err) {
+    console.error('Failed to search chats:', err);
+    return { success: false, error: err?.message || 'Unable to search chats.' };
+  }
+});
+
+ipcMain.handle('create-chat', async (_event, { model, personaId, endpointProfileId } = {}) => {
+  await ensureChatsLoaded();
+  await ensureSettingsLoaded();
+  const persona = getPersona(personaId);
+  const chat = createChatRecord(model || persona.model || null);
+  chat.personaId = persona.id;
+  chat.endpointProfileId = getEndpointProfile(endpointProfileId).id;
+  if (persona.searchPolicy) {
+    chat.searchPolicy = persona.searchPolicy;
+  }
+  upsertChat(chat);
+  await persistChat(chat);
+  return buildRendererChat(chat);
+});
+
+ipcMain.handle('get-chat', async (_event, { chatId }) => {
+  const chat = await loadChat(chatId);
+  return chat ? buildRendererChat(chat) : null;
+});
+
+ipcMain.handle('switch-chat-branch', async (_event, { chatId, messageId } = {}) => {
+  await ensureChatsLoaded();
+
+  const chat = chatId ? await loadChat(chatId) : null;
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
+  }
+  if (!chat.messages.some((message) => message.id === messageId)) {
+    return { success: false, error: 'Message not found.' };
+  }
+
+  chat.activeLeafId = findLatestLeafId(chat, messageId);
+  chat.conversationDigest = buildConversationDigest(createConversationView(chat));
+
+  try {
+    await persistChat(chat);
+  } catch (err) {
+    console.error('Failed to switch chat branch:', err);
+    return { success: false, error: err?.message || 'Unable to switch branch.' };
+  }
+
+  return { success: true, chat: buildRendererChat(chat) };
+});
+
+ipcMain.handle('cancel-ollama', async (_event, { requestId }) => {
+  if (!requestId) {
+    return { success: false };
+  }
+
+  const controller = activeRequests.get(requestId);
+  if (controller) {
+    controller.abort();
+    activeRequests.delete(requestId);
+    return { success: true };
+  }
+
+  return { success: false };
+});
+
+ipcMain.handle('render-markdown', async (_event, text) => {
+  try {
+    const rawHtml = marked.parse(String(text || ''));
+    return sanitizeHtml(rawHtml, {
+      allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img']),
+      allowedAttributes: {
+        ...sanitizeHtml.defaults.allowedAttributes,
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        code: ['class'],
+        pre: ['class'],
+        span: ['class'],
+      },
+      allowedSchemes: ['http', 'https', 'mailto', 'tel', 'data'],
     });
   } catch (err) {
     console.error('Failed to render markdown:', err);
@@ -882,9 +1480,7 @@ ipcMain.handle('render-markdown', async (_event, text) => {
 });
 
 ipcMain.handle('export-chat', async (_event, { chatId, format }) => {
-  await ensureChatsLoaded();
-
-  const chat = chatsCache.find((item) => item.id === chatId);
+  const chat = await loadChat(chatId);
   if (!chat) {
     return { error: 'Chat not found' };
   }
@@ -932,8 +1528,8 @@ ipcMain.handle('export-chat', async (_event, { chatId, format }) => {
 ipcMain.handle('delete-all-chats', async () => {
   await ensureChatsLoaded();
 
-  chatsCache = [];
-  await persistChats();
+  await deleteAllChatFiles();
+  await deleteEmbeddingStores();
 
   return { success: true };
 });
@@ -968,7 +1564,7 @@ ipcMain.handle('set-chat-attachments', async (_event, { chatId, attachments = []
     return { success: false, error: 'Chat id is required.' };
   }
 
-  const chat = chatsCache.find((item) => item.id === chatId);
+  const chat = await loadChat(chatId);
   if (!chat) {
     return { success: false, error: 'Chat not found.' };
   }
@@ -977,7 +1573,7 @@ ipcMain.handle('set-chat-attachments', async (_event, { chatId, attachments = []
   chat.attachments = sanitized;
 
   try {
-    await persistChats();
+    await persistChat(chat);
   } catch (err) {
     console.error('Failed to persist chat attachments:', err);
     return { success: false, error: err?.message || 'Unable to save attachments.' };
@@ -986,1666 +1582,3245 @@ ipcMain.handle('set-chat-attachments', async (_event, { chatId, attachments = []
   return { success: true, attachments: sanitized.map((item) => ({ ...item })) };
 });
 
-ipcMain.handle('pick-local-files', async (_event, rawOptions = {}) => {
-  const options = typeof rawOptions === 'object' && rawOptions !== null ? rawOptions : {};
-  const existingCount = Number.isFinite(options.existingCount) ? Number(options.existingCount) : 0;
-  const existingBytes = Number.isFinite(options.existingBytes) ? Number(options.existingBytes) : 0;
-  const remainingSlots = Math.max(0, MAX_ATTACHMENTS_PER_PROMPT - existingCount);
-  const attachmentLimitMessage =
-    MAX_ATTACHMENTS_PER_PROMPT === 1
-      ? 'Only one file is allowed per prompt. Remove the current attachment before adding another.'
-      : `Only ${MAX_ATTACHMENTS_PER_PROMPT} files are allowed per prompt. Remove an attachment before adding more.`;
-  const droppedPaths = Array.isArray(options.droppedPaths)
-    ? Array.from(
-        new Set(
-          options.droppedPaths
-            .map((value) => {
-              if (typeof value === 'string' && value.trim()) {
-                return value.trim();
-              }
-              return '';
-            })
-            .filter(Boolean)
-        )
-      )
-    : [];
+ipcMain.handle('set-chat-search-policy', async (_event, { chatId, policy } = {}) => {
+  await ensureChatsLoaded();
 
-  const limits = {
-    maxFiles: MAX_ATTACHMENTS_PER_PROMPT,
-    maxPerFileBytes: MAX_ATTACHMENT_BYTES,
-    maxTotalBytes: MAX_ATTACHMENT_TOTAL_BYTES,
-  };
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
+  }
 
-  if (remainingSlots <= 0) {
-    return {
-      files: [],
-      rejected: [
-        {
-          reason: attachmentLimitMessage,
-        },
-      ],
-      limits,
-    };
+  if (!CHAT_SEARCH_POLICIES.includes(policy)) {
+    return { success: false, error: 'Unknown web search policy.' };
   }
 
-  const browserWindow = BrowserWindow.getFocusedWindow() || mainWindow || null;
-  const dialogOptions = {
-    properties: ['openFile', 'multiSelections'],
-    filters: [
-      {
-        name: 'Text files',
-        extensions: Array.from(SUPPORTED_ATTACHMENT_EXTENSIONS).map((ext) => ext.slice(1)),
-      },
-    ],
-  };
+  const chat = await loadChat(chatId);
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
+  }
 
-  const accepted = [];
-  const rejected = [];
-  let runningBytes = Math.max(0, existingBytes);
-  let candidatePaths = [];
+  chat.searchPolicy = policy;
 
-  if (droppedPaths.length) {
-    candidatePaths = droppedPaths.slice(0, remainingSlots);
-    if (droppedPaths.length > remainingSlots) {
-      droppedPaths.slice(remainingSlots).forEach((filePath) => {
-        rejected.push({
-          name: path.basename(filePath),
-          reason: attachmentLimitMessage,
-        });
-      });
-    }
-  } else {
-    const { canceled, filePaths } = await dialog.showOpenDialog(browserWindow, dialogOptions);
-    if (canceled || !filePaths || !filePaths.length) {
-      return { canceled: true, files: [], rejected, limits };
+  try {
+    await persistChat(chat);
+  } catch (err) {
+    console.error('Failed to persist chat search policy:', err);
+    return { success: false, error: err?.message || 'Unable to save web search policy.' };
+  }
+
+  return { success: true, chatId, searchPolicy: chat.searchPolicy };
+});
+
+ipcMain.handle('update-chat-goal', async (_event, { chatId, goal, guardrailMode, reset = false } = {}) => {
+  await ensureChatsLoaded();
+
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
+  }
+
+  const chat = await loadChat(chatId);
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
+  }
+
+  if (reset) {
+    // The goal goes back to the first message on the branch the user is looking at.
+    const firstUser = getActiveBranch(chat).find((message) => message.role === 'user' && message.content);
+    chat.initialUserPrompt = firstUser ? firstUser.content : '';
+  } else if (goal !== undefined) {
+    const trimmed = typeof goal === 'string' ? goal.trim().slice(0, CHAT_GOAL_MAX_LENGTH) : '';
+    if (!trimmed) {
+      return { success: false, error: 'The goal cannot be empty. Reset it or turn the guardrail off instead.' };
     }
-    candidatePaths = filePaths.slice(0, remainingSlots);
+    chat.initialUserPrompt = trimmed;
   }
 
-  for (const filePath of candidatePaths) {
-    try {
-      const stats = await fsPromises.stat(filePath);
-      if (!stats.isFile()) {
-        rejected.push({
-          name: path.basename(filePath),
-          reason: 'Only regular files can be attached.',
-        });
-        continue;
-      }
+  if (guardrailMode !== undefined) {
+    chat.goalGuardrailMode = normalizeGoalGuardrailMode(guardrailMode);
+  }
 
-      const originalSize = stats.size;
-      if (originalSize === 0) {
-        rejected.push({
-          name: path.basename(filePath),
-          reason: 'File is empty.',
-        });
-        continue;
-      }
+  upsertChat(chat);
+  try {
+    await persistChat(chat);
+  } catch (err) {
+    console.error('Failed to persist chat goal:', err);
+    return { success: false, error: err?.message || 'Unable to save the chat goal.' };
+  }
 
-      if (originalSize > MAX_ATTACHMENT_BYTES) {
-        rejected.push({
-          name: path.basename(filePath),
-          reason: `File is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}.`,
-        });
-        continue;
-      }
+  return {
+    success: true,
+    chatId,
+    initialUserPrompt: chat.initialUserPrompt,
+    goalGuardrailMode: chat.goalGuardrailMode,
+  };
+});
 
-      const ext = path.extname(filePath).toLowerCase();
-      if (!SUPPORTED_ATTACHMENT_EXTENSIONS.has(ext)) {
-        rejected.push({
-          name: path.basename(filePath),
-          reason: 'Unsupported file type. Only plain text formats are allowed.',
-        });
-        continue;
-      }
+ipcMain.handle('set-chat-persona', async (_event, { chatId, personaId } = {}) => {
+  await ensureChatsLoaded();
+  await ensureSettingsLoaded();
 
-      let content;
-      try {
-        content = await fsPromises.readFile(filePath, 'utf8');
-      } catch (err) {
-        rejected.push({
-          name: path.basename(filePath),
-          reason: 'Unable to read the file as UTF-8 text.',
-        });
-        continue;
-      }
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
+  }
 
-      if (isLikelyBinary(content)) {
-        rejected.push({
-          name: path.basename(filePath),
-          reason: 'File appears to be binary. Please convert it to plain text first.',
-        });
-        continue;
-      }
+  const chat = await loadChat(chatId);
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
+  }
 
-      let sanitizedContent = truncateContentToBytes(content, MAX_ATTACHMENT_BYTES);
-      let sanitizedBytes = Buffer.byteLength(sanitizedContent, 'utf8');
-      let truncated = sanitizedContent.length < content.length;
+  const persona = getPersona(personaId);
+  chat.personaId = persona.id;
+  if (persona.searchPolicy) {
+    chat.searchPolicy = persona.searchPolicy;
+  }
 
-      if (runningBytes + sanitizedBytes > MAX_ATTACHMENT_TOTAL_BYTES) {
-        const remainingBytes = MAX_ATTACHMENT_TOTAL_BYTES - runningBytes;
-        if (remainingBytes <= 0) {
-          rejected.push({
-            name: path.basename(filePath),
-            reason: `Total attachment size would exceed ${formatBytes(MAX_ATTACHMENT_TOTAL_BYTES)}.`,
-          });
-          continue;
-        }
+  try {
+    await persistChat(chat);
+  } catch (err) {
+    console.error('Failed to persist chat persona:', err);
+    return { success: false, error: err?.message || 'Unable to change persona.' };
+  }
 
-        sanitizedContent = truncateContentToBytes(sanitizedContent, remainingBytes);
-        sanitizedBytes = Buffer.byteLength(sanitizedContent, 'utf8');
-        truncated = true;
-      }
+  return { success: true, chatId, personaId: chat.personaId, searchPolicy: chat.searchPolicy };
+});
 
-      runningBytes += sanitizedBytes;
+ipcMain.handle('set-chat-generation-params', async (_event, { chatId, params } = {}) => {
+  await ensureChatsLoaded();
 
-      accepted.push({
-        id: randomUUID(),
-        name: path.basename(filePath),
-        size: originalSize,
-        bytes: sanitizedBytes,
-        displaySize: formatBytes(originalSize),
-        truncated,
-        content: sanitizedContent,
-      });
-    } catch (err) {
-      rejected.push({
-        name: path.basename(filePath),
-        reason: err?.message || 'Unable to process file.',
-      });
-    }
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
   }
 
-  return { files: accepted, rejected, limits };
+  const chat = await loadChat(chatId);
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
+  }
+
+  chat.generationParams = normalizeGenerationParams(params);
+
+  try {
+    await persistChat(chat);
+  } catch (err) {
+    console.error('Failed to persist chat generation parameters:', err);
+    return { success: false, error: err?.message || 'Unable to save generation parameters.' };
+  }
+
+  return { success: true, chatId, generationParams: chat.generationParams };
 });
 
-ipcMain.handle('deep-research', async (event, rawOptions = {}) => {
-  await ensureSettingsLoaded();
+ipcMain.handle('rename-chat', async (_event, { chatId, title } = {}) => {
   await ensureChatsLoaded();
-  const options = typeof rawOptions === 'object' && rawOptions !== null ? rawOptions : {};
-  const rawTopic = typeof options.topic === 'string' ? options.topic.trim() : '';
-  let topic = rawTopic;
 
-  if (!topic) {
-    return { error: 'A topic or question is required for deep research.' };
+  const nextTitle = typeof title === 'string' ? title.replace(/\s+/g, ' ').trim() : '';
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
+  }
+  if (!nextTitle) {
+    return { success: false, error: 'Title cannot be empty.' };
   }
 
-  const chatId = options.chatId || null;
-  const iterations = clampDeepResearchIterations(options.iterations);
-  const requestId = options.requestId || randomUUID();
-  const resultLimit = clampSearchLimit(
-    options.resultLimit !== undefined ? Number(options.resultLimit) : DEFAULT_SETTINGS.searchResultLimit
-  );
-  let primaryGoal =
-    typeof options.initialGoal === 'string' && options.initialGoal.trim() ? options.initialGoal.trim() : '';
-  if (chatId) {
-    const ownedChat = chatsCache.find((item) => item.id === chatId);
-    const resolvedGoal = resolveChatInitialGoal(ownedChat);
-    if (resolvedGoal) {
-      primaryGoal = resolvedGoal;
-    }
+  const chat = await loadChat(chatId);
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
   }
-  const combinedGoal = buildPrimaryAlignedTopic(primaryGoal, rawTopic);
-  if (combinedGoal) {
-    topic = combinedGoal;
+
+  chat.title = nextTitle.slice(0, CHAT_TITLE_MAX_LENGTH);
+  chat.customTitle = true;
+
+  try {
+    await persistChat(chat);
+  } catch (err) {
+    console.error('Failed to rename chat:', err);
+    return { success: false, error: err?.message || 'Unable to rename chat.' };
   }
 
-  const seedSource = Array.isArray(options.initialQueries)
-    ? options.initialQueries
-    : Array.isArray(options.additionalQueries)
-    ? options.additionalQueries
-    : [];
-  const seedQueries = buildInitialResearchQueries(topic, seedSource);
-  if (!seedQueries.length) {
-    seedQueries.push(topic);
+  return { success: true, chat: buildChatIndexEntry(chat) };
+});
+
+ipcMain.handle('regenerate-chat-title', async (_event, { chatId } = {}) => {
+  await Promise.all([ensureSettingsLoaded(), ensureChatsLoaded()]);
+
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
   }
-  const usedQueryHashes = new Set(seedQueries.map((value) => value.toLowerCase()));
-  const modelForResearch =
-    typeof options.model === 'string' && options.model.trim() ? options.model.trim() : '';
-  const enqueueQuery = (candidate) => {
-    if (!candidate || seedQueries.length >= DEEP_RESEARCH_MAX_QUERY_POOL) {
-      return false;
-    }
-    const trimmedCandidate = String(candidate).trim();
-    if (!trimmedCandidate) {
-      return false;
-    }
-    const normalized = trimmedCandidate.toLowerCase();
-    if (usedQueryHashes.has(normalized)) {
-      return false;
-    }
-    seedQueries.push(trimmedCandidate);
-    usedQueryHashes.add(normalized);
-    return true;
-  };
 
-  const sendProgress = (payload) => {
-    if (!event?.sender || !payload) {
-      return;
-    }
-    try {
-      event.sender.send('deep-research-progress', {
-        requestId,
-        chatId,
-        topic,
-        primaryGoal,
-        ...payload,
-      });
-    } catch (err) {
-      console.error('Failed to send deep research progress:', err);
-    }
-  };
+  const chat = await loadChat(chatId);
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
+  }
+  if (!chat.messages?.length) {
+    return { success: false, error: 'Send a message before generating a title.' };
+  }
 
+  const previousCustomTitle = chat.customTitle;
   try {
-    const online = await hasNetworkConnectivity();
-    if (!online) {
-      const offlineError = 'No network connection detected. Unable to run deep research.';
-      sendProgress({ stage: 'error', message: offlineError });
-      return { error: offlineError };
+    chat.customTitle = false;
+    const title = await applyGeneratedChatTitle(chat, chat.model);
+    if (!title) {
+      throw new Error('The model did not return a title.');
     }
+  } catch (err) {
+    chat.customTitle = previousCustomTitle;
+    console.error('Failed to regenerate chat title:', err);
+    return { success: false, error: err?.message || 'Unable to generate a title.' };
+  }
 
-    sendProgress({
-      stage: 'planning',
-      totalIterations: iterations,
-      nextQueries: seedQueries.slice(0, 3),
-      message: `Preparing ${iterations} passes of deep research.`,
-    });
+  return { success: true, chat: buildChatIndexEntry(chat) };
+});
 
-    const timeline = [];
-    const seenUrls = new Set();
-    const researchMemory = [];
-    let queryCursor = 0;
-    let satisfied = false;
-    let finalDraftAnswer = '';
+ipcMain.handle('delete-chat', async (_event, { chatId } = {}) => {
+  await ensureChatsLoaded();
 
-    for (let iteration = 1; iteration <= iterations; iteration += 1) {
-      const query =
-        seedQueries[queryCursor] || seedQueries[seedQueries.length - 1] || topic;
-      const iterationLabel = { iteration, totalIterations: iterations, query };
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
+  }
 
-      sendProgress({
-        stage: 'iteration-start',
-        message: `Pass ${iteration} – searching for fresh coverage…`,
-        ...iterationLabel,
-      });
+  const chat = await loadChat(chatId);
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
+  }
 
-      let searchResult = { entries: [] };
-      try {
-        searchResult = await performWebSearch([query], {
-          limit: resultLimit,
-          timeoutMs: 7000,
-          pageTimeoutMs: 5000,
-        });
-      } catch (err) {
-        console.error('Deep research search failed:', err);
-        const errorMessage = err?.message || 'Search failed.';
-        timeline.push({
-          iteration,
-          query,
-          findings: [],
-          message: errorMessage,
-          review: '',
-          error: errorMessage,
-        });
-        sendProgress({
-          stage: 'iteration-error',
-          message: errorMessage,
-          ...iterationLabel,
-        });
-        queryCursor += 1;
-        continue;
-      }
+  try {
+    await removeChat(chat);
+  } catch (err) {
+    console.error('Failed to delete chat:', err);
+    return { success: false, error: err?.message || 'Unable to delete chat.' };
+  }
 
-      const normalizedEntries = Array.isArray(searchResult.entries) ? searchResult.entries : [];
-      const freshEntries = filterFreshEntries(
-        normalizedEntries,
-        seenUrls,
-        DEEP_RESEARCH_FINDINGS_PER_PASS
-      );
-      const findings = summarizeDeepResearchEntries(freshEntries);
-      const iterationMessage = findings.length
-        ? `Pass ${iteration} captured ${findings.length} new source${findings.length === 1 ? '' : 's'}.`
-        : `Pass ${iteration} produced no novel sources – refining follow-up queries.`;
+  return { success: true, chatId };
+});
 
-      timeline.push({
-        iteration,
-        query,
-        findings,
-        message: iterationMessage,
-        review: '',
-      });
-      const timelineEntry = timeline[timeline.length - 1];
+ipcMain.handle('restore-chat', async (_event, { chatId } = {}) => {
+  await ensureChatsLoaded();
 
-      sendProgress({
-        stage: 'iteration-review',
-        findings,
-        message: iterationMessage,
-        ...iterationLabel,
-      });
+  const chat = chatId ? recentlyDeletedChats.get(chatId) : null;
+  if (!chat) {
+    return { success: false, error: 'This chat can no longer be restored.' };
+  }
 
-      const followUps = deriveFollowUpQueries(freshEntries, topic, seedQueries);
-      if (followUps.length) {
-        followUps.forEach((nextQuery) => enqueueQuery(nextQuery));
-      }
+  recentlyDeletedChats.delete(chatId);
+  chatsCache.push(chat);
+  loadedChatIds.add(chat.id);
+  chatsCache.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
 
-      const iterationMemory = freshEntries.map((entry) => ({
-        title: entry.title || '',
-        summary: entry.summary || entry.snippet || '',
-        snippet: entry.snippet || entry.summary || '',
-        url: entry.url || '',
-      }));
-      if (iterationMemory.length) {
-        researchMemory.push(...iterationMemory);
-      }
+  try {
+    await persistChat(chat);
+  } catch (err) {
+    console.error('Failed to restore chat:', err);
+    return { success: false, error: err?.message || 'Unable to restore chat.' };
+  }
 
-      const reflection = buildResearchReflection(topic, researchMemory, seedQueries);
-      if (reflection.nextQueries?.length) {
-        reflection.nextQueries.forEach((nextQuery) => enqueueQuery(nextQuery));
-      }
-      if (modelForResearch && timeline.length) {
-        try {
-          const modelQueries = await generateQuerySuggestions({
-            model: modelForResearch,
-            topic,
-            timeline,
-            existingQueries: seedQueries,
-            maxSuggestions: 2,
-          });
-          if (Array.isArray(modelQueries) && modelQueries.length) {
-            modelQueries.forEach((candidate) => enqueueQuery(candidate));
-            sendProgress({
-              stage: 'iteration-reflection',
-              message: `Model suggested new queries: ${modelQueries.join(', ')}`,
-              suggestions: modelQueries,
-              ...iterationLabel,
-            });
-          }
-        } catch (suggestErr) {
-          console.error('Model query suggestion failed:', suggestErr);
-        }
-      }
-      if (reflection.summary) {
-        if (timelineEntry) {
-          timelineEntry.review = reflection.summary;
-        }
-        sendProgress({
-          stage: 'iteration-reflection',
-          message: reflection.summary,
-          review: reflection.summary,
-          suggestions: reflection.nextQueries,
-          ...iterationLabel,
-        });
-      }
+  return { success: true, chat: buildChatIndexEntry(chat) };
+});
 
-      if (modelForResearch && findings.length) {
-        sendProgress({
-          stage: 'model-draft',
-          message: `Drafting answer from pass ${iteration} findings…`,
-          ...iterationLabel,
-        });
+ipcMain.handle('update-chat-organization', async (_event, { chatId, pinned, folder, tags } = {}) => {
+  await Promise.all([ensureSettingsLoaded(), ensureChatsLoaded()]);
 
-        try {
-          const draft = await synthesizeDeepResearchDraft({
-            model: modelForResearch,
-            topic,
-            findings: freshEntries,
-            priorDraft: finalDraftAnswer,
-            reflection: timelineEntry?.review || '',
-          });
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
+  }
 
-          if (draft) {
-            timelineEntry.answer = draft;
-            finalDraftAnswer = draft;
-            sendProgress({
-              stage: 'model-draft',
-              message: `Draft ready from pass ${iteration}.`,
-              answer: draft,
-              ...iterationLabel,
-            });
+  const chat = await loadChat(chatId);
+  if (!chat) {
+    return { success: false, error: 'Chat not found.' };
+  }
 
-            sendProgress({
-              stage: 'model-eval',
-              message: `Reviewing draft from pass ${iteration}…`,
-              answer: draft,
-              ...iterationLabel,
-            });
+  if (pinned !== undefined) {
+    chat.pinned = Boolean(pinned);
+  }
+  if (folder !== undefined) {
+    chat.folder = normalizeChatFolderName(folder) || null;
+    const folders = getEffectiveSettings().chatFolders || [];
+    if (chat.folder && !folders.includes(chat.folder)) {
+      settings = applySettingsPatch(settings, { chatFolders: [...folders, chat.folder] });
+    }
+  }
+  if (tags !== undefined) {
+    chat.tags = normalizeChatTags(tags);
+  }
 
-            const evaluation = await evaluateDeepResearchDraft({
-              model: modelForResearch,
-              topic,
-              draft,
-            });
+  try {
+    await persistSettings();
+    await persistChat(chat);
+  } catch (err) {
+    console.error('Failed to update chat organization:', err);
+    return { success: false, error: err?.message || 'Unable to update chat.' };
+  }
 
-            if (evaluation) {
-              timelineEntry.verdict = evaluation.verdict;
-              timelineEntry.reviewNotes = evaluation.critique || '';
+  return { success: true, chat: buildChatIndexEntry(chat), folders: getEffectiveSettings().chatFolders };
+});
 
-              sendProgress({
-                stage: 'model-eval',
-                message:
-                  evaluation.critique || (evaluation.accepted ? 'Draft approved.' : 'Needs refinement.'),
-                verdict: evaluation.verdict,
-                answer: draft,
-                reviewNotes: evaluation.critique,
-                ...iterationLabel,
-              });
+ipcMain.handle('rename-chat-folder', async (_event, { from, to } = {}) => {
+  await Promise.all([ensureSettingsLoaded(), ensureChatsLoaded()]);
 
-              if (evaluation.accepted) {
-                satisfied = true;
-                break;
-              }
-            }
-          }
-        } catch (draftErr) {
-          console.error('Deep research drafting failed:', draftErr);
-          sendProgress({
-            stage: 'model-error',
-            message: draftErr?.message || 'Unable to synthesize an answer from the findings.',
-            ...iterationLabel,
-          });
-        }
-      }
+  const source = normalizeChatFolderName(from);
+  const target = normalizeChatFolderName(to);
+  const folders = getEffectiveSettings().chatFolders || [];
+  if (!source || !folders.includes(source)) {
+    return { success: false, error: 'Folder not found.' };
+  }
+  if (!target) {
+    return { success: false, error: 'Folder name cannot be empty.' };
+  }
 
-      queryCursor += 1;
-      if (satisfied) {
-        break;
-      }
-    }
+  settings = applySettingsPatch(settings, {
+    chatFolders: folders.map((name) => (name === source ? target : name)),
+  });
 
-    if (!finalDraftAnswer && timeline.length) {
-      const lastWithAnswer = [...timeline].reverse().find((entry) => entry?.answer);
-      if (lastWithAnswer?.answer) {
-        finalDraftAnswer = lastWithAnswer.answer;
-      }
-    }
+  try {
+    await persistSettings();
+    await moveChatsOutOfFolder(source, target);
+  } catch (err) {
+    console.error('Failed to rename chat folder:', err);
+    return { success: false, error: err?.message || 'Unable to rename folder.' };
+  }
 
-    const summaryPayload = buildDeepResearchSummary(topic, timeline, finalDraftAnswer);
+  return { success: true, folders: getEffectiveSettings().chatFolders };
+});
 
-    sendProgress({
-      stage: 'complete',
-      summary: summaryPayload.summary,
-      sources: summaryPayload.sources,
-      iterations: timeline.length,
-      answer: summaryPayload.answer,
-    });
+ipcMain.handle('delete-chat-folder', async (_event, { name } = {}) => {
+  await Promise.all([ensureSettingsLoaded(), ensureChatsLoaded()]);
 
-    return {
-      requestId,
-      topic,
-      iterations: timeline.length,
-      summary: summaryPayload.summary,
-      sources: summaryPayload.sources,
-      answer: summaryPayload.answer,
-      timeline,
-    };
+  const folder = normalizeChatFolderName(name);
+  const folders = getEffectiveSettings().chatFolders || [];
+  settings = applySettingsPatch(settings, { chatFolders: folders.filter((entry) => entry !== folder) });
+
+  try {
+    await persistSettings();
+    await moveChatsOutOfFolder(folder, null);
   } catch (err) {
-    console.error('Deep research failed:', err);
-    const message = err?.message || 'Deep research failed.';
-    sendProgress({ stage: 'error', message });
-    return { error: message };
+    console.error('Failed to delete chat folder:', err);
+    return { success: false, error: err?.message || 'Unable to delete folder.' };
   }
+
+  return { success: true, folders: getEffectiveSettings().chatFolders };
 });
 
-ipcMain.handle('ask-ollama', async (
-  event,
-  { chatId, model, prompt, requestId, userLinks = [], attachments = [], deepResearch = null }
-) => {
-  if (!prompt?.trim()) {
-    return { chatId, error: 'Prompt is empty' };
+ipcMain.handle('duplicate-chat', async (_event, { chatId } = {}) => {
+  await ensureChatsLoaded();
+
+  if (!chatId) {
+    return { success: false, error: 'Chat id is required.' };
   }
 
-  await ensureChatsLoaded();
-  await ensureSettingsLoaded();
+  const source = await loadChat(chatId);
+  if (!source) {
+    return { success: false, error: 'Chat not found.' };
+  }
 
-  const controller = new AbortController();
-  if (requestId) {
-    activeRequests.set(requestId, controller);
+  const copy = {
+    ...sanitizeChat(source),
+    ...createChatRecord(source.model || null),
+  };
+  copy.title = `${source.title || 'New Chat'} (copy)`.slice(0, CHAT_TITLE_MAX_LENGTH);
+  copy.customTitle = true;
+  copy.messages = sanitizeChat(source.messages || []);
+  copy.activeLeafId = source.activeLeafId || null;
+  copy.attachments = sanitizeChat(source.attachments || []);
+  copy.initialUserPrompt = source.initialUserPrompt || '';
+  copy.searchPolicy = normalizeChatSearchPolicy(source.searchPolicy);
+  copy.folder = normalizeChatFolderName(source.folder) || null;
+  copy.tags = normalizeChatTags(source.tags);
+  copy.generationParams = normalizeGenerationParams(source.generationParams);
+  copy.personaId = source.personaId || DEFAULT_PERSONA_ID;
+  copy.goalGuardrailMode = normalizeGoalGuardrailMode(source.goalGuardrailMode);
+  copy.endpointProfileId = source.endpointProfileId || DEFAULT_ENDPOINT_PROFILE_ID;
+
+  upsertChat(copy);
+  try {
+    await persistChat(copy);
+  } catch (err) {
+    console.error('Failed to duplicate chat:', err);
+    return { success: false, error: err?.message || 'Unable to duplicate chat.' };
   }
 
-  const normalizedUserLinks = Array.from(new Set((userLinks || []).map((link) => String(link).trim()).filter(Boolean)));
+  return { success: true, chat: buildRendererChat(copy) };
+});
 
-  let chat = chatId ? chatsCache.find((item) => item.id === chatId) : null;
-  if (!chat) {
-    chat = createChatRecord(model || null);
-    upsertChat(chat);
-    await persistChats();
-    chatId = chat.id;
+ipcMain.handle('get-local-corpus', async () => {
+  await ensureSettingsLoaded();
+  await ensureLocalIndexLoaded();
+  return getLocalCorpusStatus();
+});
+
+ipcMain.handle('add-local-folder', async () => {
+  await ensureSettingsLoaded();
+  const browserWindow = BrowserWindow.getFocusedWindow() || mainWindow || null;
+  const { canceled, filePaths } = await dialog.showOpenDialog(browserWindow, {
+    properties: ['openDirectory', 'multiSelections'],
+  });
+  if (canceled || !filePaths || !filePaths.length) {
+    return { canceled: true, ...getLocalCorpusStatus() };
   }
 
-  chat.model = model;
+  const current = getEffectiveSettings().localCorpusFolders || [];
+  settings = applySettingsPatch(settings, { localCorpusFolders: [...current, ...filePaths] });
 
-  if (!chat.initialUserPrompt) {
-    const firstUserMessage = chat.messages.find((message) => message.role === 'user' && message.content);
-    chat.initialUserPrompt = firstUserMessage?.content || prompt;
+  try {
+    await persistSettings();
+    await rebuildLocalIndex();
+  } catch (err) {
+    console.error('Failed to index local folder:', err);
+    return { success: false, error: err?.message || 'Unable to index folder.', ...getLocalCorpusStatus() };
   }
 
-  const now = new Date().toISOString();
-  const historyMessages = chat.messages.map(({ role, content }) => ({ role, content }));
-  const initialGoal = chat.initialUserPrompt ? String(chat.initialUserPrompt).trim() : '';
-  const assistantTurns = countAssistantTurns(chat);
-  const webContextTurns = countWebContextTurns(chat);
-  const shouldLimitWebContext = assistantTurns >= 2;
-  const goalAligned = isPromptAlignedWithGoal(initialGoal, prompt);
+  return { success: true, ...getLocalCorpusStatus() };
+});
 
-  const effectiveSettings = getEffectiveSettings();
-  const conversationAnalysis = analyzeConversationGrounding(chat, prompt);
-  const searchPrompt = buildSearchPrompt(chat, prompt);
-  const focusTerms = deriveFollowUpFocus(chat, prompt);
-  const baseHasRecentContext = hasRecentWebContext(chat);
-  const modelBaseUrl = normalizeOllamaEndpoint(effectiveSettings.ollamaEndpoint);
-  const usingChatCompletionsApi = Boolean(effectiveSettings.useOpenAICompatibleEndpoint);
-  const chatEndpointPath = usingChatCompletionsApi ? '/v1/chat/completions' : '/api/chat';
-  const buildModelApiUrl = (suffix) => {
-    const cleanPath = suffix && suffix.startsWith('/') ? suffix : `/${suffix || ''}`;
-    return `${modelBaseUrl}${cleanPath}`;
-  };
-  const searchPlan = createSearchPlan(searchPrompt, effectiveSettings, prompt, {
-    hasRecentContext: baseHasRecentContext,
-    focusTerms,
-    initialGoal,
-    conversationConfidence: conversationAnalysis.confidence,
-    conversationCoverage: conversationAnalysis.coverageRatio,
-    missingTerms: conversationAnalysis.missingTerms,
-    promptTokenCount: conversationAnalysis.promptTokens.length,
-    longRunning: conversationAnalysis.longRunning,
-    assistantTurns,
-    webContextTurns,
-    goalAligned,
+ipcMain.handle('remove-local-folder', async (_event, { folderPath } = {}) => {
+  await ensureSettingsLoaded();
+  if (!folderPath) {
+    return { success: false, error: 'Folder path is required.' };
+  }
+
+  const current = getEffectiveSettings().localCorpusFolders || [];
+  settings = applySettingsPatch(settings, {
+    localCorpusFolders: current.filter((folder) => folder !== folderPath),
   });
 
-  if (!Array.isArray(searchPlan.queries) || !searchPlan.queries.length) {
-    const fallbackQuery = searchPrompt || prompt;
-    if (fallbackQuery && fallbackQuery.trim()) {
-      searchPlan.queries = [fallbackQuery.trim()];
-    }
+  try {
+    await persistSettings();
+    await rebuildLocalIndex();
+  } catch (err) {
+    console.error('Failed to update local index:', err);
+    return { success: false, error: err?.message || 'Unable to update index.', ...getLocalCorpusStatus() };
   }
-  searchPlan.disabled = false;
-  searchPlan.shouldSearch = true;
-  if (!searchPlan.message) {
-    searchPlan.message = 'Gathering fresh web context for this request.';
+
+  return { success: true, ...getLocalCorpusStatus() };
+});
+
+ipcMain.handle('reindex-local-corpus', async () => {
+  await ensureSettingsLoaded();
+  try {
+    await rebuildLocalIndex();
+  } catch (err) {
+    console.error('Failed to rebuild local index:', err);
+    return { success: false, error: err?.message || 'Unable to rebuild index.', ...getLocalCorpusStatus() };
   }
+  return { success: true, ...getLocalCorpusStatus() };
+});
 
-  const conversationFirst =
-    !searchPlan.shouldSearch && !searchPlan.disabled && conversationAnalysis.confidence >= 0.65;
+ipcMain.handle('pick-local-files', async (_event, rawOptions = {}) => {
+  const options = typeof rawOptions === 'object' && rawOptions !== null ? rawOptions : {};
+  const existingCount = Number.isFinite(options.existingCount) ? Number(options.existingCount) : 0;
+  const existingBytes = Number.isFinite(options.existingBytes) ? Number(options.existingBytes) : 0;
+  const remainingSlots = Math.max(0, MAX_ATTACHMENTS_PER_PROMPT - existingCount);
+  const attachmentLimitMessage =
+    MAX_ATTACHMENTS_PER_PROMPT === 1
+      ? 'Only one file is allowed per prompt. Remove the current attachment before adding another.'
+      : `Only ${MAX_ATTACHMENTS_PER_PROMPT} files are allowed per prompt. Remove an attachment before adding more.`;
+  const droppedPaths = Array.isArray(options.droppedPaths)
+    ? Array.from(
+        new Set(
+          options.droppedPaths
+            .map((value) => {
+              if (typeof value === 'string' && value.trim()) {
+                return value.trim();
+              }
+              return '';
+            })
+            .filter(Boolean)
+        )
+      )
+    : [];
 
-  let contextResult = {
-    text: '',
-    entries: [],
-    queries: [],
-    retrievedAt: null,
-    userLinks: [],
-    deepResearch: null,
+  const limits = {
+    maxFiles: MAX_ATTACHMENTS_PER_PROMPT,
+    maxPerFileBytes: MAX_ATTACHMENT_BYTES,
+    maxTotalBytes: MAX_ATTACHMENT_TOTAL_BYTES,
   };
-  let contextMessage = '';
-  let contextQueries = [];
-  let userLinksForContext = [...normalizedUserLinks];
-  const attachmentsResult = sanitizeAttachmentsPayload(attachments);
-  const uploadedFiles = attachmentsResult.entries;
-  let attachmentsBlock = attachmentsResult.block;
-  const tRequestStart = Date.now();
-  let tFirstToken = null;
-  let tStreamEnd = null;
-  let totalChars = 0;
-  let totalTokens = 0;
-
-  let allowSearch = !searchPlan.disabled && searchPlan.queries.length > 0;
-  let skippedForOffline = false;
 
-  const normalizedDeepResearch = normalizeDeepResearchMeta(deepResearch);
-  const deepResearchBlock = buildDeepResearchContextBlock(normalizedDeepResearch);
-  const usedDeepResearch = Boolean(deepResearchBlock);
-  if (usedDeepResearch) {
-    allowSearch = false;
-    contextResult.deepResearch = normalizedDeepResearch;
+  if (remainingSlots <= 0) {
+    return {
+      files: [],
+      rejected: [
+        {
+          reason: attachmentLimitMessage,
+        },
+      ],
+      limits,
+    };
   }
 
-  if (allowSearch) {
-    const online = await hasNetworkConnectivity();
-    if (!online) {
-      allowSearch = false;
-      skippedForOffline = true;
+  const browserWindow = BrowserWindow.getFocusedWindow() || mainWindow || null;
+  const dialogOptions = {
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      {
+        name: 'Text files',
+        extensions: Array.from(SUPPORTED_ATTACHMENT_EXTENSIONS).map((ext) => ext.slice(1)),
+      },
+    ],
+  };
+
+  const accepted = [];
+  const rejected = [];
+  let runningBytes = Math.max(0, existingBytes);
+  let candidatePaths = [];
+
+  if (droppedPaths.length) {
+    candidatePaths = droppedPaths.slice(0, remainingSlots);
+    if (droppedPaths.length > remainingSlots) {
+      droppedPaths.slice(remainingSlots).forEach((filePath) => {
+        rejected.push({
+          name: path.basename(filePath),
+          reason: attachmentLimitMessage,
+        });
+      });
+    }
+  } else {
+    const { canceled, filePaths } = await dialog.showOpenDialog(browserWindow, dialogOptions);
+    if (canceled || !filePaths || !filePaths.length) {
+      return { canceled: true, files: [], rejected, limits };
     }
+    candidatePaths = filePaths.slice(0, remainingSlots);
   }
 
-  if (allowSearch) {
-    event.sender.send('ollama-thinking', {
-      chatId,
-      stage: 'search-plan',
-      message: searchPlan.message,
-      queries: searchPlan.queries,
-    });
+  for (const filePath of candidatePaths) {
+    try {
+      const stats = await fsPromises.stat(filePath);
+      if (!stats.isFile()) {
+        rejected.push({
+          name: path.basename(filePath),
+          reason: 'Only regular files can be attached.',
+        });
+        continue;
+      }
 
-    contextResult = await performWebSearch(searchPlan.queries, {
-      limit: effectiveSettings.searchResultLimit,
-      timeoutMs: 6500,
-      pageTimeoutMs: 5000,
-    });
+      const originalSize = stats.size;
+      if (originalSize === 0) {
+        rejected.push({
+          name: path.basename(filePath),
+          reason: 'File is empty.',
+        });
+        continue;
+      }
 
-    if (contextResult.entries.length) {
-      if (shouldLimitWebContext) {
-        contextMessage = normalizedUserLinks.length
-          ? 'Selective refresh of web context plus user-provided links to refine the original goal.'
-          : 'Selective refresh of web context to refine the original goal.';
-      } else {
-        contextMessage = normalizedUserLinks.length
-          ? 'Context gathered from the web along with user-provided links.'
-          : 'Context gathered from the web.';
+      if (originalSize > MAX_ATTACHMENT_BYTES) {
+        rejected.push({
+          name: path.basename(filePath),
+          reason: `File is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}.`,
+        });
+        continue;
       }
-    } else if (normalizedUserLinks.length) {
-      contextMessage = 'No relevant web results found. Using user-provided links.';
-    } else {
-      contextMessage = 'No relevant web results found.';
-    }
-    contextQueries = contextResult.queries;
-  } else {
-    if (usedDeepResearch) {
-      contextMessage = 'Using deep research findings gathered earlier.';
-    } else if (!goalAligned) {
-      contextMessage =
-        'Staying focused on the original objective from the first user request. Invite the user to start a new chat for unrelated tasks.';
-    } else if (skippedForOffline) {
-      contextMessage = normalizedUserLinks.length
-        ? 'No network connection detected. Using user-provided links.'
-        : 'No network connection detected. Responding with model knowledge.';
-    } else if (normalizedUserLinks.length) {
-      contextMessage = 'Using user-provided links.';
-    } else if (searchPlan.disabled) {
-      contextMessage = searchPlan.message || 'Web search disabled in settings.';
-    } else if (conversationFirst) {
-      contextMessage = 'Relying on conversation memory from earlier responses.';
-    } else if (shouldLimitWebContext && baseHasRecentContext) {
-      contextMessage = 'Reusing earlier web findings instead of refreshing search results.';
-    } else {
-      contextMessage = 'Responding with model knowledge (no web search).';
+
+      const ext = path.extname(filePath).toLowerCase();
+      if (!SUPPORTED_ATTACHMENT_EXTENSIONS.has(ext)) {
+        rejected.push({
+          name: path.basename(filePath),
+          reason: 'Unsupported file type. Only plain text formats are allowed.',
+        });
+        continue;
+      }
+
+      let content;
+      try {
+        content = await fsPromises.readFile(filePath, 'utf8');
+      } catch (err) {
+        rejected.push({
+          name: path.basename(filePath),
+          reason: 'Unable to read the file as UTF-8 text.',
+        });
+        continue;
+      }
+
+      if (isLikelyBinary(content)) {
+        rejected.push({
+          name: path.basename(filePath),
+          reason: 'File appears to be binary. Please convert it to plain text first.',
+        });
+        continue;
+      }
+
+      let sanitizedContent = truncateContentToBytes(content, MAX_ATTACHMENT_BYTES);
+      let sanitizedBytes = Buffer.byteLength(sanitizedContent, 'utf8');
+      let truncated = sanitizedContent.length < content.length;
+
+      if (runningBytes + sanitizedBytes > MAX_ATTACHMENT_TOTAL_BYTES) {
+        const remainingBytes = MAX_ATTACHMENT_TOTAL_BYTES - runningBytes;
+        if (remainingBytes <= 0) {
+          rejected.push({
+            name: path.basename(filePath),
+            reason: `Total attachment size would exceed ${formatBytes(MAX_ATTACHMENT_TOTAL_BYTES)}.`,
+          });
+          continue;
+        }
+
+        sanitizedContent = truncateContentToBytes(sanitizedContent, remainingBytes);
+        sanitizedBytes = Buffer.byteLength(sanitizedContent, 'utf8');
+        truncated = true;
+      }
+
+      runningBytes += sanitizedBytes;
+
+      accepted.push({
+        id: randomUUID(),
+        name: path.basename(filePath),
+        size: originalSize,
+        bytes: sanitizedBytes,
+        displaySize: formatBytes(originalSize),
+        truncated,
+        content: sanitizedContent,
+      });
+    } catch (err) {
+      rejected.push({
+        name: path.basename(filePath),
+        reason: err?.message || 'Unable to process file.',
+      });
     }
-    contextQueries = [];
-    userLinksForContext = normalizedUserLinks;
-    contextResult.queries = [];
-    contextResult.retrievedAt = null;
   }
 
-  const contextSections = [];
-  if (initialGoal) {
-    const goalLines = ['Primary goal:', initialGoal];
-    if (!goalAligned) {
-      goalLines.push(
-        '',
-        'Reminder: The latest request may be unrelated. Reconfirm this goal before assisting with other tasks.'
-      );
-    }
-    contextSections.push(goalLines.join('\n'));
+  return { files: accepted, rejected, limits };
+});
+
+ipcMain.handle('deep-research', async (event, rawOptions = {}) => {
+  await ensureSettingsLoaded();
+  await ensureChatsLoaded();
+  const options = typeof rawOptions === 'object' && rawOptions !== null ? rawOptions : {};
+  const rawTopic = typeof options.topic === 'string' ? options.topic.trim() : '';
+  let topic = rawTopic;
+
+  if (!topic) {
+    return { error: 'A topic or question is required for deep research.' };
   }
 
-  if (usedDeepResearch && deepResearchBlock) {
-    contextSections.push(deepResearchBlock);
+  const chatId = options.chatId || null;
+  const iterations = clampDeepResearchIterations(options.iterations);
+  const requestId = options.requestId || randomUUID();
+  const resultLimit = clampSearchLimit(
+    options.resultLimit !== undefined ? Number(options.resultLimit) : DEFAULT_SETTINGS.searchResultLimit
+  );
+  let primaryGoal =
+    typeof options.initialGoal === 'string' && options.initialGoal.trim() ? options.initialGoal.trim() : '';
+  let endpointProfileId = typeof options.endpointProfileId === 'string' ? options.endpointProfileId : null;
+  if (chatId) {
+    const ownedChat = await loadChat(chatId);
+    endpointProfileId = endpointProfileId || ownedChat?.endpointProfileId || null;
+    if (ownedChat && normalizeChatSearchPolicy(ownedChat.searchPolicy) === 'never') {
+      return { error: 'Web search is turned off for this chat, so deep research is unavailable.' };
+    }
+    const resolvedGoal = resolveChatInitialGoal(ownedChat);
+    if (resolvedGoal) {
+      primaryGoal = resolvedGoal;
+    }
+  }
+  const combinedGoal = buildPrimaryAlignedTopic(primaryGoal, rawTopic);
+  if (combinedGoal) {
+    topic = combinedGoal;
   }
 
-  let preparedContextText = '';
-  if (contextResult.text && contextResult.text.trim()) {
-    preparedContextText = shouldLimitWebContext
-      ? limitContextForFollowUp(contextResult.text)
-      : contextResult.text.trim();
-    if (preparedContextText) {
-      contextSections.push(preparedContextText);
+  const seedSource = Array.isArray(options.initialQueries)
+    ? options.initialQueries
+    : Array.isArray(options.additionalQueries)
+    ? options.additionalQueries
+    : [];
+  const seedQueries = buildInitialResearchQueries(topic, seedSource);
+  if (!seedQueries.length) {
+    seedQueries.push(topic);
+  }
+  const usedQueryHashes = new Set(seedQueries.map((value) => value.toLowerCase()));
+  const modelForResearch =
+    typeof options.model === 'string' && options.model.trim() ? options.model.trim() : '';
+  const enqueueQuery = (candidate) => {
+    if (!candidate || seedQueries.length >= DEEP_RESEARCH_MAX_QUERY_POOL) {
+      return false;
     }
-    if (
-      shouldLimitWebContext &&
-      Array.isArray(contextResult.entries) &&
-      contextResult.entries.length > 2
-    ) {
-      contextResult.entries = contextResult.entries.slice(0, 2);
+    const trimmedCandidate = String(candidate).trim();
+    if (!trimmedCandidate) {
+      return false;
     }
-    if (shouldLimitWebContext && Array.isArray(contextResult.queries) && contextResult.queries.length > 2) {
-      contextResult.queries = contextResult.queries.slice(0, 2);
-      contextQueries = contextResult.queries;
+    const normalized = trimmedCandidate.toLowerCase();
+    if (usedQueryHashes.has(normalized)) {
+      return false;
     }
+    seedQueries.push(trimmedCandidate);
+    usedQueryHashes.add(normalized);
+    return true;
+  };
+
+  const sendProgress = (payload) => {
+    if (!event?.sender || !payload) {
+      return;
+    }
+    try {
+      event.sender.send('deep-research-progress', {
+        requestId,
+        chatId,
+        topic,
+        primaryGoal,
+        ...payload,
+      });
+    } catch (err) {
+      console.error('Failed to send deep research progress:', err);
+    }
+  };
+
+  try {
+    const online = await hasNetworkConnectivity(getSearchConnectivityHost());
+    if (!online) {
+      const offlineError = 'No network connection detected. Unable to run deep research.';
+      sendProgress({ stage: 'error', message: offlineError });
+      return { error: offlineError };
+    }
+
+    sendProgress({
+      stage: 'planning',
+      totalIterations: iterations,
+      nextQueries: seedQueries.slice(0, 3),
+      message: `Preparing ${iterations} passes of deep research.`,
+    });
+
+    const timeline = [];
+    const seenUrls = new Set();
+    const researchMemory = [];
+    let queryCursor = 0;
+    let satisfied = false;
+    let finalDraftAnswer = '';
+
+    for (let iteration = 1; iteration <= iterations; iteration += 1) {
+      const query =
+        seedQueries[queryCursor] || seedQueries[seedQueries.length - 1] || topic;
+      const iterationLabel = { iteration, totalIterations: iterations, query };
+
+      sendProgress({
+        stage: 'iteration-start',
+        message: `Pass ${iteration} – searching for fresh coverage…`,
+        ...iterationLabel,
+      });
+
+      let searchResult = { entries: [] };
+      try {
+        searchResult = await performWebSearch([query], {
+          limit: resultLimit,
+          timeoutMs: 7000,
+          pageTimeoutMs: 5000,
+        });
+      } catch (err) {
+        console.error('Deep research search failed:', err);
+        const errorMessage = err?.message || 'Search failed.';
+        timeline.push({
+          iteration,
+          query,
+          findings: [],
+          message: errorMessage,
+          review: '',
+          error: errorMessage,
+        });
+        sendProgress({
+          stage: 'iteration-error',
+          message: errorMessage,
+          ...iterationLabel,
+        });
+        queryCursor += 1;
+        continue;
+      }
+
+      const normalizedEntries = Array.isArray(searchResult.entries) ? searchResult.entries : [];
+      const freshEntries = filterFreshEntries(
+        normalizedEntries,
+        seenUrls,
+        DEEP_RESEARCH_FINDINGS_PER_PASS
+      );
+      const findings = summarizeDeepResearchEntries(freshEntries);
+      const iterationMessage = findings.length
+        ? `Pass ${iteration} captured ${findings.length} new source${findings.length === 1 ? '' : 's'}.`
+        : `Pass ${iteration} produced no novel sources – refining follow-up queries.`;
+
+      timeline.push({
+        iteration,
+        query,
+        findings,
+        message: iterationMessage,
+        review: '',
+      });
+      const timelineEntry = timeline[timeline.length - 1];
+
+      sendProgress({
+        stage: 'iteration-review',
+        findings,
+        message: iterationMessage,
+        ...iterationLabel,
+      });
+
+      const followUps = deriveFollowUpQueries(freshEntries, topic, seedQueries);
+      if (followUps.length) {
+        followUps.forEach((nextQuery) => enqueueQuery(nextQuery));
+      }
+
+      const iterationMemory = freshEntries.map((entry) => ({
+        title: entry.title || '',
+        summary: entry.summary || entry.snippet || '',
+        snippet: entry.snippet || entry.summary || '',
+        url: entry.url || '',
+      }));
+      if (iterationMemory.length) {
+        researchMemory.push(...iterationMemory);
+      }
+
+      const reflection = buildResearchReflection(topic, researchMemory, seedQueries);
+      if (reflection.nextQueries?.length) {
+        reflection.nextQueries.forEach((nextQuery) => enqueueQuery(nextQuery));
+      }
+      if (modelForResearch && timeline.length) {
+        try {
+          const modelQueries = await generateQuerySuggestions({
+            model: modelForResearch,
+            topic,
+            timeline,
+            existingQueries: seedQueries,
+            maxSuggestions: 2,
+            endpointProfileId,
+          });
+          if (Array.isArray(modelQueries) && modelQueries.length) {
+            modelQueries.forEach((candidate) => enqueueQuery(candidate));
+            sendProgress({
+              stage: 'iteration-reflection',
+              message: `Model suggested new queries: ${modelQueries.join(', ')}`,
+              suggestions: modelQueries,
+              ...iterationLabel,
+            });
+          }
+        } catch (suggestErr) {
+          console.error('Model query suggestion failed:', suggestErr);
+        }
+      }
+      if (reflection.summary) {
+        if (timelineEntry) {
+          timelineEntry.review = reflection.summary;
+        }
+        sendProgress({
+          stage: 'iteration-reflection',
+          message: reflection.summary,
+          review: reflection.summary,
+          suggestions: reflection.nextQueries,
+          ...iterationLabel,
+        });
+      }
+
+      if (modelForResearch && findings.length) {
+        sendProgress({
+          stage: 'model-draft',
+          message: `Drafting answer from pass ${iteration} findings…`,
+          ...iterationLabel,
+        });
+
+        try {
+          const draft = await synthesizeDeepResearchDraft({
+            model: modelForResearch,
+            topic,
+            findings: freshEntries,
+            priorDraft: finalDraftAnswer,
+            reflection: timelineEntry?.review || '',
+            endpointProfileId,
+          });
+
+          if (draft) {
+            timelineEntry.answer = draft;
+            finalDraftAnswer = draft;
+            sendProgress({
+              stage: 'model-draft',
+              message: `Draft ready from pass ${iteration}.`,
+              answer: draft,
+              ...iterationLabel,
+            });
+
+            sendProgress({
+              stage: 'model-eval',
+              message: `Reviewing draft from pass ${iteration}…`,
+              answer: draft,
+              ...iterationLabel,
+            });
+
+            const evaluation = await evaluateDeepResearchDraft({
+              model: modelForResearch,
+              topic,
+              draft,
+              endpointProfileId,
+            });
+
+            if (evaluation) {
+              timelineEntry.verdict = evaluation.verdict;
+              timelineEntry.reviewNotes = evaluation.critique || '';
+
+              sendProgress({
+                stage: 'model-eval',
+                message:
+                  evaluation.critique || (evaluation.accepted ? 'Draft approved.' : 'Needs refinement.'),
+                verdict: evaluation.verdict,
+                answer: draft,
+                reviewNotes: evaluation.critique,
+                ...iterationLabel,
+              });
+
+              if (evaluation.accepted) {
+                satisfied = true;
+                break;
+              }
+            }
+          }
+        } catch (draftErr) {
+          console.error('Deep research drafting failed:', draftErr);
+          sendProgress({
+            stage: 'model-error',
+            message: draftErr?.message || 'Unable to synthesize an answer from the findings.',
+            ...iterationLabel,
+          });
+        }
+      }
+
+      queryCursor += 1;
+      if (satisfied) {
+        break;
+      }
+    }
+
+    if (!finalDraftAnswer && timeline.length) {
+      const lastWithAnswer = [...timeline].reverse().find((entry) => entry?.answer);
+      if (lastWithAnswer?.answer) {
+        finalDraftAnswer = lastWithAnswer.answer;
+      }
+    }
+
+    const summaryPayload = buildDeepResearchSummary(topic, timeline, finalDraftAnswer);
+
+    sendProgress({
+      stage: 'complete',
+      summary: summaryPayload.summary,
+      sources: summaryPayload.sources,
+      iterations: timeline.length,
+      answer: summaryPayload.answer,
+    });
+
+    return {
+      requestId,
+      topic,
+      iterations: timeline.length,
+      summary: summaryPayload.summary,
+      sources: summaryPayload.sources,
+      answer: summaryPayload.answer,
+      timeline,
+    };
+  } catch (err) {
+    console.error('Deep research failed:', err);
+    const message = err?.message || 'Deep research failed.';
+    sendProgress({ stage: 'error', message });
+    return { error: message };
+  }
+});
+
+ipcMain.handle('ask-ollama', (event, payload = {}) => runChatTurn(event, payload));
+
+// Compare mode sends one prompt to several models at once. The first model is the leader: it plans
+// and runs the web search, then shares that context with the others so every column answers from the
+// same sources. All responses hang off one user message as alternates.
+ipcMain.handle(
+  'compare-models',
+  async (event, { chatId, prompt, models = [], requestIds = [], userLinks = [], attachments = [] } = {}) => {
+    // Entries are model names or { name, profileId } so the same model on two hosts can be compared.
+    const selectedModels = [];
+    const seenModels = new Set();
+    (Array.isArray(models) ? models : []).forEach((entry) => {
+      const isObject = entry && typeof entry === 'object';
+      const name = String((isObject ? entry.name : entry) || '').trim();
+      const profileId = isObject && typeof entry.profileId === 'string' ? entry.profileId : null;
+      const key = `${profileId || DEFAULT_ENDPOINT_PROFILE_ID}\n${name}`;
+      if (name && !seenModels.has(key) && selectedModels.length < MAX_COMPARE_MODELS) {
+        seenModels.add(key);
+        selectedModels.push({ name, profileId });
+      }
+    });
+    if (selectedModels.length < 2) {
+      return { chatId, error: 'Choose at least two models to compare.' };
+    }
+    if (!prompt?.trim()) {
+      return { chatId, error: 'Prompt is empty' };
+    }
+
+    await ensureChatsLoaded();
+    let chat = chatId ? await loadChat(chatId) : null;
+    if (!chat) {
+      chat = createChatRecord(selectedModels[0].name);
+      upsertChat(chat);
+      await persistChat(chat);
+    }
+
+    let resolveShared = null;
+    const shared = new Promise((resolve) => {
+      resolveShared = resolve;
+    });
+    const comparison = {
+      id: randomUUID(),
+      userMessageId: randomUUID(),
+      parentMessageId: getActiveBranch(chat).slice(-1)[0]?.id || null,
+      shared,
+      resolveShared,
+    };
+
+    const responses = await Promise.all(
+      selectedModels.map((model, index) => {
+        const run = runChatTurn(event, {
+          chatId: chat.id,
+          model: model.name,
+          endpointProfileId: model.profileId,
+          prompt,
+          requestId: requestIds[index] || null,
+          userLinks,
+          attachments,
+          comparison: { ...comparison, leader: index === 0 },
+        })
+          .catch((err) => {
+            console.error('Failed to run comparison response:', err);
+            return { chatId: chat.id, error: err.message || 'Unable to get response' };
+          });
+        // Followers wait on the leader's context; release them if the leader ends without any.
+        return index === 0 ? run.finally(() => resolveShared(null)) : run;
+      })
+    );
+
+    const selected = responses.find((response) => response.assistantMessageId);
+    if (selected) {
+      chat.activeLeafId = selected.assistantMessageId;
+      const selectedModel = selectedModels[responses.indexOf(selected)];
+      chat.model = selectedModel.name;
+      chat.endpointProfileId = getEndpointProfile(selectedModel.profileId).id;
+      upsertChat(chat);
+      await persistChat(chat);
+    }
+
+    return {
+      chatId: chat.id,
+      comparisonId: comparison.id,
+      userMessageId: comparison.userMessageId,
+      selectedMessageId: selected ? selected.assistantMessageId : null,
+      responses: responses.map((response, index) => ({
+        ...response,
+        model: selectedModels[index].name,
+        endpointProfileId: getEndpointProfile(selectedModels[index].profileId).id,
+        requestId: requestIds[index] || null,
+      })),
+    };
+  }
+);
+
+async function runChatTurn(
+  event,
+  {
+    chatId,
+    model,
+    prompt,
+    requestId,
+    userLinks = [],
+    attachments = [],
+    deepResearch = null,
+    editMessageId = null,
+    regenerateMessageId = null,
+    freshSearch = false,
+    comparison = null,
+    searchOverride = null,
+    endpointProfileId = null,
+  }
+) {
+  if (!prompt?.trim()) {
+    return { chatId, error: 'Prompt is empty' };
+  }
+
+  await ensureChatsLoaded();
+  await ensureSettingsLoaded();
+
+  let controller = new AbortController();
+  if (requestId) {
+    activeRequests.set(requestId, controller);
+  }
+
+  const normalizedUserLinks = Array.from(new Set((userLinks || []).map((link) => String(link).trim()).filter(Boolean)));
+
+  let chat = chatId ? await loadChat(chatId) : null;
+  if (!chat) {
+    chat = createChatRecord(model || null);
+    upsertChat(chat);
+    await persistChat(chat);
+    chatId = chat.id;
+  }
+
+  // An edited message becomes a sibling of the original, so the new turn hangs off the original's
+  // parent and only sees the conversation up to that point.
+  let parentMessageId = comparison
+    ? comparison.parentMessageId
+    : getActiveBranch(chat).slice(-1)[0]?.id || null;
+  if (editMessageId) {
+    const edited = chat.messages.find((message) => message.id === editMessageId && message.role === 'user');
+    if (!edited) {
+      if (requestId) {
+        activeRequests.delete(requestId);
+      }
+      return { chatId, error: 'The message you edited no longer exists.' };
+    }
+    parentMessageId = edited.parentId || null;
+  }
+
+  // Regenerating adds another assistant reply under the same user message. Unless a fresh search is
+  // requested, the new reply is grounded in exactly the context the original one saw.
+  let regenerationSource = null;
+  let regeneratedUserMessage = null;
+  if (regenerateMessageId) {
+    regenerationSource = chat.messages.find(
+      (message) => message.id === regenerateMessageId && message.role === 'assistant'
+    );
+    regeneratedUserMessage = regenerationSource
+      ? chat.messages.find((message) => message.id === regenerationSource.parentId && message.role === 'user')
+      : null;
+    if (!regeneratedUserMessage) {
+      if (requestId) {
+        activeRequests.delete(requestId);
+      }
+      return { chatId, error: 'The response you tried to regenerate no longer exists.' };
+    }
+    parentMessageId = regeneratedUserMessage.parentId || null;
+    prompt = regeneratedUserMessage.content;
+  }
+  let reusedContext = regenerationSource && !freshSearch ? regenerationSource.meta || {} : null;
+  if (comparison && !comparison.leader) {
+    reusedContext = await comparison.shared;
+    if (!reusedContext) {
+      if (requestId) {
+        activeRequests.delete(requestId);
+      }
+      if (controller.signal.aborted) {
+        return { chatId, aborted: true };
+      }
+      return { chatId, error: 'The comparison stopped before its shared context was ready.' };
+    }
+  }
+  const conversation = createConversationView(chat, parentMessageId);
+
+  chat.model = model;
+
+  if (!chat.initialUserPrompt || (editMessageId && !parentMessageId)) {
+    const firstUserMessage = conversation.messages.find((message) => message.role === 'user' && message.content);
+    chat.initialUserPrompt = firstUserMessage?.content || prompt;
+    conversation.initialUserPrompt = chat.initialUserPrompt;
+  }
+
+  const now = new Date().toISOString();
+  let historyMessages = conversation.messages.map(({ role, content }) => ({ role, content }));
+  const initialGoal = chat.initialUserPrompt ? String(chat.initialUserPrompt).trim() : '';
+  const assistantTurns = countAssistantTurns(conversation);
+  const webContextTurns = countWebContextTurns(conversation);
+  const shouldLimitWebContext = assistantTurns >= 2;
+  const goalGuardrailMode = resolveGoalGuardrailMode(chat);
+  const goalAssessment = assessGoalAlignment(initialGoal, prompt);
+  // Only strict mode lets an off-topic prompt change what is searched or what the model is told.
+  const goalAligned = goalGuardrailMode !== 'strict' || goalAssessment.aligned;
+  const goalCheck = initialGoal
+    ? {
+        mode: goalGuardrailMode,
+        aligned: goalAssessment.aligned,
+        sharedTerms: goalAssessment.sharedTerms,
+        promptCoverage: goalAssessment.promptCoverage,
+      }
+    : null;
+
+  const effectiveSettings = getEffectiveSettings();
+  const endpointProfile = getEndpointProfile(endpointProfileId || chat.endpointProfileId, effectiveSettings);
+  chat.endpointProfileId = endpointProfile.id;
+  const providerAdapter = getProviderAdapter(endpointProfile.apiFlavor);
+  const generationParams = resolveGenerationParams(model, chat);
+  const attachmentsResult = sanitizeAttachmentsPayload(attachments);
+  let retrieval = null;
+  if (effectiveSettings.embeddingModel) {
+    try {
+      retrieval = await retrieveConversationContext(conversation, prompt, effectiveSettings, {
+        attachments: attachmentsResult.entries,
+        endpointProfile,
+      });
+    } catch (err) {
+      console.error('Embedding retrieval failed; falling back to keyword heuristics:', err);
+    }
+  }
+  if (retrieval) {
+    historyMessages = retrieval.historyMessages;
+  }
+  const conversationAnalysis = analyzeConversationGrounding(conversation, prompt, {
+    semanticSimilarity: retrieval ? retrieval.bestSimilarity : null,
+  });
+  const searchPrompt = buildSearchPrompt(conversation, prompt);
+  const focusTerms = deriveFollowUpFocus(conversation, prompt);
+  const baseHasRecentContext = hasRecentWebContext(conversation);
+  const basePlan = createSearchPlan(searchPrompt, effectiveSettings, prompt, {
+    hasRecentContext: baseHasRecentContext,
+    focusTerms,
+    initialGoal: goalGuardrailMode === 'off' ? '' : initialGoal,
+    conversationConfidence: conversationAnalysis.confidence,
+    conversationCoverage: conversationAnalysis.coverageRatio,
+    missingTerms: conversationAnalysis.missingTerms,
+    promptTokenCount: conversationAnalysis.promptTokens.length,
+    longRunning: conversationAnalysis.longRunning,
+    assistantTurns,
+    webContextTurns,
+    goalAligned,
+  });
+  const searchPolicy = normalizeChatSearchPolicy(chat.searchPolicy);
+  const searchPlan = applySearchOverride(
+    applyChatSearchPolicy(basePlan, searchPolicy, searchPrompt || prompt),
+    searchOverride,
+    searchPrompt || prompt
+  );
+
+  if (!Array.isArray(searchPlan.queries) || !searchPlan.queries.length) {
+    const fallbackQuery = searchPrompt || prompt;
+    if (fallbackQuery && fallbackQuery.trim()) {
+      searchPlan.queries = [fallbackQuery.trim()];
+    }
+  }
+  if (!searchPlan.message) {
+    searchPlan.message = searchPlan.shouldSearch
+      ? 'Gathering fresh web context for this request.'
+      : 'Responding without a new web search.';
+  }
+  const webSearchPermitted = !searchPlan.disabled;
+
+  const conversationFirst =
+    !searchPlan.shouldSearch && !searchPlan.disabled && conversationAnalysis.confidence >= 0.65;
+
+  let contextResult = {
+    text: '',
+    entries: [],
+    queries: [],
+    retrievedAt: null,
+    userLinks: [],
+    deepResearch: null,
+  };
+  let contextMessage = '';
+  let contextQueries = [];
+  let userLinksForContext = [...normalizedUserLinks];
+  const uploadedFiles = attachmentsResult.entries;
+  let attachmentsBlock = attachmentsResult.block;
+  const tRequestStart = Date.now();
+  let tFirstToken = null;
+  let tStreamEnd = null;
+  let totalChars = 0;
+  let totalTokens = 0;
+
+  let allowSearch =
+    !reusedContext && webSearchPermitted && searchPlan.shouldSearch && searchPlan.queries.length > 0;
+  let skippedForOffline = false;
+
+  const normalizedDeepResearch = normalizeDeepResearchMeta(deepResearch);
+  const deepResearchBlock = buildDeepResearchContextBlock(normalizedDeepResearch);
+  const usedDeepResearch = Boolean(deepResearchBlock);
+  if (usedDeepResearch) {
+    allowSearch = false;
+    contextResult.deepResearch = normalizedDeepResearch;
+  }
+
+  if (allowSearch) {
+    const online = await hasNetworkConnectivity(getSearchConnectivityHost(effectiveSettings));
+    if (!online) {
+      allowSearch = false;
+      skippedForOffline = true;
+    }
+  }
+
+  event.sender.send('ollama-thinking', {
+    chatId,
+    requestId,
+    stage: 'search-plan',
+    message: reusedContext
+      ? 'Reusing the web context from the original response.'
+      : describeSearchDecision(searchPlan, { allowSearch, skippedForOffline, usedDeepResearch }),
+    queries: allowSearch ? searchPlan.queries : [],
+    shouldSearch: allowSearch,
+    disabled: searchPlan.disabled,
+    searchPolicy,
+  });
+
+  if (allowSearch) {
+    contextResult = await performWebSearch(searchPlan.queries, {
+      limit: effectiveSettings.searchResultLimit,
+      timeoutMs: 6500,
+      pageTimeoutMs: 5000,
+    });
+
+    if (contextResult.entries.length) {
+      if (shouldLimitWebContext) {
+        contextMessage = normalizedUserLinks.length
+          ? 'Selective refresh of web context plus user-provided links to refine the original goal.'
+          : 'Selective refresh of web context to refine the original goal.';
+      } else {
+        contextMessage = normalizedUserLinks.length
+          ? 'Context gathered from the web along with user-provided links.'
+          : 'Context gathered from the web.';
+      }
+    } else if (normalizedUserLinks.length) {
+      contextMessage = 'No relevant web results found. Using user-provided links.';
+    } else {
+      contextMessage = 'No relevant web results found.';
+    }
+    contextQueries = contextResult.queries;
+  } else {
+    if (usedDeepResearch) {
+      contextMessage = 'Using deep research findings gathered earlier.';
+    } else if (!goalAligned) {
+      contextMessage =
+        'Staying focused on the original objective from the first user request. Invite the user to start a new chat for unrelated tasks.';
+    } else if (skippedForOffline) {
+      contextMessage = normalizedUserLinks.length
+        ? 'No network connection detected. Using user-provided links.'
+        : 'No network connection detected. Responding with model knowledge.';
+    } else if (normalizedUserLinks.length) {
+      contextMessage = 'Using user-provided links.';
+    } else if (searchPlan.disabled) {
+      contextMessage = searchPlan.message || 'Web search disabled in settings.';
+    } else if (conversationFirst) {
+      contextMessage = 'Relying on conversation memory from earlier responses.';
+    } else if (shouldLimitWebContext && baseHasRecentContext) {
+      contextMessage = 'Reusing earlier web findings instead of refreshing search results.';
+    } else {
+      contextMessage = 'Responding with model knowledge (no web search).';
+    }
+    contextQueries = [];
+    userLinksForContext = normalizedUserLinks;
+    contextResult.queries = [];
+    contextResult.retrievedAt = null;
+  }
+
+  let localEntries = [];
+  if (!usedDeepResearch && goalAligned && !reusedContext) {
+    try {
+      localEntries = await searchLocalCorpus([prompt, ...(searchPlan.queries || [])]);
+    } catch (err) {
+      console.error('Local document search failed:', err);
+    }
+  }
+  contextResult.localSources = localEntries.map((entry) => entry.relativePath);
+
+  const contextSections = [];
+  if (initialGoal && goalGuardrailMode !== 'off') {
+    const goalLines = ['Primary goal:', initialGoal];
+    if (!goalAligned) {
+      goalLines.push(
+        '',
+        'Reminder: The latest request may be unrelated. Reconfirm this goal before assisting with other tasks.'
+      );
+    }
+    contextSections.push(goalLines.join('\n'));
+  }
+
+  if (usedDeepResearch && deepResearchBlock) {
+    contextSections.push(deepResearchBlock);
+  }
+
+  let preparedContextText = '';
+  if (contextResult.text && contextResult.text.trim()) {
+    preparedContextText = shouldLimitWebContext
+      ? limitContextForFollowUp(contextResult.text)
+      : contextResult.text.trim();
+    if (preparedContextText) {
+      contextSections.push(preparedContextText);
+    }
+    if (
+      shouldLimitWebContext &&
+      Array.isArray(contextResult.entries) &&
+      contextResult.entries.length > 2
+    ) {
+      contextResult.entries = contextResult.entries.slice(0, 2);
+    }
+    if (shouldLimitWebContext && Array.isArray(contextResult.queries) && contextResult.queries.length > 2) {
+      contextResult.queries = contextResult.queries.slice(0, 2);
+      contextQueries = contextResult.queries;
+    }
+  }
+
+  if (localEntries.length) {
+    contextSections.push(formatLocalCorpusEntries(localEntries));
+  }
+
+  if (userLinksForContext.length) {
+    const linksBlock = ['User-provided links:', ...userLinksForContext.map((link) => `• ${link}`)].join('\n');
+    contextSections.push(linksBlock);
+  }
+
+  if (attachmentsBlock && attachmentsBlock.trim()) {
+    contextSections.push(attachmentsBlock.trim());
+  }
+
+  const retrievedExcerptsBlock = formatRetrievedExcerpts(retrieval?.excerpts);
+  if (retrievedExcerptsBlock) {
+    contextSections.push(retrievedExcerptsBlock);
+  }
+
+  const finalContext = contextSections.join('\n\n').trim();
+  contextResult.text = finalContext;
+  contextResult.userLinks = userLinksForContext;
+  contextResult.attachments = attachmentsResult.summary;
+  if (reusedContext) {
+    contextResult.text = typeof reusedContext.context === 'string' ? reusedContext.context : '';
+    contextResult.queries = Array.isArray(reusedContext.contextQueries) ? reusedContext.contextQueries : [];
+    contextResult.retrievedAt = reusedContext.contextRetrievedAt || null;
+    contextResult.userLinks = Array.isArray(reusedContext.userLinks) ? reusedContext.userLinks : [];
+    contextResult.localSources = Array.isArray(reusedContext.localSources) ? reusedContext.localSources : [];
+    contextResult.attachments = Array.isArray(reusedContext.attachments) ? reusedContext.attachments : [];
+    contextResult.deepResearch = reusedContext.deepResearch || null;
+    contextQueries = contextResult.queries;
+    userLinksForContext = contextResult.userLinks;
+  }
+
+  if (!contextMessage) {
+    if (!goalAligned) {
+      contextMessage = 'Keeping the conversation focused on the original goal from the first message.';
+    } else if (shouldLimitWebContext && baseHasRecentContext) {
+      contextMessage = 'Reusing earlier web findings to stay on task.';
+    } else if (userLinksForContext.length) {
+      contextMessage = 'Using user-provided links.';
+    } else if (conversationFirst) {
+      contextMessage = 'Relying on conversation memory from earlier responses.';
+    } else {
+      contextMessage = 'Responding with model knowledge (no web search).';
+    }
+  }
+
+  if (usedDeepResearch) {
+    contextMessage = contextMessage
+      ? `${contextMessage} Deep research findings gathered before responding have been included.`
+      : 'Using deep research findings gathered before responding.';
+  }
+
+  if (uploadedFiles.length) {
+    const lowercaseMessage = contextMessage.toLowerCase();
+    if (lowercaseMessage.includes('no network')) {
+      contextMessage = `${contextMessage} Uploaded files will be included.`;
+    } else if (
+      contextMessage.includes('web') &&
+      (lowercaseMessage.includes('context gathered') || lowercaseMessage.includes('web context'))
+    ) {
+      contextMessage = 'Context gathered from the web and uploaded files.';
+    } else if (lowercaseMessage.includes('links')) {
+      contextMessage = 'Using user-provided links and uploaded files.';
+    } else {
+      contextMessage = 'Using uploaded files provided by the user.';
+    }
+  }
+
+  if (localEntries.length) {
+    const documentLabel = localEntries.length === 1 ? 'document' : 'documents';
+    contextMessage = `${contextMessage} Matched ${localEntries.length} local ${documentLabel}.`;
+  }
+
+  if (retrieval?.omittedMessages > 0) {
+    contextMessage = `${contextMessage} Kept ${retrieval.selectedMessages} of ${
+      retrieval.selectedMessages + retrieval.omittedMessages
+    } earlier messages by relevance.`;
+  }
+
+  if (reusedContext) {
+    contextMessage = comparison
+      ? 'Using the context shared across compared models.'
+      : 'Reusing the context gathered for the original response.';
+  }
+
+  if (comparison?.leader) {
+    comparison.resolveShared({
+      context: contextResult.text,
+      contextQueries,
+      contextRetrievedAt: contextResult.retrievedAt || null,
+      userLinks: contextResult.userLinks,
+      localSources: contextResult.localSources,
+      attachments: contextResult.attachments,
+      deepResearch: contextResult.deepResearch,
+      usedWebSearch: Array.isArray(contextResult.entries) && contextResult.entries.length > 0,
+    });
+  }
+
+  event.sender.send('ollama-thinking', {
+    chatId,
+    requestId,
+    stage: 'context',
+    message: contextMessage,
+    context: contextResult.text,
+    queries: contextQueries,
+    userLinks: userLinksForContext,
+    retrievedAt: contextResult.retrievedAt,
+    attachments: contextResult.attachments,
+    attachmentWarnings: attachmentsResult.warnings,
+    deepResearch: contextResult.deepResearch,
+    goalAligned,
+    goalCheck,
+    primaryGoal: initialGoal || undefined,
+    limitedWebContext: shouldLimitWebContext,
+  });
+
+  const baseSystemMessages = [
+    {
+      role: 'system',
+      content: buildBaseSystemPrompt({ allowWebSearch: webSearchPermitted, persona: getPersona(chat.personaId) }),
+    },
+  ];
+  if (initialGoal && goalGuardrailMode !== 'off') {
+    baseSystemMessages.push({
+      role: 'system',
+      content: buildGoalInstruction(initialGoal, prompt, { strict: goalGuardrailMode === 'strict' }),
+    });
+  }
+  if (initialGoal && goalGuardrailMode === 'strict') {
+    baseSystemMessages.push({
+      role: 'system',
+      content: buildGoalGuardrailInstruction(initialGoal),
+    });
+    if (!goalAligned) {
+      baseSystemMessages.push({
+        role: 'system',
+        content:
+          'The latest user message appears to deviate from the primary goal. Before helping, remind them of the original objective and suggest starting a new chat for other work.',
+      });
+    }
+  }
+
+  const contextSystemMessages = [];
+  const refreshContextSystemMessages = () => {
+    contextSystemMessages.length = 0;
+    if (contextResult.text) {
+      contextSystemMessages.push({
+        role: 'system',
+        content: buildContextInstruction({
+          context: contextResult.text,
+          retrievedAt: contextResult.retrievedAt,
+          genericFresh: searchPlan.genericFresh,
+        }),
+      });
+    }
+  };
+  refreshContextSystemMessages();
+
+  let modelCapabilities = null;
+  try {
+    modelCapabilities = await loadModelCapabilities(endpointProfile, model);
+  } catch (err) {
+    console.error('Failed to read model capabilities:', err);
+  }
+  // Ollama only uses a model's full window when num_ctx asks for it and otherwise truncates at its default;
+  // the other APIs always use their own limit.
+  const modelMaxContext = modelCapabilities?.contextLength || null;
+  const ollamaContext = generationParams.numCtx || modelCapabilities?.numCtx || OLLAMA_DEFAULT_CONTEXT_LENGTH;
+  const contextWindow =
+    endpointProfile.apiFlavor === 'ollama'
+      ? Math.min(ollamaContext, modelMaxContext || ollamaContext)
+      : modelMaxContext;
+  let contextWarningSent = false;
+
+  const warnIfPromptExceedsContext = (messages) => {
+    if (contextWarningSent || !contextWindow) {
+      return;
+    }
+    const promptTokens = estimatePromptTokens(messages);
+    if (promptTokens <= contextWindow) {
+      return;
+    }
+    contextWarningSent = true;
+    const canRaise = endpointProfile.apiFlavor === 'ollama' && modelMaxContext && contextWindow < modelMaxContext;
+    const hint = canRaise ? ` Raise the context window under Params (up to ${modelMaxContext.toLocaleString()}) to keep it.` : '';
+    event.sender.send('ollama-thinking', {
+      chatId,
+      requestId,
+      stage: 'context-warning',
+      message: `This prompt is about ${promptTokens.toLocaleString()} tokens, more than the ${contextWindow.toLocaleString()}-token context window of ${model}. The start of the conversation may be cut off.${hint}`,
+      promptTokens,
+      contextWindow,
+    });
+  };
+
+  const buildMessagesForModel = () => [
+    ...baseSystemMessages,
+    ...historyMessages,
+    ...contextSystemMessages,
+    { role: 'user', content: prompt },
+  ];
+
+  const maxSearchRetries = 2;
+  let searchRetries = 0;
+  let assistantContent = '';
+  let manualResponse = '';
+  let reasoningTranscript = '';
+  let reasoningSnapshot = '';
+  let reasoningDetected = false;
+  let timingInfo = null;
+  let generationStageAnnounced = false;
+  let modelStageAnnounced = false;
+
+  const announceModelLoadingStage = () => {
+    modelStageAnnounced = true;
+    const loadingMessage =
+      model && String(model).trim() ? `Loading ${model}…` : 'Loading model…';
+    event.sender.send('ollama-thinking', {
+      chatId,
+      requestId,
+      stage: 'model-loading',
+      message: loadingMessage,
+    });
+  };
+
+  const announceGenerationStage = (overrideMessage) => {
+    if (generationStageAnnounced) {
+      return;
+    }
+    generationStageAnnounced = true;
+    event.sender.send('ollama-thinking', {
+      chatId,
+      requestId,
+      stage: 'generating',
+      message: overrideMessage || 'Generating response…',
+    });
+  };
+
+  const noteFirstToken = (timestamp) => {
+    if (!tFirstToken) {
+      if (Number.isFinite(timestamp)) {
+        tFirstToken = timestamp;
+      } else {
+        tFirstToken = Date.now();
+      }
+      announceGenerationStage();
+    }
+  };
+
+  const registerReasoningDelta = (payload) => {
+    const flattened = flattenReasoningPayload(payload);
+    if (!flattened) {
+      return '';
+    }
+
+    const normalized = typeof flattened === 'string' ? flattened : String(flattened);
+    const trimmedNormalized = normalized.trim();
+    if (!trimmedNormalized) {
+      return '';
+    }
+
+    reasoningDetected = true;
+
+    let candidate = trimmedNormalized;
+    if (reasoningSnapshot && trimmedNormalized.startsWith(reasoningSnapshot)) {
+      candidate = trimmedNormalized.slice(reasoningSnapshot.length);
+    } else if (reasoningSnapshot) {
+      const priorIndex = trimmedNormalized.indexOf(reasoningSnapshot);
+      if (priorIndex !== -1) {
+        candidate = trimmedNormalized.slice(priorIndex + reasoningSnapshot.length);
+      }
+    }
+
+    reasoningSnapshot = trimmedNormalized;
+
+    let delta = candidate.trimStart();
+    if (!delta) {
+      return '';
+    }
+
+    if (reasoningTranscript.endsWith(delta)) {
+      return '';
+    }
+
+    const needsSeparator =
+      reasoningTranscript && !reasoningTranscript.endsWith('\n') && !delta.startsWith('\n');
+
+    reasoningTranscript += needsSeparator ? `\n${delta}` : delta;
+    return delta;
+  };
+
+  const streamOnce = async (currentController) => {
+    const messagesForModel = buildMessagesForModel();
+    warnIfPromptExceedsContext(messagesForModel);
+    let assistantContentLocal = '';
+    let directiveBuffer = '';
+    let checkingDirective = true;
+    let searchDirectiveQuery = null;
+    let abortedForDirective = false;
+    let streamCompleted = false;
+
+    // The profile timeout only bounds the wait for the first byte; long answers may stream for minutes.
+    let connectTimedOut = false;
+    const connectTimer = endpointProfile.timeoutMs
+      ? setTimeout(() => {
+          connectTimedOut = true;
+          currentController.abort();
+        }, endpointProfile.timeoutMs)
+      : null;
+    const chatRequest = providerAdapter.buildChatRequest(endpointProfile, {
+      model,
+      messages: messagesForModel,
+      stream: true,
+      generation: generationParams,
+    });
+    let response;
+    try {
+      response = await fetch(chatRequest.url, {
+        method: 'POST',
+        headers: chatRequest.headers,
+        body: JSON.stringify(chatRequest.body),
+        signal: currentController.signal,
+      });
+    } catch (err) {
+      if (connectTimedOut) {
+        throw new Error(`${endpointProfile.name} did not respond within ${Math.round(endpointProfile.timeoutMs / 1000)}s.`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(connectTimer);
+    }
+
+    if (!response.ok) {
+      throw await readErrorResponse(response, `${providerAdapter.label} API`);
+    }
+
+    const emitUpdate = ({ delta = '', done = false, force = false }) => {
+      if (!force && !delta && !done && !reasoningDetected) {
+        return;
+      }
+      event.sender.send('ollama-stream', {
+        chatId,
+        requestId,
+        delta,
+        full: assistantContentLocal,
+        done,
+        reasoning: reasoningTranscript || undefined,
+      });
+    };
+
+    const flushDirectiveBuffer = () => {
+      if (!directiveBuffer) {
+        return;
+      }
+      assistantContentLocal += directiveBuffer;
+      noteFirstToken();
+      if (directiveBuffer) {
+        totalChars += directiveBuffer.length;
+        totalTokens += estimateTokenCount(directiveBuffer);
+      }
+      event.sender.send('ollama-stream', {
+        chatId,
+        requestId,
+        delta: directiveBuffer,
+        full: assistantContentLocal,
+        done: false,
+      });
+      directiveBuffer = '';
+    };
+
+    // Handles one normalized event from the provider adapter's stream parser.
+    const processStreamEvent = (streamEvent) => {
+      if (streamEvent.error) {
+        throw new Error(`${providerAdapter.label} API error: ${streamEvent.error}`);
+      }
+      const reasoningDelta = registerReasoningDelta(streamEvent.reasoning ?? null);
+      const chunkText = typeof streamEvent.content === 'string' ? streamEvent.content : '';
+
+      if (chunkText) {
+        if (checkingDirective) {
+          directiveBuffer += chunkText;
+          const trimmed = directiveBuffer.trim();
+          const directiveCandidate = trimmed.includes(']]') ? extractSearchDirective(trimmed) : null;
+
+          if (directiveCandidate) {
+            searchDirectiveQuery = directiveCandidate;
+            abortedForDirective = true;
+            currentController.abort();
+            return;
+          }
+
+          const firstChar = trimmed.charAt(0);
+          if ((firstChar && firstChar !== '[') || trimmed.includes(']]')) {
+            checkingDirective = false;
+            flushDirectiveBuffer();
+          }
+          return;
+        }
+        const directivePattern = /\[\[search:\s*([\s\S]+?)\s*\]\]/i;
+        const directiveMatch = chunkText.match(directivePattern);
+
+        if (directiveMatch) {
+          const fullDirective = directiveMatch[0];
+          const directiveIndex = chunkText.indexOf(fullDirective);
+          const beforeDirective = chunkText.slice(0, directiveIndex);
+          const afterDirective = chunkText.slice(directiveIndex + fullDirective.length);
+
+          if (beforeDirective) {
+            assistantContentLocal += beforeDirective;
+            noteFirstToken();
+            totalChars += beforeDirective.length;
+            totalTokens += estimateTokenCount(beforeDirective);
+            emitUpdate({ delta: beforeDirective, done: false, force: true });
+          }
+
+          if (afterDirective.trim()) {
+            assistantContentLocal += afterDirective;
+            noteFirstToken();
+            totalChars += afterDirective.length;
+            totalTokens += estimateTokenCount(afterDirective);
+            emitUpdate({ delta: afterDirective, done: false, force: true });
+          }
+
+          const trimmedQuery = directiveMatch[1]?.trim();
+          if (trimmedQuery) {
+            searchDirectiveQuery = trimmedQuery;
+            abortedForDirective = true;
+            currentController.abort();
+            return;
+          }
+        } else {
+          assistantContentLocal += chunkText;
+          noteFirstToken();
+          if (chunkText) {
+            totalChars += chunkText.length;
+            totalTokens += estimateTokenCount(chunkText);
+          }
+          emitUpdate({ delta: chunkText, done: false, force: true });
+        }
+      } else if (reasoningDelta) {
+        emitUpdate({ delta: '', done: false, force: true });
+      }
+
+      if (!streamCompleted && streamEvent.done) {
+        streamCompleted = true;
+        flushDirectiveBuffer();
+        tStreamEnd = Date.now();
+        emitUpdate({ delta: '', done: true, force: true });
+      }
+    };
+
+    try {
+      await readChatStream(response.body, providerAdapter, (streamEvent) => {
+        processStreamEvent(streamEvent);
+        return Boolean(searchDirectiveQuery);
+      });
+    } catch (err) {
+      if (abortedForDirective && err.name === 'AbortError') {
+        return { type: 'directive', query: searchDirectiveQuery };
+      }
+      throw err;
+    }
+
+    if (searchDirectiveQuery) {
+      return { type: 'directive', query: searchDirectiveQuery };
+    }
+
+    if (checkingDirective && directiveBuffer) {
+      checkingDirective = false;
+      flushDirectiveBuffer();
+    }
+
+    if (!tStreamEnd) {
+      tStreamEnd = Date.now();
+    }
+
+    return { type: 'content', content: assistantContentLocal };
+  };
+
+  try {
+    while (true) {
+      if (!modelStageAnnounced) {
+        announceModelLoadingStage();
+      }
+      const result = await streamOnce(controller);
+      if (result.type === 'directive') {
+        const query = result.query?.trim();
+        if (!query) {
+          manualResponse = 'I was unable to determine the search terms needed. Please provide more detail.';
+          assistantContent = manualResponse;
+          break;
+        }
+
+        if (searchRetries >= maxSearchRetries) {
+          manualResponse =
+            'I tried to fetch additional web context but reached the search limit. Please share any references you have.';
+          assistantContent = manualResponse;
+          break;
+        }
+
+        if (!webSearchPermitted) {
+          manualResponse =
+            'I would need fresh web information to answer this, but web search is turned off. Please share any references you have.';
+          assistantContent = manualResponse;
+          break;
+        }
+
+        searchRetries += 1;
+
+        const truncatedQuery = truncateForSearch(query, 140);
+        event.sender.send('ollama-thinking', {
+          chatId,
+          requestId,
+          stage: 'search-plan',
+          message: `Assistant requested web search for "${truncatedQuery}".`,
+          queries: [query],
+          shouldSearch: true,
+          disabled: false,
+        });
+
+        const assistantHasNetwork = await hasNetworkConnectivity(getSearchConnectivityHost(effectiveSettings));
+        if (!assistantHasNetwork) {
+          const offlineMessage = 'Assistant requested web context, but no network connection is available.';
+          contextMessage = offlineMessage;
+          event.sender.send('ollama-thinking', {
+            chatId,
+            requestId,
+            stage: 'context',
+            message: offlineMessage,
+            context: contextResult.text,
+            queries: contextResult.queries,
+            userLinks: userLinksForContext,
+            retrievedAt: contextResult.retrievedAt,
+          });
+
+          controller = new AbortController();
+          if (requestId) {
+            activeRequests.set(requestId, controller);
+          }
+          modelStageAnnounced = false;
+          generationStageAnnounced = false;
+          continue;
+        }
+
+        const supplemental = await performWebSearch([query], {
+          limit: effectiveSettings.searchResultLimit,
+          timeoutMs: 6500,
+          pageTimeoutMs: 5000,
+        });
+
+        const supplementalText = supplemental.entries.length
+          ? formatSearchEntries(supplemental.entries, supplemental.retrievedAt, supplemental.queries)
+          : '';
+
+        contextResult.entries = [...(contextResult.entries || []), ...supplemental.entries];
+        contextResult.queries = Array.from(new Set([...(contextResult.queries || []), ...supplemental.queries]));
+        contextResult.retrievedAt = supplemental.retrievedAt || contextResult.retrievedAt;
+
+        const descriptor = supplementalText
+          ? `Assistant-requested search for "${query}".\n${supplementalText}`
+          : `Assistant-requested search for "${query}".\nNo relevant web results found.`;
+
+        contextResult.text = appendContextSection(contextResult.text, descriptor);
+        refreshContextSystemMessages();
+        contextMessage = supplemental.entries.length
+          ? 'Assistant requested supplemental web context.'
+          : 'Assistant requested web context, but nothing relevant was found.';
+
+        event.sender.send('ollama-thinking', {
+          chatId,
+          requestId,
+          stage: 'context',
+          message: contextMessage,
+          context: contextResult.text,
+          queries: contextResult.queries,
+          userLinks: userLinksForContext,
+          retrievedAt: contextResult.retrievedAt,
+        });
+
+        controller = new AbortController();
+        if (requestId) {
+          activeRequests.set(requestId, controller);
+        }
+        modelStageAnnounced = false;
+        generationStageAnnounced = false;
+        continue;
+      }
+
+      assistantContent = result.content;
+      break;
+    }
+  } catch (err) {
+    if (requestId) {
+      activeRequests.delete(requestId);
+    }
+
+    if (err.name === 'AbortError') {
+      event.sender.send('ollama-stream', {
+        chatId,
+        requestId,
+        aborted: true,
+        done: true,
+      });
+      return { chatId, aborted: true };
+    }
+
+    console.error('Error querying model endpoint:', err);
+    event.sender.send('ollama-stream', {
+      chatId,
+      requestId,
+      error: err.message || 'Unknown error',
+      done: true,
+    });
+    return { chatId, error: 'Error: Unable to get response' };
+  }
+
+  if (!tStreamEnd) {
+    tStreamEnd = Date.now();
   }
 
-  if (userLinksForContext.length) {
-    const linksBlock = ['User-provided links:', ...userLinksForContext.map((link) => `• ${link}`)].join('\n');
-    contextSections.push(linksBlock);
+  if (!generationStageAnnounced) {
+    announceGenerationStage();
   }
 
-  if (attachmentsBlock && attachmentsBlock.trim()) {
-    contextSections.push(attachmentsBlock.trim());
+  if (assistantContent && assistantContent.trim()) {
+    noteFirstToken(tStreamEnd);
+  }
+  if (totalTokens === 0 && assistantContent && assistantContent.trim()) {
+    totalTokens = estimateTokenCount(assistantContent);
+  }
+  if (totalChars === 0 && assistantContent) {
+    totalChars = assistantContent.length;
   }
 
-  const finalContext = contextSections.join('\n\n').trim();
-  contextResult.text = finalContext;
-  contextResult.userLinks = userLinksForContext;
-  contextResult.attachments = attachmentsResult.summary;
+  const totalMs = Math.max(0, tStreamEnd - tRequestStart);
+  const loadMs = tFirstToken ? Math.max(0, tFirstToken - tRequestStart) : totalMs;
+  const generationMs = tFirstToken ? Math.max(0, tStreamEnd - tFirstToken) : 0;
+  const tokensPerSecond = generationMs > 0 && totalTokens > 0
+    ? Number((totalTokens / (generationMs / 1000)).toFixed(2))
+    : null;
 
-  if (!contextMessage) {
-    if (!goalAligned) {
-      contextMessage = 'Keeping the conversation focused on the original goal from the first message.';
-    } else if (shouldLimitWebContext && baseHasRecentContext) {
-      contextMessage = 'Reusing earlier web findings to stay on task.';
-    } else if (userLinksForContext.length) {
-      contextMessage = 'Using user-provided links.';
-    } else if (conversationFirst) {
-      contextMessage = 'Relying on conversation memory from earlier responses.';
-    } else {
-      contextMessage = 'Responding with model knowledge (no web search).';
-    }
+  timingInfo = {
+    startedAt: new Date(tRequestStart).toISOString(),
+    completedAt: new Date(tStreamEnd).toISOString(),
+    totalMs,
+    loadMs,
+    generationMs,
+    firstTokenMs: loadMs,
+    streamMs: generationMs,
+    tokens: totalTokens,
+    chars: totalChars,
+    tokensPerSecond,
+  };
+
+  event.sender.send('ollama-stream', {
+    chatId,
+    requestId,
+    timing: timingInfo,
+  });
+
+  if (manualResponse) {
+    event.sender.send('ollama-stream', {
+      chatId,
+      requestId,
+      delta: manualResponse,
+      full: manualResponse,
+      done: false,
+      reasoning: reasoningTranscript || undefined,
+      timing: timingInfo,
+    });
+    event.sender.send('ollama-stream', {
+      chatId,
+      requestId,
+      delta: '',
+      full: manualResponse,
+      done: true,
+      reasoning: reasoningTranscript || undefined,
+      timing: timingInfo,
+    });
   }
 
-  if (usedDeepResearch) {
-    contextMessage = contextMessage
-      ? `${contextMessage} Deep research findings gathered before responding have been included.`
-      : 'Using deep research findings gathered before responding.';
+  if (requestId) {
+    activeRequests.delete(requestId);
   }
 
-  if (uploadedFiles.length) {
-    const lowercaseMessage = contextMessage.toLowerCase();
-    if (lowercaseMessage.includes('no network')) {
-      contextMessage = `${contextMessage} Uploaded files will be included.`;
-    } else if (
-      contextMessage.includes('web') &&
-      (lowercaseMessage.includes('context gathered') || lowercaseMessage.includes('web context'))
-    ) {
-      contextMessage = 'Context gathered from the web and uploaded files.';
-    } else if (lowercaseMessage.includes('links')) {
-      contextMessage = 'Using user-provided links and uploaded files.';
-    } else {
-      contextMessage = 'Using uploaded files provided by the user.';
+  const trimmedAnswer = assistantContent.trim();
+  if (Array.isArray(contextResult.queries) && contextResult.queries.length) {
+    contextQueries = contextResult.queries;
+  } else if (!contextQueries.length) {
+    contextQueries = searchPlan.disabled && Array.isArray(searchPlan.queries) ? searchPlan.queries : [];
+  }
+  const contextRetrievedAt = contextResult.retrievedAt || null;
+  const usedWebSearch =
+    Boolean(reusedContext && reusedContext.usedWebSearch) ||
+    (Array.isArray(contextResult.entries) && contextResult.entries.length > 0);
+  const reusedConversationMemory =
+    !usedWebSearch && (conversationFirst || conversationAnalysis.confidence >= 0.65);
+  const finalReasoning = reasoningTranscript.trim();
+  const userMessageId = comparison?.userMessageId || regeneratedUserMessage?.id || randomUUID();
+  const assistantMessageId = randomUUID();
+
+  // Compared responses share one user message; whichever finishes first records it.
+  if (!chat.messages.some((message) => message.id === userMessageId)) {
+    chat.messages.push({
+      id: userMessageId,
+      parentId: parentMessageId,
+      role: 'user',
+      content: prompt,
+      createdAt: now,
+    });
+  }
+  chat.messages.push(
+    {
+      id: assistantMessageId,
+      parentId: userMessageId,
+      role: 'assistant',
+      content: trimmedAnswer,
+      createdAt: new Date().toISOString(),
+      meta: {
+        model,
+        regeneratedFrom: regenerationSource ? regenerationSource.id : undefined,
+        comparisonId: comparison ? comparison.id : undefined,
+        generation: Object.keys(generationParams).length ? generationParams : undefined,
+        personaId: chat.personaId || DEFAULT_PERSONA_ID,
+        endpointProfileId: endpointProfile.id,
+        context: contextResult.text,
+        contextQueries,
+        contextRetrievedAt,
+        usedWebSearch,
+        searchPolicy,
+        reusedConversationMemory,
+        conversationConfidence: conversationAnalysis.confidence,
+        conversationCoverage: conversationAnalysis.coverageRatio,
+        goalAligned,
+        goalCheck: goalCheck || undefined,
+        primaryGoal: initialGoal || undefined,
+        assistantTurnsBefore: assistantTurns,
+        webContextTurnsBefore: webContextTurns,
+        limitedWebContext: shouldLimitWebContext,
+        userLinks: contextResult.userLinks,
+        localSources: contextResult.localSources,
+        retrieval: retrieval
+          ? {
+              model: retrieval.model,
+              selectedMessages: retrieval.selectedMessages,
+              omittedMessages: retrieval.omittedMessages,
+              bestSimilarity: retrieval.bestSimilarity,
+              excerpts: retrieval.excerpts.map((excerpt) => excerpt.name),
+            }
+          : undefined,
+        assistantSearchRequests: searchRetries,
+        reasoning: finalReasoning,
+        supportsReasoning: reasoningDetected,
+        attachments: contextResult.attachments,
+        deepResearch: contextResult.deepResearch,
+        timing: timingInfo,
+      },
     }
+  );
+
+  chat.activeLeafId = assistantMessageId;
+  chat.conversationDigest = buildConversationDigest(createConversationView(chat));
+
+  if (!chat.title || chat.title === 'New Chat') {
+    chat.title = prompt.length > 60 ? `${prompt.slice(0, 60)}…` : prompt;
   }
 
-  event.sender.send('ollama-thinking', {
+  upsertChat(chat);
+  await persistChat(chat);
+
+  const isFirstExchange = chat.messages.filter((message) => message.role === 'assistant').length === 1;
+  if (isFirstExchange && getEffectiveSettings().autoTitleChats !== false && !chat.customTitle) {
+    // Titling runs after the answer is returned so it never delays the response.
+    applyGeneratedChatTitle(chat, model)
+      .then((title) => {
+        if (title && !event.sender.isDestroyed()) {
+          event.sender.send('chat-title-updated', { chatId, title });
+        }
+      })
+      .catch((err) => console.error('Failed to generate chat title:', err));
+  }
+
+  return {
     chatId,
-    stage: 'context',
-    message: contextMessage,
+    userMessageId,
+    assistantMessageId,
+    edited: Boolean(editMessageId),
+    regenerated: Boolean(regenerationSource),
+    generation: generationParams,
+    answer: trimmedAnswer,
     context: contextResult.text,
-    queries: contextQueries,
-    userLinks: userLinksForContext,
-    retrievedAt: contextResult.retrievedAt,
+    contextQueries,
+    contextRetrievedAt,
+    userLinks: contextResult.userLinks,
+    reusedConversationMemory,
+    primaryGoal: initialGoal || undefined,
+    goalAligned,
+    goalCheck,
+    limitedWebContext: shouldLimitWebContext,
     attachments: contextResult.attachments,
     attachmentWarnings: attachmentsResult.warnings,
     deepResearch: contextResult.deepResearch,
-    goalAligned,
-    primaryGoal: initialGoal || undefined,
-    limitedWebContext: shouldLimitWebContext,
-  });
-
-  const baseSystemMessages = [{ role: 'system', content: buildBaseSystemPrompt() }];
-  if (initialGoal) {
-    baseSystemMessages.push({
-      role: 'system',
-      content: buildGoalInstruction(initialGoal, prompt),
-    });
-    baseSystemMessages.push({
-      role: 'system',
-      content: buildGoalGuardrailInstruction(initialGoal),
-    });
-    if (!goalAligned) {
-      baseSystemMessages.push({
-        role: 'system',
-        content:
-          'The latest user message appears to deviate from the primary goal. Before helping, remind them of the original objective and suggest starting a new chat for other work.',
-      });
-    }
-  }
-
-  const contextSystemMessages = [];
-  const refreshContextSystemMessages = () => {
-    contextSystemMessages.length = 0;
-    if (contextResult.text) {
-      contextSystemMessages.push({
-        role: 'system',
-        content: buildContextInstruction({
-          context: contextResult.text,
-          retrievedAt: contextResult.retrievedAt,
-          genericFresh: searchPlan.genericFresh,
-        }),
-      });
-    }
+    timing: timingInfo,
+    reasoning: finalReasoning,
+    usedWebSearch,
+    assistantSearchRequests: searchRetries,
+    supportsReasoning: reasoningDetected,
   };
-  refreshContextSystemMessages();
+}
 
-  const buildMessagesForModel = () => [
-    ...baseSystemMessages,
-    ...historyMessages,
-    ...contextSystemMessages,
-    { role: 'user', content: prompt },
-  ];
+function initializeAutoUpdates() {
+  if (autoUpdateInitialized || !app.isPackaged) {
+    return;
+  }
 
-  const maxSearchRetries = 2;
-  let searchRetries = 0;
-  let assistantContent = '';
-  let manualResponse = '';
-  let reasoningTranscript = '';
-  let reasoningSnapshot = '';
-  let reasoningDetected = false;
-  let timingInfo = null;
-  let generationStageAnnounced = false;
-  let modelStageAnnounced = false;
+  autoUpdateInitialized = true;
+  autoUpdater.autoDownload = true;
 
-  const announceModelLoadingStage = () => {
-    modelStageAnnounced = true;
-    const loadingMessage =
-      model && String(model).trim() ? `Loading ${model}…` : 'Loading model…';
-    event.sender.send('ollama-thinking', {
-      chatId,
-      stage: 'model-loading',
-      message: loadingMessage,
+  autoUpdater.on('update-available', (info) => {
+    sendAutoUpdateStatus('update-available', {
+      version: info?.version,
+      releaseDate: info?.releaseDate,
     });
-  };
+  });
 
-  const announceGenerationStage = (overrideMessage) => {
-    if (generationStageAnnounced) {
-      return;
-    }
-    generationStageAnnounced = true;
-    event.sender.send('ollama-thinking', {
-      chatId,
-      stage: 'generating',
-      message: overrideMessage || 'Generating response…',
+  autoUpdater.on('download-progress', (progress) => {
+    sendAutoUpdateProgress({
+      percent: progress?.percent,
+      transferred: progress?.transferred,
+      total: progress?.total,
+      bytesPerSecond: progress?.bytesPerSecond,
     });
-  };
-
-  const noteFirstToken = (timestamp) => {
-    if (!tFirstToken) {
-      if (Number.isFinite(timestamp)) {
-        tFirstToken = timestamp;
-      } else {
-        tFirstToken = Date.now();
-      }
-      announceGenerationStage();
-    }
-  };
+  });
 
-  const registerReasoningDelta = (payload) => {
-    const flattened = flattenReasoningPayload(payload);
-    if (!flattened) {
-      return '';
-    }
+  autoUpdater.on('update-downloaded', () => {
+    sendAutoUpdateStatus('update-downloaded');
 
-    const normalized = typeof flattened === 'string' ? flattened : String(flattened);
-    const trimmedNormalized = normalized.trim();
-    if (!trimmedNormalized) {
-      return '';
+    if (!mainWindow || mainWindow.isDestroyed()) {
+      autoUpdater.quitAndInstall();
+      return;
     }
 
-    reasoningDetected = true;
-
-    let candidate = trimmedNormalized;
-    if (reasoningSnapshot && trimmedNormalized.startsWith(reasoningSnapshot)) {
-      candidate = trimmedNormalized.slice(reasoningSnapshot.length);
-    } else if (reasoningSnapshot) {
-      const priorIndex = trimmedNormalized.indexOf(reasoningSnapshot);
-      if (priorIndex !== -1) {
-        candidate = trimmedNormalized.slice(priorIndex + reasoningSnapshot.length);
-      }
-    }
+    dialog
+      .showMessageBox(mainWindow, {
+        type: 'info',
+        buttons: ['Install and Restart', 'Later'],
+        defaultId: 0,
+        cancelId: 1,
+        title: 'Update Ready',
+        message: 'A new version has been downloaded.',
+        detail: 'Restart now to apply the latest update?',
+      })
+      .then(({ response }) => {
+        if (response === 0) {
+          autoUpdater.quitAndInstall();
+        }
+      })
+      .catch((err) => {
+        console.error('Failed to show update dialog:', err);
+      });
+  });
 
-    reasoningSnapshot = trimmedNormalized;
+  autoUpdater.on('error', (err) => {
+    console.error('Auto update error:', err);
+    sendAutoUpdateStatus('error', { message: err?.message || 'Unknown error' });
+  });
 
-    let delta = candidate.trimStart();
-    if (!delta) {
-      return '';
-    }
+  autoUpdater.checkForUpdatesAndNotify().catch((err) => {
+    console.error('Auto update check failed:', err);
+  });
+}
 
-    if (reasoningTranscript.endsWith(delta)) {
-      return '';
-    }
+function sendAutoUpdateStatus(status, payload = {}) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  mainWindow.webContents.send('auto-update-status', { status, ...payload });
+}
 
-    const needsSeparator =
-      reasoningTranscript && !reasoningTranscript.endsWith('\n') && !delta.startsWith('\n');
+function sendAutoUpdateProgress(progress = {}) {
+  if (!mainWindow || mainWindow.isDestroyed()) {
+    return;
+  }
+  mainWindow.webContents.send('auto-update-progress', progress);
+}
 
-    reasoningTranscript += needsSeparator ? `\n${delta}` : delta;
-    return delta;
+function createChatRecord(model = null) {
+  const now = new Date().toISOString();
+  return {
+    id: randomUUID(),
+    title: 'New Chat',
+    model,
+    createdAt: now,
+    updatedAt: now,
+    messages: [],
+    initialUserPrompt: '',
+    attachments: [],
+    searchPolicy: DEFAULT_CHAT_SEARCH_POLICY,
+    pinned: false,
+    folder: null,
+    tags: [],
+    activeLeafId: null,
+    generationParams: {},
+    personaId: DEFAULT_PERSONA_ID,
+    goalGuardrailMode: null,
+    endpointProfileId: DEFAULT_ENDPOINT_PROFILE_ID,
   };
+}
 
-  const streamOnce = async (currentController) => {
-    const messagesForModel = buildMessagesForModel();
-    let assistantContentLocal = '';
-    let directiveBuffer = '';
-    let checkingDirective = true;
-    let searchDirectiveQuery = null;
-    let abortedForDirective = false;
-    let streamCompleted = false;
+function normalizeChatFolderName(value) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return value.replace(/\s+/g, ' ').trim().slice(0, CHAT_FOLDER_NAME_MAX_LENGTH);
+}
 
-    const response = await fetch(buildModelApiUrl(chatEndpointPath), {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model,
-        messages: messagesForModel,
-        stream: true,
-      }),
-      signal: currentController.signal,
-    });
+function normalizeChatTags(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  const seen = new Set();
+  const tags = [];
+  value.forEach((entry) => {
+    const tag = typeof entry === 'string'
+      ? entry.trim().replace(/^#+/, '').trim().replace(/\s+/g, '-').slice(0, CHAT_TAG_MAX_LENGTH)
+      : '';
+    if (!tag || seen.has(tag.toLowerCase())) {
+      return;
+    }
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  });
+  return tags.slice(0, CHAT_TAGS_PER_CHAT);
+}
 
-    if (!response.ok) {
-      const sourceLabel = usingChatCompletionsApi ? 'ChatGPT-compatible API' : 'Ollama API';
-      throw new Error(`${sourceLabel} error: HTTP ${response.status}`);
+async function moveChatsOutOfFolder(folder, nextFolder) {
+  const affected = chatsCache.filter((chat) => chat.folder === folder);
+  for (const entry of affected) {
+    // eslint-disable-next-line no-await-in-loop
+    const chat = await loadChat(entry.id);
+    if (!chat) {
+      continue;
     }
+    chat.folder = nextFolder || null;
+    // eslint-disable-next-line no-await-in-loop
+    await writeChatFile(chat);
+  }
+  await persistChatIndex();
+}
 
-    let buffer = '';
-    const stream = response.body;
-    const emitUpdate = ({ delta = '', done = false, force = false }) => {
-      if (!force && !delta && !done && !reasoningDetected) {
-        return;
-      }
-      event.sender.send('ollama-stream', {
-        chatId,
-        delta,
-        full: assistantContentLocal,
-        done,
-        reasoning: reasoningTranscript || undefined,
-      });
+function normalizeChatSearchPolicy(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return CHAT_SEARCH_POLICIES.includes(normalized) ? normalized : DEFAULT_CHAT_SEARCH_POLICY;
+}
+
+function normalizeGoalGuardrailMode(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return GOAL_GUARDRAIL_MODES.includes(normalized) ? normalized : null;
+}
+
+// strict: off-topic prompts skip search and the model is told to steer back to the goal.
+// soft: the goal is shared as background only. off: the goal is not used at all.
+function resolveGoalGuardrailMode(chat) {
+  return (
+    normalizeGoalGuardrailMode(chat?.goalGuardrailMode) ||
+    normalizeGoalGuardrailMode(getEffectiveSettings().goalGuardrailMode) ||
+    DEFAULT_SETTINGS.goalGuardrailMode
+  );
+}
+
+function applyChatSearchPolicy(plan, policy, fallbackQuery = '') {
+  const normalizedPolicy = normalizeChatSearchPolicy(policy);
+  if (normalizedPolicy === 'never') {
+    return {
+      ...plan,
+      shouldSearch: false,
+      disabled: true,
+      message: 'Web search is turned off for this chat.',
     };
+  }
 
-    const flushDirectiveBuffer = () => {
-      if (!directiveBuffer) {
-        return;
-      }
-      assistantContentLocal += directiveBuffer;
-      noteFirstToken();
-      if (directiveBuffer) {
-        totalChars += directiveBuffer.length;
-        totalTokens += estimateTokenCount(directiveBuffer);
-      }
-      event.sender.send('ollama-stream', {
-        chatId,
-        delta: directiveBuffer,
-        full: assistantContentLocal,
-        done: false,
-      });
-      directiveBuffer = '';
+  if (normalizedPolicy === 'always') {
+    const queries = Array.isArray(plan.queries) && plan.queries.length
+      ? plan.queries
+      : fallbackQuery && fallbackQuery.trim()
+      ? [fallbackQuery.trim()]
+      : [];
+    return {
+      ...plan,
+      queries,
+      shouldSearch: queries.length > 0,
+      disabled: false,
+      message: plan.shouldSearch && !plan.disabled && plan.message
+        ? plan.message
+        : 'Web search is always on for this chat – gathering fresh context.',
     };
+  }
 
-    const processParsed = (parsed) => {
-      const reasoningPayload = parsed?.message?.reasoning ?? parsed?.reasoning ?? null;
-      const reasoningDelta = registerReasoningDelta(reasoningPayload);
-      const primaryChoice = Array.isArray(parsed?.choices) ? parsed.choices[0] : null;
-
-      let chunkText = '';
-      if (typeof parsed?.message?.content === 'string') {
-        chunkText = parsed.message.content;
-      } else if (typeof parsed?.response === 'string') {
-        chunkText = parsed.response;
-      } else if (usingChatCompletionsApi) {
-        if (typeof primaryChoice?.delta?.content === 'string') {
-          chunkText = primaryChoice.delta.content;
-        } else if (typeof primaryChoice?.message?.content === 'string') {
-          chunkText = primaryChoice.message.content;
-        }
-      }
+  return plan;
+}
 
-      if (chunkText) {
-        if (checkingDirective) {
-          directiveBuffer += chunkText;
-          const trimmed = directiveBuffer.trim();
-          const directiveCandidate = trimmed.includes(']]') ? extractSearchDirective(trimmed) : null;
+// A one-off /search or /nosearch from the composer wins over the chat policy and the global toggle.
+function applySearchOverride(plan, override, fallbackQuery = '') {
+  const mode = override && typeof override === 'object' ? override.mode : null;
+  if (mode === 'skip') {
+    return {
+      ...plan,
+      shouldSearch: false,
+      disabled: true,
+      message: 'Web search skipped for this message.',
+    };
+  }
 
-          if (directiveCandidate) {
-            searchDirectiveQuery = directiveCandidate;
-            abortedForDirective = true;
-            currentController.abort();
-            return;
-          }
+  if (mode === 'force') {
+    const query = typeof override.query === 'string' ? override.query.trim().slice(0, 300) : '';
+    const queries = query ? [query] : applyChatSearchPolicy(plan, 'always', fallbackQuery).queries;
+    return {
+      ...plan,
+      queries,
+      shouldSearch: queries.length > 0,
+      disabled: false,
+      message: query ? `Searching the web for "${query}" as requested.` : 'Searching the web as requested.',
+    };
+  }
 
-          const firstChar = trimmed.charAt(0);
-          if ((firstChar && firstChar !== '[') || trimmed.includes(']]')) {
-            checkingDirective = false;
-            flushDirectiveBuffer();
-          }
-          return;
-        }
-        const directivePattern = /\[\[search:\s*([\s\S]+?)\s*\]\]/i;
-        const directiveMatch = chunkText.match(directivePattern);
+  return plan;
+}
 
-        if (directiveMatch) {
-          const fullDirective = directiveMatch[0];
-          const directiveIndex = chunkText.indexOf(fullDirective);
-          const beforeDirective = chunkText.slice(0, directiveIndex);
-          const afterDirective = chunkText.slice(directiveIndex + fullDirective.length);
+function getDefaultSettings() {
+  return { ...DEFAULT_SETTINGS };
+}
 
-          if (beforeDirective) {
-            assistantContentLocal += beforeDirective;
-            noteFirstToken();
-            totalChars += beforeDirective.length;
-            totalTokens += estimateTokenCount(beforeDirective);
-            emitUpdate({ delta: beforeDirective, done: false, force: true });
-          }
+async function ensureSettingsLoaded() {
+  if (settingsLoaded) {
+    return;
+  }
+  if (!settingsLoadPromise) {
+    settingsLoadPromise = loadSettingsFromDisk().finally(() => {
+      settingsLoadPromise = null;
+    });
+  }
+  await settingsLoadPromise;
+}
 
-          if (afterDirective.trim()) {
-            assistantContentLocal += afterDirective;
-            noteFirstToken();
-            totalChars += afterDirective.length;
-            totalTokens += estimateTokenCount(afterDirective);
-            emitUpdate({ delta: afterDirective, done: false, force: true });
-          }
+async function loadSettingsFromDisk() {
+  const userDataPath = app.getPath('userData');
+  settingsPath = path.join(userDataPath, SETTINGS_FILE);
 
-          const trimmedQuery = directiveMatch[1]?.trim();
-          if (trimmedQuery) {
-            searchDirectiveQuery = trimmedQuery;
-            abortedForDirective = true;
-            currentController.abort();
-            return;
+  try {
+    const contents = await fsPromises.readFile(settingsPath, 'utf8');
+    const parsed = JSON.parse(contents);
+    settings = sanitizeSettings(parsed);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      let migrated = false;
+      for (const legacyFile of LEGACY_SETTINGS_FILES) {
+        const legacyPath = path.join(userDataPath, legacyFile);
+        try {
+          const legacyContents = await fsPromises.readFile(legacyPath, 'utf8');
+          const parsed = JSON.parse(legacyContents);
+          settings = sanitizeSettings(parsed);
+          migrated = true;
+          try {
+            await writeJsonFile(settingsPath, settings, true);
+            await fsPromises.unlink(legacyPath).catch(() => {});
+          } catch (persistErr) {
+            console.warn('Failed to migrate legacy settings file:', persistErr);
           }
-        } else {
-          assistantContentLocal += chunkText;
-          noteFirstToken();
-          if (chunkText) {
-            totalChars += chunkText.length;
-            totalTokens += estimateTokenCount(chunkText);
+          break;
+        } catch (legacyErr) {
+          if (legacyErr.code !== 'ENOENT') {
+            console.error('Failed to load legacy settings file:', legacyErr);
           }
-          emitUpdate({ delta: chunkText, done: false, force: true });
         }
-      } else if (reasoningDelta) {
-        emitUpdate({ delta: '', done: false, force: true });
-      }
-
-      const finishReasonDetected =
-        Boolean(parsed?.done) ||
-        (Array.isArray(parsed?.choices) && parsed.choices.some((choice) => Boolean(choice?.finish_reason)));
-
-      if (!streamCompleted && finishReasonDetected) {
-        streamCompleted = true;
-        flushDirectiveBuffer();
-        tStreamEnd = Date.now();
-        emitUpdate({ delta: '', done: true, force: true });
       }
-    };
 
-    const processLine = (line) => {
-      const trimmed = line.trim();
-      if (!trimmed) {
-        return;
-      }
-      let payload = trimmed;
-      if (usingChatCompletionsApi) {
-        if (payload.startsWith('data:')) {
-          const dataPayload = payload.slice(5).trim();
-          if (!dataPayload || dataPayload === '[DONE]') {
-            processParsed({ done: true });
-            return;
-          }
-          payload = dataPayload;
-        } else if (payload === '[DONE]') {
-          processParsed({ done: true });
-          return;
-        }
+      if (!migrated) {
+        settings = getDefaultSettings();
       }
-      try {
-        const parsed = JSON.parse(payload);
-        processParsed(parsed);
-      } catch (err) {
-        console.error('Failed to parse stream chunk:', err);
+    } else {
+      console.error('Failed to load settings:', err);
+      const restored = await offerBackupRestore(SETTINGS_FILE, 'settings', (value) =>
+        Boolean(value && typeof value === 'object' && !Array.isArray(value))
+      );
+      settings = restored ? sanitizeSettings(restored) : getDefaultSettings();
+      if (restored) {
+        await writeJsonFile(settingsPath, settings, true).catch((persistErr) =>
+          console.error('Failed to write restored settings:', persistErr)
+        );
       }
-    };
+    }
+  }
 
-    try {
-      for await (const chunk of stream) {
-        buffer += chunk.toString();
-        let newlineIndex = buffer.indexOf('\n');
-
-        while (newlineIndex !== -1) {
-          const line = buffer.slice(0, newlineIndex);
-          buffer = buffer.slice(newlineIndex + 1);
-          processLine(line);
-          if (searchDirectiveQuery) {
-            break;
-          }
-          newlineIndex = buffer.indexOf('\n');
-        }
+  await applyStoredEndpointCredentials();
+  settingsLoaded = true;
+}
 
-        if (searchDirectiveQuery) {
-          break;
-        }
+async function ensureChatsLoaded() {
+  if (chatsLoaded) {
+    return;
+  }
+  if (!chatsLoadPromise) {
+    chatsLoadPromise = loadChatIndexFromDisk().finally(() => {
+      chatsLoadPromise = null;
+    });
+  }
+  await chatsLoadPromise;
+}
+
+async function loadChatIndexFromDisk() {
+  const userDataPath = app.getPath('userData');
+  chatsDirPath = path.join(userDataPath, CHATS_DIR);
+
+  try {
+    const contents = await fsPromises.readFile(path.join(chatsDirPath, CHAT_INDEX_FILE), 'utf8');
+    const parsed = JSON.parse(contents);
+    if (!Array.isArray(parsed)) {
+      throw new Error('Chat index is not a list.');
+    }
+    chatsCache = parsed.filter((entry) => entry && entry.id);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      chatsCache = await rebuildChatIndexFromFiles();
+      if (!chatsCache.length) {
+        chatsCache = await migrateSingleFileChatStore(userDataPath);
       }
-    } catch (err) {
-      if (abortedForDirective && err.name === 'AbortError') {
-        return { type: 'directive', query: searchDirectiveQuery };
+    } else {
+      console.error('Failed to load chat index:', err);
+      chatsCache = await rebuildChatIndexFromFiles();
+      if (!chatsCache.length) {
+        chatsCache = await restoreChatsFromBackup();
       }
-      throw err;
     }
+  }
+
+  chatsCache.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  chatsLoaded = true;
+}
 
-    if (!searchDirectiveQuery && buffer.trim()) {
-      processLine(buffer);
+// Chats used to live in one JSON array that was rewritten on every save. Split it into one file
+// per chat plus a summary index, then move the old file aside so the migration only runs once.
+async function migrateSingleFileChatStore(userDataPath) {
+  for (const legacyFile of LEGACY_STORE_FILES) {
+    const legacyPath = path.join(userDataPath, legacyFile);
+    let parsed;
+    try {
+      parsed = JSON.parse(await fsPromises.readFile(legacyPath, 'utf8'));
+    } catch (legacyErr) {
+      if (legacyErr.code !== 'ENOENT') {
+        console.error('Failed to load legacy chats file:', legacyErr);
+      }
+      continue;
     }
 
-    if (searchDirectiveQuery) {
-      return { type: 'directive', query: searchDirectiveQuery };
+    const migrated = (Array.isArray(parsed) ? parsed : [])
+      .filter((chat) => chat && chat.id)
+      .map(normalizeStoredChat);
+    try {
+      for (const chat of migrated) {
+        // eslint-disable-next-line no-await-in-loop
+        await writeChatFile(chat);
+        loadedChatIds.add(chat.id);
+      }
+      chatsCache = migrated;
+      await persistChatIndex();
+      const parsedName = path.parse(legacyFile);
+      await fsPromises
+        .rename(legacyPath, path.join(userDataPath, `${parsedName.name}.migrated${parsedName.ext}`))
+        .catch(() => {});
+    } catch (persistErr) {
+      console.warn('Failed to migrate legacy chats file:', persistErr);
     }
+    return migrated;
+  }
 
-    if (checkingDirective && directiveBuffer) {
-      checkingDirective = false;
-      flushDirectiveBuffer();
+  return [];
+}
+
+async function rebuildChatIndexFromFiles() {
+  let fileNames = [];
+  try {
+    fileNames = await fsPromises.readdir(chatsDirPath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to read chats directory:', err);
     }
+    return [];
+  }
 
-    if (!tStreamEnd) {
-      tStreamEnd = Date.now();
+  const entries = [];
+  for (const fileName of fileNames) {
+    if (!fileName.endsWith('.json') || fileName === CHAT_INDEX_FILE) {
+      continue;
+    }
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const chat = JSON.parse(await fsPromises.readFile(path.join(chatsDirPath, fileName), 'utf8'));
+      if (chat && chat.id) {
+        entries.push(buildChatIndexEntry(normalizeStoredChat(chat)));
+      }
+    } catch (err) {
+      console.error(`Failed to read chat file ${fileName}:`, err);
     }
+  }
 
-    return { type: 'content', content: assistantContentLocal };
+  if (entries.length) {
+    chatsCache = entries;
+    await persistChatIndex().catch((err) => console.error('Failed to rebuild chat index:', err));
+  }
+  return entries;
+}
+
+function normalizeStoredChat(chat) {
+  const messages = linkMessageTree(Array.isArray(chat.messages) ? chat.messages : []);
+  return {
+    ...chat,
+    messages,
+    activeLeafId: messages.some((message) => message.id === chat.activeLeafId)
+      ? chat.activeLeafId
+      : messages[messages.length - 1]?.id || null,
+    initialUserPrompt: typeof chat.initialUserPrompt === 'string' ? chat.initialUserPrompt : '',
+    attachments: Array.isArray(chat.attachments) ? sanitizeStoredAttachments(chat.attachments) : [],
+    pinned: Boolean(chat.pinned),
+    folder: normalizeChatFolderName(chat.folder) || null,
+    tags: normalizeChatTags(chat.tags),
+    generationParams: normalizeGenerationParams(chat.generationParams),
+    personaId: typeof chat.personaId === 'string' && chat.personaId ? chat.personaId : DEFAULT_PERSONA_ID,
+    goalGuardrailMode: normalizeGoalGuardrailMode(chat.goalGuardrailMode),
+    endpointProfileId:
+      typeof chat.endpointProfileId === 'string' && chat.endpointProfileId
+        ? chat.endpointProfileId
+        : DEFAULT_ENDPOINT_PROFILE_ID,
   };
+}
 
-  try {
-    while (true) {
-      if (!modelStageAnnounced) {
-        announceModelLoadingStage();
+// Messages form a tree: every message points at its parent and chat.activeLeafId marks the branch
+// the user is looking at. Editing a message adds a sibling rather than rewriting history.
+function linkMessageTree(messages) {
+  const isLegacyList = messages.every((message) => !message || message.parentId === undefined);
+  let previousId = null;
+  return messages
+    .filter((message) => message && typeof message === 'object')
+    .map((message) => {
+      const linked = { ...message, id: message.id || randomUUID() };
+      if (isLegacyList) {
+        linked.parentId = previousId;
       }
-      const result = await streamOnce(controller);
-      if (result.type === 'directive') {
-        const query = result.query?.trim();
-        if (!query) {
-          manualResponse = 'I was unable to determine the search terms needed. Please provide more detail.';
-          assistantContent = manualResponse;
-          break;
-        }
+      previousId = linked.id;
+      return linked;
+    });
+}
 
-        if (searchRetries >= maxSearchRetries) {
-          manualResponse =
-            'I tried to fetch additional web context but reached the search limit. Please share any references you have.';
-          assistantContent = manualResponse;
-          break;
-        }
+function getBranchPath(chat, leafId) {
+  const messages = Array.isArray(chat?.messages) ? chat.messages : [];
+  const byId = new Map(messages.map((message) => [message.id, message]));
+  const path = [];
+  let current = leafId ? byId.get(leafId) : null;
+  while (current && path.length <= messages.length) {
+    path.unshift(current);
+    current = current.parentId ? byId.get(current.parentId) : null;
+  }
+  return path;
+}
 
-        searchRetries += 1;
+function getActiveBranch(chat) {
+  const messages = Array.isArray(chat?.messages) ? chat.messages : [];
+  return getBranchPath(chat, chat?.activeLeafId || messages[messages.length - 1]?.id || null);
+}
 
-        const truncatedQuery = truncateForSearch(query, 140);
-        event.sender.send('ollama-thinking', {
-          chatId,
-          stage: 'search-plan',
-          message: `Assistant requested web search for "${truncatedQuery}".`,
-          queries: [query],
-        });
+// Linear stand-in for the chat that the prompt-building helpers can read like an old flat history.
+function createConversationView(chat, leafId = undefined) {
+  return {
+    ...chat,
+    messages: leafId === undefined ? getActiveBranch(chat) : getBranchPath(chat, leafId),
+  };
+}
 
-        const assistantHasNetwork = await hasNetworkConnectivity();
-        if (!assistantHasNetwork) {
-          const offlineMessage = 'Assistant requested web context, but no network connection is available.';
-          contextMessage = offlineMessage;
-          event.sender.send('ollama-thinking', {
-            chatId,
-            stage: 'context',
-            message: offlineMessage,
-            context: contextResult.text,
-            queries: contextResult.queries,
-            userLinks: userLinksForContext,
-            retrievedAt: contextResult.retrievedAt,
-          });
+function findLatestLeafId(chat, messageId) {
+  let currentId = messageId;
+  for (;;) {
+    const children = chat.messages.filter((message) => message.parentId === currentId);
+    if (!children.length) {
+      return currentId;
+    }
+    currentId = children.reduce((latest, child) =>
+      new Date(child.createdAt) >= new Date(latest.createdAt) ? child : latest
+    ).id;
+  }
+}
 
-          controller = new AbortController();
-          if (requestId) {
-            activeRequests.set(requestId, controller);
-          }
-          modelStageAnnounced = false;
-          generationStageAnnounced = false;
-          continue;
-        }
+function buildRendererChat(chat) {
+  const messages = getActiveBranch(chat).map((message) => {
+    const siblings = chat.messages.filter(
+      (candidate) => (candidate.parentId || null) === (message.parentId || null) && candidate.role === message.role
+    );
+    return {
+      ...message,
+      branch:
+        siblings.length > 1
+          ? { index: siblings.indexOf(message), count: siblings.length, siblingIds: siblings.map((item) => item.id) }
+          : null,
+    };
+  });
+  return sanitizeChat({ ...chat, messages });
+}
 
-        const supplemental = await performWebSearch([query], {
-          limit: effectiveSettings.searchResultLimit,
-          timeoutMs: 6500,
-          pageTimeoutMs: 5000,
-        });
+function buildChatIndexEntry(chat) {
+  return {
+    id: chat.id,
+    title: chat.title || 'New Chat',
+    model: chat.model || null,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+    initialUserPrompt: chat.initialUserPrompt || '',
+    searchPolicy: chat.searchPolicy || DEFAULT_CHAT_SEARCH_POLICY,
+    messageCount: Array.isArray(chat.messages) ? getActiveBranch(chat).length : chat.messageCount || 0,
+    pinned: Boolean(chat.pinned),
+    folder: chat.folder || null,
+    tags: Array.isArray(chat.tags) ? chat.tags : [],
+  };
+}
 
-        const supplementalText = supplemental.entries.length
-          ? formatSearchEntries(supplemental.entries, supplemental.retrievedAt, supplemental.queries)
-          : '';
+async function loadChat(chatId) {
+  await ensureChatsLoaded();
+  const chat = chatsCache.find((item) => item.id === chatId);
+  if (!chat) {
+    return null;
+  }
+  if (loadedChatIds.has(chatId)) {
+    return chat;
+  }
 
-        contextResult.entries = [...(contextResult.entries || []), ...supplemental.entries];
-        contextResult.queries = Array.from(new Set([...(contextResult.queries || []), ...supplemental.queries]));
-        contextResult.retrievedAt = supplemental.retrievedAt || contextResult.retrievedAt;
+  try {
+    const contents = await fsPromises.readFile(getChatFilePath(chatId), 'utf8');
+    Object.assign(chat, normalizeStoredChat(JSON.parse(contents)));
+    loadedChatIds.add(chatId);
+    return chat;
+  } catch (err) {
+    console.error(`Failed to load chat ${chatId}:`, err);
+  }
 
-        const descriptor = supplementalText
-          ? `Assistant-requested search for "${query}".\n${supplementalText}`
-          : `Assistant-requested search for "${query}".\nNo relevant web results found.`;
+  const restored = await offerBackupRestore(
+    path.join(CHATS_DIR, `${chatId}.json`),
+    `the chat "${chat.title || 'New Chat'}"`,
+    (value) => Boolean(value && value.id === chatId)
+  );
+  if (!restored) {
+    return null;
+  }
+  Object.assign(chat, normalizeStoredChat(restored));
+  loadedChatIds.add(chatId);
+  await persistChat(chat).catch((err) => console.error('Failed to write restored chat:', err));
+  return chat;
+}
 
-        contextResult.text = appendContextSection(contextResult.text, descriptor);
-        refreshContextSystemMessages();
-        contextMessage = supplemental.entries.length
-          ? 'Assistant requested supplemental web context.'
-          : 'Assistant requested web context, but nothing relevant was found.';
+function upsertChat(chat) {
+  const existingIndex = chatsCache.findIndex((item) => item.id === chat.id);
+  if (existingIndex !== -1) {
+    chatsCache[existingIndex] = chat;
+  } else {
+    chatsCache.push(chat);
+  }
+  loadedChatIds.add(chat.id);
 
-        event.sender.send('ollama-thinking', {
-          chatId,
-          stage: 'context',
-          message: contextMessage,
-          context: contextResult.text,
-          queries: contextResult.queries,
-          userLinks: userLinksForContext,
-          retrievedAt: contextResult.retrievedAt,
-        });
+  chat.updatedAt = new Date().toISOString();
+  chatsCache.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
 
-        controller = new AbortController();
-        if (requestId) {
-          activeRequests.set(requestId, controller);
-        }
-        modelStageAnnounced = false;
-        generationStageAnnounced = false;
-        continue;
-      }
+function getChatFilePath(chatId) {
+  return path.join(chatsDirPath, `${chatId}.json`);
+}
 
-      assistantContent = result.content;
-      break;
-    }
-  } catch (err) {
-    if (requestId) {
-      activeRequests.delete(requestId);
+// Serializes writes per file so overlapping saves of the same chat land in order.
+function enqueueWrite(filePath, writer) {
+  const previous = pendingWrites.get(filePath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(writer);
+  pendingWrites.set(filePath, next);
+  return next.finally(() => {
+    if (pendingWrites.get(filePath) === next) {
+      pendingWrites.delete(filePath);
     }
+  });
+}
 
-    if (err.name === 'AbortError') {
-      event.sender.send('ollama-stream', {
-        chatId,
-        aborted: true,
-        done: true,
-      });
-      return { chatId, aborted: true };
+// Writes to a sibling temp file and renames it over the target, so a crash mid-write leaves
+// either the previous file or the new one on disk, never a truncated mix.
+async function writeJsonFile(filePath, data, pretty = false) {
+  const serialized = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+  return enqueueWrite(filePath, async () => {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fsPromises.writeFile(tempPath, serialized, 'utf8');
+      await fsPromises.rename(tempPath, filePath);
+    } catch (err) {
+      await fsPromises.unlink(tempPath).catch(() => {});
+      throw err;
     }
+  });
+}
 
-    console.error('Error querying model endpoint:', err);
-    event.sender.send('ollama-stream', {
-      chatId,
-      error: err.message || 'Unknown error',
-      done: true,
-    });
-    return { chatId, error: 'Error: Unable to get response' };
-  }
+function writeChatFile(chat) {
+  return writeJsonFile(getChatFilePath(chat.id), chat);
+}
 
-  if (!tStreamEnd) {
-    tStreamEnd = Date.now();
+function persistChatIndex() {
+  if (!chatsDirPath) {
+    return Promise.resolve();
   }
+  return writeJsonFile(path.join(chatsDirPath, CHAT_INDEX_FILE), chatsCache.map(buildChatIndexEntry), true);
+}
 
-  if (!generationStageAnnounced) {
-    announceGenerationStage();
+async function persistChat(chat) {
+  if (!chatsDirPath || !chat) {
+    return;
+  }
+  await writeChatFile(chat);
+  await persistChatIndex();
+  updateChatSearchEntry(chat);
+  if (Date.now() - lastBackupAt >= BACKUP_INTERVAL_MS) {
+    createBackup().catch((err) => console.error('Failed to create backup:', err));
   }
+}
 
-  if (assistantContent && assistantContent.trim()) {
-    noteFirstToken(tStreamEnd);
+// Drops a single chat from disk but keeps its record in memory for a while so the renderer can
+// offer an undo.
+async function removeChat(chat) {
+  const index = chatsCache.findIndex((item) => item.id === chat.id);
+  if (index !== -1) {
+    chatsCache.splice(index, 1);
   }
-  if (totalTokens === 0 && assistantContent && assistantContent.trim()) {
-    totalTokens = estimateTokenCount(assistantContent);
+  loadedChatIds.delete(chat.id);
+  if (chatSearchIndex) {
+    chatSearchIndex.delete(chat.id);
   }
-  if (totalChars === 0 && assistantContent) {
-    totalChars = assistantContent.length;
+
+  recentlyDeletedChats.delete(chat.id);
+  recentlyDeletedChats.set(chat.id, chat);
+  while (recentlyDeletedChats.size > DELETED_CHAT_UNDO_LIMIT) {
+    recentlyDeletedChats.delete(recentlyDeletedChats.keys().next().value);
   }
 
-  const totalMs = Math.max(0, tStreamEnd - tRequestStart);
-  const loadMs = tFirstToken ? Math.max(0, tFirstToken - tRequestStart) : totalMs;
-  const generationMs = tFirstToken ? Math.max(0, tStreamEnd - tFirstToken) : 0;
-  const tokensPerSecond = generationMs > 0 && totalTokens > 0
-    ? Number((totalTokens / (generationMs / 1000)).toFixed(2))
-    : null;
+  await enqueueWrite(getChatFilePath(chat.id), () => fsPromises.rm(getChatFilePath(chat.id), { force: true }));
+  await persistChatIndex();
+  await deleteEmbeddingStores(chat.id);
+}
 
-  timingInfo = {
-    startedAt: new Date(tRequestStart).toISOString(),
-    completedAt: new Date(tStreamEnd).toISOString(),
-    totalMs,
-    loadMs,
-    generationMs,
-    firstTokenMs: loadMs,
-    streamMs: generationMs,
-    tokens: totalTokens,
-    chars: totalChars,
-    tokensPerSecond,
-  };
+async function deleteAllChatFiles() {
+  if (chatsDirPath) {
+    // Always keep a way back from the most destructive action in the app.
+    await createBackup().catch((err) => console.error('Failed to create backup:', err));
+  }
+  chatsCache = [];
+  loadedChatIds.clear();
+  recentlyDeletedChats.clear();
+  chatSearchIndex = null;
+  if (!chatsDirPath) {
+    return;
+  }
+  await fsPromises.rm(chatsDirPath, { recursive: true, force: true });
+  await persistChatIndex();
+}
 
-  event.sender.send('ollama-stream', {
-    chatId,
-    timing: timingInfo,
-  });
+function getBackupsDirPath() {
+  return path.join(app.getPath('userData'), BACKUPS_DIR);
+}
 
-  if (manualResponse) {
-    event.sender.send('ollama-stream', {
-      chatId,
-      delta: manualResponse,
-      full: manualResponse,
-      done: false,
-      reasoning: reasoningTranscript || undefined,
-      timing: timingInfo,
-    });
-    event.sender.send('ollama-stream', {
-      chatId,
-      delta: '',
-      full: manualResponse,
-      done: true,
-      reasoning: reasoningTranscript || undefined,
-      timing: timingInfo,
-    });
+// Snapshots the chats directory and settings file into backups/<timestamp>/ and keeps the newest
+// MAX_BACKUPS snapshots.
+async function createBackup() {
+  lastBackupAt = Date.now();
+  const userDataPath = app.getPath('userData');
+  const stamp = new Date(lastBackupAt).toISOString().replace(/[:.]/g, '-');
+  const target = path.join(getBackupsDirPath(), stamp);
+  await Promise.all(Array.from(pendingWrites.values()).map((pending) => pending.catch(() => {})));
+
+  let copied = false;
+  const sources = [
+    [path.join(userDataPath, CHATS_DIR), path.join(target, CHATS_DIR)],
+    [path.join(userDataPath, SETTINGS_FILE), path.join(target, SETTINGS_FILE)],
+  ];
+  for (const [source, destination] of sources) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await fsPromises.cp(source, destination, {
+        recursive: true,
+        filter: (candidate) => !candidate.endsWith('.tmp'),
+      });
+      copied = true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
   }
 
-  if (requestId) {
-    activeRequests.delete(requestId);
+  if (copied) {
+    await pruneBackups();
   }
+  return copied ? target : null;
+}
 
-  const trimmedAnswer = assistantContent.trim();
-  if (Array.isArray(contextResult.queries) && contextResult.queries.length) {
-    contextQueries = contextResult.queries;
-  } else if (!contextQueries.length) {
-    contextQueries = searchPlan.disabled && Array.isArray(searchPlan.queries) ? searchPlan.queries : [];
+async function listBackups() {
+  try {
+    const entries = await fsPromises.readdir(getBackupsDirPath(), { withFileTypes: true });
+    return entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name)
+      .sort()
+      .reverse();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to list backups:', err);
+    }
+    return [];
   }
-  const contextRetrievedAt = contextResult.retrievedAt || null;
-  const usedWebSearch = Array.isArray(contextResult.entries) && contextResult.entries.length > 0;
-  const reusedConversationMemory =
-    !usedWebSearch && (conversationFirst || conversationAnalysis.confidence >= 0.65);
-  const finalReasoning = reasoningTranscript.trim();
+}
 
-  chat.messages.push(
-    {
-      id: randomUUID(),
-      role: 'user',
-      content: prompt,
-      createdAt: now,
-    },
-    {
-      id: randomUUID(),
-      role: 'assistant',
-      content: trimmedAnswer,
-      createdAt: new Date().toISOString(),
-      meta: {
-        context: contextResult.text,
-        contextQueries,
-        contextRetrievedAt,
-        usedWebSearch,
-        reusedConversationMemory,
-        conversationConfidence: conversationAnalysis.confidence,
-        conversationCoverage: conversationAnalysis.coverageRatio,
-        goalAligned,
-        primaryGoal: initialGoal || undefined,
-        assistantTurnsBefore: assistantTurns,
-        webContextTurnsBefore: webContextTurns,
-        limitedWebContext: shouldLimitWebContext,
-        userLinks: contextResult.userLinks,
-        assistantSearchRequests: searchRetries,
-        reasoning: finalReasoning,
-        supportsReasoning: reasoningDetected,
-        attachments: contextResult.attachments,
-        deepResearch: contextResult.deepResearch,
-        timing: timingInfo,
-      },
-    }
+async function pruneBackups() {
+  const backups = await listBackups();
+  await Promise.all(
+    backups
+      .slice(MAX_BACKUPS)
+      .map((name) => fsPromises.rm(path.join(getBackupsDirPath(), name), { recursive: true, force: true }))
   );
+}
 
-  chat.conversationDigest = buildConversationDigest(chat);
+function describeBackup(name) {
+  const isoLike = name.replace(/^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1:$2:$3.$4Z');
+  return formatReadableDate(isoLike);
+}
 
-  if (!chat.title || chat.title === 'New Chat') {
-    chat.title = prompt.length > 60 ? `${prompt.slice(0, 60)}…` : prompt;
+async function findNewestValidBackup(relativePath, validate) {
+  const backups = await listBackups();
+  for (const name of backups) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const contents = await fsPromises.readFile(path.join(getBackupsDirPath(), name, relativePath), 'utf8');
+      const parsed = JSON.parse(contents);
+      if (validate(parsed)) {
+        return { name, data: parsed };
+      }
+    } catch (err) {
+      continue;
+    }
   }
+  return null;
+}
 
-  upsertChat(chat);
-  await persistChats();
-
-  return {
-    chatId,
-    answer: trimmedAnswer,
-    context: contextResult.text,
-    contextQueries,
-    contextRetrievedAt,
-    userLinks: contextResult.userLinks,
-    reusedConversationMemory,
-    primaryGoal: initialGoal || undefined,
-    goalAligned,
-    limitedWebContext: shouldLimitWebContext,
-    attachments: contextResult.attachments,
-    attachmentWarnings: attachmentsResult.warnings,
-    deepResearch: contextResult.deepResearch,
-    timing: timingInfo,
-    reasoning: finalReasoning,
-    usedWebSearch,
-    assistantSearchRequests: searchRetries,
-    supportsReasoning: reasoningDetected,
+async function confirmBackupRestore(subject, backupName) {
+  const options = {
+    type: 'warning',
+    buttons: ['Restore backup', 'Start fresh'],
+    defaultId: 0,
+    cancelId: 1,
+    message: `DioxideAi could not read ${subject}.`,
+    detail: `A backup from ${describeBackup(backupName)} is available. Restore it instead of starting empty?`,
   };
-});
+  const { response } = mainWindow
+    ? await dialog.showMessageBox(mainWindow, options)
+    : await dialog.showMessageBox(options);
+  return response === 0;
+}
 
-function initializeAutoUpdates() {
-  if (autoUpdateInitialized || !app.isPackaged) {
-    return;
+async function offerBackupRestore(relativePath, subject, validate) {
+  const backup = await findNewestValidBackup(relativePath, validate);
+  if (!backup || !(await confirmBackupRestore(subject, backup.name))) {
+    return null;
   }
+  return backup.data;
+}
 
-  autoUpdateInitialized = true;
-  autoUpdater.autoDownload = true;
+async function restoreChatsFromBackup() {
+  const backup = await findNewestValidBackup(path.join(CHATS_DIR, CHAT_INDEX_FILE), Array.isArray);
+  if (!backup || !(await confirmBackupRestore('your saved chats', backup.name))) {
+    return [];
+  }
 
-  autoUpdater.on('update-available', (info) => {
-    sendAutoUpdateStatus('update-available', {
-      version: info?.version,
-      releaseDate: info?.releaseDate,
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  try {
+    // Keep the unreadable files around for manual recovery instead of overwriting them.
+    await fsPromises.rename(chatsDirPath, `${chatsDirPath}.corrupt-${stamp}`).catch(() => {});
+    await fsPromises.cp(path.join(getBackupsDirPath(), backup.name, CHATS_DIR), chatsDirPath, {
+      recursive: true,
     });
-  });
+  } catch (err) {
+    console.error('Failed to restore chats from backup:', err);
+    return [];
+  }
+  return backup.data.filter((entry) => entry && entry.id);
+}
 
-  autoUpdater.on('download-progress', (progress) => {
-    sendAutoUpdateProgress({
-      percent: progress?.percent,
-      transferred: progress?.transferred,
-      total: progress?.total,
-      bytesPerSecond: progress?.bytesPerSecond,
-    });
-  });
+async function persistSettings() {
+  if (!settingsPath) {
+    settingsPath = path.join(app.getPath('userData'), SETTINGS_FILE);
+  }
 
-  autoUpdater.on('update-downloaded', () => {
-    sendAutoUpdateStatus('update-downloaded');
+  const safeSettings = sanitizeSettings(settings);
+  settings = safeSettings;
+  await persistEndpointCredentials(safeSettings.endpointProfiles);
+  await writeJsonFile(
+    settingsPath,
+    { ...safeSettings, endpointProfiles: stripEndpointCredentials(safeSettings.endpointProfiles) },
+    true
+  );
+}
 
-    if (!mainWindow || mainWindow.isDestroyed()) {
-      autoUpdater.quitAndInstall();
-      return;
+// Linux without a keyring falls back to a hard-coded key, which is no better than plain text.
+function isCredentialStorageAvailable() {
+  try {
+    if (!safeStorage.isEncryptionAvailable()) {
+      return false;
     }
+    return process.platform !== 'linux' || safeStorage.getSelectedStorageBackend() !== 'basic_text';
+  } catch (err) {
+    return false;
+  }
+}
 
-    dialog
-      .showMessageBox(mainWindow, {
-        type: 'info',
-        buttons: ['Install and Restart', 'Later'],
-        defaultId: 0,
-        cancelId: 1,
-        title: 'Update Ready',
-        message: 'A new version has been downloaded.',
-        detail: 'Restart now to apply the latest update?',
-      })
-      .then(({ response }) => {
-        if (response === 0) {
-          autoUpdater.quitAndInstall();
-        }
-      })
-      .catch((err) => {
-        console.error('Failed to show update dialog:', err);
-      });
+function stripEndpointCredentials(profiles = []) {
+  return profiles.map(({ apiKey, headers, ...profile }) => profile);
+}
+
+function collectEndpointCredentials(profiles = []) {
+  const credentials = {};
+  profiles.forEach((profile) => {
+    if (profile.apiKey || Object.keys(profile.headers || {}).length) {
+      credentials[profile.id] = { apiKey: profile.apiKey || '', headers: profile.headers || {} };
+    }
   });
+  return credentials;
+}
 
-  autoUpdater.on('error', (err) => {
-    console.error('Auto update error:', err);
-    sendAutoUpdateStatus('error', { message: err?.message || 'Unknown error' });
+// The renderer never sees saved keys or header values, so profiles it sends back without them keep
+// the stored ones. An explicit empty string or object clears them.
+function mergeEndpointCredentials(profiles, previousProfiles = []) {
+  if (!Array.isArray(profiles)) {
+    return profiles;
+  }
+  const previousList = Array.isArray(previousProfiles) ? previousProfiles : [];
+  return profiles.map((profile) => {
+    if (!profile || typeof profile !== 'object') {
+      return profile;
+    }
+    const previous =
+      previousList.find((entry) => entry?.id === profile.id) || removedEndpointCredentials.get(profile.id) || {};
+    return {
+      ...profile,
+      apiKey: profile.apiKey !== undefined ? profile.apiKey : previous.apiKey,
+      headers: profile.headers !== undefined ? profile.headers : previous.headers,
+    };
   });
+}
 
-  autoUpdater.checkForUpdatesAndNotify().catch((err) => {
-    console.error('Auto update check failed:', err);
+// Keeps credentials of profiles deleted this session so undoing the delete does not lose them.
+function rememberRemovedEndpointCredentials(previousProfiles = [], nextProfiles = []) {
+  const remaining = new Set(nextProfiles.map((profile) => profile.id));
+  previousProfiles.forEach((profile) => {
+    if (!remaining.has(profile.id) && (profile.apiKey || Object.keys(profile.headers || {}).length)) {
+      removedEndpointCredentials.set(profile.id, { apiKey: profile.apiKey, headers: profile.headers });
+    }
   });
 }
 
-function sendAutoUpdateStatus(status, payload = {}) {
-  if (!mainWindow || mainWindow.isDestroyed()) {
+async function loadEndpointCredentials() {
+  endpointCredentialsPath = path.join(app.getPath('userData'), ENDPOINT_CREDENTIALS_FILE);
+  try {
+    const contents = await fsPromises.readFile(endpointCredentialsPath, 'utf8');
+    const parsed = JSON.parse(contents);
+    if (typeof parsed?.encrypted !== 'string' || !isCredentialStorageAvailable()) {
+      return {};
+    }
+    const decrypted = JSON.parse(safeStorage.decryptString(Buffer.from(parsed.encrypted, 'base64')));
+    return decrypted && typeof decrypted === 'object' ? decrypted : {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to load endpoint credentials:', err);
+    }
+    return {};
+  }
+}
+
+// Without OS-backed encryption the credentials stay in memory for this session only.
+async function persistEndpointCredentials(profiles = []) {
+  if (!isCredentialStorageAvailable()) {
+    return;
+  }
+  if (!endpointCredentialsPath) {
+    endpointCredentialsPath = path.join(app.getPath('userData'), ENDPOINT_CREDENTIALS_FILE);
+  }
+  const credentials = collectEndpointCredentials(profiles);
+  if (!Object.keys(credentials).length) {
+    await fsPromises.unlink(endpointCredentialsPath).catch((err) => {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    });
     return;
   }
-  mainWindow.webContents.send('auto-update-status', { status, ...payload });
+  const encrypted = safeStorage.encryptString(JSON.stringify(credentials)).toString('base64');
+  await writeJsonFile(endpointCredentialsPath, { version: 1, encrypted });
 }
 
-function sendAutoUpdateProgress(progress = {}) {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return;
+// Earlier versions kept API keys and headers in the settings file; move them into the credential store.
+async function applyStoredEndpointCredentials() {
+  const stored = await loadEndpointCredentials();
+  const profiles = settings.endpointProfiles || [];
+  const hasPlainCredentials = Object.keys(collectEndpointCredentials(profiles)).length > 0;
+  settings = {
+    ...settings,
+    endpointProfiles: profiles.map((profile) =>
+      stored[profile.id] && !profile.apiKey && !Object.keys(profile.headers || {}).length
+        ? normalizeEndpointProfile({ ...profile, ...stored[profile.id] })
+        : profile
+    ),
+  };
+  if (hasPlainCredentials) {
+    await persistSettings().catch((err) => console.error('Failed to migrate endpoint credentials:', err));
   }
-  mainWindow.webContents.send('auto-update-progress', progress);
 }
 
-function createChatRecord(model = null) {
-  const now = new Date().toISOString();
+function getRendererSafeSettings() {
+  const safe = sanitizeSettings(settings);
+  settings = safe;
+  const { analyticsDeviceId, ...publicSettings } = safe || {};
   return {
-    id: randomUUID(),
-    title: 'New Chat',
-    model,
-    createdAt: now,
-    updatedAt: now,
-    messages: [],
-    initialUserPrompt: '',
-    attachments: [],
+    ...publicSettings,
+    endpointProfiles: stripEndpointCredentials(publicSettings.endpointProfiles).map((profile) => {
+      const source = safe.endpointProfiles.find((entry) => entry.id === profile.id);
+      return {
+        ...profile,
+        hasApiKey: Boolean(source?.apiKey),
+        headerNames: Object.keys(source?.headers || {}),
+      };
+    }),
+    credentialStorage: isCredentialStorageAvailable() ? 'keychain' : 'session',
   };
 }
 
-function getDefaultSettings() {
-  return { ...DEFAULT_SETTINGS };
+function getChatSummaries() {
+  return chatsCache.map(buildChatIndexEntry);
 }
 
-async function ensureSettingsLoaded() {
-  if (settingsLoaded) {
-    return;
-  }
+// Every message in the tree is indexed, not just the active branch, so answers from edited or
+// regenerated branches stay findable; the renderer switches branches when a match is opened.
+function buildChatSearchEntry(chat) {
+  const messages = Array.isArray(chat.messages) ? chat.messages : [];
+  return {
+    title: (chat.title || '').toLowerCase(),
+    attachments: (Array.isArray(chat.attachments) ? chat.attachments : [])
+      .map((attachment) => attachment?.name)
+      .filter((name) => typeof name === 'string' && name),
+    messages: messages
+      .map((message, index) => ({
+        index,
+        id: message?.id || null,
+        role: message?.role === 'user' ? 'user' : 'assistant',
+        text: typeof message?.content === 'string' ? message.content : '',
+      }))
+      .filter((message) => message.text),
+  };
+}
 
-  const userDataPath = app.getPath('userData');
-  settingsPath = path.join(userDataPath, SETTINGS_FILE);
+function updateChatSearchEntry(chat) {
+  if (chatSearchIndex && chat?.id) {
+    chatSearchIndex.set(chat.id, buildChatSearchEntry(chat));
+  }
+}
 
-  try {
-    const contents = await fsPromises.readFile(settingsPath, 'utf8');
-    const parsed = JSON.parse(contents);
-    settings = sanitizeSettings(parsed);
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      let migrated = false;
-      for (const legacyFile of LEGACY_SETTINGS_FILES) {
-        const legacyPath = path.join(userDataPath, legacyFile);
+// Builds the in-memory search index on first use, reading chat files directly so that searching
+// does not pull every conversation into chatsCache.
+async function ensureChatSearchIndex() {
+  if (chatSearchIndex) {
+    return chatSearchIndex;
+  }
+  if (!chatSearchIndexPromise) {
+    chatSearchIndexPromise = (async () => {
+      const index = new Map();
+      for (const chat of chatsCache) {
+        if (loadedChatIds.has(chat.id)) {
+          index.set(chat.id, buildChatSearchEntry(chat));
+          continue;
+        }
         try {
-          const legacyContents = await fsPromises.readFile(legacyPath, 'utf8');
-          const parsed = JSON.parse(legacyContents);
-          settings = sanitizeSettings(parsed);
-          migrated = true;
-          try {
-            await fsPromises.mkdir(path.dirname(settingsPath), { recursive: true });
-            await fsPromises.writeFile(settingsPath, JSON.stringify(settings, null, 2), 'utf8');
-            await fsPromises.unlink(legacyPath).catch(() => {});
-          } catch (persistErr) {
-            console.warn('Failed to migrate legacy settings file:', persistErr);
-          }
-          break;
-        } catch (legacyErr) {
-          if (legacyErr.code !== 'ENOENT') {
-            console.error('Failed to load legacy settings file:', legacyErr);
-          }
+          // eslint-disable-next-line no-await-in-loop
+          const contents = await fsPromises.readFile(getChatFilePath(chat.id), 'utf8');
+          index.set(chat.id, buildChatSearchEntry(normalizeStoredChat(JSON.parse(contents))));
+        } catch (err) {
+          console.error(`Failed to index chat ${chat.id} for search:`, err);
+          index.set(chat.id, buildChatSearchEntry(chat));
         }
       }
+      chatSearchIndex = index;
+      return index;
+    })().finally(() => {
+      chatSearchIndexPromise = null;
+    });
+  }
+  return chatSearchIndexPromise;
+}
 
-      if (!migrated) {
-        settings = getDefaultSettings();
-      }
-    } else {
-      console.error('Failed to load settings:', err);
-      settings = getDefaultSettings();
+function buildSearchSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  let position = -1;
+  let length = 0;
+  terms.forEach((term) => {
+    const found = lower.indexOf(term);
+    if (found !== -1 && (position === -1 || found < position)) {
+      position = found;
+      length = term.length;
     }
+  });
+  if (position === -1) {
+    position = 0;
   }
 
-  settingsLoaded = true;
+  const start = Math.max(0, position - CHAT_SEARCH_SNIPPET_RADIUS);
+  const end = Math.min(text.length, position + length + CHAT_SEARCH_SNIPPET_RADIUS * 2);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
 }
 
-async function ensureChatsLoaded() {
-  if (chatsLoaded) {
-    return;
+async function searchChats(rawQuery, { limit = CHAT_SEARCH_RESULT_LIMIT } = {}) {
+  const query = typeof rawQuery === 'string' ? rawQuery.trim().toLowerCase() : '';
+  const terms = Array.from(new Set(query.split(/\s+/).filter(Boolean)));
+  if (!terms.length) {
+    return [];
   }
 
-  const userDataPath = app.getPath('userData');
-  storagePath = path.join(userDataPath, STORE_FILE);
-
-  try {
-    const contents = await fsPromises.readFile(storagePath, 'utf8');
-    const parsed = JSON.parse(contents);
-    if (Array.isArray(parsed)) {
-      chatsCache = parsed.map((chat) => ({
-        ...chat,
-        initialUserPrompt: typeof chat.initialUserPrompt === 'string' ? chat.initialUserPrompt : '',
-        attachments: Array.isArray(chat.attachments) ? sanitizeStoredAttachments(chat.attachments) : [],
-      }));
-    } else {
-      chatsCache = [];
-    }
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      let migrated = false;
-      for (const legacyFile of LEGACY_STORE_FILES) {
-        const legacyPath = path.join(userDataPath, legacyFile);
-        try {
-          const legacyContents = await fsPromises.readFile(legacyPath, 'utf8');
-          const parsed = JSON.parse(legacyContents);
-          chatsCache = Array.isArray(parsed)
-            ? parsed.map((chat) => ({
-                ...chat,
-                initialUserPrompt: typeof chat.initialUserPrompt === 'string' ? chat.initialUserPrompt : '',
-                attachments: Array.isArray(chat.attachments)
-                  ? sanitizeStoredAttachments(chat.attachments)
-                  : [],
-              }))
-            : [];
-          migrated = true;
-          try {
-            await fsPromises.mkdir(path.dirname(storagePath), { recursive: true });
-            await fsPromises.writeFile(storagePath, JSON.stringify(chatsCache, null, 2), 'utf8');
-            await fsPromises.unlink(legacyPath).catch(() => {});
-          } catch (persistErr) {
-            console.warn('Failed to migrate legacy chats file:', persistErr);
-          }
-          break;
-        } catch (legacyErr) {
-          if (legacyErr.code !== 'ENOENT') {
-            console.error('Failed to load legacy chats file:', legacyErr);
-          }
-        }
-      }
+  const index = await ensureChatSearchIndex();
+  const results = [];
 
-      if (!migrated) {
-        chatsCache = [];
-      }
-    } else {
-      console.error('Failed to load chats:', err);
-      chatsCache = [];
+  chatsCache.forEach((chat) => {
+    const entry = index.get(chat.id);
+    if (!entry) {
+      return;
     }
-  }
-
-  chatsLoaded = true;
-}
-
-function upsertChat(chat) {
-  const existingIndex = chatsCache.findIndex((item) => item.id === chat.id);
-  if (existingIndex !== -1) {
-    chatsCache[existingIndex] = chat;
-  } else {
-    chatsCache.push(chat);
-  }
 
-  chat.updatedAt = new Date().toISOString();
-  chatsCache.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-}
+    const attachmentMatches = entry.attachments.filter((name) =>
+      terms.some((term) => name.toLowerCase().includes(term))
+    );
+    const messageMatches = [];
+    const covered = new Set();
 
-async function persistChats() {
-  if (!storagePath) {
-    return;
-  }
+    terms.forEach((term) => {
+      if (entry.title.includes(term) || attachmentMatches.some((name) => name.toLowerCase().includes(term))) {
+        covered.add(term);
+      }
+    });
 
-  await fsPromises.mkdir(path.dirname(storagePath), { recursive: true });
-  await fsPromises.writeFile(storagePath, JSON.stringify(chatsCache, null, 2), 'utf8');
-}
+    entry.messages.forEach((message) => {
+      const lower = message.text.toLowerCase();
+      const hits = terms.filter((term) => lower.includes(term));
+      if (!hits.length) {
+        return;
+      }
+      hits.forEach((term) => covered.add(term));
+      messageMatches.push({ message, hits: hits.length });
+    });
 
-async function persistSettings() {
-  if (!settingsPath) {
-    settingsPath = path.join(app.getPath('userData'), SETTINGS_FILE);
-  }
+    // Every term has to appear somewhere in the chat, though not necessarily in the same message.
+    if (covered.size < terms.length) {
+      return;
+    }
 
-  const safeSettings = sanitizeSettings(settings);
-  settings = safeSettings;
-  await fsPromises.mkdir(path.dirname(settingsPath), { recursive: true });
-  await fsPromises.writeFile(settingsPath, JSON.stringify(safeSettings, null, 2), 'utf8');
-}
+    const titleHits = terms.filter((term) => entry.title.includes(term)).length;
+    const bestMessageHits = messageMatches.reduce((max, match) => Math.max(max, match.hits), 0);
+    const matches = messageMatches
+      .sort((a, b) => b.hits - a.hits || a.message.index - b.message.index)
+      .slice(0, CHAT_SEARCH_MATCHES_PER_CHAT)
+      .sort((a, b) => a.message.index - b.message.index)
+      .map(({ message }) => ({
+        messageId: message.id,
+        role: message.role,
+        snippet: buildSearchSnippet(message.text, terms),
+      }));
 
-function getRendererSafeSettings() {
-  const safe = sanitizeSettings(settings);
-  settings = safe;
-  const { analyticsDeviceId, ...publicSettings } = safe || {};
-  return publicSettings;
-}
+    results.push({
+      chat: buildChatIndexEntry(chat),
+      score: titleHits * 3 + attachmentMatches.length * 2 + bestMessageHits + Math.min(messageMatches.length, 5) * 0.1,
+      attachmentMatches,
+      matches,
+    });
+  });
 
-function getChatSummaries() {
-  return chatsCache.map((chat) => ({
-    id: chat.id,
-    title: chat.title || 'New Chat',
-    model: chat.model,
-    createdAt: chat.createdAt,
-    updatedAt: chat.updatedAt,
-  }));
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ score, ...result }) => result);
 }
 
 function sanitizeChat(chat) {
@@ -2668,7 +4843,7 @@ function buildChatMarkdown(chat) {
   lines.push(`- Created: ${chat.createdAt ? formatReadableDate(chat.createdAt) : 'Unknown'}`);
   lines.push(`- Updated: ${chat.updatedAt ? formatReadableDate(chat.updatedAt) : 'Unknown'}`);
   lines.push('');
-  (chat.messages || []).forEach((message) => {
+  getActiveBranch(chat).forEach((message) => {
     const roleLabel = message.role === 'assistant' ? 'Assistant' : 'User';
     lines.push(`## ${roleLabel}`);
     lines.push('');
@@ -2787,9 +4962,130 @@ function applySettingsPatch(base, partial) {
     next.ollamaEndpoint = endpoint || DEFAULT_SETTINGS.ollamaEndpoint;
   }
 
+  if (partial.endpointProfiles !== undefined) {
+    next.endpointProfiles = normalizeEndpointProfiles(
+      mergeEndpointCredentials(partial.endpointProfiles, base.endpointProfiles),
+      next
+    );
+  } else {
+    // The Connection settings only switch between Ollama and ChatGPT-compatible; other flavours are kept
+    // unless that toggle itself changes.
+    next.endpointProfiles = normalizeEndpointProfiles(next.endpointProfiles, next).map((profile) => {
+      if (profile.id !== DEFAULT_ENDPOINT_PROFILE_ID) {
+        return profile;
+      }
+      const updated = { ...profile };
+      if (partial.ollamaEndpoint !== undefined) {
+        updated.url = next.ollamaEndpoint;
+      }
+      if (partial.useOpenAICompatibleEndpoint !== undefined) {
+        updated.apiFlavor = next.useOpenAICompatibleEndpoint ? 'openai' : 'ollama';
+      }
+      return updated;
+    });
+  }
+  next.ollamaEndpoint = next.endpointProfiles[0].url;
+  next.useOpenAICompatibleEndpoint = next.endpointProfiles[0].apiFlavor === 'openai';
+
+  if (partial.searchProvider !== undefined) {
+    next.searchProvider = normalizeSearchProvider(partial.searchProvider);
+  }
+
+  if (partial.searxngEndpoint !== undefined) {
+    next.searxngEndpoint = normalizeSearchEndpoint(partial.searxngEndpoint).replace(/\/+$/, '');
+  }
+
+  if (partial.customSearchEndpoint !== undefined) {
+    next.customSearchEndpoint = normalizeSearchEndpoint(partial.customSearchEndpoint);
+  }
+
+  if (partial.embeddingModel !== undefined) {
+    next.embeddingModel = typeof partial.embeddingModel === 'string' ? partial.embeddingModel.trim() : '';
+  }
+
+  if (partial.autoTitleChats !== undefined) {
+    next.autoTitleChats = Boolean(partial.autoTitleChats);
+  }
+
+  if (partial.generationDefaults !== undefined) {
+    next.generationDefaults = normalizeGenerationParams(partial.generationDefaults);
+  }
+
+  if (partial.modelGenerationPresets !== undefined) {
+    next.modelGenerationPresets = normalizeModelGenerationPresets(partial.modelGenerationPresets);
+  }
+
+  if (partial.goalGuardrailMode !== undefined) {
+    next.goalGuardrailMode = normalizeGoalGuardrailMode(partial.goalGuardrailMode) || DEFAULT_SETTINGS.goalGuardrailMode;
+  }
+
+  if (partial.personas !== undefined) {
+    next.personas = normalizePersonas(partial.personas);
+  }
+
+  if (partial.promptTemplates !== undefined) {
+    next.promptTemplates = normalizePromptTemplates(partial.promptTemplates);
+  }
+
+  if (partial.chatFolders !== undefined) {
+    next.chatFolders = Array.isArray(partial.chatFolders)
+      ? Array.from(new Set(partial.chatFolders.map(normalizeChatFolderName).filter(Boolean)))
+      : [];
+  }
+
+  if (partial.localCorpusFolders !== undefined) {
+    next.localCorpusFolders = Array.isArray(partial.localCorpusFolders)
+      ? Array.from(
+          new Set(
+            partial.localCorpusFolders
+              .filter((value) => typeof value === 'string' && path.isAbsolute(value.trim()))
+              .map((value) => path.resolve(value.trim()))
+          )
+        )
+      : [];
+  }
+
   return next;
 }
 
+function normalizeSearchProvider(value) {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return Object.prototype.hasOwnProperty.call(SEARCH_PROVIDERS, normalized)
+    ? normalized
+    : DEFAULT_SETTINGS.searchProvider;
+}
+
+function normalizeSearchEndpoint(value) {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (!trimmed) {
+    return '';
+  }
+  try {
+    const parsed = new URL(trimmed);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? trimmed : '';
+  } catch (err) {
+    return '';
+  }
+}
+
+function extractEndpointHost(value) {
+  try {
+    return new URL(value).hostname || '';
+  } catch (err) {
+    return '';
+  }
+}
+
+function resolveSearchProvider(prefs = getEffectiveSettings()) {
+  const id = normalizeSearchProvider(prefs?.searchProvider);
+  return { id, ...SEARCH_PROVIDERS[id] };
+}
+
+function getSearchConnectivityHost(prefs = getEffectiveSettings()) {
+  const provider = resolveSearchProvider(prefs);
+  return provider.resolveHost(prefs) || 'duckduckgo.com';
+}
+
 function getEffectiveSettings() {
   const safe = sanitizeSettings(settings);
   settings = safe;
@@ -2809,33 +5105,6 @@ function normalizeTheme(theme) {
   return DEFAULT_SETTINGS.theme;
 }
 
-function shouldUseWebSearch(prompt) {
-  if (!prompt) {
-    return false;
-  }
-
-  const lower = prompt.toLowerCase();
-  const questionWords = [
-    'who',
-    'what',
-    'when',
-    'where',
-    'why',
-    'how',
-    'latest',
-    'today',
-    'current',
-    'news',
-    'update',
-    'updates',
-    'breaking',
-  ];
-  const looksLikeQuestion = prompt.trim().endsWith('?');
-  const containsKeyword = questionWords.some((word) => lower.includes(word));
-
-  return looksLikeQuestion || containsKeyword;
-}
-
 async function performWebSearch(queries, options = {}) {
   const uniqueQueries = Array.from(new Set((queries || []).filter(Boolean)));
   if (!uniqueQueries.length) {
@@ -2854,15 +5123,17 @@ async function performWebSearch(queries, options = {}) {
     ? Math.max(1500, Number(options.pageTimeoutMs))
     : 6000;
   const retrievedAt = new Date().toISOString();
+  const providerSettings = options?.settings || getEffectiveSettings();
+  const provider = resolveSearchProvider(providerSettings);
 
   try {
     /* eslint-disable no-await-in-loop */
     for (const query of uniqueQueries) {
       let results = [];
       try {
-        results = await fetchDuckDuckGoResults(query, searchTimeout);
+        results = await provider.search(query, { timeoutMs: searchTimeout, settings: providerSettings });
       } catch (err) {
-        console.error(`DuckDuckGo search failed for "${query}":`, err?.message || err);
+        console.error(`${provider.label} search failed for "${query}":`, err?.message || err);
         continue;
       }
 
@@ -2961,18 +5232,114 @@ async function fetchDuckDuckGoResults(query, timeoutMs) {
         return parsed;
       }
 
-      attemptErrors.push(`${variant.name}: empty`);
-    } catch (err) {
-      attemptErrors.push(`${variant.name}: ${err?.message || err}`);
-    }
+      attemptErrors.push(`${variant.name}: empty`);
+    } catch (err) {
+      attemptErrors.push(`${variant.name}: ${err?.message || err}`);
+    }
+  }
+
+  if (attemptErrors.length) {
+    console.warn(
+      `DuckDuckGo search attempts failed for "${trimmedQuery}": ${attemptErrors.join('; ')}`
+    );
+  }
+  return [];
+}
+
+async function fetchSearxngResults(query, endpoint, timeoutMs) {
+  const trimmedQuery = typeof query === 'string' ? query.trim() : '';
+  if (!trimmedQuery) {
+    return [];
+  }
+  if (!endpoint) {
+    throw new Error('SearXNG endpoint is not configured.');
+  }
+
+  const url = new URL(endpoint);
+  if (!/\/search\/?$/.test(url.pathname)) {
+    url.pathname = `${url.pathname.replace(/\/+$/, '')}/search`;
+  }
+  url.searchParams.set('q', trimmedQuery);
+  url.searchParams.set('format', 'json');
+
+  const response = await fetchWithTimeout(
+    url.toString(),
+    { method: 'GET', headers: { Accept: DUCKDUCKGO_JSON_ACCEPT } },
+    timeoutMs
+  );
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const payload = await response.json();
+  return normalizeJsonSearchResults(payload?.results);
+}
+
+async function fetchCustomJsonResults(query, endpoint, timeoutMs) {
+  const trimmedQuery = typeof query === 'string' ? query.trim() : '';
+  if (!trimmedQuery) {
+    return [];
+  }
+  if (!endpoint) {
+    throw new Error('Custom search endpoint is not configured.');
+  }
+
+  let url;
+  if (endpoint.includes('{query}')) {
+    url = endpoint.split('{query}').join(encodeURIComponent(trimmedQuery));
+  } else {
+    const parsed = new URL(endpoint);
+    parsed.searchParams.set('q', trimmedQuery);
+    url = parsed.toString();
+  }
+
+  const response = await fetchWithTimeout(
+    url,
+    { method: 'GET', headers: { Accept: DUCKDUCKGO_JSON_ACCEPT } },
+    timeoutMs
+  );
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
   }
 
-  if (attemptErrors.length) {
-    console.warn(
-      `DuckDuckGo search attempts failed for "${trimmedQuery}": ${attemptErrors.join('; ')}`
-    );
+  const payload = await response.json();
+  const list = Array.isArray(payload)
+    ? payload
+    : payload?.results || payload?.items || payload?.data || payload?.organic_results;
+  return normalizeJsonSearchResults(list);
+}
+
+// Accepts the loose result shapes used by SearXNG and most search APIs and maps them onto
+// the {title, snippet, summary, url} entries produced by the DuckDuckGo parsers.
+function normalizeJsonSearchResults(list) {
+  if (!Array.isArray(list)) {
+    return [];
   }
-  return [];
+
+  const entries = [];
+  const seen = new Set();
+  list.forEach((item) => {
+    if (!item || typeof item !== 'object') {
+      return;
+    }
+    const rawUrl = item.url || item.link || item.href;
+    const normalizedUrl = typeof rawUrl === 'string' ? rawUrl.trim() : '';
+    if (!/^https?:\/\//i.test(normalizedUrl) || seen.has(normalizedUrl)) {
+      return;
+    }
+    seen.add(normalizedUrl);
+    const rawSnippet = item.snippet || item.content || item.description || item.body || item.summary || '';
+    const cleanSnippet = String(rawSnippet).replace(/\s+/g, ' ').trim();
+    const cleanTitle = String(item.title || item.name || '').trim();
+    entries.push({
+      title: cleanTitle || normalizedUrl,
+      snippet: cleanSnippet,
+      summary: cleanSnippet,
+      url: normalizedUrl,
+    });
+  });
+
+  return entries.slice(0, 12);
 }
 
 function buildDuckDuckGoHeaders(type, extraHeaders = {}) {
@@ -3544,6 +5911,7 @@ async function generateQuerySuggestions({
   timeline,
   existingQueries = [],
   maxSuggestions = 2,
+  endpointProfileId = null,
 }) {
   if (!model || !Array.isArray(timeline) || !timeline.length) {
     return [];
@@ -3607,7 +5975,7 @@ async function generateQuerySuggestions({
   ];
 
   try {
-    const response = await chatCompletion(model, messages, { timeoutMs: 20000 });
+    const response = await chatCompletion(model, messages, { timeoutMs: 20000, endpointProfileId });
     const parsed = extractJsonObjectFromText(response.content);
     if (!parsed || !Array.isArray(parsed.queries)) {
       return [];
@@ -3622,462 +5990,454 @@ async function generateQuerySuggestions({
   }
 }
 
-function createSearchPlan(prompt, prefs = getDefaultSettings(), userPrompt = '', options = {}) {
-  const historyPrompt = typeof prompt === 'string' ? prompt : '';
-  const trimmedHistory = historyPrompt.trim();
-  const trimmedUserPrompt = typeof userPrompt === 'string' ? userPrompt.trim() : '';
-  const analysisPrompt = trimmedUserPrompt || trimmedHistory;
-  if (!analysisPrompt) {
-    return {
-      shouldSearch: false,
-      queries: [],
-      genericFresh: false,
-      message: '',
-      disabled: prefs?.autoWebSearch === false,
-    };
-  }
-
-  const autoEnabled = prefs?.autoWebSearch !== false;
-  const directiveInfo = extractDirectiveQuery(trimmedUserPrompt || trimmedHistory);
-  const directiveQuery = directiveInfo.query;
-  const directiveDetected = directiveInfo.detected;
-  const hasRecentContext = Boolean(options?.hasRecentContext);
-  const focusTerms = Array.isArray(options?.focusTerms)
-    ? options.focusTerms.filter((value) => typeof value === 'string' && value.trim().length > 0)
-    : [];
-  const conversationConfidence =
-    typeof options?.conversationConfidence === 'number'
-      ? Math.max(0, Math.min(1, options.conversationConfidence))
-      : 0;
-  const conversationCoverage =
-    typeof options?.conversationCoverage === 'number'
-      ? Math.max(0, Math.min(1, options.conversationCoverage))
-      : 0;
-  const missingTerms = Array.isArray(options?.missingTerms)
-    ? options.missingTerms.map((token) => String(token || '').trim()).filter(Boolean)
-    : [];
-  const promptTokenCount = Number.isFinite(options?.promptTokenCount) ? options.promptTokenCount : null;
-  const longRunning = Boolean(options?.longRunning);
-  const goalAligned = options?.goalAligned !== false;
-  const assistantTurns = Number.isFinite(options?.assistantTurns) ? options.assistantTurns : 0;
-  const webContextTurns = Number.isFinite(options?.webContextTurns) ? options.webContextTurns : 0;
-
-  if (directiveDetected && !directiveQuery) {
-    return {
-      shouldSearch: false,
-      queries: [],
-      genericFresh: false,
-      message: 'Targeted request detected with no searchable title—using provided references only.',
-      disabled: false,
-    };
-  }
-
-  if (
-    hasRecentContext &&
-    !directiveDetected &&
-    trimmedUserPrompt &&
-    (isReferentialFollowUp(trimmedUserPrompt) || focusTerms.length === 0)
-  ) {
-    return {
-      shouldSearch: false,
-      queries: [],
-      genericFresh: false,
-      message: 'Clarifying follow-up detected – using existing web context.',
-      disabled: false,
-    };
+// A persona's own prompt replaces the built-in instructions; the web search directive rules are always
+// appended because the search pipeline depends on them.
+function buildBaseSystemPrompt({ allowWebSearch = true, persona = null } = {}) {
+  const lines = persona?.systemPrompt
+    ? [persona.systemPrompt]
+    : [
+        'You are a precise assistant that values factual accuracy and depth.',
+        'Use the conversation history and supplied context to craft comprehensive, user-facing answers.',
+        'Prioritize the existing conversation memory over new web searches; rely on dialogue unless essential details are missing.',
+        'Never assume the user can open a website—surface the key facts directly in your reply.',
+        'Cite the source domain in parentheses when you use supplied context.',
+        'If the provided context does not answer the question, say you do not know.',
+      ];
+
+  if (allowWebSearch) {
+    lines.push(
+      'When you truly require fresh web information, reply with exactly [[search: your query]] and nothing else, then wait for new context before answering.',
+      'Do not emit the [[search: …]] directive unless the conversation and provided context cannot answer the request.'
+    );
+  } else {
+    lines.push(
+      'Web search is unavailable for this conversation. Never emit a [[search: …]] directive; answer from the conversation and supplied context only.'
+    );
   }
 
-  const basePrompt = directiveQuery || analysisPrompt;
-
-  const genericFresh = !directiveDetected && isGenericFreshInfoPrompt(basePrompt);
-  const baseShouldSearch = shouldUseWebSearch(basePrompt);
+  return lines.join(' ');
+}
 
-  let queries;
-  if (directiveQuery) {
-    queries = [directiveQuery];
-  } else if (focusTerms.length) {
-    queries = buildQueriesFromFocusTerms(focusTerms, trimmedUserPrompt || basePrompt, options.initialGoal);
+function buildGoalInstruction(initialGoal, latestPrompt, { strict = true } = {}) {
+  const lines = ['Conversation objective:', initialGoal, ''];
+  if (strict) {
+    lines.push(
+      'Every answer must drive progress on this objective. Use follow-up questions to refine or extend the same goal, not to replace it.',
+      'If the user attempts to pivot away from this goal, remind them of the original objective and suggest starting a new chat for the new topic before offering assistance.'
+    );
   } else {
-    queries = generateSearchQueries(basePrompt);
-  }
-  if (options.initialGoal) {
-    queries.push(options.initialGoal);
-  }
-  queries = Array.from(new Set(queries.filter(Boolean)));
-
-  if (!autoEnabled) {
-    return {
-      shouldSearch: false,
-      queries: queries.length ? queries : [basePrompt],
-      genericFresh,
-      message: 'Web search is disabled in settings.',
-      disabled: true,
-    };
+    lines.push(
+      'Treat this objective as background. Connect answers to it when relevant, but answer follow-ups on other topics directly without redirecting the user.'
+    );
   }
 
-  const hasQueries = queries.length > 0;
-  let shouldSearch = autoEnabled ? hasQueries || baseShouldSearch || genericFresh : baseShouldSearch || genericFresh;
-  const minimalGaps =
-    missingTerms.length === 0 ||
-    (missingTerms.length === 1 && (promptTokenCount === null || promptTokenCount > 1));
-  let overrideMessage = null;
-
-  if (!directiveDetected) {
-    const highConfidence = conversationConfidence >= 0.65;
-    const veryHighConfidence = conversationConfidence >= 0.85;
-
-    if (veryHighConfidence && !genericFresh) {
-      shouldSearch = false;
-    } else if (
-      highConfidence &&
-      !genericFresh &&
-      minimalGaps &&
-      (conversationCoverage >= 0.6 || !baseShouldSearch)
-    ) {
-      shouldSearch = false;
-    } else if (highConfidence && longRunning && !genericFresh && conversationCoverage >= 0.55) {
-      shouldSearch = false;
-    }
-
-    if (!goalAligned) {
-      shouldSearch = false;
-      overrideMessage = 'Staying on the original objective – skipping new web search.';
-    } else if (assistantTurns >= 2) {
-      if (webContextTurns >= 1) {
-        shouldSearch = false;
-        overrideMessage = 'Reusing earlier web findings instead of refreshing search results.';
-      } else if (
-        !genericFresh &&
-        minimalGaps &&
-        (conversationCoverage >= 0.3 || conversationConfidence >= 0.5)
-      ) {
-        shouldSearch = false;
-        overrideMessage = 'Existing context covers this follow-up – no new web search required.';
-      } else if (shouldSearch) {
-        queries = queries.slice(0, Math.min(2, queries.length));
-        overrideMessage = 'Focused refresh of web context to refine the original goal.';
-      }
-    }
+  if (latestPrompt && latestPrompt.trim() && latestPrompt.length < 240) {
+    lines.push('', 'Latest user request:', latestPrompt.trim());
   }
 
-  const directiveSummary = directiveQuery ? truncateForSearch(directiveQuery, 120) : '';
-  let message = directiveQuery
-    ? `Targeted request detected – gathering information for "${directiveSummary}".`
-    : genericFresh
-      ? 'Broad request detected – gathering current headlines.'
-      : autoEnabled
-        ? 'Automatic web search is enabled – gathering supporting snippets.'
-        : 'Collecting supporting information from the web.';
-
-  if (!directiveDetected && !genericFresh && !shouldSearch && conversationConfidence >= 0.65) {
-    message = 'Leaning on conversation memory – no new web search required.';
-  }
-  if (overrideMessage) {
-    message = overrideMessage;
-  }
+  return lines.join('\n');
+}
 
-  return {
-    shouldSearch,
-    queries: queries.length ? queries : [basePrompt],
-    genericFresh,
-    message,
-    disabled: false,
-  };
+function buildGoalGuardrailInstruction(initialGoal) {
+  return [
+    'Guardrail:',
+    'Do not switch tasks during this chat.',
+    `If the user asks for something unrelated, restate that the active goal is: ${initialGoal}`,
+    'Politely offer to begin a new chat for any unrelated requests and steer the conversation back to the original objective.',
+  ].join('\n');
 }
 
-function isGenericFreshInfoPrompt(prompt) {
-  const lower = prompt.toLowerCase();
-  const genericPhrases = [
-    'latest news',
-    'whats the latest news',
-    "what's the latest news",
-    'what is the latest news',
-    'what is happening',
-    "what's happening",
-    'current events',
-    'latest updates',
-    'latest headlines',
-    'breaking news',
+function buildContextInstruction({ context, retrievedAt, genericFresh }) {
+  const lines = [
+    'Incorporate the verified facts from the context below when answering.',
+    'Never invent information that is not supported by the context or prior conversation.',
+    'If the web context directly answers the question, use it; otherwise fall back to the prior conversation.',
+    'Give precedence to user-provided links when they are relevant to the question.',
+    'Refer to uploaded files using the notation (uploaded: filename) when you cite them.',
+    'Refer to local documents using the notation (local: path) when you cite them.',
+    'Provide a thorough, well-structured answer that explains key details and the implications of those facts.',
+    'Draw connections between sources when helpful and end with clear takeaways or next steps when appropriate.',
   ];
 
-  if (genericPhrases.some((phrase) => lower === phrase || lower.startsWith(`${phrase} `))) {
-    return true;
+  if (genericFresh) {
+    lines.push(
+      'Summarize the most important updates as concise bullet points, grouped by theme when possible.'
+    );
+    lines.push('Mention each source domain in parentheses and include a short closing takeaway.');
+  } else {
+    lines.push('Reference the source domain in parentheses after key facts.');
   }
 
-  if (prompt.split(/\s+/).length <= 4 && /latest|news|update|updates|headlines/.test(lower)) {
-    return true;
+  if (retrievedAt) {
+    lines.push('', `Context retrieved: ${formatReadableDate(retrievedAt)}`);
   }
 
-  return false;
+  lines.push('', 'Context:', context);
+  return lines.join('\n');
 }
 
-function extractDirectiveQuery(prompt) {
-  const result = { detected: false, query: '' };
-
-  if (!prompt || typeof prompt !== 'string') {
-    return result;
+function formatReadableDate(isoString) {
+  try {
+    const date = new Date(isoString);
+    return new Intl.DateTimeFormat('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(date);
+  } catch (err) {
+    return isoString;
   }
+}
 
-  const directivePattern =
-    /(fetch|get)\s+(?:me\s+)?(?:this|that|the)?\s*(?:page|information|article|details|story|resource|data)(?:\s+(?:about|on|regarding)\s+)?(.*)/i;
-  const triggerPattern =
-    /(fetch|get)\s+(?:me\s+)?(?:this|that|the)?\s*(?:page|information|article|details|story|resource|data)/i;
-
-  if (!triggerPattern.test(prompt.toLowerCase())) {
-    return result;
+function resolveHostname(url) {
+  if (!url || typeof url !== 'string') {
+    return '';
   }
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (err) {
+    return '';
+  }
+}
 
-  result.detected = true;
-
-  const lines = prompt.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
-
-  for (let i = 0; i < lines.length; i += 1) {
-    const line = lines[i];
-    if (!triggerPattern.test(line.toLowerCase())) {
-      continue;
-    }
-
-    let candidate = '';
-
-    const colonIndex = line.lastIndexOf(':');
-    if (colonIndex !== -1 && colonIndex < line.length - 1) {
-      candidate = line.slice(colonIndex + 1).trim();
-    }
+function formatSearchEntries(entries, retrievedAt, queries) {
+  const header = [
+    `Fresh context collected ${formatReadableDate(retrievedAt)}:`,
+    queries.length ? `Queries used: ${queries.join(', ')}` : '',
+    '',
+  ]
+    .filter(Boolean)
+    .join('\n');
 
-    if (!candidate) {
-      const match = line.match(directivePattern);
-      if (match && match[2]) {
-        candidate = match[2].trim();
+  const body = entries
+    .map((entry) => {
+      const lines = [`• ${entry.title}`];
+      if (entry.summary) {
+        lines.push(entry.summary);
+      } else if (entry.snippet) {
+        lines.push(entry.snippet);
       }
-    }
-
-    if (!candidate) {
-      const quoted = line.match(/["“'‘](.+?)["”'’]$/);
-      if (quoted && quoted[1]) {
-        candidate = quoted[1].trim();
+      if (entry.url) {
+        const host = resolveHostname(entry.url);
+        lines.push(host ? `Source: ${host} (${entry.url})` : `Source: ${entry.url}`);
       }
-    }
+      return lines.join('\n');
+    })
+    .join('\n\n');
 
-    if (!candidate && i + 1 < lines.length) {
-      candidate = lines[i + 1];
-    }
+  return `${header}${body}`;
+}
 
-    if (!candidate && i > 0) {
-      candidate = lines[i - 1];
-    }
+function getLocalCorpusStatus() {
+  const folders = getEffectiveSettings().localCorpusFolders || [];
+  const documents = Array.isArray(localIndex?.documents) ? localIndex.documents : [];
+  return {
+    folders: folders.map((folder) => ({
+      path: folder,
+      documentCount: documents.filter((doc) => doc.folder === folder).length,
+    })),
+    documentCount: documents.length,
+    chunkCount: Array.isArray(localIndex?.chunks) ? localIndex.chunks.length : 0,
+    builtAt: localIndex?.builtAt || null,
+    indexing: Boolean(localIndexBuildPromise),
+  };
+}
 
-    const cleaned = cleanDirectiveQuery(candidate);
-    if (cleaned) {
-      return { detected: true, query: cleaned };
-    }
+async function ensureLocalIndexLoaded() {
+  if (localIndex) {
+    return;
   }
 
-  const fallbackMatch = prompt.match(directivePattern);
-  if (fallbackMatch && fallbackMatch[2]) {
-    const cleaned = cleanDirectiveQuery(fallbackMatch[2]);
-    if (cleaned) {
-      return { detected: true, query: cleaned };
+  localIndexPath = path.join(app.getPath('userData'), LOCAL_INDEX_FILE);
+  try {
+    const contents = await fsPromises.readFile(localIndexPath, 'utf8');
+    const parsed = JSON.parse(contents);
+    localIndex =
+      parsed && parsed.version === LOCAL_INDEX_VERSION && Array.isArray(parsed.chunks)
+        ? parsed
+        : createEmptyLocalIndex();
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to load local document index:', err);
     }
+    localIndex = createEmptyLocalIndex();
   }
-
-  return result;
+  localIndexStats = null;
 }
 
-function cleanDirectiveQuery(raw) {
-  if (!raw || typeof raw !== 'string') {
-    return '';
-  }
-
-  let value = raw.trim();
-  if (!value) {
-    return '';
-  }
-
-  if (/^https?:\/\//i.test(value)) {
-    return '';
-  }
-
-  value = value
-    .replace(/^(?:fetch|get)\s+(?:me\s+)?(?:this|that|the)?\s*(?:page|information|article|details|story|resource|data)/i, '')
-    .replace(/^[:\-–—\s]+/, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  if (!value || value.length < 3) {
-    return '';
-  }
+function createEmptyLocalIndex() {
+  return { version: LOCAL_INDEX_VERSION, builtAt: null, documents: [], chunks: [] };
+}
 
-  return value;
+// A build reads the folder list when it starts, so a change made mid-build queues one more pass.
+function rebuildLocalIndex() {
+  if (localIndexBuildPromise) {
+    localIndexRebuildPending = true;
+    return localIndexBuildPromise;
+  }
+  localIndexBuildPromise = (async () => {
+    do {
+      localIndexRebuildPending = false;
+      await buildLocalIndex();
+    } while (localIndexRebuildPending);
+  })().finally(() => {
+    localIndexBuildPromise = null;
+  });
+  return localIndexBuildPromise;
 }
 
-function generateSearchQueries(prompt) {
-  const trimmed = prompt.trim();
-  if (!trimmed) {
-    return [];
-  }
+async function buildLocalIndex() {
+  await ensureLocalIndexLoaded();
+  const folders = getEffectiveSettings().localCorpusFolders || [];
+  const previousDocs = new Map((localIndex.documents || []).map((doc, index) => [doc.path, { doc, index }]));
+  const previousChunks = new Map();
+  (localIndex.chunks || []).forEach((chunk) => {
+    const list = previousChunks.get(chunk.doc) || [];
+    list.push(chunk);
+    previousChunks.set(chunk.doc, list);
+  });
 
-  const lower = trimmed.toLowerCase();
-  const queries = new Set([trimmed]);
-  const today = new Date();
-  const isoDate = today.toISOString().split('T')[0];
-  const readableDate = new Intl.DateTimeFormat('en-US', {
-    month: 'long',
-    day: 'numeric',
-    year: 'numeric',
-  }).format(today);
+  const documents = [];
+  const chunks = [];
+  let totalBytes = 0;
 
-  if (lower.includes('news')) {
-    const topic = extractNewsTopic(trimmed);
-    const focus = topic || 'world';
-    queries.add(`${focus} news ${readableDate}`);
-    queries.add(`breaking ${focus} news ${isoDate}`);
-    queries.add(`top ${focus} headlines ${isoDate}`);
-  } else if (lower.includes('update') || lower.includes('latest')) {
-    const keyword = trimmed
-      .replace(/(what('?s)?|is|are|the|latest|updates|update)/gi, '')
-      .trim() || 'latest developments';
-    queries.add(`${keyword} updates ${readableDate}`);
-    queries.add(`${keyword} developments ${isoDate}`);
-  }
+  /* eslint-disable no-await-in-loop */
+  for (const folder of folders) {
+    const files = await collectIndexableFiles(folder, LOCAL_INDEX_MAX_FILES - documents.length);
+    for (const file of files) {
+      if (totalBytes + file.size > LOCAL_INDEX_MAX_TOTAL_BYTES) {
+        break;
+      }
 
-  return Array.from(queries).slice(0, 4);
-}
+      const docIndex = documents.length;
+      const previous = previousDocs.get(file.path);
+      if (previous && previous.doc.mtimeMs === file.mtimeMs && previous.doc.size === file.size) {
+        documents.push({ ...previous.doc, folder });
+        (previousChunks.get(previous.index) || []).forEach((chunk) => chunks.push({ ...chunk, doc: docIndex }));
+        totalBytes += file.size;
+        continue;
+      }
+
+      let content;
+      try {
+        content = await fsPromises.readFile(file.path, 'utf8');
+      } catch (err) {
+        console.warn(`Skipping unreadable local document ${file.path}:`, err?.message || err);
+        continue;
+      }
+      if (!content.trim() || isLikelyBinary(content)) {
+        continue;
+      }
 
-function extractNewsTopic(prompt) {
-  const match = prompt.match(/latest\s+news(?:\s+(?:about|on|regarding))?\s*(.*)/i);
-  if (match && match[1]) {
-    const topic = match[1].trim();
-    if (topic) {
-      return topic;
+      documents.push({ path: file.path, folder, mtimeMs: file.mtimeMs, size: file.size });
+      splitIntoIndexChunks(content).forEach((text) => {
+        const terms = {};
+        const tokens = tokenizeForIndex(text);
+        tokens.forEach((token) => {
+          terms[token] = (terms[token] || 0) + 1;
+        });
+        chunks.push({ doc: docIndex, text, terms, length: tokens.length });
+      });
+      totalBytes += file.size;
+    }
+    if (documents.length >= LOCAL_INDEX_MAX_FILES || totalBytes >= LOCAL_INDEX_MAX_TOTAL_BYTES) {
+      break;
     }
   }
+  /* eslint-enable no-await-in-loop */
 
-  const aboutMatch = prompt.match(/news\s+(?:about|on|regarding)\s+(.*)/i);
-  if (aboutMatch && aboutMatch[1]) {
-    return aboutMatch[1].trim();
-  }
+  localIndex = {
+    version: LOCAL_INDEX_VERSION,
+    builtAt: new Date().toISOString(),
+    documents,
+    chunks,
+  };
+  localIndexStats = null;
 
-  return '';
+  await writeJsonFile(localIndexPath, localIndex);
+  return localIndex;
 }
 
-function buildBaseSystemPrompt() {
-  return [
-    'You are a precise assistant that values factual accuracy and depth.',
-    'Use the conversation history and supplied context to craft comprehensive, user-facing answers.',
-    'Prioritize the existing conversation memory over new web searches; rely on dialogue unless essential details are missing.',
-    'Never assume the user can open a website—surface the key facts directly in your reply.',
-    'Cite the source domain in parentheses when you use supplied context.',
-    'If the provided context does not answer the question, say you do not know.',
-    'When you truly require fresh web information, reply with exactly [[search: your query]] and nothing else, then wait for new context before answering.',
-    'Do not emit the [[search: …]] directive unless the conversation and provided context cannot answer the request.',
-  ].join(' ');
-}
+async function collectIndexableFiles(root, maxFiles) {
+  const files = [];
+  const pending = [root];
 
-function buildGoalInstruction(initialGoal, latestPrompt) {
-  const lines = [
-    'Conversation objective:',
-    initialGoal,
-    '',
-    'Every answer must drive progress on this objective. Use follow-up questions to refine or extend the same goal, not to replace it.',
-    'If the user attempts to pivot away from this goal, remind them of the original objective and suggest starting a new chat for the new topic before offering assistance.',
-  ];
+  /* eslint-disable no-await-in-loop */
+  while (pending.length && files.length < maxFiles) {
+    const directory = pending.shift();
+    let dirents;
+    try {
+      dirents = await fsPromises.readdir(directory, { withFileTypes: true });
+    } catch (err) {
+      console.warn(`Unable to read local folder ${directory}:`, err?.message || err);
+      continue;
+    }
 
-  if (latestPrompt && latestPrompt.trim() && latestPrompt.length < 240) {
-    lines.push('', 'Latest user request:', latestPrompt.trim());
+    for (const dirent of dirents) {
+      if (dirent.name.startsWith('.')) {
+        continue;
+      }
+      const fullPath = path.join(directory, dirent.name);
+      if (dirent.isDirectory()) {
+        if (!LOCAL_INDEX_SKIPPED_DIRECTORIES.has(dirent.name)) {
+          pending.push(fullPath);
+        }
+        continue;
+      }
+      if (!dirent.isFile() || !SUPPORTED_ATTACHMENT_EXTENSIONS.has(path.extname(dirent.name).toLowerCase())) {
+        continue;
+      }
+      try {
+        const stats = await fsPromises.stat(fullPath);
+        if (stats.size > 0 && stats.size <= LOCAL_INDEX_MAX_FILE_BYTES) {
+          files.push({ path: fullPath, size: stats.size, mtimeMs: stats.mtimeMs });
+        }
+      } catch (err) {
+        continue;
+      }
+      if (files.length >= maxFiles) {
+        break;
+      }
+    }
   }
+  /* eslint-enable no-await-in-loop */
 
-  return lines.join('\n');
+  return files;
 }
 
-function buildGoalGuardrailInstruction(initialGoal) {
-  return [
-    'Guardrail:',
-    'Do not switch tasks during this chat.',
-    `If the user asks for something unrelated, restate that the active goal is: ${initialGoal}`,
-    'Politely offer to begin a new chat for any unrelated requests and steer the conversation back to the original objective.',
-  ].join('\n');
-}
+function splitIntoIndexChunks(content) {
+  const paragraphs = content.replace(/\r\n/g, '\n').split(/\n\s*\n/);
+  const chunks = [];
+  let current = '';
 
-function buildContextInstruction({ context, retrievedAt, genericFresh }) {
-  const lines = [
-    'Incorporate the verified facts from the context below when answering.',
-    'Never invent information that is not supported by the context or prior conversation.',
-    'If the web context directly answers the question, use it; otherwise fall back to the prior conversation.',
-    'Give precedence to user-provided links when they are relevant to the question.',
-    'Refer to uploaded files using the notation (uploaded: filename) when you cite them.',
-    'Provide a thorough, well-structured answer that explains key details and the implications of those facts.',
-    'Draw connections between sources when helpful and end with clear takeaways or next steps when appropriate.',
-  ];
+  paragraphs.forEach((paragraph) => {
+    const trimmed = paragraph.trim();
+    if (!trimmed) {
+      return;
+    }
+    if (current && current.length + trimmed.length + 2 > LOCAL_INDEX_CHUNK_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+    if (trimmed.length > LOCAL_INDEX_CHUNK_CHARS) {
+      for (let offset = 0; offset < trimmed.length; offset += LOCAL_INDEX_CHUNK_CHARS) {
+        chunks.push(trimmed.slice(offset, offset + LOCAL_INDEX_CHUNK_CHARS));
+      }
+      return;
+    }
+    current = current ? `${current}\n\n${trimmed}` : trimmed;
+  });
 
-  if (genericFresh) {
-    lines.push(
-      'Summarize the most important updates as concise bullet points, grouped by theme when possible.'
-    );
-    lines.push('Mention each source domain in parentheses and include a short closing takeaway.');
-  } else {
-    lines.push('Reference the source domain in parentheses after key facts.');
+  if (current) {
+    chunks.push(current);
   }
+  return chunks;
+}
 
-  if (retrievedAt) {
-    lines.push('', `Context retrieved: ${formatReadableDate(retrievedAt)}`);
+function tokenizeForIndex(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
   }
 
-  lines.push('', 'Context:', context);
-  return lines.join('\n');
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter((token) => token && token.length > 1 && !TOKEN_STOP_WORDS.has(token));
 }
 
-function formatReadableDate(isoString) {
-  try {
-    const date = new Date(isoString);
-    return new Intl.DateTimeFormat('en-US', {
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-    }).format(date);
-  } catch (err) {
-    return isoString;
+function getLocalIndexStats() {
+  if (localIndexStats) {
+    return localIndexStats;
   }
+
+  const documentFrequency = new Map();
+  let totalLength = 0;
+  localIndex.chunks.forEach((chunk) => {
+    totalLength += chunk.length;
+    Object.keys(chunk.terms || {}).forEach((term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  localIndexStats = {
+    documentFrequency,
+    averageLength: localIndex.chunks.length ? totalLength / localIndex.chunks.length : 0,
+  };
+  return localIndexStats;
 }
 
-function resolveHostname(url) {
-  if (!url || typeof url !== 'string') {
-    return '';
+// Ranks indexed chunks with Okapi BM25 (k1 = 1.2, b = 0.75) and keeps the best chunk per file.
+async function searchLocalCorpus(queries, options = {}) {
+  await ensureLocalIndexLoaded();
+  if (!localIndex.chunks.length) {
+    return [];
   }
-  try {
-    return new URL(url).hostname.replace(/^www\./, '');
-  } catch (err) {
-    return '';
+
+  const terms = Array.from(
+    new Set((queries || []).flatMap((query) => tokenizeForIndex(String(query || ''))))
+  );
+  if (!terms.length) {
+    return [];
   }
-}
 
-function formatSearchEntries(entries, retrievedAt, queries) {
-  const header = [
-    `Fresh context collected ${formatReadableDate(retrievedAt)}:`,
-    queries.length ? `Queries used: ${queries.join(', ')}` : '',
-    '',
-  ]
-    .filter(Boolean)
-    .join('\n');
+  const limit = Number.isFinite(options?.limit) ? Math.max(1, options.limit) : LOCAL_INDEX_MAX_RESULTS;
+  const { documentFrequency, averageLength } = getLocalIndexStats();
+  const totalChunks = localIndex.chunks.length;
+  const k1 = 1.2;
+  const lengthWeight = 0.75;
+  const bestByDoc = new Map();
 
-  const body = entries
-    .map((entry) => {
-      const lines = [`• ${entry.title}`];
-      if (entry.summary) {
-        lines.push(entry.summary);
-      } else if (entry.snippet) {
-        lines.push(entry.snippet);
-      }
-      if (entry.url) {
-        const host = resolveHostname(entry.url);
-        lines.push(host ? `Source: ${host} (${entry.url})` : `Source: ${entry.url}`);
+  localIndex.chunks.forEach((chunk) => {
+    let score = 0;
+    terms.forEach((term) => {
+      const frequency = chunk.terms?.[term];
+      if (!frequency) {
+        return;
       }
-      return lines.join('\n');
-    })
-    .join('\n\n');
+      const df = documentFrequency.get(term) || 0;
+      const idf = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+      const norm = 1 - lengthWeight + lengthWeight * (averageLength ? chunk.length / averageLength : 1);
+      score += idf * ((frequency * (k1 + 1)) / (frequency + k1 * norm));
+    });
+    if (score <= 0) {
+      return;
+    }
+    const existing = bestByDoc.get(chunk.doc);
+    if (!existing || existing.score < score) {
+      bestByDoc.set(chunk.doc, { chunk, score });
+    }
+  });
 
-  return `${header}${body}`;
+  return Array.from(bestByDoc.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ chunk, score }) => {
+      const doc = localIndex.documents[chunk.doc] || {};
+      const relativePath = doc.folder ? path.join(path.basename(doc.folder), path.relative(doc.folder, doc.path)) : doc.path;
+      return {
+        title: relativePath,
+        snippet: truncateSnippet(chunk.text.replace(/\s+/g, ' ').trim()),
+        summary: chunk.text.trim(),
+        path: doc.path,
+        relativePath,
+        score: Number(score.toFixed(3)),
+      };
+    });
+}
+
+function formatLocalCorpusEntries(entries) {
+  if (!Array.isArray(entries) || !entries.length) {
+    return '';
+  }
+
+  const lines = ['Local documents matching this request:'];
+  entries.forEach((entry) => {
+    lines.push('', `• ${entry.title}`, entry.summary, `Source: (local: ${entry.relativePath})`);
+  });
+  return lines.join('\n');
 }
 
 function decodeDuckDuckGoUrl(href) {
@@ -4139,13 +6499,14 @@ function truncateSnippet(snippet) {
 }
 
 
-function hasNetworkConnectivity(timeoutMs = 2500, cacheMs = 5000) {
+function hasNetworkConnectivity(host = 'duckduckgo.com', timeoutMs = 2500, cacheMs = 5000) {
   if (!dnsPromises || typeof dnsPromises.lookup !== 'function') {
     return Promise.resolve(true);
   }
 
+  const lookupHost = host || 'duckduckgo.com';
   const now = Date.now();
-  if (now - lastConnectivityCheck < cacheMs) {
+  if (lookupHost === lastConnectivityHost && now - lastConnectivityCheck < cacheMs) {
     return Promise.resolve(lastConnectivityStatus);
   }
 
@@ -4157,6 +6518,7 @@ function hasNetworkConnectivity(timeoutMs = 2500, cacheMs = 5000) {
       }
       settled = true;
       lastConnectivityCheck = Date.now();
+      lastConnectivityHost = lookupHost;
       lastConnectivityStatus = status;
       resolve(status);
     };
@@ -4164,7 +6526,7 @@ function hasNetworkConnectivity(timeoutMs = 2500, cacheMs = 5000) {
     const timer = setTimeout(() => finalize(false), timeoutMs);
 
     dnsPromises
-      .lookup('duckduckgo.com')
+      .lookup(lookupHost)
       .then(() => {
         clearTimeout(timer);
         finalize(true);
@@ -4478,19 +6840,6 @@ function buildSearchPrompt(chat, currentPrompt) {
   return contextParts.join('\n\n');
 }
 
-function truncateForSearch(text, maxChars = 1200) {
-  if (!text || typeof text !== 'string') {
-    return '';
-  }
-
-  const normalized = text.replace(/\s+/g, ' ').trim();
-  if (normalized.length <= maxChars) {
-    return normalized;
-  }
-
-  return `${normalized.slice(0, maxChars - 1)}…`;
-}
-
 function hasRecentWebContext(chat) {
   if (!chat || !Array.isArray(chat.messages)) {
     return false;
@@ -4514,38 +6863,6 @@ function hasRecentWebContext(chat) {
   return false;
 }
 
-function isReferentialFollowUp(prompt) {
-  if (!prompt || typeof prompt !== 'string') {
-    return false;
-  }
-
-  const normalized = prompt
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .trim();
-
-  if (!normalized) {
-    return false;
-  }
-
-  const tokens = normalized.split(/\s+/).filter(Boolean);
-  if (!tokens.length) {
-    return false;
-  }
-
-  const meaningful = tokens.filter((token) => !REFERENTIAL_FOLLOW_UP_STOP_WORDS.has(token));
-
-  if (!meaningful.length) {
-    return true;
-  }
-
-  if (tokens.length <= 4 && meaningful.length === 1 && meaningful[0].length <= 3) {
-    return true;
-  }
-
-  return false;
-}
-
 function deriveFollowUpFocus(chat, prompt) {
   if (!chat || !Array.isArray(chat.messages) || !prompt) {
     return [];
@@ -4615,37 +6932,42 @@ function countWebContextTurns(chat) {
   }, 0);
 }
 
-function isPromptAlignedWithGoal(initialGoal, prompt) {
+// Returns the verdict along with the overlap it was based on so the Thoughts panel can explain it.
+function assessGoalAlignment(initialGoal, prompt) {
+  const result = { aligned: true, sharedTerms: [], promptCoverage: null };
   if (!initialGoal || !prompt) {
-    return true;
+    return result;
   }
 
   const goalTokens = tokenizeForComparison(initialGoal);
   const promptTokens = tokenizeForComparison(prompt);
 
   if (!goalTokens.length || !promptTokens.length) {
-    return true;
+    return result;
   }
 
   const goalSet = new Set(goalTokens);
   const overlap = promptTokens.filter((token) => goalSet.has(token));
+  const promptCoverage = overlap.length / promptTokens.length;
+  const goalCoverage = overlap.length / goalSet.size;
+  result.sharedTerms = Array.from(new Set(overlap)).slice(0, 8);
+  result.promptCoverage = Number(promptCoverage.toFixed(2));
+
   if (!overlap.length) {
-    return promptTokens.length <= 1;
+    result.aligned = promptTokens.length <= 1;
+    return result;
   }
 
   if (promptTokens.length <= 2) {
-    return true;
+    return result;
   }
 
-  const promptCoverage = overlap.length / promptTokens.length;
-  const goalCoverage = overlap.length / goalSet.size;
-
-  return (
+  result.aligned =
     overlap.length >= 3 ||
     promptCoverage >= 0.4 ||
     goalCoverage >= 0.5 ||
-    (promptTokens.length <= 4 && overlap.length >= 1)
-  );
+    (promptTokens.length <= 4 && overlap.length >= 1);
+  return result;
 }
 
 function limitContextForFollowUp(text, maxSegments = 2, maxChars = 1200) {
@@ -4762,33 +7084,7 @@ function formatBytes(bytes) {
   return `${value.toFixed(value >= 10 || unitIndex === 0 ? 0 : 1)} ${units[unitIndex]}`;
 }
 
-function buildQueriesFromFocusTerms(terms, fallbackPrompt, initialGoal) {
-  const unique = Array.from(new Set((terms || []).map((term) => term.trim()).filter(Boolean)));
-  if (!unique.length) {
-    const base = fallbackPrompt || initialGoal;
-    return base ? [base] : [];
-  }
-
-  const queries = [];
-  if (unique.length === 1) {
-    queries.push(unique[0]);
-  } else {
-    queries.push(unique.join(' '));
-    unique.slice(0, 3).forEach((term) => queries.push(term));
-  }
-
-  if (fallbackPrompt) {
-    queries.push(fallbackPrompt);
-  }
-
-  if (initialGoal) {
-    queries.push(initialGoal);
-  }
-
-  return queries.slice(0, 4);
-}
-
-function analyzeConversationGrounding(chat, prompt) {
+function analyzeConversationGrounding(chat, prompt, { semanticSimilarity = null } = {}) {
   const empty = {
     confidence: 0,
     coverageRatio: 0,
@@ -4830,7 +7126,11 @@ function analyzeConversationGrounding(chat, prompt) {
   }
 
   const missingTerms = promptTokens.filter((token) => !coverageTokens.has(token));
-  const coverageRatio = promptTokens.length
+  // With embeddings available, coverage reflects how close the prompt is to the closest earlier
+  // message instead of how many of its keywords happen to reappear.
+  const coverageRatio = Number.isFinite(semanticSimilarity)
+    ? Math.max(0, Math.min(1, (semanticSimilarity - 0.3) / 0.45))
+    : promptTokens.length
     ? (promptTokens.length - missingTerms.length) / promptTokens.length
     : 0;
 
@@ -4892,6 +7192,227 @@ function analyzeConversationGrounding(chat, prompt) {
   };
 }
 
+function getEmbeddingStorePath(chatId) {
+  return path.join(app.getPath('userData'), EMBEDDINGS_DIR, `${chatId}.json`);
+}
+
+async function loadEmbeddingStore(chatId, model) {
+  const cached = embeddingStores.get(chatId);
+  if (cached && cached.model === model) {
+    return cached;
+  }
+
+  let store = { version: EMBEDDING_STORE_VERSION, model, items: [] };
+  try {
+    const contents = await fsPromises.readFile(getEmbeddingStorePath(chatId), 'utf8');
+    const parsed = JSON.parse(contents);
+    // Vectors from a different model live in a different space, so they are dropped rather than mixed.
+    if (parsed?.version === EMBEDDING_STORE_VERSION && parsed.model === model && Array.isArray(parsed.items)) {
+      store = parsed;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error('Failed to load chat embeddings:', err);
+    }
+  }
+
+  embeddingStores.set(chatId, store);
+  return store;
+}
+
+async function persistEmbeddingStore(chatId, store) {
+  await writeJsonFile(getEmbeddingStorePath(chatId), store);
+}
+
+async function deleteEmbeddingStores(chatId = null) {
+  try {
+    if (chatId) {
+      embeddingStores.delete(chatId);
+      await fsPromises.rm(getEmbeddingStorePath(chatId), { force: true });
+    } else {
+      embeddingStores.clear();
+      await fsPromises.rm(path.join(app.getPath('userData'), EMBEDDINGS_DIR), { recursive: true, force: true });
+    }
+  } catch (err) {
+    console.error('Failed to delete chat embeddings:', err);
+  }
+}
+
+function collectEmbeddableItems(chat, attachments = []) {
+  const items = [];
+  (chat.messages || []).forEach((message, index) => {
+    const text = typeof message?.content === 'string' ? message.content.trim() : '';
+    if (!text || (message.role !== 'user' && message.role !== 'assistant')) {
+      return;
+    }
+    items.push({
+      key: `message:${message.id || index}`,
+      kind: 'message',
+      messageId: message.id || null,
+      text: text.slice(0, EMBEDDING_CHUNK_CHARS),
+    });
+  });
+
+  [...(chat.attachments || []), ...attachments].forEach((attachment) => {
+    const content = typeof attachment?.content === 'string' ? attachment.content.trim() : '';
+    if (!content) {
+      return;
+    }
+    // Chunks are keyed by content so a new upload under the same name is embedded again.
+    splitIntoIndexChunks(content).forEach((chunk) => {
+      const digest = createHash('sha256').update(chunk).digest('hex').slice(0, 16);
+      items.push({
+        key: `attachment:${attachment.name}:${digest}`,
+        kind: 'attachment',
+        name: attachment.name,
+        text: chunk.slice(0, EMBEDDING_CHUNK_CHARS),
+      });
+    });
+  });
+
+  return items;
+}
+
+async function syncChatEmbeddings(chat, prefs, endpointProfile, attachments = []) {
+  const store = await loadEmbeddingStore(chat.id, prefs.embeddingModel);
+  const known = new Map(store.items.map((item) => [item.key, item]));
+  const wanted = collectEmbeddableItems(chat, attachments);
+  const wantedKeys = new Set(wanted.map((item) => item.key));
+  const wantedAttachmentNames = new Set(
+    wanted.filter((item) => item.kind === 'attachment').map((item) => item.name)
+  );
+  const missing = wanted.filter((item) => !known.has(item.key));
+
+  if (missing.length) {
+    const vectors = await embedTexts(
+      missing.map((item) => item.text),
+      endpointProfile,
+      prefs
+    );
+    missing.forEach((item, index) => {
+      const stored = { ...item, vector: vectors[index] };
+      if (item.kind === 'message') {
+        delete stored.text;
+      }
+      known.set(item.key, stored);
+    });
+  }
+
+  // Uploaded files stay retrievable after they are removed from the composer unless a newer file with
+  // the same name replaces them; messages that no longer exist in the chat are pruned.
+  const nextItems = Array.from(known.values()).filter(
+    (item) =>
+      wantedKeys.has(item.key) || (item.kind === 'attachment' && !wantedAttachmentNames.has(item.name))
+  );
+  const changed = missing.length > 0 || nextItems.length !== store.items.length;
+  store.items = nextItems;
+  if (changed) {
+    await persistEmbeddingStore(chat.id, store);
+  }
+  return store;
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || !a.length) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+async function retrieveConversationContext(chat, prompt, prefs, { attachments = [], endpointProfile } = {}) {
+  if (!prefs?.embeddingModel || !chat || !Array.isArray(chat.messages) || !prompt?.trim()) {
+    return null;
+  }
+
+  const profile = endpointProfile || getEndpointProfile(chat.endpointProfileId, prefs);
+  const store = await syncChatEmbeddings(chat, prefs, profile, attachments);
+  if (!store.items.length) {
+    return null;
+  }
+
+  const [promptVector] = await embedTexts([prompt.trim().slice(0, EMBEDDING_CHUNK_CHARS)], profile, prefs);
+  const scored = store.items
+    .map((item) => ({ item, similarity: cosineSimilarity(promptVector, item.vector) }))
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const messages = chat.messages;
+  const recentStart = Math.max(0, messages.length - EMBEDDING_RECENT_MESSAGES);
+  const selected = new Set();
+  for (let index = recentStart; index < messages.length; index += 1) {
+    selected.add(index);
+  }
+
+  const messageIndexById = new Map(messages.map((message, index) => [message.id, index]));
+  let bestSimilarity = 0;
+  let retrievedCount = 0;
+  scored.forEach(({ item, similarity }) => {
+    if (item.kind !== 'message') {
+      return;
+    }
+    bestSimilarity = Math.max(bestSimilarity, similarity);
+    const index = messageIndexById.get(item.messageId);
+    if (
+      index === undefined ||
+      index >= recentStart ||
+      similarity < EMBEDDING_MIN_SIMILARITY ||
+      retrievedCount >= EMBEDDING_RETRIEVAL_LIMIT
+    ) {
+      return;
+    }
+    retrievedCount += 1;
+    selected.add(index);
+    // Keep question/answer pairs together so the model sees the exchange, not half of it.
+    if (messages[index]?.role === 'user' && messages[index + 1]?.role === 'assistant') {
+      selected.add(index + 1);
+    } else if (messages[index]?.role === 'assistant' && messages[index - 1]?.role === 'user') {
+      selected.add(index - 1);
+    }
+  });
+
+  const currentAttachmentNames = new Set(attachments.map((attachment) => attachment.name));
+  const excerpts = scored
+    .filter(
+      ({ item, similarity }) =>
+        item.kind === 'attachment' &&
+        !currentAttachmentNames.has(item.name) &&
+        similarity >= EMBEDDING_MIN_SIMILARITY
+    )
+    .slice(0, EMBEDDING_EXCERPT_LIMIT)
+    .map(({ item, similarity }) => ({ name: item.name, text: item.text, similarity }));
+
+  const historyIndexes = Array.from(selected).sort((a, b) => a - b);
+  return {
+    model: prefs.embeddingModel,
+    historyMessages: historyIndexes.map((index) => ({
+      role: messages[index].role,
+      content: messages[index].content,
+    })),
+    selectedMessages: historyIndexes.length,
+    omittedMessages: messages.length - historyIndexes.length,
+    bestSimilarity: Number(bestSimilarity.toFixed(3)),
+    excerpts,
+  };
+}
+
+function formatRetrievedExcerpts(excerpts) {
+  if (!Array.isArray(excerpts) || !excerpts.length) {
+    return '';
+  }
+  const lines = ['Relevant excerpts from files uploaded earlier in this chat:'];
+  excerpts.forEach((excerpt) => {
+    lines.push('', `From ${excerpt.name}:`, excerpt.text);
+  });
+  return lines.join('\n');
+}
+
 function appendContextSection(existing, addition) {
   const base = existing && existing.trim() ? existing.trim() : '';
   const extra = addition && addition.trim() ? addition.trim() : '';
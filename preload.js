@@ -2,21 +2,52 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 const exposeAPI = {
   getModels: () => ipcRenderer.invoke('fetch-models'),
+  listOllamaModels: (profileId) => ipcRenderer.invoke('list-ollama-models', { profileId }),
+  showOllamaModel: ({ profileId, name }) => ipcRenderer.invoke('show-ollama-model', { profileId, name }),
+  pullOllamaModel: ({ profileId, name, requestId }) =>
+    ipcRenderer.invoke('pull-ollama-model', { profileId, name, requestId }),
+  cancelOllamaPull: (requestId) => ipcRenderer.invoke('cancel-ollama-pull', { requestId }),
+  deleteOllamaModel: ({ profileId, name }) => ipcRenderer.invoke('delete-ollama-model', { profileId, name }),
+  unloadOllamaModel: ({ profileId, name }) => ipcRenderer.invoke('unload-ollama-model', { profileId, name }),
   askOllama: (payload) => ipcRenderer.invoke('ask-ollama', payload),
+  compareModels: (payload) => ipcRenderer.invoke('compare-models', payload),
   deepResearch: (payload) => ipcRenderer.invoke('deep-research', payload),
   getSettings: () => ipcRenderer.invoke('get-settings'),
   updateSettings: (settings) => ipcRenderer.invoke('update-settings', settings),
   cancelOllama: (payload) => ipcRenderer.invoke('cancel-ollama', payload),
   exportChat: ({ chatId, format }) => ipcRenderer.invoke('export-chat', { chatId, format }),
   listChats: () => ipcRenderer.invoke('list-chats'),
-  createChat: (model) => ipcRenderer.invoke('create-chat', { model }),
+  searchChats: (query) => ipcRenderer.invoke('search-chats', { query }),
+  createChat: (model, personaId, endpointProfileId) =>
+    ipcRenderer.invoke('create-chat', { model, personaId, endpointProfileId }),
   getChat: (chatId) => ipcRenderer.invoke('get-chat', { chatId }),
+  switchChatBranch: ({ chatId, messageId }) => ipcRenderer.invoke('switch-chat-branch', { chatId, messageId }),
+  renameChat: ({ chatId, title }) => ipcRenderer.invoke('rename-chat', { chatId, title }),
+  regenerateChatTitle: (chatId) => ipcRenderer.invoke('regenerate-chat-title', { chatId }),
+  deleteChat: (chatId) => ipcRenderer.invoke('delete-chat', { chatId }),
+  restoreChat: (chatId) => ipcRenderer.invoke('restore-chat', { chatId }),
+  duplicateChat: (chatId) => ipcRenderer.invoke('duplicate-chat', { chatId }),
+  updateChatOrganization: ({ chatId, pinned, folder, tags }) =>
+    ipcRenderer.invoke('update-chat-organization', { chatId, pinned, folder, tags }),
+  renameChatFolder: ({ from, to }) => ipcRenderer.invoke('rename-chat-folder', { from, to }),
+  deleteChatFolder: (name) => ipcRenderer.invoke('delete-chat-folder', { name }),
   getAppInfo: () => ipcRenderer.invoke('get-app-info'),
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
   deleteAllChats: () => ipcRenderer.invoke('delete-all-chats'),
   pickLocalFiles: (options) => ipcRenderer.invoke('pick-local-files', options),
   setChatAttachments: ({ chatId, attachments }) =>
     ipcRenderer.invoke('set-chat-attachments', { chatId, attachments }),
+  setChatSearchPolicy: ({ chatId, policy }) =>
+    ipcRenderer.invoke('set-chat-search-policy', { chatId, policy }),
+  setChatPersona: ({ chatId, personaId }) => ipcRenderer.invoke('set-chat-persona', { chatId, personaId }),
+  updateChatGoal: ({ chatId, goal, guardrailMode, reset }) =>
+    ipcRenderer.invoke('update-chat-goal', { chatId, goal, guardrailMode, reset }),
+  setChatGenerationParams: ({ chatId, params }) =>
+    ipcRenderer.invoke('set-chat-generation-params', { chatId, params }),
+  getLocalCorpus: () => ipcRenderer.invoke('get-local-corpus'),
+  addLocalFolder: () => ipcRenderer.invoke('add-local-folder'),
+  removeLocalFolder: (folderPath) => ipcRenderer.invoke('remove-local-folder', { folderPath }),
+  reindexLocalCorpus: () => ipcRenderer.invoke('reindex-local-corpus'),
   checkForUpdates: () => ipcRenderer.invoke('check-for-updates'),
   onStream: (callback) => {
     const listener = (_event, data) => callback(data);
@@ -28,6 +59,11 @@ const exposeAPI = {
     ipcRenderer.on('ollama-thinking', listener);
     return () => ipcRenderer.removeListener('ollama-thinking', listener);
   },
+  onChatTitleUpdated: (callback) => {
+    const listener = (_event, data) => callback(data);
+    ipcRenderer.on('chat-title-updated', listener);
+    return () => ipcRenderer.removeListener('chat-title-updated', listener);
+  },
   renderMarkdown: (text) => ipcRenderer.invoke('render-markdown', text),
   onAutoUpdateStatus: (callback) => {
     const listener = (_event, data) => callback(data);
@@ -39,6 +75,11 @@ const exposeAPI = {
     ipcRenderer.on('auto-update-progress', listener);
     return () => ipcRenderer.removeListener('auto-update-progress', listener);
   },
+  onOllamaPullProgress: (callback) => {
+    const listener = (_event, data) => callback(data);
+    ipcRenderer.on('ollama-pull-progress', listener);
+    return () => ipcRenderer.removeListener('ollama-pull-progress', listener);
+  },
   onDeepResearchProgress: (callback) => {
     const listener = (_event, data) => callback(data);
     ipcRenderer.on('deep-research-progress', listener);
@@ -0,0 +1,539 @@
+const fetch = require('node-fetch');
+
+// Each adapter turns the app's neutral chat request ({ model, messages, stream, generation }) into one
+// provider's wire format and turns that provider's responses back into { content, reasoning, done }.
+// Adapters do no I/O themselves, so they can be exercised against a mock server with any fetch.
+//
+// `generation` uses the app's parameter names: temperature, topP, numCtx, maxTokens, seed.
+//
+// parseModels returns { name, size, contextLength, capabilities: { vision, tools, thinking } } entries.
+// Anything the provider's model list does not state is null.
+
+const ANTHROPIC_API_VERSION = '2023-06-01';
+// The Messages API requires max_tokens; this is used when no generation preset sets one.
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+function joinUrl(base, pathname) {
+  return `${String(base || '').replace(/\/+$/, '')}${pathname}`;
+}
+
+function buildBaseHeaders(profile) {
+  return { 'Content-Type': 'application/json', ...(profile?.headers || {}) };
+}
+
+function firstFiniteNumber(...values) {
+  const found = values.find((value) => typeof value === 'number' && Number.isFinite(value));
+  return found === undefined ? null : found;
+}
+
+function createModelEntry(name, { size = null, contextLength = null, vision = null, tools = null, thinking = null } = {}) {
+  return { name: name.trim(), size, contextLength, capabilities: { vision, tools, thinking } };
+}
+
+function listIncludes(list, value) {
+  return Array.isArray(list) ? list.includes(value) : null;
+}
+
+function mapGenerationFields(generation, fields, target = {}) {
+  Object.entries(fields).forEach(([key, field]) => {
+    if (generation?.[key] !== undefined) {
+      target[field] = generation[key];
+    }
+  });
+  return target;
+}
+
+function messageText(message) {
+  return typeof message?.content === 'string' ? message.content : '';
+}
+
+// Providers with a separate system field and strict user/assistant turns get every system message
+// folded into one instruction, and consecutive turns from the same role merged.
+function splitSystemMessages(messages = []) {
+  const system = [];
+  const turns = [];
+  messages.forEach((message) => {
+    const text = messageText(message);
+    if (!text) {
+      return;
+    }
+    if (message.role === 'system') {
+      system.push(text);
+      return;
+    }
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === role) {
+      previous.content += `\n\n${text}`;
+    } else {
+      turns.push({ role, content: text });
+    }
+  });
+  return { system: system.join('\n\n'), turns };
+}
+
+// SSE streams prefix payloads with "data:"; event names, comments and keep-alives carry nothing we need.
+function readSseData(line) {
+  if (!line.startsWith('data:')) {
+    return null;
+  }
+  return line.slice(5).trim();
+}
+
+function parseJsonLine(payload) {
+  try {
+    return JSON.parse(payload);
+  } catch (err) {
+    console.error('Failed to parse stream chunk:', err);
+    return null;
+  }
+}
+
+function readErrorMessage(parsed) {
+  if (!parsed?.error) {
+    return null;
+  }
+  if (typeof parsed.error === 'string') {
+    return parsed.error;
+  }
+  return parsed.error.message || 'The model server reported an error.';
+}
+
+const ollamaAdapter = {
+  id: 'ollama',
+  label: 'Ollama',
+  defaultUrl: '',
+  supportsEmbeddings: true,
+  buildHeaders(profile) {
+    const headers = buildBaseHeaders(profile);
+    if (profile?.apiKey) {
+      headers.Authorization = `Bearer ${profile.apiKey}`;
+    }
+    return headers;
+  },
+  buildModelsRequest(profile) {
+    return { url: joinUrl(profile.url, '/api/tags'), headers: this.buildHeaders(profile) };
+  },
+  parseModels(data) {
+    const models = Array.isArray(data?.models) ? data.models : [];
+    return models
+      .map((model) => {
+        const name = typeof model?.name === 'string' ? model.name : model?.model;
+        return typeof name === 'string' ? createModelEntry(name, { size: firstFiniteNumber(model.size) }) : null;
+      })
+      .filter((entry) => Boolean(entry?.name));
+  },
+  buildChatRequest(profile, { model, messages, stream, generation }) {
+    const body = { model, messages, stream: Boolean(stream) };
+    // num_predict is Ollama's name for the output token limit.
+    const options = mapGenerationFields(generation, {
+      temperature: 'temperature',
+      topP: 'top_p',
+      numCtx: 'num_ctx',
+      maxTokens: 'num_predict',
+      seed: 'seed',
+    });
+    if (Object.keys(options).length) {
+      body.options = options;
+    }
+    return { url: joinUrl(profile.url, '/api/chat'), headers: this.buildHeaders(profile), body };
+  },
+  parseChatResponse(data) {
+    return {
+      content: typeof data?.message?.content === 'string' ? data.message.content : data?.response || '',
+      reasoning: data?.message?.thinking || data?.message?.reasoning || '',
+    };
+  },
+  createStreamParser() {
+    return (line) => {
+      const parsed = parseJsonLine(line);
+      if (!parsed) {
+        return [];
+      }
+      const error = readErrorMessage(parsed);
+      if (error) {
+        return [{ error }];
+      }
+      return [
+        {
+          content: typeof parsed.message?.content === 'string' ? parsed.message.content : parsed.response || '',
+          reasoning: parsed.message?.thinking ?? parsed.message?.reasoning ?? parsed.reasoning ?? null,
+          done: Boolean(parsed.done),
+        },
+      ];
+    };
+  },
+  buildEmbeddingsRequest(profile, { model, input }) {
+    return { url: joinUrl(profile.url, '/api/embed'), headers: this.buildHeaders(profile), body: { model, input } };
+  },
+  parseEmbeddings(data) {
+    return data?.embeddings;
+  },
+};
+
+const openaiAdapter = {
+  id: 'openai',
+  label: 'ChatGPT-compatible',
+  defaultUrl: '',
+  supportsEmbeddings: true,
+  buildHeaders: ollamaAdapter.buildHeaders,
+  buildModelsRequest(profile) {
+    return { url: joinUrl(profile.url, '/v1/models'), headers: this.buildHeaders(profile) };
+  },
+  parseModels(data) {
+    const entries = Array.isArray(data?.data) ? data.data : [];
+    // There is no standard metadata here: vLLM sends max_model_len, LM Studio max_context_length, llama.cpp
+    // meta.n_ctx_train, and OpenRouter-style gateways context_length plus modalities and supported parameters.
+    return entries
+      .map((entry) => {
+        const name = entry?.id || entry?.name || entry?.model;
+        if (typeof name !== 'string') {
+          return null;
+        }
+        return createModelEntry(name, {
+          contextLength: firstFiniteNumber(
+            entry.context_length,
+            entry.max_model_len,
+            entry.max_context_length,
+            entry.meta?.n_ctx_train
+          ),
+          vision: listIncludes(entry.architecture?.input_modalities, 'image'),
+          tools: listIncludes(entry.supported_parameters, 'tools'),
+          thinking: listIncludes(entry.supported_parameters, 'reasoning'),
+        });
+      })
+      .filter((entry) => Boolean(entry?.name));
+  },
+  // num_ctx has no OpenAI equivalent and is dropped.
+  buildChatRequest(profile, { model, messages, stream, generation }) {
+    const body = mapGenerationFields(
+      generation,
+      { temperature: 'temperature', topP: 'top_p', maxTokens: 'max_tokens', seed: 'seed' },
+      { model, messages, stream: Boolean(stream) }
+    );
+    return { url: joinUrl(profile.url, '/v1/chat/completions'), headers: this.buildHeaders(profile), body };
+  },
+  parseChatResponse(data) {
+    const choice = Array.isArray(data?.choices) ? data.choices[0] : null;
+    return {
+      content: choice?.message?.content || choice?.delta?.content || data?.message?.content || data?.response || '',
+      reasoning: choice?.message?.reasoning_content || choice?.message?.reasoning || '',
+    };
+  },
+  createStreamParser() {
+    return (line) => {
+      if (line.startsWith(':') || line.startsWith('event:')) {
+        return [];
+      }
+      const payload = readSseData(line) ?? line;
+      if (!payload || payload === '[DONE]') {
+        return [{ done: true }];
+      }
+      const parsed = parseJsonLine(payload);
+      if (!parsed) {
+        return [];
+      }
+      const error = readErrorMessage(parsed);
+      if (error) {
+        return [{ error }];
+      }
+      const choices = Array.isArray(parsed.choices) ? parsed.choices : [];
+      const choice = choices[0];
+      return [
+        {
+          content: choice?.delta?.content || choice?.message?.content || parsed.message?.content || '',
+          reasoning:
+            choice?.delta?.reasoning_content ?? choice?.delta?.reasoning ?? parsed.message?.reasoning ?? parsed.reasoning ?? null,
+          done: Boolean(parsed.done) || choices.some((entry) => Boolean(entry?.finish_reason)),
+        },
+      ];
+    };
+  },
+  buildEmbeddingsRequest(profile, { model, input }) {
+    return { url: joinUrl(profile.url, '/v1/embeddings'), headers: this.buildHeaders(profile), body: { model, input } };
+  },
+  parseEmbeddings(data) {
+    return (Array.isArray(data?.data) ? data.data : [])
+      .slice()
+      .sort((a, b) => (a?.index ?? 0) - (b?.index ?? 0))
+      .map((entry) => entry?.embedding);
+  },
+};
+
+const anthropicAdapter = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  defaultUrl: 'https://api.anthropic.com',
+  supportsEmbeddings: false,
+  buildHeaders(profile) {
+    const headers = { 'anthropic-version': ANTHROPIC_API_VERSION, ...buildBaseHeaders(profile) };
+    if (profile?.apiKey) {
+      headers['x-api-key'] = profile.apiKey;
+    }
+    return headers;
+  },
+  buildModelsRequest(profile) {
+    return { url: joinUrl(profile.url, '/v1/models?limit=1000'), headers: this.buildHeaders(profile) };
+  },
+  parseModels(data) {
+    return (Array.isArray(data?.data) ? data.data : [])
+      .map((entry) => (typeof entry?.id === 'string' ? createModelEntry(entry.id) : null))
+      .filter((entry) => Boolean(entry?.name));
+  },
+  // Anthropic has no seed or context-size parameter.
+  buildChatRequest(profile, { model, messages, stream, generation }) {
+    const { system, turns } = splitSystemMessages(messages);
+    const body = mapGenerationFields(
+      generation,
+      { temperature: 'temperature', topP: 'top_p', maxTokens: 'max_tokens' },
+      { model, messages: turns, stream: Boolean(stream) }
+    );
+    if (!body.max_tokens) {
+      body.max_tokens = ANTHROPIC_DEFAULT_MAX_TOKENS;
+    }
+    if (system) {
+      body.system = system;
+    }
+    return { url: joinUrl(profile.url, '/v1/messages'), headers: this.buildHeaders(profile), body };
+  },
+  parseChatResponse(data) {
+    const blocks = Array.isArray(data?.content) ? data.content : [];
+    return {
+      content: blocks
+        .filter((block) => block?.type === 'text')
+        .map((block) => block.text || '')
+        .join(''),
+      reasoning: blocks
+        .filter((block) => block?.type === 'thinking')
+        .map((block) => block.thinking || '')
+        .join(''),
+    };
+  },
+  createStreamParser() {
+    return (line) => {
+      const payload = readSseData(line);
+      if (!payload) {
+        return [];
+      }
+      const parsed = parseJsonLine(payload);
+      if (!parsed) {
+        return [];
+      }
+      if (parsed.type === 'error') {
+        return [{ error: readErrorMessage(parsed) || 'Anthropic reported an error.' }];
+      }
+      if (parsed.type === 'content_block_delta') {
+        if (parsed.delta?.type === 'text_delta') {
+          return [{ content: parsed.delta.text || '' }];
+        }
+        if (parsed.delta?.type === 'thinking_delta') {
+          return [{ reasoning: parsed.delta.thinking || '' }];
+        }
+        return [];
+      }
+      if (parsed.type === 'message_stop') {
+        return [{ done: true }];
+      }
+      return [];
+    };
+  },
+};
+
+const googleAdapter = {
+  id: 'google',
+  label: 'Google',
+  defaultUrl: 'https://generativelanguage.googleapis.com',
+  supportsEmbeddings: false,
+  buildHeaders(profile) {
+    const headers = buildBaseHeaders(profile);
+    if (profile?.apiKey) {
+      headers['x-goog-api-key'] = profile.apiKey;
+    }
+    return headers;
+  },
+  buildModelsRequest(profile) {
+    return { url: joinUrl(profile.url, '/v1beta/models?pageSize=1000'), headers: this.buildHeaders(profile) };
+  },
+  // Only models that can chat are listed; names come back as "models/<id>".
+  parseModels(data) {
+    return (Array.isArray(data?.models) ? data.models : [])
+      .filter(
+        (entry) =>
+          !Array.isArray(entry?.supportedGenerationMethods) ||
+          entry.supportedGenerationMethods.includes('generateContent')
+      )
+      .map((entry) =>
+        typeof entry?.name === 'string'
+          ? createModelEntry(entry.name.replace(/^models\//, ''), {
+              contextLength: firstFiniteNumber(entry.inputTokenLimit),
+              thinking: typeof entry.thinking === 'boolean' ? entry.thinking : null,
+            })
+          : null
+      )
+      .filter((entry) => Boolean(entry?.name));
+  },
+  buildChatRequest(profile, { model, messages, stream, generation }) {
+    const { system, turns } = splitSystemMessages(messages);
+    const body = {
+      contents: turns.map((turn) => ({
+        role: turn.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: turn.content }],
+      })),
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+    const generationConfig = mapGenerationFields(generation, {
+      temperature: 'temperature',
+      topP: 'topP',
+      maxTokens: 'maxOutputTokens',
+      seed: 'seed',
+    });
+    if (Object.keys(generationConfig).length) {
+      body.generationConfig = generationConfig;
+    }
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    return {
+      url: joinUrl(profile.url, `/v1beta/models/${encodeURIComponent(model)}:${method}`),
+      headers: this.buildHeaders(profile),
+      body,
+    };
+  },
+  parseChatResponse(data) {
+    return readGoogleCandidate(data);
+  },
+  createStreamParser() {
+    return (line) => {
+      const payload = readSseData(line);
+      if (!payload) {
+        return [];
+      }
+      const parsed = parseJsonLine(payload);
+      if (!parsed) {
+        return [];
+      }
+      const error = readErrorMessage(parsed);
+      if (error) {
+        return [{ error }];
+      }
+      const { content, reasoning, done } = readGoogleCandidate(parsed);
+      return [{ content, reasoning: reasoning || null, done }];
+    };
+  },
+};
+
+// Parts flagged `thought` are the model's reasoning summary, not answer text.
+function readGoogleCandidate(data) {
+  const candidate = Array.isArray(data?.candidates) ? data.candidates[0] : null;
+  const parts = Array.isArray(candidate?.content?.parts) ? candidate.content.parts : [];
+  return {
+    content: parts
+      .filter((part) => !part?.thought)
+      .map((part) => part?.text || '')
+      .join(''),
+    reasoning: parts
+      .filter((part) => part?.thought)
+      .map((part) => part?.text || '')
+      .join(''),
+    done: Boolean(candidate?.finishReason),
+  };
+}
+
+const PROVIDER_ADAPTERS = {
+  ollama: ollamaAdapter,
+  openai: openaiAdapter,
+  anthropic: anthropicAdapter,
+  google: googleAdapter,
+};
+
+const PROVIDER_IDS = Object.keys(PROVIDER_ADAPTERS);
+
+function getProviderAdapter(flavor) {
+  return PROVIDER_ADAPTERS[flavor] || ollamaAdapter;
+}
+
+async function readErrorResponse(response, label) {
+  const errorText = await response.text().catch(() => '');
+  return new Error(`${label} failed (HTTP ${response.status})${errorText ? ` – ${errorText.slice(0, 200)}` : ''}`);
+}
+
+// `request` is a fetch-compatible function; callers pass one that applies their own timeout.
+async function listModels(profile, request = fetch) {
+  const adapter = getProviderAdapter(profile.apiFlavor);
+  const { url, headers } = adapter.buildModelsRequest(profile);
+  const response = await request(url, { headers });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return adapter.parseModels(await response.json());
+}
+
+async function completeChat(profile, payload, request = fetch) {
+  const adapter = getProviderAdapter(profile.apiFlavor);
+  const { url, headers, body } = adapter.buildChatRequest(profile, { ...payload, stream: false });
+  const response = await request(url, { method: 'POST', headers, body: JSON.stringify(body) });
+  if (!response.ok) {
+    throw await readErrorResponse(response, `${adapter.label} chat`);
+  }
+  const data = await response.json();
+  return { ...adapter.parseChatResponse(data), raw: data };
+}
+
+async function createEmbeddings(profile, payload, request = fetch) {
+  const adapter = getProviderAdapter(profile.apiFlavor);
+  if (!adapter.supportsEmbeddings) {
+    throw new Error(`${adapter.label} endpoints do not provide embeddings.`);
+  }
+  const { url, headers, body } = adapter.buildEmbeddingsRequest(profile, payload);
+  const response = await request(url, { method: 'POST', headers, body: JSON.stringify(body) });
+  if (!response.ok) {
+    throw await readErrorResponse(response, `${adapter.label} embeddings`);
+  }
+  return adapter.parseEmbeddings(await response.json());
+}
+
+// Splits a Node stream of response bytes into trimmed, non-empty lines. `onLine` may return true to
+// stop reading early.
+async function readStreamLines(stream, onLine) {
+  // A multibyte character can straddle two network chunks; the streaming decoder holds back the partial bytes.
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  const handleLine = (line) => {
+    const trimmed = line.trim();
+    return Boolean(trimmed) && onLine(trimmed) === true;
+  };
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newlineIndex = buffer.indexOf('\n');
+    while (newlineIndex !== -1) {
+      const line = buffer.slice(0, newlineIndex);
+      buffer = buffer.slice(newlineIndex + 1);
+      if (handleLine(line)) {
+        return;
+      }
+      newlineIndex = buffer.indexOf('\n');
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    handleLine(buffer);
+  }
+}
+
+// Feeds a streamed chat response through the adapter's parser. `onEvent` may return true to stop reading.
+function readChatStream(stream, adapter, onEvent) {
+  const parseLine = adapter.createStreamParser();
+  return readStreamLines(stream, (line) => parseLine(line).some((streamEvent) => onEvent(streamEvent) === true));
+}
+
+module.exports = {
+  PROVIDER_IDS,
+  getProviderAdapter,
+  listModels,
+  completeChat,
+  createEmbeddings,
+  readChatStream,
+  readStreamLines,
+  readErrorResponse,
+};
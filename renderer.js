@@ -6,6 +6,9 @@ let modelPickerCurrent;
 let modelPickerMenu;
 let refreshModelsButton;
 let chatListNav;
+let chatSearchInput;
+let chatContextMenu;
+let chatFilterBar;
 let newChatButton;
 let chatArea;
 let chatPane;
@@ -36,6 +39,67 @@ let shareAnalyticsToggle;
 let tutorialAnalyticsCheckbox;
 let ollamaEndpointInput;
 let chatCompatToggle;
+let embeddingModelInput;
+let autoWebSearchToggle;
+let autoTitleChatsToggle;
+let chatSearchPolicySelect;
+let chatPersonaSelect;
+let endpointLibrarySelect;
+let newEndpointButton;
+let deleteEndpointButton;
+let endpointNameInput;
+let endpointUrlInput;
+let endpointFlavorSelect;
+let endpointApiKeyInput;
+let endpointHeadersInput;
+let endpointTimeoutInput;
+let endpointEnabledToggle;
+let clearEndpointCredentialsButton;
+let saveEndpointButton;
+let endpointStatus;
+let endpointCredentialNote;
+let modelManagerEndpointSelect;
+let modelManagerRefreshButton;
+let modelPullInput;
+let modelPullButton;
+let modelPullProgress;
+let modelPullBar;
+let modelPullStatus;
+let modelPullCancelButton;
+let loadedModelListEl;
+let installedModelListEl;
+let modelDetailsEl;
+let modelManagerStatus;
+let personaLibrarySelect;
+let newPersonaButton;
+let deletePersonaButton;
+let personaNameInput;
+let personaPromptInput;
+let personaModelInput;
+let personaModelOptions;
+let personaSearchPolicySelect;
+let personaParamsEl;
+let savePersonaButton;
+let personaStatus;
+let generationParamsButton;
+let generationPanel;
+let generationScopeSelect;
+let generationHint;
+let generationClearButton;
+let chatGoalButton;
+let chatGoalPanel;
+let chatGoalInput;
+let chatGoalModeSelect;
+let chatGoalHint;
+let chatGoalResetButton;
+let goalGuardrailSelect;
+let searchProviderSelect;
+let searxngEndpointInput;
+let customSearchEndpointInput;
+let localFolderListEl;
+let localCorpusStatusEl;
+let addLocalFolderButton;
+let reindexLocalButton;
 let modelStatusText;
 let sidebar;
 let deepResearchShelf;
@@ -48,6 +112,26 @@ let deepResearchInsertButton;
 let deepResearchCopyButton;
 let deepResearchDismissButton;
 let composerDeepResearchButton;
+let composerCompareButton;
+let compareBar;
+let composerTemplatesButton;
+let slashCommandMenu;
+let commandPaletteOverlay;
+let commandPaletteInput;
+let commandPaletteList;
+let templateVariablesForm;
+let templateVariablesTitle;
+let templateVariableFields;
+let templateVariablesCancelButton;
+let templateLibrarySelect;
+let newTemplateButton;
+let deleteTemplateButton;
+let templateNameInput;
+let templateBodyInput;
+let templateAttachmentsSelect;
+let templateDeepResearchToggle;
+let saveTemplateButton;
+let templateStatus;
 let deepResearchDetails;
 
 const DEFAULT_SETTINGS = {
@@ -59,6 +143,33 @@ const DEFAULT_SETTINGS = {
   shareAnalytics: true,
   ollamaEndpoint: 'http://localhost:11434',
   useOpenAICompatibleEndpoint: false,
+  endpointProfiles: [
+    {
+      id: 'default',
+      name: 'Local',
+      url: 'http://localhost:11434',
+      apiFlavor: 'ollama',
+      hasApiKey: false,
+      headerNames: [],
+      timeoutMs: null,
+      enabled: true,
+    },
+  ],
+  credentialStorage: 'keychain',
+  searchProvider: 'duckduckgo',
+  searxngEndpoint: '',
+  customSearchEndpoint: '',
+  localCorpusFolders: [],
+  embeddingModel: '',
+  chatFolders: [],
+  autoTitleChats: true,
+  generationDefaults: {},
+  modelGenerationPresets: {},
+  personas: [
+    { id: 'default', name: 'DioxideAi', systemPrompt: '', model: '', searchPolicy: '', generationParams: {} },
+  ],
+  goalGuardrailMode: 'strict',
+  promptTemplates: [],
 };
 
 const ATTACHMENT_LIMIT = 1;
@@ -66,6 +177,28 @@ const ATTACHMENT_MAX_FILE_BYTES = 512 * 1024;
 const ATTACHMENT_TOTAL_BYTES = 1024 * 1024;
 const ATTACHMENT_CHAR_LIMIT = 4000;
 const DEFAULT_DEEP_RESEARCH_ITERATIONS = 4;
+const CHAT_SEARCH_POLICIES = ['auto', 'always', 'never'];
+const CHAT_DRAG_TYPE = 'application/x-dioxideai-chat';
+const MAX_COMPARE_MODELS = 4;
+const DEFAULT_PERSONA_ID = 'default';
+const DEFAULT_ENDPOINT_PROFILE_ID = 'default';
+const ENDPOINT_FLAVOR_LABELS = {
+  ollama: 'Ollama server',
+  openai: 'ChatGPT-compatible endpoint',
+  anthropic: 'Anthropic API',
+  google: 'Google Gemini API',
+};
+const MODEL_CAPABILITY_LABELS = { vision: 'Vision', tools: 'Tools', thinking: 'Thinking' };
+const GOAL_GUARDRAIL_LABELS = { strict: 'Strict', soft: 'Soft', off: 'Off' };
+const SLASH_COMMANDS = [
+  { name: 'search', args: '<query>', description: 'Search the web for the query, then answer.' },
+  { name: 'nosearch', args: '<prompt>', description: 'Answer without any web search.' },
+  { name: 'research', args: '<topic>', description: 'Run deep research before answering.' },
+  { name: 'model', args: '<name>', description: 'Switch to another installed model.' },
+  { name: 'clear', args: '', description: 'Start a fresh chat.' },
+  { name: 'export', args: 'md|pdf', description: 'Export this chat.' },
+  { name: 'template', args: '[name]', description: 'Insert a prompt template.' },
+];
 const prefersDark = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
 const MODEL_LABEL_CHAR_LIMIT = 30;
 const ANALYTICS_ERROR_MAX_LEN = 160;
@@ -93,6 +226,21 @@ const state = {
   currentChatId: null,
   currentChat: null,
   pendingAssistantByChat: new Map(),
+  pendingAssistantByRequest: new Map(),
+  compare: { open: false, models: [] },
+  activeCompareRequestIds: [],
+  selectedPersonaId: DEFAULT_PERSONA_ID,
+  personaEditorId: DEFAULT_PERSONA_ID,
+  endpointEditorId: DEFAULT_ENDPOINT_PROFILE_ID,
+  modelEntries: [],
+  endpointStatus: [],
+  modelProfileId: null,
+  modelManager: { profileId: DEFAULT_ENDPOINT_PROFILE_ID, installed: [], loaded: [], pull: null },
+  templateEditorId: null,
+  slashMenu: { items: [], index: 0 },
+  commandPalette: { open: false, items: [], index: 0 },
+  pendingTemplate: null,
+  activeTemplate: null,
   isStreaming: false,
   settings: { ...DEFAULT_SETTINGS },
   settingsPanelOpen: false,
@@ -111,6 +259,8 @@ const state = {
   lastPromptMetrics: null,
   lastAttachmentIngestDurationMs: null,
   stopRequested: false,
+  chatSearch: { query: '', results: [], requestId: 0, timer: null },
+  chatFilter: { type: 'all', value: null },
 };
 
 if (prefersDark) {
@@ -137,6 +287,7 @@ let analyticsInitialized = false;
 let analyticsReady = false;
 let modelPickerOpen = false;
 let modelPickerActiveIndex = -1;
+let chatContextMenuItems = null;
 let analyticsQueueLoaded = false;
 let analyticsQueue = [];
 let analyticsFlushTimer = null;
@@ -597,12 +748,14 @@ async function handleStopRequest() {
   }
   state.stopRequested = true;
   syncSendButtonState();
-  const requestId = state.activeRequestId;
-  if (!requestId) {
+  const requestIds = state.activeCompareRequestIds.length
+    ? state.activeCompareRequestIds
+    : [state.activeRequestId].filter(Boolean);
+  if (!requestIds.length) {
     return;
   }
   try {
-    await stopGeneration(requestId);
+    await Promise.all(requestIds.map((requestId) => stopGeneration(requestId)));
   } catch (err) {
     console.error('Failed to cancel generation:', err);
     state.stopRequested = false;
@@ -1313,6 +1466,9 @@ window.addEventListener('DOMContentLoaded', async () => {
   modelPickerMenu = document.getElementById('modelPickerMenu');
   refreshModelsButton = document.getElementById('refreshModels');
   chatListNav = document.getElementById('chatList');
+  chatSearchInput = document.getElementById('chatSearchInput');
+  chatContextMenu = document.getElementById('chatContextMenu');
+  chatFilterBar = document.getElementById('chatFilterBar');
   newChatButton = document.getElementById('newChatBtn');
   chatPane = document.getElementById('chatPane');
   chatArea = document.getElementById('chatArea');
@@ -1343,12 +1499,93 @@ window.addEventListener('DOMContentLoaded', async () => {
   tutorialAnalyticsCheckbox = document.getElementById('tutorialAnalyticsCheckbox');
   ollamaEndpointInput = document.getElementById('ollamaEndpointInput');
   chatCompatToggle = document.getElementById('chatCompatToggle');
+  embeddingModelInput = document.getElementById('embeddingModelInput');
+  autoWebSearchToggle = document.getElementById('autoWebSearchToggle');
+  autoTitleChatsToggle = document.getElementById('autoTitleChatsToggle');
+  chatSearchPolicySelect = document.getElementById('chatSearchPolicySelect');
+  chatPersonaSelect = document.getElementById('chatPersonaSelect');
+  endpointLibrarySelect = document.getElementById('endpointLibrarySelect');
+  newEndpointButton = document.getElementById('newEndpointBtn');
+  deleteEndpointButton = document.getElementById('deleteEndpointBtn');
+  endpointNameInput = document.getElementById('endpointNameInput');
+  endpointUrlInput = document.getElementById('endpointUrlInput');
+  endpointFlavorSelect = document.getElementById('endpointFlavorSelect');
+  endpointApiKeyInput = document.getElementById('endpointApiKeyInput');
+  endpointHeadersInput = document.getElementById('endpointHeadersInput');
+  endpointTimeoutInput = document.getElementById('endpointTimeoutInput');
+  endpointEnabledToggle = document.getElementById('endpointEnabledToggle');
+  clearEndpointCredentialsButton = document.getElementById('clearEndpointCredentialsBtn');
+  saveEndpointButton = document.getElementById('saveEndpointBtn');
+  endpointStatus = document.getElementById('endpointStatus');
+  endpointCredentialNote = document.getElementById('endpointCredentialNote');
+  modelManagerEndpointSelect = document.getElementById('modelManagerEndpointSelect');
+  modelManagerRefreshButton = document.getElementById('modelManagerRefreshBtn');
+  modelPullInput = document.getElementById('modelPullInput');
+  modelPullButton = document.getElementById('modelPullBtn');
+  modelPullProgress = document.getElementById('modelPullProgress');
+  modelPullBar = document.getElementById('modelPullBar');
+  modelPullStatus = document.getElementById('modelPullStatus');
+  modelPullCancelButton = document.getElementById('modelPullCancelBtn');
+  loadedModelListEl = document.getElementById('loadedModelList');
+  installedModelListEl = document.getElementById('installedModelList');
+  modelDetailsEl = document.getElementById('modelDetails');
+  modelManagerStatus = document.getElementById('modelManagerStatus');
+  personaLibrarySelect = document.getElementById('personaLibrarySelect');
+  newPersonaButton = document.getElementById('newPersonaBtn');
+  deletePersonaButton = document.getElementById('deletePersonaBtn');
+  personaNameInput = document.getElementById('personaNameInput');
+  personaPromptInput = document.getElementById('personaPromptInput');
+  personaModelInput = document.getElementById('personaModelInput');
+  personaModelOptions = document.getElementById('personaModelOptions');
+  personaSearchPolicySelect = document.getElementById('personaSearchPolicySelect');
+  personaParamsEl = document.querySelector('#personaEditor .persona-params');
+  savePersonaButton = document.getElementById('savePersonaBtn');
+  personaStatus = document.getElementById('personaStatus');
+  generationParamsButton = document.getElementById('generationParamsBtn');
+  generationPanel = document.getElementById('generationPanel');
+  generationScopeSelect = document.getElementById('generationScopeSelect');
+  generationHint = document.getElementById('generationHint');
+  generationClearButton = document.getElementById('generationClearBtn');
+  chatGoalButton = document.getElementById('chatGoalBtn');
+  chatGoalPanel = document.getElementById('chatGoalPanel');
+  chatGoalInput = document.getElementById('chatGoalInput');
+  chatGoalModeSelect = document.getElementById('chatGoalModeSelect');
+  chatGoalHint = document.getElementById('chatGoalHint');
+  chatGoalResetButton = document.getElementById('chatGoalResetBtn');
+  goalGuardrailSelect = document.getElementById('goalGuardrailSelect');
+  searchProviderSelect = document.getElementById('searchProviderSelect');
+  searxngEndpointInput = document.getElementById('searxngEndpointInput');
+  customSearchEndpointInput = document.getElementById('customSearchEndpointInput');
+  localFolderListEl = document.getElementById('localFolderList');
+  localCorpusStatusEl = document.getElementById('localCorpusStatus');
+  addLocalFolderButton = document.getElementById('addLocalFolderBtn');
+  reindexLocalButton = document.getElementById('reindexLocalBtn');
   modelStatusText = document.getElementById('modelStatus');
   updateModelStatus('Models not loaded yet.', 'muted');
   renderNoModelsPlaceholder();
   sidebar = document.getElementById('sidebar');
   document.addEventListener('click', handleSidebarOverlayDismiss);
   composerDeepResearchButton = document.getElementById('composerDeepResearchBtn');
+  composerCompareButton = document.getElementById('composerCompareBtn');
+  compareBar = document.getElementById('compareBar');
+  composerTemplatesButton = document.getElementById('composerTemplatesBtn');
+  slashCommandMenu = document.getElementById('slashCommandMenu');
+  commandPaletteOverlay = document.getElementById('commandPaletteOverlay');
+  commandPaletteInput = document.getElementById('commandPaletteInput');
+  commandPaletteList = document.getElementById('commandPaletteList');
+  templateVariablesForm = document.getElementById('templateVariablesForm');
+  templateVariablesTitle = document.getElementById('templateVariablesTitle');
+  templateVariableFields = document.getElementById('templateVariableFields');
+  templateVariablesCancelButton = document.getElementById('templateVariablesCancelBtn');
+  templateLibrarySelect = document.getElementById('templateLibrarySelect');
+  newTemplateButton = document.getElementById('newTemplateBtn');
+  deleteTemplateButton = document.getElementById('deleteTemplateBtn');
+  templateNameInput = document.getElementById('templateNameInput');
+  templateBodyInput = document.getElementById('templateBodyInput');
+  templateAttachmentsSelect = document.getElementById('templateAttachmentsSelect');
+  templateDeepResearchToggle = document.getElementById('templateDeepResearchToggle');
+  saveTemplateButton = document.getElementById('saveTemplateBtn');
+  templateStatus = document.getElementById('templateStatus');
   deepResearchShelf = document.getElementById('deepResearchShelf');
   deepResearchHeadline = document.getElementById('deepResearchHeadline');
   deepResearchStageLabel = document.getElementById('deepResearchStage');
@@ -1392,7 +1629,7 @@ window.addEventListener('DOMContentLoaded', async () => {
         return;
       }
       event.preventDefault();
-      handleModelPickerSelection(target.dataset.value);
+      handleModelPickerSelection(target.dataset.value, target.dataset.profileId || null);
     });
   }
 
@@ -1453,6 +1690,9 @@ function registerUIListeners() {
   });
 
   promptInput.addEventListener('keydown', async (event) => {
+    if (handleSlashCommandKeydown(event)) {
+      return;
+    }
     if (event.key !== 'Enter' || event.shiftKey || event.isComposing) {
       return;
     }
@@ -1462,6 +1702,37 @@ function registerUIListeners() {
     }
   });
   promptInput.addEventListener('input', handlePromptAutosize);
+  promptInput.addEventListener('input', () => {
+    if (!promptInput.value.trim()) {
+      state.activeTemplate = null;
+    }
+    renderSlashCommandMenu();
+  });
+  promptInput.addEventListener('blur', hideSlashCommandMenu);
+  commandPaletteInput?.addEventListener('input', () => {
+    state.commandPalette.index = 0;
+    renderCommandPalette();
+  });
+  commandPaletteInput?.addEventListener('keydown', handleCommandPaletteKeydown);
+  commandPaletteList?.addEventListener('click', (event) => {
+    const option = event.target.closest('[data-index]');
+    if (option) {
+      runCommandPaletteItem(Number(option.dataset.index));
+    }
+  });
+  commandPaletteOverlay?.addEventListener('pointerdown', (event) => {
+    if (event.target === commandPaletteOverlay) {
+      closeCommandPalette();
+    }
+  });
+  slashCommandMenu?.addEventListener('mousedown', (event) => {
+    // Keep focus in the prompt so the blur handler does not close the menu mid-click.
+    event.preventDefault();
+    const option = event.target.closest('[data-index]');
+    if (option) {
+      acceptSlashCommandSuggestion(Number(option.dataset.index));
+    }
+  });
 
   attachButton?.addEventListener('click', async () => {
     if (state.isStreaming) {
@@ -1478,6 +1749,20 @@ function registerUIListeners() {
     event.preventDefault();
     await handlePromptSubmit();
   });
+  composerCompareButton?.addEventListener('click', toggleCompareBar);
+  composerTemplatesButton?.addEventListener('click', openTemplateMenu);
+  templateVariablesForm?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    handleTemplateVariablesSubmit();
+  });
+  templateVariablesForm?.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      closeTemplateVariables();
+    }
+  });
+  templateVariablesCancelButton?.addEventListener('click', closeTemplateVariables);
+  compareBar?.addEventListener('click', handleCompareBarClick);
   deepResearchInsertButton?.addEventListener('click', handleDeepResearchInsert);
   deepResearchCopyButton?.addEventListener('click', handleDeepResearchCopy);
   deepResearchDismissButton?.addEventListener('click', dismissDeepResearchShelf);
@@ -1487,6 +1772,22 @@ function registerUIListeners() {
     updateSidebarState(nextValue);
   });
 
+  chatSearchInput?.addEventListener('input', () => {
+    clearTimeout(state.chatSearch.timer);
+    state.chatSearch.timer = setTimeout(runChatSearch, 200);
+  });
+
+  chatContextMenu?.addEventListener('click', handleChatContextMenuClick);
+
+  chatSearchInput?.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && chatSearchInput.value) {
+      event.preventDefault();
+      event.stopPropagation();
+      chatSearchInput.value = '';
+      runChatSearch();
+    }
+  });
+
   settingsButton?.addEventListener('click', openSettingsPanel);
   settingsCloseButton?.addEventListener('click', closeSettingsPanel);
   settingsOverlay?.addEventListener('click', (event) => {
@@ -1541,6 +1842,118 @@ function registerUIListeners() {
     await applySettingsUpdate({ useOpenAICompatibleEndpoint: enabled });
     await populateModels();
   });
+  embeddingModelInput?.addEventListener('change', () => {
+    applySettingsUpdate({ embeddingModel: embeddingModelInput.value.trim() });
+  });
+  autoWebSearchToggle?.addEventListener('change', () => {
+    applySettingsUpdate({ autoWebSearch: autoWebSearchToggle.checked });
+  });
+  autoTitleChatsToggle?.addEventListener('change', () => {
+    applySettingsUpdate({ autoTitleChats: autoTitleChatsToggle.checked });
+  });
+  chatSearchPolicySelect?.addEventListener('change', handleChatSearchPolicyChange);
+  chatPersonaSelect?.addEventListener('change', handleChatPersonaChange);
+  endpointLibrarySelect?.addEventListener('change', () => {
+    state.endpointEditorId = endpointLibrarySelect.value;
+    renderEndpointLibrary();
+  });
+  newEndpointButton?.addEventListener('click', handleNewEndpoint);
+  deleteEndpointButton?.addEventListener('click', handleDeleteEndpoint);
+  saveEndpointButton?.addEventListener('click', handleSaveEndpoint);
+  clearEndpointCredentialsButton?.addEventListener('click', handleClearEndpointCredentials);
+  modelManagerEndpointSelect?.addEventListener('change', () => {
+    state.modelManager.profileId = modelManagerEndpointSelect.value;
+    refreshModelManager();
+  });
+  modelManagerRefreshButton?.addEventListener('click', refreshModelManager);
+  modelPullButton?.addEventListener('click', handlePullModel);
+  modelPullInput?.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      handlePullModel();
+    }
+  });
+  modelPullCancelButton?.addEventListener('click', handleCancelModelPull);
+  [loadedModelListEl, installedModelListEl].forEach((list) => {
+    list?.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-model-action]');
+      if (button) {
+        handleModelManagerAction(button.dataset.modelAction, button.dataset.model);
+      }
+    });
+  });
+  personaLibrarySelect?.addEventListener('change', () => {
+    state.personaEditorId = personaLibrarySelect.value;
+    renderPersonaLibrary();
+  });
+  newPersonaButton?.addEventListener('click', handleNewPersona);
+  deletePersonaButton?.addEventListener('click', handleDeletePersona);
+  savePersonaButton?.addEventListener('click', handleSavePersona);
+  templateLibrarySelect?.addEventListener('change', () => {
+    state.templateEditorId = templateLibrarySelect.value;
+    renderTemplateLibrary();
+  });
+  newTemplateButton?.addEventListener('click', handleNewTemplate);
+  deleteTemplateButton?.addEventListener('click', handleDeleteTemplate);
+  saveTemplateButton?.addEventListener('click', handleSaveTemplate);
+  generationParamsButton?.addEventListener('click', () => {
+    if (generationPanel?.classList.contains('hidden')) {
+      openGenerationPanel();
+    } else {
+      closeGenerationPanel();
+    }
+  });
+  generationScopeSelect?.addEventListener('change', renderGenerationPanel);
+  generationClearButton?.addEventListener('click', () => {
+    generationPanel.querySelectorAll('[data-generation-param]').forEach((input) => {
+      input.value = '';
+    });
+  });
+  generationPanel?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    await saveGenerationParams();
+  });
+  chatGoalButton?.addEventListener('click', () => {
+    if (chatGoalPanel?.classList.contains('hidden')) {
+      openChatGoalPanel();
+    } else {
+      closeChatGoalPanel();
+    }
+  });
+  chatGoalModeSelect?.addEventListener('change', renderChatGoalHint);
+  chatGoalResetButton?.addEventListener('click', () => saveChatGoal({ reset: true }));
+  chatGoalPanel?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    await saveChatGoal();
+  });
+  goalGuardrailSelect?.addEventListener('change', async () => {
+    await applySettingsUpdate({ goalGuardrailMode: goalGuardrailSelect.value });
+    renderChatGoalButton();
+  });
+  searchProviderSelect?.addEventListener('change', () => {
+    syncSearchProviderFields(searchProviderSelect.value);
+    applySettingsUpdate({ searchProvider: searchProviderSelect.value });
+  });
+  searxngEndpointInput?.addEventListener('change', () => {
+    applySettingsUpdate({ searxngEndpoint: searxngEndpointInput.value.trim() });
+  });
+  customSearchEndpointInput?.addEventListener('change', () => {
+    applySettingsUpdate({ customSearchEndpoint: customSearchEndpointInput.value.trim() });
+  });
+  addLocalFolderButton?.addEventListener('click', () =>
+    runLocalCorpusAction(() => window.api.addLocalFolder(), 'Indexing folder…')
+  );
+  reindexLocalButton?.addEventListener('click', () =>
+    runLocalCorpusAction(() => window.api.reindexLocalCorpus(), 'Re-indexing…')
+  );
+  localFolderListEl?.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-folder]');
+    if (!button) {
+      return;
+    }
+    const folderPath = button.dataset.folder;
+    runLocalCorpusAction(() => window.api.removeLocalFolder(folderPath), 'Updating index…');
+  });
 
   deleteAllChatsButton?.addEventListener('click', handleDeleteAllChats);
   openTutorialButton?.addEventListener('click', () => {
@@ -1590,6 +2003,14 @@ function registerUIListeners() {
           await handleNewChat();
         }
       }
+      if (event.key === 'k' || event.key === 'K') {
+        event.preventDefault();
+        if (state.commandPalette.open) {
+          closeCommandPalette();
+        } else {
+          openCommandPalette();
+        }
+      }
     }
   });
 }
@@ -1616,10 +2037,6 @@ async function loadSettings() {
   }
 
   const enforced = {};
-  if (state.settings.autoWebSearch !== DEFAULT_SETTINGS.autoWebSearch) {
-    state.settings.autoWebSearch = DEFAULT_SETTINGS.autoWebSearch;
-    enforced.autoWebSearch = DEFAULT_SETTINGS.autoWebSearch;
-  }
   if (state.settings.searchResultLimit !== DEFAULT_SETTINGS.searchResultLimit) {
     state.settings.searchResultLimit = DEFAULT_SETTINGS.searchResultLimit;
     enforced.searchResultLimit = DEFAULT_SETTINGS.searchResultLimit;
@@ -1647,6 +2064,34 @@ function applySettingsToUI() {
   if (chatCompatToggle) {
     chatCompatToggle.checked = Boolean(prefs.useOpenAICompatibleEndpoint);
   }
+  if (embeddingModelInput) {
+    embeddingModelInput.value = prefs.embeddingModel || '';
+  }
+  if (autoWebSearchToggle) {
+    autoWebSearchToggle.checked = prefs.autoWebSearch !== false;
+  }
+
+  if (autoTitleChatsToggle) {
+    autoTitleChatsToggle.checked = prefs.autoTitleChats !== false;
+  }
+  if (goalGuardrailSelect) {
+    goalGuardrailSelect.value = prefs.goalGuardrailMode || DEFAULT_SETTINGS.goalGuardrailMode;
+  }
+  renderChatGoalButton();
+  renderPersonaSelect();
+  renderEndpointLibrary();
+  renderPersonaLibrary();
+  renderTemplateLibrary();
+  if (searchProviderSelect) {
+    searchProviderSelect.value = prefs.searchProvider || DEFAULT_SETTINGS.searchProvider;
+  }
+  if (searxngEndpointInput) {
+    searxngEndpointInput.value = prefs.searxngEndpoint || '';
+  }
+  if (customSearchEndpointInput) {
+    customSearchEndpointInput.value = prefs.customSearchEndpoint || '';
+  }
+  syncSearchProviderFields(prefs.searchProvider || DEFAULT_SETTINGS.searchProvider);
 
   if (themeSelect) {
     themeSelect.value = prefs.theme || 'system';
@@ -1671,8 +2116,93 @@ function applySettingsToUI() {
   }
 }
 
+function syncSearchProviderFields(provider) {
+  document.querySelectorAll('[data-search-provider]').forEach((field) => {
+    field.classList.toggle('hidden', field.dataset.searchProvider !== provider);
+  });
+}
+
+async function refreshLocalCorpus() {
+  try {
+    renderLocalCorpus(await window.api.getLocalCorpus());
+  } catch (err) {
+    console.error('Failed to load local documents:', err);
+  }
+}
+
+async function runLocalCorpusAction(action, pendingLabel) {
+  if (localCorpusStatusEl) {
+    localCorpusStatusEl.textContent = pendingLabel;
+  }
+  if (addLocalFolderButton) {
+    addLocalFolderButton.disabled = true;
+  }
+  if (reindexLocalButton) {
+    reindexLocalButton.disabled = true;
+  }
+
+  try {
+    const result = await action();
+    if (result?.error) {
+      showToast(result.error, { variant: 'error' });
+    }
+    renderLocalCorpus(result);
+    if (result?.success) {
+      state.settings.localCorpusFolders = (result.folders || []).map((folder) => folder.path);
+    }
+  } catch (err) {
+    console.error('Failed to update local documents:', err);
+    showToast('Unable to update local documents.', { variant: 'error' });
+    await refreshLocalCorpus();
+  } finally {
+    if (addLocalFolderButton) {
+      addLocalFolderButton.disabled = false;
+    }
+  }
+}
+
+function renderLocalCorpus(status) {
+  if (!localFolderListEl || !status) {
+    return;
+  }
+
+  localFolderListEl.innerHTML = '';
+  const folders = Array.isArray(status.folders) ? status.folders : [];
+  folders.forEach((folder) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = folder.path;
+    label.title = folder.path;
+    const count = document.createElement('small');
+    count.textContent = `${folder.documentCount} ${folder.documentCount === 1 ? 'file' : 'files'}`;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = '✕';
+    remove.dataset.folder = folder.path;
+    remove.setAttribute('aria-label', `Stop indexing ${folder.path}`);
+    item.append(label, count, remove);
+    localFolderListEl.appendChild(item);
+  });
+
+  if (localCorpusStatusEl) {
+    if (!folders.length) {
+      localCorpusStatusEl.textContent = 'No folders added yet.';
+    } else if (status.indexing) {
+      localCorpusStatusEl.textContent = 'Indexing…';
+    } else {
+      const updated = status.builtAt ? ` · updated ${new Date(status.builtAt).toLocaleString()}` : '';
+      localCorpusStatusEl.textContent = `${status.documentCount} files indexed${updated}`;
+    }
+  }
+  if (reindexLocalButton) {
+    reindexLocalButton.disabled = !folders.length;
+  }
+}
+
 function openSettingsPanel() {
   applySettingsToUI();
+  refreshLocalCorpus();
+  refreshModelManager();
   settingsOverlay.classList.remove('hidden');
   settingsOverlay.setAttribute('aria-hidden', 'false');
   document.body.classList.add('settings-open');
@@ -1746,7 +2276,17 @@ function dismissTutorial(shouldPersist = true) {
 }
 
 function registerStreamHandlers() {
+  window.api.onChatTitleUpdated(({ chatId, title }) => {
+    applyChatTitle(chatId, title);
+  });
+
   window.api.onStream((data) => {
+    const comparisonEntry = data.requestId ? state.pendingAssistantByRequest.get(data.requestId) : null;
+    if (comparisonEntry) {
+      applyComparisonStreamUpdate(comparisonEntry, data);
+      return;
+    }
+
     const entry = state.pendingAssistantByChat.get(data.chatId);
     if (!entry) {
       return;
@@ -1813,7 +2353,9 @@ function registerStreamHandlers() {
   });
 
   window.api.onThinking((data) => {
-    const entry = state.pendingAssistantByChat.get(data.chatId);
+    const entry =
+      (data.requestId && state.pendingAssistantByRequest.get(data.requestId)) ||
+      state.pendingAssistantByChat.get(data.chatId);
     if (!entry) {
       return;
     }
@@ -1835,8 +2377,22 @@ function registerStreamHandlers() {
         entry.setLoadingStatus?.(status);
         break;
       }
+      case 'context-warning': {
+        showToast(deriveStatus('This prompt may not fit in the context window of this model.'), {
+          variant: 'warning',
+          duration: 9000,
+        });
+        break;
+      }
       case 'search-plan':
       case 'search-started': {
+        if (data.shouldSearch === false) {
+          const status = deriveStatus('Skipping web search.');
+          entry.setSummary(status);
+          entry.setLoadingStatus?.(status);
+          entry.setThought(formatSearchPlanThought({ message: status, queries: [] }));
+          break;
+        }
         if (typeof state.webSearchStartedAt !== 'number') {
           state.webSearchStartedAt = Date.now();
         }
@@ -1877,6 +2433,7 @@ function registerStreamHandlers() {
             retrievedAt: data.retrievedAt,
             attachments: data.attachments,
             warnings: data.attachmentWarnings,
+            goalCheck: data.goalCheck,
           })
         );
         const thoughtState = entry.getThoughtState ? entry.getThoughtState() : null;
@@ -1898,6 +2455,8 @@ function registerStreamHandlers() {
   window.api.onDeepResearchProgress((payload) => {
     handleDeepResearchProgress(payload);
   });
+
+  window.api.onOllamaPullProgress(handleModelPullProgress);
 }
 
 function toggleDeepResearchEnabled() {
@@ -1963,6 +2522,7 @@ async function runDeepResearchSequence(topicSource, model) {
       requestId,
       iterations: DEFAULT_DEEP_RESEARCH_ITERATIONS,
       model,
+      endpointProfileId: resolveModelProfileId(model),
       initialGoal: primaryGoal,
     });
 
@@ -2485,6 +3045,8 @@ function renderNoModelsPlaceholder() {
     modelSelect.appendChild(option);
   }
   state.models = [];
+  state.modelEntries = [];
+  state.modelProfileId = null;
   renderModelPickerMenu([]);
   updateModelPickerDisplay();
   setModelPickerDisabled(true);
@@ -2517,6 +3079,35 @@ function setModelPickerDisabled(disabled) {
   }
 }
 
+function getModelEntry(name, profileId = resolveModelProfileId(name)) {
+  return state.modelEntries.find((entry) => entry.name === name && entry.profileId === profileId) || null;
+}
+
+// Local models report powers of two (131072 → 128K); hosted APIs use round decimals (200000 → 200K).
+function formatContextLength(tokens) {
+  const unit = tokens % 1024 === 0 ? 1024 : 1000;
+  if (tokens >= unit * unit) {
+    return `${Number((tokens / (unit * unit)).toFixed(1))}M`;
+  }
+  return tokens >= unit ? `${Math.round(tokens / unit)}K` : String(tokens);
+}
+
+function describeModelEntry(entry) {
+  if (!entry) {
+    return [];
+  }
+  const details = Object.entries(MODEL_CAPABILITY_LABELS)
+    .filter(([key]) => entry.capabilities?.[key] === true)
+    .map(([, label]) => label);
+  if (entry.contextLength) {
+    details.push(`${formatContextLength(entry.contextLength)} context`);
+  }
+  if (entry.size) {
+    details.push(formatBytes(entry.size));
+  }
+  return details;
+}
+
 function updateModelPickerDisplay() {
   if (!modelPickerButton || !modelPickerCurrent) {
     return;
@@ -2531,7 +3122,12 @@ function updateModelPickerDisplay() {
   }
   const truncated = formatModelPickerLabel(currentValue);
   modelPickerCurrent.textContent = truncated || currentValue;
-  modelPickerButton.title = currentValue;
+  const endpoint = state.endpointStatus.length > 1 ? getEndpointStatus(state.modelProfileId) : null;
+  const details = describeModelEntry(getModelEntry(currentValue, state.modelProfileId));
+  modelPickerButton.title = [
+    endpoint ? `${currentValue} on ${endpoint.name} (${endpoint.host})` : currentValue,
+    ...details,
+  ].join(' · ');
 }
 
 function renderModelPickerMenu(models = []) {
@@ -2551,14 +3147,42 @@ function renderModelPickerMenu(models = []) {
     return;
   }
   const fragment = document.createDocumentFragment();
-  models.forEach((name) => {
+  const grouped = state.endpointStatus.length > 1;
+  let currentGroup = null;
+  models.forEach((entry) => {
+    const { name, profileId } = entry;
+    if (grouped && profileId !== currentGroup) {
+      currentGroup = profileId;
+      const endpoint = getEndpointStatus(profileId);
+      const heading = document.createElement('p');
+      heading.className = 'model-picker-group';
+      heading.setAttribute('role', 'presentation');
+      heading.textContent = endpoint ? `${endpoint.name} · ${endpoint.host}` : profileId;
+      fragment.appendChild(heading);
+    }
     const option = document.createElement('button');
     option.type = 'button';
     option.className = 'model-picker-option';
     option.setAttribute('role', 'option');
     option.setAttribute('tabindex', '-1');
     option.dataset.value = name;
-    option.textContent = name;
+    option.dataset.profileId = profileId || '';
+    const label = document.createElement('span');
+    label.className = 'model-picker-option-name';
+    label.textContent = name;
+    option.appendChild(label);
+    const details = describeModelEntry(entry);
+    if (details.length) {
+      const meta = document.createElement('span');
+      meta.className = 'model-picker-option-meta';
+      details.forEach((detail) => {
+        const badge = document.createElement('span');
+        badge.className = 'model-badge';
+        badge.textContent = detail;
+        meta.appendChild(badge);
+      });
+      option.appendChild(meta);
+    }
     fragment.appendChild(option);
   });
   modelPickerMenu.appendChild(fragment);
@@ -2571,9 +3195,10 @@ function syncModelPickerSelection(scrollIntoView = false) {
   }
   const options = modelPickerMenu.querySelectorAll('.model-picker-option');
   const value = modelSelect?.value || '';
+  const profileId = resolveModelProfileId(value);
   let nextActiveIndex = -1;
   options.forEach((option, index) => {
-    const isSelected = option.dataset.value === value;
+    const isSelected = option.dataset.value === value && (option.dataset.profileId || null) === profileId;
     option.classList.toggle('selected', isSelected);
     option.setAttribute('aria-selected', String(isSelected));
     if (isSelected) {
@@ -2589,16 +3214,18 @@ function syncModelPickerSelection(scrollIntoView = false) {
   });
 }
 
-function handleModelPickerSelection(value) {
+function handleModelPickerSelection(value, profileId = null) {
   if (!value || !modelSelect) {
     return;
   }
-  if (modelSelect.value === value) {
+  const nextProfileId = resolveModelProfileId(value, profileId || state.modelProfileId);
+  if (modelSelect.value === value && nextProfileId === state.modelProfileId) {
     updateModelPickerDisplay();
     closeModelPickerMenu({ focusButton: true });
     return;
   }
   modelSelect.value = value;
+  state.modelProfileId = nextProfileId;
   updateModelPickerDisplay();
   syncModelPickerSelection();
   closeModelPickerMenu({ focusButton: true });
@@ -2690,7 +3317,7 @@ function handleModelPickerButtonKeydown(event) {
     event.preventDefault();
     if (!modelPickerOpen) {
       openModelPickerMenu();
-      focusModelPickerOption(state.models.length - 1);
+      focusModelPickerOption(state.modelEntries.length - 1);
     }
   }
 }
@@ -2724,8 +3351,8 @@ function handleModelPickerMenuKeydown(event) {
     case ' ':
       event.preventDefault();
       if (modelPickerActiveIndex >= 0 && modelPickerActiveIndex < options.length) {
-        const value = options[modelPickerActiveIndex].dataset.value;
-        handleModelPickerSelection(value);
+        const { value, profileId } = options[modelPickerActiveIndex].dataset;
+        handleModelPickerSelection(value, profileId || null);
       }
       break;
     case 'Tab':
@@ -2736,6 +3363,39 @@ function handleModelPickerMenuKeydown(event) {
   }
 }
 
+function getEndpointProfiles() {
+  const profiles = Array.isArray(state.settings?.endpointProfiles) ? state.settings.endpointProfiles : [];
+  return profiles.length ? profiles : DEFAULT_SETTINGS.endpointProfiles;
+}
+
+function getEndpointProfile(profileId) {
+  const profiles = getEndpointProfiles();
+  return profiles.find((profile) => profile.id === profileId) || profiles[0];
+}
+
+function getEndpointStatus(profileId) {
+  return state.endpointStatus.find((profile) => profile.id === profileId) || null;
+}
+
+// The same model name can be served by several endpoints; stick with the preferred one when it has it.
+function resolveModelProfileId(name, preferred = state.modelProfileId) {
+  const matches = state.modelEntries.filter((entry) => entry.name === name);
+  if (!matches.length) {
+    return preferred || null;
+  }
+  return (matches.find((entry) => entry.profileId === preferred) || matches[0]).profileId;
+}
+
+function restoreChatModel(chat) {
+  if (!chat?.model || !modelSelect || !state.models.includes(chat.model)) {
+    return;
+  }
+  modelSelect.value = chat.model;
+  state.modelProfileId = resolveModelProfileId(chat.model, chat.endpointProfileId || state.modelProfileId);
+  updateModelPickerDisplay();
+  syncModelPickerSelection();
+}
+
 async function populateModels() {
   setModelControlsDisabled(true);
   if (modelPickerCurrent) {
@@ -2744,24 +3404,43 @@ async function populateModels() {
   if (modelPickerButton) {
     modelPickerButton.title = 'Loading models…';
   }
-  const endpoint = state.settings?.ollamaEndpoint || DEFAULT_SETTINGS.ollamaEndpoint;
-  const usingChatCompat = Boolean(state.settings?.useOpenAICompatibleEndpoint);
-  const providerLabel = usingChatCompat ? 'ChatGPT-compatible endpoint' : 'Ollama server';
-  const providerShort = usingChatCompat ? 'ChatGPT-compatible endpoint' : 'Ollama';
-  const providerStatus = usingChatCompat ? 'ChatGPT-compatible API endpoint' : 'Ollama server';
+  const enabledProfiles = getEndpointProfiles().filter((profile) => profile.enabled !== false);
+  const singleProfile = enabledProfiles.length <= 1 ? getEndpointProfile(DEFAULT_ENDPOINT_PROFILE_ID) : null;
+  const endpoint = singleProfile ? singleProfile.url : `${enabledProfiles.length} endpoints`;
+  const singleFlavor = singleProfile ? singleProfile.apiFlavor || 'ollama' : null;
+  const usingChatCompat = singleFlavor === 'openai';
+  const usingHostedApi = singleFlavor === 'anthropic' || singleFlavor === 'google';
+  const providerLabel = !singleProfile ? 'model servers' : ENDPOINT_FLAVOR_LABELS[singleFlavor] || 'Ollama server';
+  const providerShort = !singleProfile ? 'endpoints' : usingChatCompat || usingHostedApi ? providerLabel : 'Ollama';
+  const providerStatus = !singleProfile
+    ? `${enabledProfiles.length} endpoints`
+    : usingChatCompat
+      ? 'ChatGPT-compatible API endpoint'
+      : providerLabel;
   updateModelStatus(`Checking ${providerStatus}…`, 'loading');
 
   try {
     const modelsResponse = await window.api.getModels();
     modelSelect.innerHTML = '';
-    const models = Array.isArray(modelsResponse) ? modelsResponse : [];
-    state.models = models;
+    const entries = Array.isArray(modelsResponse?.models) ? modelsResponse.models : [];
+    state.endpointStatus = Array.isArray(modelsResponse?.profiles) ? modelsResponse.profiles : [];
+    state.modelEntries = entries;
+    state.models = Array.from(new Set(entries.map((entry) => entry.name)));
+
+    const unreachable = state.endpointStatus.filter((profile) => profile.error);
+    if (state.endpointStatus.length && unreachable.length === state.endpointStatus.length) {
+      throw new Error(unreachable[0].error);
+    }
 
     if (!state.models.length) {
       renderNoModelsPlaceholder();
-      const toastMessage = usingChatCompat
-        ? `No models were reported by your ${providerShort} at ${endpoint}. Confirm it exposes /v1/models and refresh.`
-        : `No Ollama models detected at ${endpoint}. Start Ollama and refresh.`;
+      const toastMessage = !singleProfile
+        ? `No models were reported by any of your ${providerShort}. Check Settings → Endpoints and refresh.`
+        : usingHostedApi
+          ? `No models were reported by the ${providerShort} at ${endpoint}. Check the endpoint's API key and refresh.`
+          : usingChatCompat
+            ? `No models were reported by your ${providerShort} at ${endpoint}. Confirm it exposes /v1/models and refresh.`
+            : `No Ollama models detected at ${endpoint}. Start Ollama and refresh.`;
       showToast(toastMessage, {
         variant: 'warning',
         duration: 8000,
@@ -2777,6 +3456,7 @@ async function populateModels() {
     }
 
     const previousValue = modelSelect.value;
+    const previousProfileId = state.modelProfileId;
     const fragment = document.createDocumentFragment();
     state.models.forEach((name) => {
       const option = document.createElement('option');
@@ -2787,27 +3467,49 @@ async function populateModels() {
     modelSelect.appendChild(fragment);
     if (previousValue && state.models.includes(previousValue)) {
       modelSelect.value = previousValue;
+      state.modelProfileId = resolveModelProfileId(previousValue, previousProfileId);
     } else {
-      modelSelect.value = state.models[0];
+      modelSelect.value = entries[0].name;
+      state.modelProfileId = entries[0].profileId;
     }
 
-    renderModelPickerMenu(state.models);
+    renderModelPickerMenu(state.modelEntries);
     updateModelPickerDisplay();
     setModelPickerDisabled(false);
+    renderCompareBar();
+    renderPersonaLibrary();
     trackAnalyticsEvent('models_refreshed', {
       model_count: state.models.length,
       restored_previous_selection: Boolean(previousValue && modelSelect.value === previousValue),
       using_chat_compat: usingChatCompat,
+      endpoint_count: state.endpointStatus.length,
+      unreachable_endpoints: unreachable.length,
     });
 
     const countLabel = state.models.length === 1 ? 'model' : 'models';
+    if (unreachable.length) {
+      const names = unreachable.map((profile) => profile.name).join(', ');
+      showToast(`Unable to reach ${names}. Showing models from your other endpoints.`, {
+        variant: 'warning',
+        duration: 8000,
+      });
+      updateModelStatus(
+        `Connected: ${state.models.length} ${countLabel} available. Unreachable: ${names}.`,
+        'warning'
+      );
+      return;
+    }
     updateModelStatus(`Connected: ${state.models.length} ${countLabel} available via ${providerStatus}.`, 'success');
   } catch (err) {
     console.error(err);
     renderNoModelsPlaceholder();
-    const toastMessage = usingChatCompat
-      ? `Unable to reach your ${providerLabel} at ${endpoint}. Make sure it is running and implements the ChatGPT API.`
-      : `Unable to reach Ollama at ${endpoint}. Ensure it is running and click refresh.`;
+    const toastMessage = !singleProfile
+      ? `Unable to reach any of your ${providerShort}. Make sure they are running and click refresh.`
+      : usingHostedApi
+        ? `Unable to reach the ${providerLabel} at ${endpoint}. Check the URL and API key, then refresh.`
+        : usingChatCompat
+          ? `Unable to reach your ${providerLabel} at ${endpoint}. Make sure it is running and implements the ChatGPT API.`
+          : `Unable to reach Ollama at ${endpoint}. Ensure it is running and click refresh.`;
     showToast(toastMessage, {
       variant: 'warning',
       duration: 8000,
@@ -2829,99 +3531,649 @@ async function handlePromptSubmit() {
     return;
   }
 
-  const prompt = promptInput.value.trim();
+  let prompt = promptInput.value.trim();
   if (!prompt) {
     return;
   }
 
-  if (!state.currentChatId) {
-    await handleNewChat();
+  let submitOptions = {};
+  const command = parseSlashCommand(prompt);
+  hideSlashCommandMenu();
+  if (command) {
+    const submission = await runSlashCommand(command);
+    if (!submission) {
+      return;
+    }
+    prompt = submission.prompt;
+    submitOptions = submission.options;
   }
 
-  const chatId = state.currentChatId;
-  const model = modelSelect.value;
-  state.webSearchStartedAt = null;
-  state.lastWebSearchDurationMs = null;
-  state.lastAttachmentIngestDurationMs = null;
+  if (state.activeTemplate?.attachments === 'required' && !state.attachments.length) {
+    showToast(`"${state.activeTemplate.name}" needs an attached file.`, {
+      variant: 'warning',
+      action: { label: 'Attach file', onClick: () => handleAttachmentPick() },
+    });
+    return;
+  }
+  state.activeTemplate = null;
 
-  if (!model) {
-    if (modelPickerButton) {
-      modelPickerButton.classList.add('attention');
-      modelPickerButton.focus();
-      setTimeout(() => modelPickerButton.classList.remove('attention'), 800);
-    }
+  const comparisonModels = getComparisonModels();
+  if (comparisonModels.length && !command) {
+    await submitComparison(prompt, comparisonModels);
     return;
   }
 
-  appendUserMessage(prompt);
-  recordUserMessage(prompt);
+  await submitPrompt(prompt, submitOptions);
+}
+
+function parseSlashCommand(text) {
+  const match = String(text || '').match(/^\/(\w+)(?:\s+([\s\S]*))?$/);
+  if (!match) {
+    return null;
+  }
+  const name = match[1].toLowerCase();
+  if (!SLASH_COMMANDS.some((command) => command.name === name)) {
+    return null;
+  }
+  return { name, args: (match[2] || '').trim() };
+}
+
+function findModelByName(query) {
+  const needle = String(query || '').trim().toLowerCase();
+  if (!needle) {
+    return null;
+  }
+  const models = state.models || [];
+  return (
+    models.find((name) => name.toLowerCase() === needle) ||
+    models.find((name) => name.toLowerCase().startsWith(needle)) ||
+    models.find((name) => name.toLowerCase().includes(needle)) ||
+    null
+  );
+}
 
+function clearComposerText() {
   promptInput.value = '';
+  handlePromptAutosize();
   promptInput.focus();
+}
 
-  const attachmentsPayload = state.attachments.map((file) => ({
-    id: file.id,
-    name: file.name,
-    size: file.size,
-    bytes: file.bytes,
-    truncated: Boolean(file.truncated),
-    content: file.content,
-  }));
+// Commands that send a message return { prompt, options } for submitPrompt; the rest act here and return null.
+async function runSlashCommand({ name, args }) {
+  const definition = SLASH_COMMANDS.find((command) => command.name === name);
+  const requireArgs = () => {
+    if (args) {
+      return true;
+    }
+    showToast(`Usage: /${name} ${definition.args}`, { variant: 'info' });
+    return false;
+  };
+  trackAnalyticsEvent('slash_command_used', { command: name });
 
-  trackAnalyticsEvent('prompt_submitted', {
-    chat_id: chatId,
-    model,
-    prompt_chars: prompt.length,
-    attachments: state.attachments.length,
-    deep_research_enabled: Boolean(state.deepResearch.enabled),
-  });
+  if (name === 'search') {
+    if (!requireArgs()) {
+      return null;
+    }
+    // The first line is the search query; anything below it is the question to ask about the results.
+    const [queryLine, ...rest] = args.split('\n');
+    const query = queryLine.trim();
+    return { prompt: rest.join('\n').trim() || query, options: { searchOverride: { mode: 'force', query } } };
+  }
 
-  state.stopRequested = false;
-  state.isStreaming = true;
-  updateInteractivity();
-  const hasAttachments = state.attachments.length > 0;
-  stopAttachmentStatusTimer();
-  if (hasAttachments) {
-    state.lastAttachmentIngestDurationMs = null;
-    state.attachmentProcessingStartedAt = Date.now();
-    startAttachmentStatusTimer();
-  } else {
-    state.lastAttachmentIngestDurationMs = null;
+  if (name === 'nosearch') {
+    return requireArgs() ? { prompt: args, options: { searchOverride: { mode: 'skip' } } } : null;
   }
-  renderAttachmentList();
 
-  const requestId = createRequestId();
-  state.lastPromptMetrics = {
-    requestId,
-    promptChars: prompt.length,
-    attachmentsCount: state.attachments.length,
-    attachmentsBytes: state.attachmentBytes,
-    startedAt: Date.now(),
-    model,
-    chatId,
-    deepResearchEnabled: Boolean(state.deepResearch.enabled),
-  };
-  const userLinks = extractLinks(prompt);
+  if (name === 'research') {
+    return requireArgs() ? { prompt: args, options: { deepResearch: true } } : null;
+  }
 
-  const assistantEntry = appendAssistantMessage('', {
-    open: false,
-    thoughts: '',
-    summary: 'Loading model…',
-    loading: true,
-    loadingStatus: 'Loading model…',
-  });
-  assistantEntry.__autoOpenedReasoning = false;
+  if (name === 'model') {
+    if (!requireArgs()) {
+      return null;
+    }
+    const model = findModelByName(args);
+    if (!model) {
+      showToast(`No installed model matches "${args}".`, { variant: 'warning' });
+      return null;
+    }
+    clearComposerText();
+    handleModelPickerSelection(model);
+    promptInput.focus();
+    showToast(`Switched to ${model}.`, { variant: 'success', duration: 2000 });
+    return null;
+  }
 
-  state.pendingAssistantByChat.set(chatId, assistantEntry);
-  state.activeRequestId = requestId;
-  state.activeAssistantEntry = assistantEntry;
+  if (name === 'clear') {
+    clearComposerText();
+    await handleNewChat();
+    return null;
+  }
 
-  try {
-    let deepResearchPayload = null;
-    if (state.deepResearch.enabled) {
-      deepResearchPayload = await runDeepResearchSequence(prompt, model);
+  if (name === 'export') {
+    const format = { md: 'markdown', markdown: 'markdown', pdf: 'pdf' }[args.toLowerCase()];
+    if (!format) {
+      showToast(`Usage: /export ${definition.args}`, { variant: 'info' });
+      return null;
     }
-
+    clearComposerText();
+    await handleExportChat(format);
+    return null;
+  }
+
+  if (name === 'template') {
+    clearComposerText();
+    const needle = args.toLowerCase();
+    const template = needle
+      ? getPromptTemplates().find((entry) => entry.name.toLowerCase() === needle) ||
+        getPromptTemplates().find((entry) => entry.name.toLowerCase().startsWith(needle))
+      : null;
+    if (template) {
+      startPromptTemplate(template);
+    } else {
+      if (needle) {
+        showToast(`No template named "${args}".`, { variant: 'warning' });
+      }
+      openTemplateMenu({ preventDefault() {}, currentTarget: composerTemplatesButton });
+    }
+    return null;
+  }
+
+  return null;
+}
+
+async function handleExportChat(format, chatId = state.currentChatId) {
+  if (!chatId) {
+    showToast('Open a chat to export it.', { variant: 'info' });
+    return;
+  }
+  try {
+    const result = await window.api.exportChat({ chatId, format });
+    if (result?.canceled) {
+      return;
+    }
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to export the chat.');
+    }
+    showToast(`Exported to ${result.filePath}`, { variant: 'success' });
+    trackAnalyticsEvent('chat_exported', { format });
+  } catch (err) {
+    console.error('Failed to export chat:', err);
+    showToast(err?.message || 'Unable to export the chat.', { variant: 'error' });
+  }
+}
+
+function getLatestThoughtsPanel() {
+  const panels = chatArea ? chatArea.querySelectorAll('.message.bot details.thoughts') : [];
+  return panels.length ? panels[panels.length - 1] : null;
+}
+
+function buildCommandPaletteItems() {
+  const chatId = state.currentChatId;
+  const settings = state.settings || DEFAULT_SETTINGS;
+  const draft = promptInput.value.trim();
+  const items = [
+    { group: 'Action', label: 'New chat', hint: 'Ctrl/⌘ N', run: handleNewChat },
+    {
+      group: 'Action',
+      label: state.sidebarCollapsed ? 'Show chat sidebar' : 'Hide chat sidebar',
+      run: () => updateSidebarState(!state.sidebarCollapsed),
+    },
+    {
+      group: 'Action',
+      label: draft
+        ? 'Start deep research on the current prompt'
+        : state.deepResearch.enabled
+          ? 'Turn deep research off'
+          : 'Turn deep research on',
+      run: async () => {
+        if (!draft) {
+          toggleDeepResearchEnabled();
+          return;
+        }
+        if (!state.deepResearch.enabled) {
+          toggleDeepResearchEnabled();
+        }
+        await handlePromptSubmit();
+      },
+    },
+    {
+      group: 'Action',
+      label: 'Open Thoughts for the latest reply',
+      enabled: Boolean(getLatestThoughtsPanel()),
+      run: () => {
+        const panel = getLatestThoughtsPanel();
+        if (panel) {
+          panel.open = true;
+          panel.scrollIntoView({ block: 'nearest' });
+        }
+      },
+    },
+    { group: 'Action', label: 'Compare models', run: toggleCompareBar },
+    {
+      group: 'Action',
+      label: 'Insert a prompt template',
+      run: () => openTemplateMenu({ preventDefault() {}, currentTarget: composerTemplatesButton }),
+    },
+    { group: 'Action', label: 'Generation parameters', run: openGenerationPanel },
+    { group: 'Action', label: 'Edit chat goal', enabled: Boolean(chatId), run: openChatGoalPanel },
+    { group: 'Action', label: 'Export chat as Markdown', enabled: Boolean(chatId), run: () => handleExportChat('markdown') },
+    { group: 'Action', label: 'Export chat as PDF', enabled: Boolean(chatId), run: () => handleExportChat('pdf') },
+    { group: 'Action', label: 'Rename chat', enabled: Boolean(chatId), run: () => startChatRename(chatId) },
+    { group: 'Action', label: 'Regenerate chat title', enabled: Boolean(chatId), run: () => handleRegenerateChatTitle(chatId) },
+    { group: 'Action', label: 'Duplicate chat', enabled: Boolean(chatId), run: () => handleDuplicateChat(chatId) },
+    { group: 'Action', label: 'Delete chat', enabled: Boolean(chatId), run: () => handleDeleteChat(chatId) },
+    { group: 'Action', label: 'Open settings', run: openSettingsPanel },
+    { group: 'Action', label: 'Manage Ollama models', run: openModelManager },
+    {
+      group: 'Setting',
+      label: `${settings.autoWebSearch !== false ? 'Turn off' : 'Turn on'} automatic web search`,
+      run: () => applySettingsUpdate({ autoWebSearch: settings.autoWebSearch === false }),
+    },
+    {
+      group: 'Setting',
+      label: `${settings.autoTitleChats !== false ? 'Turn off' : 'Turn on'} generated chat titles`,
+      run: () => applySettingsUpdate({ autoTitleChats: settings.autoTitleChats === false }),
+    },
+    {
+      group: 'Setting',
+      label: `${settings.openThoughtsByDefault ? 'Collapse' : 'Expand'} Thoughts by default`,
+      run: () => applySettingsUpdate({ openThoughtsByDefault: !settings.openThoughtsByDefault }),
+    },
+    ...['system', 'light', 'dark']
+      .filter((theme) => theme !== settings.theme)
+      .map((theme) => ({
+        group: 'Setting',
+        label: theme === 'system' ? 'Theme: match system' : `Theme: ${theme}`,
+        run: () => applySettingsUpdate({ theme }),
+      })),
+    ...Object.entries(GOAL_GUARDRAIL_LABELS)
+      .filter(([mode]) => mode !== settings.goalGuardrailMode)
+      .map(([mode, label]) => ({
+        group: 'Setting',
+        label: `Default goal guardrail: ${label}`,
+        run: () => applySettingsUpdate({ goalGuardrailMode: mode }),
+      })),
+    ...state.modelEntries.map(({ name, profileId }) => ({
+      group: 'Model',
+      label: name,
+      hint: [
+        name === modelSelect.value && profileId === state.modelProfileId ? 'current' : '',
+        state.endpointStatus.length > 1 ? getEndpointStatus(profileId)?.name : '',
+      ]
+        .filter(Boolean)
+        .join(' · '),
+      run: () => handleModelPickerSelection(name, profileId),
+    })),
+    ...getPromptTemplates().map((template) => ({
+      group: 'Template',
+      label: template.name,
+      run: () => startPromptTemplate(template),
+    })),
+    ...state.chats
+      .filter((chat) => chat.id !== chatId)
+      .map((chat) => ({
+        group: 'Chat',
+        label: chat.title || 'New Chat',
+        hint: chat.folder || '',
+        run: () => selectChat(chat.id),
+      })),
+  ];
+  return items.filter((item) => item.enabled !== false);
+}
+
+// Characters must appear in order; runs of consecutive matches and matches at word starts score higher.
+function scoreFuzzyMatch(query, text) {
+  const needle = query.toLowerCase();
+  const haystack = text.toLowerCase();
+  if (!needle) {
+    return 0;
+  }
+  const direct = haystack.indexOf(needle);
+  if (direct !== -1) {
+    return 100 - direct + (direct === 0 || /\W/.test(haystack[direct - 1]) ? 50 : 0);
+  }
+  let score = 0;
+  let position = -1;
+  let streak = 0;
+  for (const char of needle) {
+    const next = haystack.indexOf(char, position + 1);
+    if (next === -1) {
+      return -1;
+    }
+    streak = next === position + 1 ? streak + 1 : 0;
+    score += 1 + streak * 2 + (next === 0 || /\W/.test(haystack[next - 1]) ? 3 : 0);
+    position = next;
+  }
+  return score;
+}
+
+function renderCommandPalette() {
+  if (!commandPaletteList) {
+    return;
+  }
+  const query = commandPaletteInput.value.trim();
+  const items = buildCommandPaletteItems()
+    .map((item, order) => ({ item, order, score: scoreFuzzyMatch(query, `${item.group} ${item.label}`) }))
+    .filter((entry) => entry.score >= 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, 50)
+    .map((entry) => entry.item);
+  state.commandPalette.items = items;
+  state.commandPalette.index = Math.min(state.commandPalette.index, Math.max(items.length - 1, 0));
+
+  commandPaletteList.innerHTML = '';
+  if (!items.length) {
+    const empty = document.createElement('li');
+    empty.classList.add('command-palette-empty');
+    empty.textContent = 'No matching commands.';
+    commandPaletteList.appendChild(empty);
+    commandPaletteInput.removeAttribute('aria-activedescendant');
+    return;
+  }
+  items.forEach((item, index) => {
+    const option = document.createElement('li');
+    option.id = `command-palette-option-${index}`;
+    option.classList.add('command-palette-option');
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', index === state.commandPalette.index ? 'true' : 'false');
+    option.dataset.index = String(index);
+    const group = document.createElement('span');
+    group.classList.add('command-palette-group');
+    group.textContent = item.group;
+    const label = document.createElement('span');
+    label.classList.add('command-palette-label');
+    label.textContent = item.label;
+    option.append(group, label);
+    if (item.hint) {
+      const hint = document.createElement('span');
+      hint.classList.add('command-palette-hint');
+      hint.textContent = item.hint;
+      option.appendChild(hint);
+    }
+    commandPaletteList.appendChild(option);
+  });
+  commandPaletteInput.setAttribute('aria-activedescendant', `command-palette-option-${state.commandPalette.index}`);
+  commandPaletteList.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+}
+
+function openCommandPalette() {
+  if (!commandPaletteOverlay || state.isStreaming) {
+    return;
+  }
+  closeChatContextMenu();
+  state.commandPalette = { open: true, items: [], index: 0 };
+  commandPaletteInput.value = '';
+  renderCommandPalette();
+  commandPaletteOverlay.classList.remove('hidden');
+  commandPaletteOverlay.setAttribute('aria-hidden', 'false');
+  commandPaletteInput.focus();
+  trackAnalyticsEvent('command_palette_opened');
+}
+
+function closeCommandPalette({ restoreFocus = true } = {}) {
+  if (!commandPaletteOverlay || !state.commandPalette.open) {
+    return;
+  }
+  state.commandPalette = { open: false, items: [], index: 0 };
+  commandPaletteOverlay.classList.add('hidden');
+  commandPaletteOverlay.setAttribute('aria-hidden', 'true');
+  if (restoreFocus) {
+    promptInput.focus();
+  }
+}
+
+async function runCommandPaletteItem(index) {
+  const item = state.commandPalette.items[index];
+  if (!item) {
+    return;
+  }
+  closeCommandPalette();
+  if (state.isStreaming) {
+    return;
+  }
+  trackAnalyticsEvent('command_palette_used', { group: item.group.toLowerCase() });
+  try {
+    await item.run();
+  } catch (err) {
+    console.error('Failed to run command:', err);
+    showToast(err?.message || 'Unable to run that command.', { variant: 'error' });
+  }
+}
+
+function handleCommandPaletteKeydown(event) {
+  const { items, index } = state.commandPalette;
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopPropagation();
+    closeCommandPalette();
+    return;
+  }
+  if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && items.length) {
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    state.commandPalette.index = (index + step + items.length) % items.length;
+    renderCommandPalette();
+    return;
+  }
+  if (event.key === 'Enter' && !event.isComposing) {
+    event.preventDefault();
+    runCommandPaletteItem(index);
+  }
+}
+
+function getSlashCommandSuggestions(value) {
+  const text = String(value || '');
+  if (!text.startsWith('/') || text.includes('\n')) {
+    return [];
+  }
+  const match = text.match(/^\/(\w*)(\s+(.*))?$/);
+  if (!match) {
+    return [];
+  }
+  const name = match[1].toLowerCase();
+  if (match[2] === undefined) {
+    return SLASH_COMMANDS.filter((command) => command.name.startsWith(name)).map((command) => ({
+      value: command.args ? `/${command.name} ` : `/${command.name}`,
+      label: `/${command.name}${command.args ? ` ${command.args}` : ''}`,
+      description: command.description,
+    }));
+  }
+
+  const partial = (match[3] || '').toLowerCase();
+  let choices = [];
+  if (name === 'model') {
+    choices = state.models || [];
+  } else if (name === 'template') {
+    choices = getPromptTemplates().map((template) => template.name);
+  } else if (name === 'export') {
+    choices = ['md', 'pdf'];
+  }
+  return choices
+    .filter((choice) => choice.toLowerCase().includes(partial) && choice.toLowerCase() !== partial)
+    .slice(0, 8)
+    .map((choice) => ({ value: `/${name} ${choice}`, label: choice, description: '' }));
+}
+
+function renderSlashCommandMenu() {
+  if (!slashCommandMenu) {
+    return;
+  }
+  const items = getSlashCommandSuggestions(promptInput.value);
+  state.slashMenu.items = items;
+  state.slashMenu.index = Math.min(state.slashMenu.index, Math.max(items.length - 1, 0));
+  slashCommandMenu.innerHTML = '';
+  if (!items.length) {
+    slashCommandMenu.classList.add('hidden');
+    return;
+  }
+  items.forEach((item, index) => {
+    const option = document.createElement('li');
+    option.classList.add('slash-command-option');
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', index === state.slashMenu.index ? 'true' : 'false');
+    option.dataset.index = String(index);
+    const label = document.createElement('span');
+    label.classList.add('slash-command-label');
+    label.textContent = item.label;
+    option.appendChild(label);
+    if (item.description) {
+      const description = document.createElement('span');
+      description.classList.add('slash-command-description');
+      description.textContent = item.description;
+      option.appendChild(description);
+    }
+    slashCommandMenu.appendChild(option);
+  });
+  slashCommandMenu.classList.remove('hidden');
+}
+
+function hideSlashCommandMenu() {
+  state.slashMenu = { items: [], index: 0 };
+  slashCommandMenu?.classList.add('hidden');
+}
+
+function acceptSlashCommandSuggestion(index) {
+  const item = state.slashMenu.items[index];
+  if (!item) {
+    return;
+  }
+  promptInput.value = item.value;
+  promptInput.setSelectionRange(item.value.length, item.value.length);
+  handlePromptAutosize();
+  state.slashMenu.index = 0;
+  renderSlashCommandMenu();
+  promptInput.focus();
+}
+
+// Returns true when the key was used by the open slash-command menu.
+function handleSlashCommandKeydown(event) {
+  if (!slashCommandMenu || slashCommandMenu.classList.contains('hidden') || !state.slashMenu.items.length) {
+    return false;
+  }
+  const { items, index } = state.slashMenu;
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    state.slashMenu.index = (index + step + items.length) % items.length;
+    renderSlashCommandMenu();
+    return true;
+  }
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    hideSlashCommandMenu();
+    return true;
+  }
+  if (event.key === 'Tab' || (event.key === 'Enter' && !event.shiftKey && !event.isComposing)) {
+    // Enter completes a partial command; on a finished one it falls through and sends.
+    if (event.key === 'Enter' && items[index].value.trim() === promptInput.value.trim()) {
+      return false;
+    }
+    event.preventDefault();
+    acceptSlashCommandSuggestion(index);
+    return true;
+  }
+  return false;
+}
+
+async function submitPrompt(
+  prompt,
+  {
+    editMessageId = null,
+    regenerateMessageId = null,
+    model: modelOverride = null,
+    freshSearch = false,
+    searchOverride = null,
+    deepResearch: forceDeepResearch = false,
+  } = {}
+) {
+  if (!state.currentChatId) {
+    await handleNewChat();
+  }
+
+  const chatId = state.currentChatId;
+  const model = modelOverride || modelSelect.value;
+  const replacesTurn = Boolean(editMessageId || regenerateMessageId);
+  state.webSearchStartedAt = null;
+  state.lastWebSearchDurationMs = null;
+  state.lastAttachmentIngestDurationMs = null;
+
+  if (!model) {
+    if (modelPickerButton) {
+      modelPickerButton.classList.add('attention');
+      modelPickerButton.focus();
+      setTimeout(() => modelPickerButton.classList.remove('attention'), 800);
+    }
+    return;
+  }
+
+  // A regenerated answer hangs off the user message that is already on screen.
+  const userEntry = regenerateMessageId ? null : appendUserMessage(prompt);
+  if (!regenerateMessageId) {
+    recordUserMessage(prompt);
+  }
+
+  if (!replacesTurn) {
+    promptInput.value = '';
+  }
+  promptInput.focus();
+
+  const attachmentsPayload = buildAttachmentsPayload();
+
+  trackAnalyticsEvent('prompt_submitted', {
+    chat_id: chatId,
+    model,
+    prompt_chars: prompt.length,
+    attachments: state.attachments.length,
+    deep_research_enabled: Boolean(state.deepResearch.enabled),
+  });
+
+  state.stopRequested = false;
+  state.isStreaming = true;
+  updateInteractivity();
+  const hasAttachments = state.attachments.length > 0;
+  stopAttachmentStatusTimer();
+  if (hasAttachments) {
+    state.lastAttachmentIngestDurationMs = null;
+    state.attachmentProcessingStartedAt = Date.now();
+    startAttachmentStatusTimer();
+  } else {
+    state.lastAttachmentIngestDurationMs = null;
+  }
+  renderAttachmentList();
+
+  const requestId = createRequestId();
+  state.lastPromptMetrics = {
+    requestId,
+    promptChars: prompt.length,
+    attachmentsCount: state.attachments.length,
+    attachmentsBytes: state.attachmentBytes,
+    startedAt: Date.now(),
+    model,
+    chatId,
+    deepResearchEnabled: Boolean(state.deepResearch.enabled),
+  };
+  const userLinks = extractLinks(prompt);
+
+  const assistantEntry = appendAssistantMessage('', {
+    open: false,
+    thoughts: '',
+    summary: 'Loading model…',
+    loading: true,
+    loadingStatus: 'Loading model…',
+  });
+  assistantEntry.__autoOpenedReasoning = false;
+
+  state.pendingAssistantByChat.set(chatId, assistantEntry);
+  state.activeRequestId = requestId;
+  state.activeAssistantEntry = assistantEntry;
+
+  try {
+    let deepResearchPayload = null;
+    if ((forceDeepResearch || state.deepResearch.enabled) && !regenerateMessageId) {
+      deepResearchPayload = await runDeepResearchSequence(prompt, model);
+    }
+
     if (state.stopRequested) {
       assistantEntry.clearActions();
       assistantEntry.stopLoading?.();
@@ -2945,6 +4197,11 @@ async function handlePromptSubmit() {
       userLinks,
       attachments: attachmentsPayload,
       deepResearch: deepResearchPayload,
+      editMessageId,
+      regenerateMessageId,
+      freshSearch,
+      searchOverride,
+      endpointProfileId: resolveModelProfileId(model),
     });
 
     assistantEntry.clearActions();
@@ -2959,6 +4216,25 @@ async function handlePromptSubmit() {
       stopAttachmentStatusTimer();
       renderAttachmentList();
       consumePromptAnalyticsSnapshot();
+      if (replacesTurn) {
+        await reloadCurrentChat();
+      }
+      return;
+    }
+
+    if (result?.error && replacesTurn) {
+      // Nothing was saved, so go back to the branch the user was on instead of the half-sent turn.
+      state.pendingAssistantByChat.delete(chatId);
+      state.isStreaming = false;
+      updateInteractivity();
+      stopAttachmentStatusTimer();
+      renderAttachmentList();
+      showToast(result.error, { variant: 'error' });
+      await reloadCurrentChat();
+      trackResponseErrorAnalytics('model_error', String(result.error || ''), {
+        model,
+        timing: result.timing,
+      });
       return;
     }
 
@@ -3011,6 +4287,7 @@ async function handlePromptSubmit() {
         retrievedAt: result.contextRetrievedAt,
         attachments: result.attachments,
         warnings: result.attachmentWarnings,
+        goalCheck: result.goalCheck,
       })
     );
     assistantEntry.setTiming(formatTimingSummary(result.timing));
@@ -3044,12 +4321,29 @@ async function handlePromptSubmit() {
       },
       model
     );
+    applyRecordedMessageIds(result.userMessageId, result.assistantMessageId);
+    setUserMessageId(userEntry, result.userMessageId);
     state.pendingAssistantByChat.delete(chatId);
     state.isStreaming = false;
     updateInteractivity();
     stopAttachmentStatusTimer();
     renderAttachmentList();
     trackResponseCompletedAnalytics(result, { model, usedDeepResearch: usesDeepResearch });
+    if (result.edited || result.regenerated) {
+      await reloadCurrentChat();
+      trackAnalyticsEvent(result.edited ? 'message_edited' : 'response_regenerated', {
+        model,
+        fresh_search: Boolean(freshSearch),
+      });
+    } else if (result.assistantMessageId) {
+      // A fresh turn has no siblings yet, so there is no branch navigator to show.
+      assistantEntry.clearActions();
+      addAssistantMessageActions(assistantEntry, {
+        id: result.assistantMessageId,
+        meta: { model, usedWebSearch: result.usedWebSearch },
+        branch: null,
+      });
+    }
     await refreshChatList(chatId);
   } catch (err) {
     console.error(err);
@@ -3071,138 +4365,2287 @@ async function handlePromptSubmit() {
   }
 }
 
-async function refreshChatList(selectedId = state.currentChatId) {
-  state.chats = await window.api.listChats();
-  renderChatList(selectedId);
+function buildAttachmentsPayload() {
+  return state.attachments.map((file) => ({
+    id: file.id,
+    name: file.name,
+    size: file.size,
+    bytes: file.bytes,
+    truncated: Boolean(file.truncated),
+    content: file.content,
+  }));
+}
+
+function getComparisonModels() {
+  if (!state.compare.open) {
+    return [];
+  }
+  const models = state.compare.models.filter((name) => state.models.includes(name));
+  return models.length >= 2 ? models : [];
+}
+
+function toggleCompareBar() {
+  if (state.isStreaming) {
+    return;
+  }
+  state.compare.open = !state.compare.open;
+  if (state.compare.open && !state.compare.models.length && modelSelect.value) {
+    state.compare.models = [modelSelect.value];
+  }
+  renderCompareBar();
+}
+
+function renderCompareBar() {
+  if (!compareBar) {
+    return;
+  }
+  const available = state.models || [];
+  state.compare.models = state.compare.models.filter((name) => available.includes(name));
+  compareBar.innerHTML = '';
+  compareBar.classList.toggle('hidden', !state.compare.open);
+
+  const hint = document.createElement('span');
+  hint.classList.add('compare-hint');
+  hint.textContent =
+    available.length < 2 ? 'Install at least two models to compare.' : `Compare up to ${MAX_COMPARE_MODELS}:`;
+  compareBar.appendChild(hint);
+
+  const full = state.compare.models.length >= MAX_COMPARE_MODELS;
+  available.forEach((name) => {
+    const selected = state.compare.models.includes(name);
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.classList.add('compare-chip');
+    chip.dataset.model = name;
+    chip.textContent = name;
+    chip.setAttribute('aria-pressed', selected ? 'true' : 'false');
+    chip.disabled = !selected && full;
+    compareBar.appendChild(chip);
+  });
+
+  const count = getComparisonModels().length;
+  if (composerCompareButton) {
+    composerCompareButton.classList.toggle('is-active', count > 0);
+    composerCompareButton.setAttribute('aria-pressed', state.compare.open ? 'true' : 'false');
+    composerCompareButton.textContent = count ? `Compare (${count})` : 'Compare';
+  }
+}
+
+function handleCompareBarClick(event) {
+  const chip = event.target.closest('.compare-chip');
+  if (!chip || state.isStreaming) {
+    return;
+  }
+  const name = chip.dataset.model;
+  state.compare.models = state.compare.models.includes(name)
+    ? state.compare.models.filter((model) => model !== name)
+    : [...state.compare.models, name];
+  renderCompareBar();
+}
+
+async function submitComparison(prompt, models) {
+  if (!state.currentChatId) {
+    await handleNewChat();
+  }
+
+  const chatId = state.currentChatId;
+  const userEntry = appendUserMessage(prompt);
+  recordUserMessage(prompt);
+  promptInput.value = '';
+  promptInput.focus();
+
+  trackAnalyticsEvent('comparison_submitted', {
+    chat_id: chatId,
+    model_count: models.length,
+    prompt_chars: prompt.length,
+    attachments: state.attachments.length,
+  });
+
+  state.stopRequested = false;
+  state.isStreaming = true;
+  updateInteractivity();
+
+  const group = document.createElement('div');
+  group.classList.add('compare-group');
+  chatArea.appendChild(group);
+  const columns = models.map((model) => {
+    const column = document.createElement('div');
+    column.classList.add('compare-column');
+    const heading = document.createElement('div');
+    heading.classList.add('compare-column-model');
+    heading.textContent = model;
+    column.appendChild(heading);
+    group.appendChild(column);
+    const entry = appendAssistantMessage('', {
+      open: false,
+      summary: 'Loading model…',
+      loading: true,
+      loadingStatus: 'Loading model…',
+      parent: column,
+    });
+    const requestId = createRequestId();
+    state.pendingAssistantByRequest.set(requestId, entry);
+    return { model, requestId, entry, column };
+  });
+  state.activeCompareRequestIds = columns.map((column) => column.requestId);
+
+  try {
+    const result = await window.api.compareModels({
+      chatId,
+      prompt,
+      models: models.map((name) => ({ name, profileId: resolveModelProfileId(name) })),
+      requestIds: state.activeCompareRequestIds,
+      userLinks: extractLinks(prompt),
+      attachments: buildAttachmentsPayload(),
+    });
+    if (result?.error) {
+      throw new Error(result.error);
+    }
+
+    setUserMessageId(userEntry, result.userMessageId);
+    result.responses.forEach((response, index) =>
+      applyComparisonResponse(columns[index], response, result.selectedMessageId)
+    );
+    // Keep the columns on screen until the user picks one; only the local copy of the chat is refreshed.
+    const chat = await window.api.getChat(chatId);
+    if (chat && state.currentChatId === chatId) {
+      state.currentChat = chat;
+    }
+    trackAnalyticsEvent('comparison_completed', {
+      model_count: models.length,
+      failed: result.responses.filter((response) => !response.assistantMessageId).length,
+    });
+    await refreshChatList(chatId);
+  } catch (err) {
+    console.error('Failed to compare models:', err);
+    columns.forEach(({ entry }) => {
+      entry.clearActions();
+      entry.stopLoading?.();
+      entry.setSummary('Error');
+    });
+    showToast(err?.message || 'Unable to compare models.', { variant: 'error' });
+  } finally {
+    columns.forEach(({ requestId }) => state.pendingAssistantByRequest.delete(requestId));
+    state.activeCompareRequestIds = [];
+    state.isStreaming = false;
+    updateInteractivity();
+  }
+}
+
+function applyComparisonStreamUpdate(entry, data) {
+  if (data.error) {
+    entry.stopLoading?.();
+    entry.setContent(data.error);
+    entry.setSummary('Error');
+    return;
+  }
+  if (data.aborted) {
+    entry.stopLoading?.();
+    return;
+  }
+  if (typeof data.full === 'string') {
+    entry.setContent(data.full);
+  }
+  if (typeof data.reasoning === 'string') {
+    entry.setReasoning(data.reasoning);
+  }
+  if (data.timing) {
+    const summary = formatTimingSummary(data.timing);
+    if (summary) {
+      entry.setTiming(summary);
+    }
+  }
+  if (data.done) {
+    entry.stopLoading?.();
+    entry.setSummary('');
+  }
+}
+
+function applyComparisonResponse({ entry, column }, response, selectedMessageId) {
+  entry.clearActions();
+  entry.stopLoading?.();
+
+  if (response.aborted) {
+    entry.setSummary('Canceled');
+    return;
+  }
+  if (response.error || !response.assistantMessageId) {
+    const message = response.error || 'Unable to get response';
+    entry.setContent(message);
+    entry.setSummary('Error');
+    entry.setThought(message);
+    return;
+  }
+
+  entry.container.dataset.messageId = response.assistantMessageId;
+  entry.setContent(response.answer);
+  if (response.reasoning) {
+    entry.setReasoning(response.reasoning);
+  }
+  entry.setThought(
+    formatContextThought({
+      message: response.usedWebSearch
+        ? 'Answered from the web search shared by every compared model.'
+        : 'No additional context used.',
+      context: response.context,
+      queries: response.contextQueries,
+      retrievedAt: response.contextRetrievedAt,
+      attachments: response.attachments,
+      warnings: response.attachmentWarnings,
+      goalCheck: response.goalCheck,
+    })
+  );
+  entry.setTiming(formatTimingSummary(response.timing));
+  entry.setSummary(response.context ? 'Web Context' : 'Context');
+
+  const selected = response.assistantMessageId === selectedMessageId;
+  column.classList.toggle('selected', selected);
+  const continueButton = document.createElement('button');
+  continueButton.type = 'button';
+  continueButton.classList.add('message-regenerate-btn');
+  continueButton.textContent = 'Continue with this';
+  continueButton.addEventListener('click', () => {
+    trackAnalyticsEvent('comparison_response_picked', { model: response.model });
+    switchChatBranch(response.assistantMessageId);
+  });
+  entry.addActionButton(continueButton);
+  addAssistantMessageActions(entry, {
+    id: response.assistantMessageId,
+    meta: { usedWebSearch: response.usedWebSearch },
+    branch: null,
+  });
+}
+
+async function refreshChatList(selectedId = state.currentChatId) {
+  state.chats = await window.api.listChats();
+  if (state.chatSearch.query) {
+    await runChatSearch();
+    return;
+  }
+  renderChatList(selectedId);
+}
+
+async function handleNewChat() {
+  const model = modelSelect.value || null;
+  const chat = await window.api.createChat(model, state.selectedPersonaId, model ? resolveModelProfileId(model) : null);
+  state.currentChat = chat;
+  state.currentChatId = chat.id;
+  state.chats.unshift({
+    id: chat.id,
+    title: chat.title,
+    model: chat.model,
+    createdAt: chat.createdAt,
+    updatedAt: chat.updatedAt,
+    initialUserPrompt: chat.initialUserPrompt || '',
+  });
+  renderChatList(chat.id);
+  stopAttachmentStatusTimer();
+  setCurrentChatAttachments(chat.attachments || [], { persist: false });
+  renderPersonaSelect();
+  renderChatSearchPolicy(chat);
+  renderGenerationParamsButton();
+  renderChatGoalButton();
+  renderChat(chat);
+  maybeResetDeepResearchForChat(chat.id);
+  promptInput.focus();
+  trackAnalyticsEvent('chat_created', {
+    chat_count: state.chats.length,
+    model: chat.model,
+  });
+}
+
+async function selectChat(chatId) {
+  if (state.isStreaming) {
+    return;
+  }
+
+  if (state.currentChatId === chatId) {
+    return;
+  }
+
+  const chat = await window.api.getChat(chatId);
+  if (!chat) {
+    return;
+  }
+
+  state.currentChatId = chat.id;
+  state.currentChat = chat;
+  renderChatList(chatId);
+  stopAttachmentStatusTimer();
+  setCurrentChatAttachments(chat.attachments || [], { persist: false });
+  state.selectedPersonaId = chat.personaId || DEFAULT_PERSONA_ID;
+  restoreChatModel(chat);
+  renderPersonaSelect();
+  renderChatSearchPolicy(chat);
+  renderGenerationParamsButton();
+  renderChatGoalButton();
+  renderChat(chat);
+  maybeResetDeepResearchForChat(chat.id);
+}
+
+function renderChatSearchPolicy(chat) {
+  if (!chatSearchPolicySelect) {
+    return;
+  }
+  const policy = CHAT_SEARCH_POLICIES.includes(chat?.searchPolicy) ? chat.searchPolicy : 'auto';
+  chatSearchPolicySelect.value = policy;
+}
+
+async function handleChatSearchPolicyChange() {
+  const chatId = state.currentChatId;
+  const policy = chatSearchPolicySelect.value;
+  if (!chatId || !CHAT_SEARCH_POLICIES.includes(policy)) {
+    return;
+  }
+
+  const previous = state.currentChat?.searchPolicy || 'auto';
+  try {
+    const result = await window.api.setChatSearchPolicy({ chatId, policy });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to save web search policy.');
+    }
+    if (state.currentChat && state.currentChat.id === chatId) {
+      state.currentChat.searchPolicy = result.searchPolicy;
+    }
+    trackAnalyticsEvent('chat_search_policy_changed', { policy: result.searchPolicy });
+  } catch (err) {
+    console.error('Failed to update chat search policy:', err);
+    chatSearchPolicySelect.value = previous;
+    showToast(err.message || 'Unable to save web search policy.', { variant: 'error' });
+  }
+}
+
+function parseEndpointHeaders(text) {
+  const headers = {};
+  String(text || '')
+    .split('\n')
+    .forEach((line) => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) {
+        return;
+      }
+      const name = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      if (name && value) {
+        headers[name] = value;
+      }
+    });
+  return headers;
+}
+
+function renderEndpointLibrary() {
+  if (!endpointLibrarySelect) {
+    return;
+  }
+  const profiles = getEndpointProfiles();
+  const profile = getEndpointProfile(state.endpointEditorId);
+  state.endpointEditorId = profile.id;
+
+  endpointLibrarySelect.innerHTML = '';
+  profiles.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    const suffix = entry.id === DEFAULT_ENDPOINT_PROFILE_ID ? ' (default)' : entry.enabled === false ? ' (off)' : '';
+    option.textContent = `${entry.name}${suffix}`;
+    endpointLibrarySelect.appendChild(option);
+  });
+  endpointLibrarySelect.value = profile.id;
+
+  endpointNameInput.value = profile.name || '';
+  endpointUrlInput.value = profile.url || '';
+  endpointFlavorSelect.value = ENDPOINT_FLAVOR_LABELS[profile.apiFlavor] ? profile.apiFlavor : 'ollama';
+  // Saved keys and header values stay in the main process; typing a new value replaces them.
+  const headerNames = Array.isArray(profile.headerNames) ? profile.headerNames : [];
+  endpointApiKeyInput.value = '';
+  endpointApiKeyInput.placeholder = profile.hasApiKey ? 'Saved. Type a new key to replace it.' : '';
+  endpointHeadersInput.value = '';
+  endpointHeadersInput.placeholder = headerNames.length
+    ? `Saved: ${headerNames.join(', ')}. Type new headers to replace them.`
+    : 'X-Team: research';
+  clearEndpointCredentialsButton.disabled = !profile.hasApiKey && !headerNames.length;
+  endpointCredentialNote?.classList.toggle('hidden', state.settings?.credentialStorage !== 'session');
+  endpointTimeoutInput.value = profile.timeoutMs ? String(Math.round(profile.timeoutMs / 1000)) : '';
+  endpointEnabledToggle.checked = profile.enabled !== false;
+  endpointEnabledToggle.disabled = profile.id === DEFAULT_ENDPOINT_PROFILE_ID;
+  deleteEndpointButton.disabled = profile.id === DEFAULT_ENDPOINT_PROFILE_ID;
+  endpointStatus.textContent = '';
+}
+
+async function handleNewEndpoint() {
+  const profile = {
+    id: createRequestId(),
+    name: 'New endpoint',
+    url: '',
+    apiFlavor: 'ollama',
+    apiKey: '',
+    headers: {},
+    timeoutMs: null,
+    enabled: true,
+  };
+  state.endpointEditorId = profile.id;
+  await applySettingsUpdate({ endpointProfiles: [...getEndpointProfiles(), profile] });
+  endpointNameInput?.focus();
+  endpointNameInput?.select();
+}
+
+async function handleSaveEndpoint() {
+  const profile = getEndpointProfile(state.endpointEditorId);
+  const timeoutSeconds = Number(endpointTimeoutInput.value);
+  const updated = {
+    ...profile,
+    name: endpointNameInput.value.trim() || profile.name,
+    url: endpointUrlInput.value.trim(),
+    apiFlavor: endpointFlavorSelect.value,
+    timeoutMs: endpointTimeoutInput.value.trim() && timeoutSeconds > 0 ? timeoutSeconds * 1000 : null,
+    enabled: endpointEnabledToggle.checked,
+  };
+  const apiKey = endpointApiKeyInput.value.trim();
+  if (apiKey) {
+    updated.apiKey = apiKey;
+  }
+  if (endpointHeadersInput.value.trim()) {
+    updated.headers = parseEndpointHeaders(endpointHeadersInput.value);
+  }
+  await applySettingsUpdate({
+    endpointProfiles: getEndpointProfiles().map((entry) => (entry.id === profile.id ? updated : entry)),
+  });
+  if (endpointStatus) {
+    endpointStatus.textContent = 'Saved.';
+  }
+  trackAnalyticsEvent('endpoint_profile_saved', {
+    is_default: profile.id === DEFAULT_ENDPOINT_PROFILE_ID,
+    api_flavor: updated.apiFlavor,
+    enabled: updated.enabled,
+    has_api_key: Boolean(apiKey || profile.hasApiKey),
+    replaced_headers: Boolean(updated.headers),
+  });
+  await populateModels();
+}
+
+async function handleClearEndpointCredentials() {
+  const profile = getEndpointProfile(state.endpointEditorId);
+  await applySettingsUpdate({
+    endpointProfiles: getEndpointProfiles().map((entry) =>
+      entry.id === profile.id ? { ...entry, apiKey: '', headers: {} } : entry
+    ),
+  });
+  if (endpointStatus) {
+    endpointStatus.textContent = 'Credentials cleared.';
+  }
+  await populateModels();
+}
+
+async function handleDeleteEndpoint() {
+  const profile = getEndpointProfile(state.endpointEditorId);
+  if (profile.id === DEFAULT_ENDPOINT_PROFILE_ID) {
+    return;
+  }
+  const previous = getEndpointProfiles();
+  state.endpointEditorId = DEFAULT_ENDPOINT_PROFILE_ID;
+  await applySettingsUpdate({ endpointProfiles: previous.filter((entry) => entry.id !== profile.id) });
+  await populateModels();
+  showToast(`Deleted endpoint "${profile.name}". Chats using it fall back to ${previous[0].name}.`, {
+    variant: 'info',
+    action: {
+      label: 'Undo',
+      onClick: async () => {
+        state.endpointEditorId = profile.id;
+        await applySettingsUpdate({ endpointProfiles: previous });
+        await populateModels();
+      },
+    },
+  });
+}
+
+function getOllamaProfiles() {
+  return getEndpointProfiles().filter(
+    (profile) => (profile.apiFlavor || 'ollama') === 'ollama' && profile.enabled !== false
+  );
+}
+
+function openModelManager() {
+  openSettingsPanel();
+  document.getElementById('modelManager')?.scrollIntoView({ block: 'start' });
+  modelPullInput?.focus();
+}
+
+function renderModelManagerEndpoints() {
+  if (!modelManagerEndpointSelect) {
+    return null;
+  }
+  const profiles = getOllamaProfiles();
+  const profile = profiles.find((entry) => entry.id === state.modelManager.profileId) || profiles[0] || null;
+  state.modelManager.profileId = profile?.id || null;
+
+  modelManagerEndpointSelect.innerHTML = '';
+  profiles.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    option.textContent = entry.name;
+    modelManagerEndpointSelect.appendChild(option);
+  });
+  modelManagerEndpointSelect.value = profile?.id || '';
+  modelManagerEndpointSelect.disabled = profiles.length < 2;
+  return profile;
+}
+
+async function refreshModelManager() {
+  const profile = renderModelManagerEndpoints();
+  const pulling = Boolean(state.modelManager.pull);
+  if (modelManagerRefreshButton) {
+    modelManagerRefreshButton.disabled = !profile;
+  }
+  if (modelPullButton) {
+    modelPullButton.disabled = !profile || pulling;
+  }
+  if (!profile) {
+    state.modelManager.installed = [];
+    state.modelManager.loaded = [];
+    renderModelManagerLists();
+    modelManagerStatus.textContent = 'Add an enabled Ollama endpoint to manage its models.';
+    return;
+  }
+
+  modelManagerStatus.textContent = 'Loading…';
+  const result = await window.api.listOllamaModels(profile.id);
+  if (state.modelManager.profileId !== profile.id) {
+    return;
+  }
+  if (!result?.success) {
+    state.modelManager.installed = [];
+    state.modelManager.loaded = [];
+    renderModelManagerLists();
+    modelManagerStatus.textContent = result?.error || `Unable to reach ${profile.name}.`;
+    return;
+  }
+  state.modelManager.installed = result.installed || [];
+  state.modelManager.loaded = result.loaded || [];
+  renderModelManagerLists();
+  const count = state.modelManager.installed.length;
+  const totalSize = state.modelManager.installed.reduce((sum, model) => sum + (model.size || 0), 0);
+  modelManagerStatus.textContent = count
+    ? `${count} ${count === 1 ? 'model' : 'models'} · ${formatBytes(totalSize)} on disk`
+    : 'No models installed yet.';
+}
+
+function createModelManagerButton(label, action, model) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.dataset.modelAction = action;
+  button.dataset.model = model;
+  button.setAttribute('aria-label', `${label} ${model}`);
+  return button;
+}
+
+function renderModelManagerLists() {
+  if (!loadedModelListEl || !installedModelListEl) {
+    return;
+  }
+
+  loadedModelListEl.innerHTML = '';
+  state.modelManager.loaded.forEach((model) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = model.name;
+    label.title = model.name;
+    const usage = document.createElement('small');
+    const onGpu = model.size && model.sizeVram ? Math.round((model.sizeVram / model.size) * 100) : 0;
+    usage.textContent = `${formatBytes(model.size)}${onGpu ? ` · ${onGpu}% GPU` : ''}`;
+    item.append(label, usage, createModelManagerButton('Unload', 'unload', model.name));
+    loadedModelListEl.appendChild(item);
+  });
+  if (!state.modelManager.loaded.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'Nothing loaded.';
+    loadedModelListEl.appendChild(empty);
+  }
+
+  installedModelListEl.innerHTML = '';
+  state.modelManager.installed.forEach((model) => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = model.name;
+    label.title = model.modifiedAt ? `${model.name} · updated ${new Date(model.modifiedAt).toLocaleString()}` : model.name;
+    const meta = document.createElement('small');
+    meta.textContent = [model.parameterSize, model.quantization, formatBytes(model.size)].filter(Boolean).join(' · ');
+    item.append(
+      label,
+      meta,
+      createModelManagerButton('Details', 'details', model.name),
+      createModelManagerButton('Delete', 'delete', model.name)
+    );
+    installedModelListEl.appendChild(item);
+  });
+  modelDetailsEl?.classList.add('hidden');
+}
+
+function handleModelManagerAction(action, name) {
+  if (!name) {
+    return;
+  }
+  switch (action) {
+    case 'details':
+      showOllamaModelDetails(name);
+      break;
+    case 'delete':
+      handleDeleteOllamaModel(name);
+      break;
+    case 'unload':
+      handleUnloadOllamaModel(name);
+      break;
+    default:
+      break;
+  }
+}
+
+// Templates run to dozens of lines, so they stay folded until asked for.
+function createModelDetailsBlock(text) {
+  const block = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = 'Show';
+  const pre = document.createElement('pre');
+  pre.textContent = text.trim();
+  block.append(summary, pre);
+  return block;
+}
+
+async function showOllamaModelDetails(name) {
+  if (!modelDetailsEl) {
+    return;
+  }
+  const result = await window.api.showOllamaModel({ profileId: state.modelManager.profileId, name });
+  if (!result?.success) {
+    showToast(result?.error || 'Unable to load model details.', { variant: 'error' });
+    return;
+  }
+  const { details } = result;
+  const parameterCount = details.parameterCount
+    ? `${Number((details.parameterCount / 1e9).toFixed(1)).toLocaleString()}B`
+    : null;
+  const rows = [
+    ['Model', details.name],
+    ['Family', details.family],
+    ['Parameters', details.parameterSize || parameterCount],
+    ['Quantization', details.quantization],
+    ['Format', details.format],
+    ['Context window', details.contextLength ? `${details.contextLength.toLocaleString()} tokens` : null],
+    ['Capabilities', details.capabilities.join(', ')],
+    ['Modelfile parameters', details.parameters.trim() ? createModelDetailsBlock(details.parameters) : null],
+    ['Template', details.template.trim() ? createModelDetailsBlock(details.template) : null],
+  ];
+  modelDetailsEl.innerHTML = '';
+  rows
+    .filter(([, value]) => value)
+    .forEach(([term, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = term;
+      const dd = document.createElement('dd');
+      if (value instanceof Node) {
+        dd.appendChild(value);
+      } else {
+        dd.textContent = value;
+      }
+      modelDetailsEl.append(dt, dd);
+    });
+  modelDetailsEl.classList.remove('hidden');
+}
+
+async function handleDeleteOllamaModel(name) {
+  const profile = getEndpointProfile(state.modelManager.profileId);
+  const confirmed = window.confirm(`Delete ${name} from ${profile.name}? You will need to pull it again to use it.`);
+  if (!confirmed) {
+    return;
+  }
+  const result = await window.api.deleteOllamaModel({ profileId: profile.id, name });
+  if (!result?.success) {
+    showToast(result?.error || 'Unable to delete model.', { variant: 'error' });
+    return;
+  }
+  showToast(`Deleted ${name}.`, { variant: 'info' });
+  trackAnalyticsEvent('ollama_model_deleted');
+  await refreshModelManager();
+  await populateModels();
+}
+
+async function handleUnloadOllamaModel(name) {
+  const result = await window.api.unloadOllamaModel({ profileId: state.modelManager.profileId, name });
+  if (!result?.success) {
+    showToast(result?.error || 'Unable to unload model.', { variant: 'error' });
+    return;
+  }
+  await refreshModelManager();
+}
+
+async function handlePullModel() {
+  const name = modelPullInput?.value.trim();
+  const profileId = state.modelManager.profileId;
+  if (!name || !profileId || state.modelManager.pull) {
+    return;
+  }
+
+  const requestId = createRequestId();
+  state.modelManager.pull = { requestId, name };
+  modelPullButton.disabled = true;
+  modelPullBar.removeAttribute('value');
+  modelPullStatus.textContent = `Starting ${name}…`;
+  modelPullProgress?.classList.remove('hidden');
+
+  const result = await window.api.pullOllamaModel({ profileId, name, requestId });
+  state.modelManager.pull = null;
+  modelPullProgress?.classList.add('hidden');
+  modelPullButton.disabled = false;
+  if (result?.aborted) {
+    showToast(`Stopped pulling ${name}.`, { variant: 'info' });
+    return;
+  }
+  if (!result?.success) {
+    showToast(result?.error || `Unable to pull ${name}.`, { variant: 'error' });
+    return;
+  }
+  modelPullInput.value = '';
+  showToast(`${name} is ready.`, { variant: 'success' });
+  trackAnalyticsEvent('ollama_model_pulled');
+  await refreshModelManager();
+  await populateModels();
+}
+
+function handleModelPullProgress(data) {
+  if (!data || data.requestId !== state.modelManager.pull?.requestId) {
+    return;
+  }
+  const hasTotal = Number.isFinite(data.total) && data.total > 0;
+  if (hasTotal) {
+    modelPullBar.value = Math.min(1, (data.completed || 0) / data.total);
+  } else {
+    modelPullBar.removeAttribute('value');
+  }
+  const amount = hasTotal ? ` · ${formatBytes(data.completed || 0)} of ${formatBytes(data.total)}` : '';
+  modelPullStatus.textContent = `${data.status || 'Pulling'}${amount}`;
+}
+
+function handleCancelModelPull() {
+  const requestId = state.modelManager.pull?.requestId;
+  if (requestId) {
+    window.api.cancelOllamaPull(requestId);
+  }
+}
+
+function getPersonas() {
+  const personas = Array.isArray(state.settings?.personas) ? state.settings.personas : [];
+  return personas.length ? personas : DEFAULT_SETTINGS.personas;
+}
+
+function getPersona(personaId) {
+  const personas = getPersonas();
+  return personas.find((persona) => persona.id === personaId) || personas[0];
+}
+
+function renderPersonaSelect() {
+  if (!chatPersonaSelect) {
+    return;
+  }
+  chatPersonaSelect.innerHTML = '';
+  getPersonas().forEach((persona) => {
+    const option = document.createElement('option');
+    option.value = persona.id;
+    option.textContent = persona.name;
+    chatPersonaSelect.appendChild(option);
+  });
+  chatPersonaSelect.value = getPersona(state.currentChat?.personaId || state.selectedPersonaId).id;
+}
+
+async function handleChatPersonaChange() {
+  const persona = getPersona(chatPersonaSelect.value);
+  state.selectedPersonaId = persona.id;
+  if (persona.model && state.models.includes(persona.model)) {
+    handleModelPickerSelection(persona.model);
+  }
+
+  const chatId = state.currentChatId;
+  if (!chatId) {
+    return;
+  }
+  try {
+    const result = await window.api.setChatPersona({ chatId, personaId: persona.id });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to change persona.');
+    }
+    if (state.currentChat?.id === chatId) {
+      state.currentChat.personaId = result.personaId;
+      state.currentChat.searchPolicy = result.searchPolicy;
+      renderChatSearchPolicy(state.currentChat);
+    }
+    trackAnalyticsEvent('chat_persona_changed', { built_in: persona.id === DEFAULT_PERSONA_ID });
+  } catch (err) {
+    console.error('Failed to change chat persona:', err);
+    showToast(err?.message || 'Unable to change persona.', { variant: 'error' });
+    renderPersonaSelect();
+  }
+}
+
+function renderPersonaLibrary() {
+  if (!personaLibrarySelect) {
+    return;
+  }
+  const personas = getPersonas();
+  const persona = getPersona(state.personaEditorId);
+  state.personaEditorId = persona.id;
+
+  personaLibrarySelect.innerHTML = '';
+  personas.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    option.textContent = entry.id === DEFAULT_PERSONA_ID ? `${entry.name} (built-in)` : entry.name;
+    personaLibrarySelect.appendChild(option);
+  });
+  personaLibrarySelect.value = persona.id;
+
+  personaNameInput.value = persona.name || '';
+  personaPromptInput.value = persona.systemPrompt || '';
+  personaPromptInput.placeholder =
+    persona.id === DEFAULT_PERSONA_ID ? 'Using the built-in instructions.' : 'You are a helpful assistant that…';
+  personaModelInput.value = persona.model || '';
+  personaSearchPolicySelect.value = persona.searchPolicy || '';
+  fillGenerationInputs(personaParamsEl, persona.generationParams || {});
+  deletePersonaButton.disabled = persona.id === DEFAULT_PERSONA_ID;
+  personaStatus.textContent = '';
+
+  personaModelOptions.innerHTML = '';
+  (state.models || []).forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    personaModelOptions.appendChild(option);
+  });
+}
+
+async function handleNewPersona() {
+  const persona = {
+    id: createRequestId(),
+    name: 'New persona',
+    systemPrompt: '',
+    model: '',
+    searchPolicy: '',
+    generationParams: {},
+  };
+  state.personaEditorId = persona.id;
+  await applySettingsUpdate({ personas: [...getPersonas(), persona] });
+  personaNameInput?.focus();
+  personaNameInput?.select();
+}
+
+async function handleSavePersona() {
+  const persona = getPersona(state.personaEditorId);
+  const updated = {
+    ...persona,
+    name: personaNameInput.value.trim() || persona.name,
+    systemPrompt: personaPromptInput.value.trim(),
+    model: personaModelInput.value.trim(),
+    searchPolicy: personaSearchPolicySelect.value,
+    generationParams: readGenerationInputs(personaParamsEl),
+  };
+  await applySettingsUpdate({
+    personas: getPersonas().map((entry) => (entry.id === persona.id ? updated : entry)),
+  });
+  if (personaStatus) {
+    personaStatus.textContent = 'Saved.';
+  }
+  trackAnalyticsEvent('persona_saved', {
+    built_in: persona.id === DEFAULT_PERSONA_ID,
+    custom_prompt: Boolean(updated.systemPrompt),
+  });
+}
+
+async function handleDeletePersona() {
+  const persona = getPersona(state.personaEditorId);
+  if (persona.id === DEFAULT_PERSONA_ID) {
+    return;
+  }
+  const previous = getPersonas();
+  state.personaEditorId = DEFAULT_PERSONA_ID;
+  await applySettingsUpdate({ personas: previous.filter((entry) => entry.id !== persona.id) });
+  showToast(`Deleted persona "${persona.name}". Chats using it fall back to ${previous[0].name}.`, {
+    variant: 'info',
+    action: {
+      label: 'Undo',
+      onClick: () => {
+        state.personaEditorId = persona.id;
+        applySettingsUpdate({ personas: previous });
+      },
+    },
+  });
+}
+
+function getPromptTemplates() {
+  return Array.isArray(state.settings?.promptTemplates) ? state.settings.promptTemplates : [];
+}
+
+function extractTemplateVariables(body) {
+  const names = [];
+  String(body || '').replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_match, name) => {
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+    return '';
+  });
+  return names;
+}
+
+function fillTemplate(body, values) {
+  return String(body || '').replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) =>
+    values[name] !== undefined ? values[name] : match
+  );
+}
+
+function openTemplateMenu(event) {
+  const templates = getPromptTemplates();
+  const items = templates.map((template) => ({
+    label: template.name,
+    onSelect: () => startPromptTemplate(template),
+  }));
+  items.push({
+    label: templates.length ? 'Manage templates…' : 'Create a template…',
+    separator: templates.length > 0,
+    onSelect: openTemplateSettings,
+  });
+  openContextMenu(event, items);
+}
+
+function openTemplateSettings() {
+  openSettingsPanel();
+  document.getElementById('templateEditor')?.scrollIntoView({ block: 'start' });
+  if (!getPromptTemplates().length) {
+    handleNewTemplate();
+  }
+}
+
+function startPromptTemplate(template) {
+  if (!template || state.isStreaming) {
+    return;
+  }
+  const variables = extractTemplateVariables(template.body);
+  if (!variables.length) {
+    insertPromptTemplate(template, {});
+    return;
+  }
+
+  state.pendingTemplate = template;
+  templateVariablesTitle.textContent = template.name;
+  templateVariableFields.innerHTML = '';
+  variables.forEach((name) => {
+    const label = document.createElement('label');
+    label.textContent = name.replace(/[_.-]+/g, ' ');
+    const input = document.createElement('textarea');
+    input.rows = 1;
+    input.dataset.templateVariable = name;
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+        event.preventDefault();
+        templateVariablesForm.requestSubmit();
+      }
+    });
+    label.appendChild(input);
+    templateVariableFields.appendChild(label);
+  });
+  templateVariablesForm.classList.remove('hidden');
+  templateVariableFields.querySelector('textarea')?.focus();
+}
+
+function closeTemplateVariables() {
+  state.pendingTemplate = null;
+  templateVariablesForm?.classList.add('hidden');
+  if (templateVariableFields) {
+    templateVariableFields.innerHTML = '';
+  }
+  promptInput.focus();
+}
+
+function handleTemplateVariablesSubmit() {
+  const template = state.pendingTemplate;
+  if (!template) {
+    closeTemplateVariables();
+    return;
+  }
+  const values = {};
+  templateVariableFields.querySelectorAll('[data-template-variable]').forEach((input) => {
+    values[input.dataset.templateVariable] = input.value.trim();
+  });
+  closeTemplateVariables();
+  insertPromptTemplate(template, values);
+}
+
+function insertPromptTemplate(template, values) {
+  const text = fillTemplate(template.body, values);
+  const start = promptInput.selectionStart ?? promptInput.value.length;
+  const end = promptInput.selectionEnd ?? promptInput.value.length;
+  promptInput.setRangeText(text, start, end, 'end');
+  handlePromptAutosize();
+  promptInput.focus();
+  state.activeTemplate = template;
+
+  if (template.deepResearch && !state.deepResearch.enabled) {
+    toggleDeepResearchEnabled();
+  }
+  if (template.attachments === 'none' && state.attachments.length) {
+    setCurrentChatAttachments([], { persist: true });
+  } else if (template.attachments === 'required' && !state.attachments.length) {
+    handleAttachmentPick();
+  }
+  trackAnalyticsEvent('template_inserted', {
+    variables: Object.keys(values).length,
+    deep_research: template.deepResearch,
+    attachments: template.attachments || 'keep',
+  });
+}
+
+function renderTemplateLibrary() {
+  if (!templateLibrarySelect) {
+    return;
+  }
+  const templates = getPromptTemplates();
+  const template = templates.find((entry) => entry.id === state.templateEditorId) || templates[0] || null;
+  state.templateEditorId = template?.id || null;
+
+  templateLibrarySelect.innerHTML = '';
+  templates.forEach((entry) => {
+    const option = document.createElement('option');
+    option.value = entry.id;
+    option.textContent = entry.name;
+    templateLibrarySelect.appendChild(option);
+  });
+  templateLibrarySelect.value = template?.id || '';
+
+  const editorFields = [
+    templateLibrarySelect,
+    deleteTemplateButton,
+    templateNameInput,
+    templateBodyInput,
+    templateAttachmentsSelect,
+    templateDeepResearchToggle,
+    saveTemplateButton,
+  ];
+  editorFields.forEach((element) => {
+    element.disabled = !template;
+  });
+  templateNameInput.value = template?.name || '';
+  templateBodyInput.value = template?.body || '';
+  templateAttachmentsSelect.value = template?.attachments || '';
+  templateDeepResearchToggle.checked = Boolean(template?.deepResearch);
+  templateStatus.textContent = '';
+}
+
+async function handleNewTemplate() {
+  const template = {
+    id: createRequestId(),
+    name: 'New template',
+    body: '',
+    attachments: '',
+    deepResearch: false,
+  };
+  state.templateEditorId = template.id;
+  await applySettingsUpdate({ promptTemplates: [...getPromptTemplates(), template] });
+  templateNameInput?.focus();
+  templateNameInput?.select();
+}
+
+async function handleSaveTemplate() {
+  const template = getPromptTemplates().find((entry) => entry.id === state.templateEditorId);
+  if (!template) {
+    return;
+  }
+  const updated = {
+    ...template,
+    name: templateNameInput.value.trim() || template.name,
+    body: templateBodyInput.value.trim(),
+    attachments: templateAttachmentsSelect.value,
+    deepResearch: templateDeepResearchToggle.checked,
+  };
+  await applySettingsUpdate({
+    promptTemplates: getPromptTemplates().map((entry) => (entry.id === template.id ? updated : entry)),
+  });
+  if (templateStatus) {
+    templateStatus.textContent = 'Saved.';
+  }
+  trackAnalyticsEvent('template_saved', {
+    variables: extractTemplateVariables(updated.body).length,
+    deep_research: updated.deepResearch,
+  });
+}
+
+async function handleDeleteTemplate() {
+  const template = getPromptTemplates().find((entry) => entry.id === state.templateEditorId);
+  if (!template) {
+    return;
+  }
+  const previous = getPromptTemplates();
+  state.templateEditorId = null;
+  await applySettingsUpdate({ promptTemplates: previous.filter((entry) => entry.id !== template.id) });
+  showToast(`Deleted template "${template.name}".`, {
+    variant: 'info',
+    action: {
+      label: 'Undo',
+      onClick: () => {
+        state.templateEditorId = template.id;
+        applySettingsUpdate({ promptTemplates: previous });
+      },
+    },
+  });
+}
+
+function getGenerationParamsForScope(scope) {
+  if (scope === 'chat') {
+    return state.currentChat?.generationParams || {};
+  }
+  if (scope === 'model') {
+    return state.settings.modelGenerationPresets?.[modelSelect.value] || {};
+  }
+  return state.settings.generationDefaults || {};
+}
+
+// What a blank field falls back to at each level: chat -> persona -> model preset -> defaults -> server.
+function getInheritedGenerationParams(scope) {
+  if (scope === 'global') {
+    return {};
+  }
+  const defaults = state.settings.generationDefaults || {};
+  if (scope === 'model') {
+    return defaults;
+  }
+  return {
+    ...defaults,
+    ...(state.settings.modelGenerationPresets?.[modelSelect.value] || {}),
+    ...(getPersona(state.currentChat?.personaId).generationParams || {}),
+  };
+}
+
+function renderGenerationParamsButton() {
+  if (!generationParamsButton) {
+    return;
+  }
+  const overrides = Object.keys(state.currentChat?.generationParams || {}).length;
+  generationParamsButton.classList.toggle('is-active', overrides > 0);
+  generationParamsButton.textContent = overrides ? `Params (${overrides})` : 'Params';
+}
+
+function renderGenerationPanel() {
+  if (!generationPanel) {
+    return;
+  }
+  const scope = generationScopeSelect.value;
+  fillGenerationInputs(generationPanel, getGenerationParamsForScope(scope), getInheritedGenerationParams(scope));
+
+  const modelOption = generationScopeSelect.querySelector('option[value="model"]');
+  modelOption.textContent = modelSelect.value ? `Preset for ${modelSelect.value}` : 'Current model preset';
+  modelOption.disabled = !modelSelect.value;
+  generationScopeSelect.querySelector('option[value="chat"]').disabled = !state.currentChatId;
+
+  if (generationHint) {
+    generationHint.textContent =
+      scope === 'global'
+        ? 'Blank fields use the server defaults.'
+        : 'Blank fields inherit the value shown in grey.';
+  }
+}
+
+function openGenerationPanel() {
+  if (!generationPanel || state.isStreaming) {
+    return;
+  }
+  if (!state.currentChatId && generationScopeSelect.value === 'chat') {
+    generationScopeSelect.value = modelSelect.value ? 'model' : 'global';
+  }
+  renderGenerationPanel();
+  generationPanel.classList.remove('hidden');
+  generationPanel.setAttribute('aria-hidden', 'false');
+  generationParamsButton.setAttribute('aria-expanded', 'true');
+  generationPanel.querySelector('[data-generation-param]')?.focus();
+  document.addEventListener('pointerdown', handleGenerationPanelPointerDown, true);
+  document.addEventListener('keydown', handleGenerationPanelKeydown, true);
+}
+
+function closeGenerationPanel() {
+  if (!generationPanel || generationPanel.classList.contains('hidden')) {
+    return;
+  }
+  generationPanel.classList.add('hidden');
+  generationPanel.setAttribute('aria-hidden', 'true');
+  generationParamsButton.setAttribute('aria-expanded', 'false');
+  document.removeEventListener('pointerdown', handleGenerationPanelPointerDown, true);
+  document.removeEventListener('keydown', handleGenerationPanelKeydown, true);
+}
+
+function handleGenerationPanelPointerDown(event) {
+  if (!generationPanel.contains(event.target) && !generationParamsButton.contains(event.target)) {
+    closeGenerationPanel();
+  }
+}
+
+function handleGenerationPanelKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeGenerationPanel();
+    generationParamsButton.focus();
+  }
+}
+
+function fillGenerationInputs(root, values = {}, inherited = {}) {
+  root.querySelectorAll('[data-generation-param]').forEach((input) => {
+    const key = input.dataset.generationParam;
+    input.value = values[key] !== undefined ? String(values[key]) : '';
+    input.placeholder = inherited[key] !== undefined ? String(inherited[key]) : 'default';
+  });
+}
+
+function readGenerationInputs(root) {
+  const params = {};
+  root.querySelectorAll('[data-generation-param]').forEach((input) => {
+    const value = input.value.trim();
+    if (value !== '' && Number.isFinite(Number(value))) {
+      params[input.dataset.generationParam] = Number(value);
+    }
+  });
+  return params;
+}
+
+async function saveGenerationParams() {
+  const scope = generationScopeSelect.value;
+  const params = readGenerationInputs(generationPanel);
+
+  try {
+    if (scope === 'chat') {
+      const chatId = state.currentChatId;
+      if (!chatId) {
+        return;
+      }
+      const result = await window.api.setChatGenerationParams({ chatId, params });
+      if (!result?.success) {
+        throw new Error(result?.error || 'Unable to save generation parameters.');
+      }
+      if (state.currentChat?.id === chatId) {
+        state.currentChat.generationParams = result.generationParams;
+      }
+      renderGenerationParamsButton();
+    } else if (scope === 'model') {
+      const model = modelSelect.value;
+      if (!model) {
+        return;
+      }
+      const presets = { ...(state.settings.modelGenerationPresets || {}) };
+      if (Object.keys(params).length) {
+        presets[model] = params;
+      } else {
+        delete presets[model];
+      }
+      await applySettingsUpdate({ modelGenerationPresets: presets });
+    } else {
+      await applySettingsUpdate({ generationDefaults: params });
+    }
+    trackAnalyticsEvent('generation_params_saved', { scope, fields: Object.keys(params).length });
+    closeGenerationPanel();
+    showToast('Generation parameters saved.', { variant: 'success', duration: 2500 });
+  } catch (err) {
+    console.error('Failed to save generation parameters:', err);
+    showToast(err?.message || 'Unable to save generation parameters.', { variant: 'error' });
+  }
+}
+
+function getChatGoalMode(chat = state.currentChat) {
+  const mode = chat?.goalGuardrailMode;
+  if (GOAL_GUARDRAIL_LABELS[mode]) {
+    return mode;
+  }
+  return GOAL_GUARDRAIL_LABELS[state.settings?.goalGuardrailMode] ? state.settings.goalGuardrailMode : 'strict';
+}
+
+function renderChatGoalButton() {
+  if (!chatGoalButton) {
+    return;
+  }
+  const overridden = Boolean(GOAL_GUARDRAIL_LABELS[state.currentChat?.goalGuardrailMode]);
+  const mode = getChatGoalMode();
+  chatGoalButton.classList.toggle('is-active', overridden);
+  chatGoalButton.textContent = mode === 'strict' ? 'Goal' : `Goal (${GOAL_GUARDRAIL_LABELS[mode].toLowerCase()})`;
+  chatGoalButton.title = state.currentChat?.initialUserPrompt
+    ? `Goal: ${state.currentChat.initialUserPrompt}`
+    : 'This chat has no goal yet.';
+  chatGoalButton.disabled = state.isStreaming || !state.currentChatId;
+}
+
+function renderChatGoalHint() {
+  if (!chatGoalHint) {
+    return;
+  }
+  const selected = chatGoalModeSelect.value;
+  const mode = GOAL_GUARDRAIL_LABELS[selected] ? selected : state.settings?.goalGuardrailMode || 'strict';
+  const descriptions = {
+    strict: 'Unrelated follow-ups skip web search and the model steers back to the goal.',
+    soft: 'The goal is background for the model. Every follow-up is answered normally.',
+    off: 'The goal is ignored.',
+  };
+  chatGoalHint.textContent = selected
+    ? descriptions[mode]
+    : `Default (${GOAL_GUARDRAIL_LABELS[mode] || 'Strict'}): ${descriptions[mode] || descriptions.strict}`;
+}
+
+function openChatGoalPanel() {
+  if (!chatGoalPanel || state.isStreaming || !state.currentChat) {
+    return;
+  }
+  chatGoalInput.value = state.currentChat.initialUserPrompt || '';
+  chatGoalModeSelect.value = state.currentChat.goalGuardrailMode || '';
+  renderChatGoalHint();
+  chatGoalPanel.classList.remove('hidden');
+  chatGoalPanel.setAttribute('aria-hidden', 'false');
+  chatGoalButton.setAttribute('aria-expanded', 'true');
+  chatGoalInput.focus();
+  document.addEventListener('pointerdown', handleChatGoalPanelPointerDown, true);
+  document.addEventListener('keydown', handleChatGoalPanelKeydown, true);
+}
+
+function closeChatGoalPanel() {
+  if (!chatGoalPanel || chatGoalPanel.classList.contains('hidden')) {
+    return;
+  }
+  chatGoalPanel.classList.add('hidden');
+  chatGoalPanel.setAttribute('aria-hidden', 'true');
+  chatGoalButton.setAttribute('aria-expanded', 'false');
+  document.removeEventListener('pointerdown', handleChatGoalPanelPointerDown, true);
+  document.removeEventListener('keydown', handleChatGoalPanelKeydown, true);
+}
+
+function handleChatGoalPanelPointerDown(event) {
+  if (!chatGoalPanel.contains(event.target) && !chatGoalButton.contains(event.target)) {
+    closeChatGoalPanel();
+  }
+}
+
+function handleChatGoalPanelKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeChatGoalPanel();
+    chatGoalButton.focus();
+  }
+}
+
+async function saveChatGoal({ reset = false } = {}) {
+  const chatId = state.currentChatId;
+  if (!chatId || !state.currentChat) {
+    return;
+  }
+
+  const payload = { chatId, guardrailMode: chatGoalModeSelect.value || null };
+  const goal = chatGoalInput.value.trim();
+  if (reset) {
+    payload.reset = true;
+  } else if (goal !== (state.currentChat.initialUserPrompt || '').trim()) {
+    payload.goal = goal;
+  }
+
+  try {
+    const result = await window.api.updateChatGoal(payload);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to update the chat goal.');
+    }
+    if (state.currentChat?.id === chatId) {
+      state.currentChat.initialUserPrompt = result.initialUserPrompt;
+      state.currentChat.goalGuardrailMode = result.goalGuardrailMode;
+    }
+    const summary = state.chats.find((item) => item.id === chatId);
+    if (summary) {
+      summary.initialUserPrompt = result.initialUserPrompt;
+    }
+    renderChatGoalButton();
+    trackAnalyticsEvent('chat_goal_updated', {
+      reset,
+      goal_changed: reset || payload.goal !== undefined,
+      mode: result.goalGuardrailMode || 'default',
+    });
+    if (reset) {
+      chatGoalInput.value = result.initialUserPrompt || '';
+      showToast('Goal reset to the first message.', { variant: 'success', duration: 2500 });
+      return;
+    }
+    closeChatGoalPanel();
+    showToast('Chat goal saved.', { variant: 'success', duration: 2500 });
+  } catch (err) {
+    console.error('Failed to update chat goal:', err);
+    showToast(err?.message || 'Unable to update the chat goal.', { variant: 'error' });
+  }
+}
+
+function renderChat(chat) {
+  if (!chat.messages?.length) {
+    chatArea.innerHTML = '';
+    const empty = document.createElement('div');
+    empty.classList.add('empty-state');
+    empty.innerHTML = `
+      <div class="empty-copy">
+        <h2>Ready when you are</h2>
+        <p>Select a model, drop in context, then ask anything.</p>
+        <p>Your conversations stay private.</p>
+      </div>
+    `;
+    chatArea.appendChild(empty);
+    return;
+  }
+
+  chatArea.innerHTML = '';
+  chat.messages.forEach((message) => {
+    if (message.role === 'user') {
+      appendUserMessage(message.content, { messageId: message.id, branch: message.branch });
+    } else {
+      const usedWeb = Boolean(message.meta?.usedWebSearch);
+      const usedDeepResearch =
+        message.meta?.deepResearch &&
+        (message.meta.deepResearch.summary ||
+          message.meta.deepResearch.answer ||
+          (Array.isArray(message.meta.deepResearch.sources) && message.meta.deepResearch.sources.length > 0));
+      const storedThought = formatStoredContext(message.meta || {});
+      const entry = appendAssistantMessage(message.content, {
+        open: state.settings?.openThoughtsByDefault ?? false,
+        thoughts: storedThought.context,
+        summary: usedDeepResearch ? 'Deep research notes & timing' : usedWeb ? 'Web Context' : 'Context',
+      });
+      if (message.id) {
+        entry.container.dataset.messageId = message.id;
+      }
+      if (storedThought.reasoning) {
+        entry.setReasoning(storedThought.reasoning);
+      }
+      if (storedThought.timing) {
+        entry.setTiming(storedThought.timing);
+      }
+      if (message.id) {
+        addAssistantMessageActions(entry, message);
+      }
+    }
+  });
+}
+
+function addAssistantMessageActions(entry, message) {
+  if (message.branch) {
+    entry.addActionButton(createBranchNavigator(message.branch));
+  }
+  if (message.meta?.model) {
+    const modelLabel = document.createElement('span');
+    modelLabel.classList.add('message-model');
+    modelLabel.textContent = message.meta.model;
+    entry.addActionButton(modelLabel);
+  }
+  const regenerateButton = document.createElement('button');
+  regenerateButton.type = 'button';
+  regenerateButton.classList.add('message-regenerate-btn');
+  regenerateButton.textContent = 'Regenerate';
+  regenerateButton.setAttribute('aria-label', 'Regenerate this response');
+  regenerateButton.addEventListener('click', (event) => openRegenerateMenu(event, message));
+  entry.addActionButton(regenerateButton);
+}
+
+function openRegenerateMenu(event, message) {
+  const currentModel = modelSelect.value || message.meta?.model || '';
+  const items = [];
+  if (currentModel) {
+    items.push({
+      label: `Regenerate with ${currentModel}`,
+      onSelect: () => handleRegenerateResponse(message.id, { model: currentModel }),
+    });
+    if (message.meta?.usedWebSearch || (state.currentChat?.searchPolicy || 'auto') !== 'never') {
+      items.push({
+        label: 'Regenerate with a fresh web search',
+        onSelect: () => handleRegenerateResponse(message.id, { model: currentModel, freshSearch: true }),
+      });
+    }
+  }
+  (state.models || [])
+    .filter((name) => name !== currentModel)
+    .forEach((name, index) => {
+      items.push({
+        label: `Regenerate with ${name}`,
+        separator: index === 0 && items.length > 0,
+        onSelect: () => handleRegenerateResponse(message.id, { model: name }),
+      });
+    });
+  if (!items.length) {
+    showToast('Choose a model before regenerating.', { variant: 'warning' });
+    return;
+  }
+  openContextMenu(event, items);
+}
+
+async function handleRegenerateResponse(messageId, { model, freshSearch = false } = {}) {
+  if (state.isStreaming || !state.currentChat || !model) {
+    return;
+  }
+
+  // Compare columns other than the selected one are not on the active branch yet.
+  if (!(state.currentChat.messages || []).some((message) => message.id === messageId)) {
+    await switchChatBranch(messageId);
+  }
+  const messages = state.currentChat?.messages || [];
+  const index = messages.findIndex((message) => message.id === messageId);
+  const userMessage = index > 0 ? messages[index - 1] : null;
+  if (!userMessage || userMessage.role !== 'user') {
+    return;
+  }
+
+  // The new answer streams in place of the old one; the original is kept as an alternate.
+  state.currentChat.messages = messages.slice(0, index);
+  renderChat(state.currentChat);
+  await submitPrompt(userMessage.content, { regenerateMessageId: messageId, model, freshSearch });
+}
+
+function renderChatList(activeId) {
+  chatListNav.innerHTML = '';
+  renderChatFilters();
+
+  if (state.chatSearch.query) {
+    renderChatSearchResults(activeId);
+    return;
+  }
+
+  if (!state.chats.length) {
+    appendChatListNotice('No chats yet.');
+    return;
+  }
+
+  const chats = state.chats.filter(matchesChatFilter);
+  if (!chats.length) {
+    appendChatListNotice('No chats match this filter.');
+    return;
+  }
+
+  const folders = state.settings?.chatFolders || [];
+  const pinned = chats.filter((chat) => chat.pinned);
+  if (state.chatFilter.type !== 'all' || (!folders.length && !pinned.length)) {
+    [...pinned, ...chats.filter((chat) => !chat.pinned)].forEach((chat) => {
+      chatListNav.appendChild(createChatListItem(chat, activeId));
+    });
+    return;
+  }
+
+  if (pinned.length) {
+    appendChatSection('Pinned', pinned, activeId);
+  }
+  folders.forEach((folder) => {
+    appendChatSection(folder, chats.filter((chat) => !chat.pinned && chat.folder === folder), activeId, { folder });
+  });
+  appendChatSection(
+    folders.length ? 'Unfiled' : 'Chats',
+    chats.filter((chat) => !chat.pinned && !folders.includes(chat.folder)),
+    activeId,
+    { folder: null }
+  );
+}
+
+function appendChatListNotice(message) {
+  const empty = document.createElement('div');
+  empty.classList.add('chat-item');
+  empty.textContent = message;
+  empty.style.opacity = '0.6';
+  chatListNav.appendChild(empty);
+}
+
+function appendChatSection(label, chats, activeId, { folder } = {}) {
+  const section = document.createElement('section');
+  section.classList.add('chat-section');
+
+  const header = document.createElement('div');
+  header.classList.add('chat-section-header');
+  const name = document.createElement('span');
+  name.textContent = label;
+  const count = document.createElement('span');
+  count.classList.add('chat-section-count');
+  count.textContent = String(chats.length);
+  header.appendChild(name);
+  header.appendChild(count);
+  section.appendChild(header);
+
+  if (typeof folder === 'string') {
+    header.addEventListener('contextmenu', (event) => openFolderContextMenu(event, folder, name));
+  }
+  if (folder !== undefined) {
+    registerChatDropTarget(section, folder);
+  }
+
+  if (!chats.length) {
+    const hint = document.createElement('div');
+    hint.classList.add('chat-section-empty');
+    hint.textContent = 'Drag chats here';
+    section.appendChild(hint);
+  }
+  chats.forEach((chat) => section.appendChild(createChatListItem(chat, activeId)));
+  chatListNav.appendChild(section);
+}
+
+function createChatListItem(chat, activeId) {
+  const item = document.createElement('button');
+  item.type = 'button';
+  item.classList.add('chat-item');
+  if (chat.id === activeId) {
+    item.classList.add('active');
+  }
+  if (chat.pinned) {
+    item.classList.add('pinned');
+  }
+
+  const title = document.createElement('div');
+  title.classList.add('chat-item-title');
+  title.textContent = chat.title || 'New Chat';
+
+  const meta = document.createElement('div');
+  meta.classList.add('chat-item-meta');
+  meta.textContent = formatChatMeta(chat);
+
+  item.dataset.chatId = chat.id;
+  item.appendChild(title);
+  if (chat.tags?.length) {
+    const tags = document.createElement('div');
+    tags.classList.add('chat-item-tags');
+    chat.tags.forEach((tag) => {
+      const chip = document.createElement('span');
+      chip.classList.add('chat-tag');
+      chip.textContent = `#${tag}`;
+      tags.appendChild(chip);
+    });
+    item.appendChild(tags);
+  }
+  item.appendChild(meta);
+  item.draggable = true;
+  item.addEventListener('dragstart', (event) => {
+    event.dataTransfer.setData(CHAT_DRAG_TYPE, chat.id);
+    event.dataTransfer.effectAllowed = 'move';
+  });
+  item.addEventListener('click', () => selectChat(chat.id));
+  item.addEventListener('contextmenu', (event) => openChatContextMenu(event, chat.id));
+  return item;
+}
+
+function registerChatDropTarget(element, folder) {
+  element.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer.types.includes(CHAT_DRAG_TYPE)) {
+      return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    element.classList.add('drop-target');
+  });
+  element.addEventListener('dragleave', (event) => {
+    if (!element.contains(event.relatedTarget)) {
+      element.classList.remove('drop-target');
+    }
+  });
+  element.addEventListener('drop', (event) => {
+    const chatId = event.dataTransfer.getData(CHAT_DRAG_TYPE);
+    element.classList.remove('drop-target');
+    if (!chatId) {
+      return;
+    }
+    event.preventDefault();
+    const chat = state.chats.find((entry) => entry.id === chatId);
+    if (chat && (chat.folder || null) !== folder) {
+      updateChatOrganization(chatId, { folder });
+    }
+  });
+}
+
+function matchesChatFilter(chat) {
+  const { type, value } = state.chatFilter;
+  if (type === 'pinned') {
+    return Boolean(chat.pinned);
+  }
+  if (type === 'folder') {
+    return chat.folder === value;
+  }
+  if (type === 'tag') {
+    return (chat.tags || []).some((tag) => tag.toLowerCase() === value);
+  }
+  return true;
+}
+
+function collectChatTags() {
+  const tags = new Map();
+  state.chats.forEach((chat) => {
+    (chat.tags || []).forEach((tag) => {
+      if (!tags.has(tag.toLowerCase())) {
+        tags.set(tag.toLowerCase(), tag);
+      }
+    });
+  });
+  return Array.from(tags.entries()).sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+function renderChatFilters() {
+  if (!chatFilterBar) {
+    return;
+  }
+  chatFilterBar.innerHTML = '';
+  chatFilterBar.classList.toggle('hidden', Boolean(state.chatSearch.query));
+
+  const folders = state.settings?.chatFolders || [];
+  const tags = collectChatTags();
+  const hasPinned = state.chats.some((chat) => chat.pinned);
+  const { type, value } = state.chatFilter;
+  const filterExists =
+    type === 'all' ||
+    (type === 'pinned' && hasPinned) ||
+    (type === 'folder' && folders.includes(value)) ||
+    (type === 'tag' && tags.some(([key]) => key === value));
+  if (!filterExists) {
+    state.chatFilter = { type: 'all', value: null };
+  }
+
+  const addChip = (label, filter, { folder } = {}) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.classList.add('chat-filter-chip');
+    if (state.chatFilter.type === filter.type && state.chatFilter.value === filter.value) {
+      chip.classList.add('active');
+    }
+    chip.textContent = label;
+    chip.addEventListener('click', () => {
+      state.chatFilter = filter;
+      renderChatList(state.currentChatId);
+    });
+    if (folder !== undefined) {
+      registerChatDropTarget(chip, folder);
+      chip.addEventListener('contextmenu', (event) => openFolderContextMenu(event, folder, chip));
+    }
+    chatFilterBar.appendChild(chip);
+  };
+
+  addChip('All', { type: 'all', value: null });
+  if (hasPinned) {
+    addChip('Pinned', { type: 'pinned', value: null });
+  }
+  folders.forEach((folder) => addChip(folder, { type: 'folder', value: folder }, { folder }));
+  tags.forEach(([key, tag]) => addChip(`#${tag}`, { type: 'tag', value: key }));
+
+  const addFolder = document.createElement('button');
+  addFolder.type = 'button';
+  addFolder.classList.add('chat-filter-chip', 'add');
+  addFolder.textContent = '+ Folder';
+  addFolder.addEventListener('click', () =>
+    openInlineEditor(addFolder, {
+      value: '',
+      label: 'Folder name',
+      onCommit: (name) => createChatFolder(name),
+    })
+  );
+  chatFilterBar.appendChild(addFolder);
+}
+
+function openContextMenu(event, items) {
+  event.preventDefault();
+  if (!chatContextMenu || state.isStreaming || !items.length) {
+    return;
+  }
+
+  chatContextMenuItems = items;
+  chatContextMenu.innerHTML = '';
+  items.forEach((item, index) => {
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.classList.add('chat-context-option');
+    if (item.danger) {
+      option.classList.add('danger');
+    }
+    if (item.separator) {
+      option.classList.add('separated');
+    }
+    option.setAttribute('role', 'menuitem');
+    option.dataset.index = String(index);
+    option.textContent = item.label;
+    chatContextMenu.appendChild(option);
+  });
+  chatContextMenu.classList.remove('hidden');
+  chatContextMenu.setAttribute('aria-hidden', 'false');
+
+  const anchor = event.clientX || event.clientY ? null : event.currentTarget.getBoundingClientRect();
+  const x = anchor ? anchor.left + 16 : event.clientX;
+  const y = anchor ? anchor.bottom : event.clientY;
+  const { offsetWidth, offsetHeight } = chatContextMenu;
+  chatContextMenu.style.left = `${Math.min(x, window.innerWidth - offsetWidth - 8)}px`;
+  chatContextMenu.style.top = `${Math.min(y, window.innerHeight - offsetHeight - 8)}px`;
+  chatContextMenu.querySelector('.chat-context-option')?.focus();
+
+  document.addEventListener('pointerdown', handleChatContextMenuPointerDown, true);
+  document.addEventListener('keydown', handleChatContextMenuKeydown, true);
+}
+
+function closeChatContextMenu() {
+  if (!chatContextMenu || !chatContextMenuItems) {
+    return;
+  }
+  chatContextMenu.classList.add('hidden');
+  chatContextMenu.setAttribute('aria-hidden', 'true');
+  chatContextMenuItems = null;
+  document.removeEventListener('pointerdown', handleChatContextMenuPointerDown, true);
+  document.removeEventListener('keydown', handleChatContextMenuKeydown, true);
+}
+
+function handleChatContextMenuPointerDown(event) {
+  if (!chatContextMenu.contains(event.target)) {
+    closeChatContextMenu();
+  }
+}
+
+function handleChatContextMenuKeydown(event) {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeChatContextMenu();
+    return;
+  }
+  if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') {
+    return;
+  }
+  event.preventDefault();
+  const options = Array.from(chatContextMenu.querySelectorAll('.chat-context-option'));
+  const current = options.indexOf(document.activeElement);
+  const step = event.key === 'ArrowDown' ? 1 : -1;
+  options[(current + step + options.length) % options.length]?.focus();
+}
+
+function handleChatContextMenuClick(event) {
+  const option = event.target.closest('[data-index]');
+  const item = option && chatContextMenuItems ? chatContextMenuItems[Number(option.dataset.index)] : null;
+  closeChatContextMenu();
+  if (item && !state.isStreaming) {
+    item.onSelect();
+  }
+}
+
+function openChatContextMenu(event, chatId) {
+  const chat = state.chats.find((entry) => entry.id === chatId);
+  if (!chat) {
+    event.preventDefault();
+    return;
+  }
+
+  const folderMoves = (state.settings?.chatFolders || [])
+    .filter((folder) => folder !== chat.folder)
+    .map((folder, index) => ({
+      label: `Move to ${folder}`,
+      separator: index === 0,
+      onSelect: () => updateChatOrganization(chatId, { folder }),
+    }));
+
+  openContextMenu(event, [
+    { label: 'Rename', onSelect: () => startChatRename(chatId) },
+    { label: 'Regenerate title', onSelect: () => handleRegenerateChatTitle(chatId) },
+    { label: chat.pinned ? 'Unpin' : 'Pin to top', onSelect: () => updateChatOrganization(chatId, { pinned: !chat.pinned }) },
+    { label: 'Edit tags…', onSelect: () => startChatTagEdit(chatId) },
+    ...folderMoves,
+    ...(chat.folder
+      ? [{ label: 'Remove from folder', separator: !folderMoves.length, onSelect: () => updateChatOrganization(chatId, { folder: null }) }]
+      : []),
+    { label: 'Duplicate', separator: true, onSelect: () => handleDuplicateChat(chatId) },
+    { label: 'Delete', danger: true, onSelect: () => handleDeleteChat(chatId) },
+  ]);
+}
+
+function openFolderContextMenu(event, folder, labelElement) {
+  openContextMenu(event, [
+    {
+      label: 'Rename folder',
+      onSelect: () =>
+        openInlineEditor(labelElement, {
+          value: folder,
+          label: 'Folder name',
+          onCommit: (name) => handleRenameChatFolder(folder, name),
+        }),
+    },
+    { label: 'Delete folder', danger: true, onSelect: () => handleDeleteChatFolder(folder) },
+  ]);
+}
+
+function openInlineEditor(target, { value, label, allowEmpty = false, onCommit }) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.classList.add('chat-item-rename');
+  input.value = value;
+  input.setAttribute('aria-label', label);
+  target.replaceWith(input);
+  input.focus();
+  input.select();
+
+  let finished = false;
+  const finish = async (save) => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    const nextValue = input.value.trim();
+    if (!save || nextValue === value || (!nextValue && !allowEmpty)) {
+      renderChatList(state.currentChatId);
+      return;
+    }
+    await onCommit(nextValue);
+  };
+
+  input.addEventListener('click', (event) => event.stopPropagation());
+  input.addEventListener('keydown', (event) => {
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      finish(true);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+function startChatRename(chatId) {
+  const title = chatListNav.querySelector(`[data-chat-id="${chatId}"] .chat-item-title`);
+  const chat = state.chats.find((entry) => entry.id === chatId);
+  if (!title || !chat) {
+    return;
+  }
+  openInlineEditor(title, {
+    value: chat.title || 'New Chat',
+    label: 'Chat title',
+    onCommit: (nextTitle) => handleRenameChat(chatId, nextTitle),
+  });
+}
+
+function startChatTagEdit(chatId) {
+  const item = chatListNav.querySelector(`[data-chat-id="${chatId}"]`);
+  const target = item?.querySelector('.chat-item-tags') || item?.querySelector('.chat-item-meta');
+  const chat = state.chats.find((entry) => entry.id === chatId);
+  if (!target || !chat) {
+    return;
+  }
+  openInlineEditor(target, {
+    value: (chat.tags || []).join(', '),
+    label: 'Tags, separated by commas',
+    allowEmpty: true,
+    onCommit: (value) =>
+      updateChatOrganization(chatId, {
+        tags: value.split(',').map((tag) => tag.trim()).filter(Boolean),
+      }),
+  });
+}
+
+async function updateChatOrganization(chatId, changes) {
+  try {
+    const result = await window.api.updateChatOrganization({ chatId, ...changes });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to update chat.');
+    }
+    state.chats = state.chats.map((chat) => (chat.id === chatId ? { ...chat, ...result.chat } : chat));
+    state.settings.chatFolders = result.folders || [];
+    if (state.currentChat && state.currentChat.id === chatId) {
+      Object.assign(state.currentChat, {
+        pinned: result.chat.pinned,
+        folder: result.chat.folder,
+        tags: result.chat.tags,
+      });
+    }
+    trackAnalyticsEvent('chat_organized', {
+      pinned: result.chat.pinned,
+      in_folder: Boolean(result.chat.folder),
+      tags: result.chat.tags.length,
+    });
+  } catch (err) {
+    console.error('Failed to update chat organization:', err);
+    showToast(err?.message || 'Unable to update chat.', { variant: 'error' });
+  }
+  renderChatList(state.currentChatId);
+}
+
+async function createChatFolder(name) {
+  const folders = state.settings?.chatFolders || [];
+  if (!folders.includes(name)) {
+    await applySettingsUpdate({ chatFolders: [...folders, name] });
+  }
+  renderChatList(state.currentChatId);
+}
+
+async function handleRenameChatFolder(from, to) {
+  try {
+    const result = await window.api.renameChatFolder({ from, to });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to rename folder.');
+    }
+    state.settings.chatFolders = result.folders || [];
+    if (state.chatFilter.type === 'folder' && state.chatFilter.value === from) {
+      state.chatFilter = { type: 'folder', value: to };
+    }
+  } catch (err) {
+    console.error('Failed to rename chat folder:', err);
+    showToast(err?.message || 'Unable to rename folder.', { variant: 'error' });
+  }
+  await refreshChatList();
 }
 
-async function handleNewChat() {
-  const model = modelSelect.value || null;
-  const chat = await window.api.createChat(model);
-  state.currentChat = chat;
-  state.currentChatId = chat.id;
-  state.chats.unshift({
-    id: chat.id,
-    title: chat.title,
-    model: chat.model,
-    createdAt: chat.createdAt,
-    updatedAt: chat.updatedAt,
-    initialUserPrompt: chat.initialUserPrompt || '',
-  });
-  renderChatList(chat.id);
-  stopAttachmentStatusTimer();
-  setCurrentChatAttachments(chat.attachments || [], { persist: false });
-  renderChat(chat);
-  maybeResetDeepResearchForChat(chat.id);
-  promptInput.focus();
-  trackAnalyticsEvent('chat_created', {
-    chat_count: state.chats.length,
-    model: chat.model,
-  });
+async function handleDeleteChatFolder(name) {
+  try {
+    const result = await window.api.deleteChatFolder(name);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to delete folder.');
+    }
+    state.settings.chatFolders = result.folders || [];
+  } catch (err) {
+    console.error('Failed to delete chat folder:', err);
+    showToast(err?.message || 'Unable to delete folder.', { variant: 'error' });
+  }
+  await refreshChatList();
 }
 
-async function selectChat(chatId) {
-  if (state.isStreaming) {
-    return;
+async function handleRenameChat(chatId, title) {
+  try {
+    const result = await window.api.renameChat({ chatId, title });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to rename chat.');
+    }
+    if (state.currentChat && state.currentChat.id === chatId) {
+      state.currentChat.title = result.chat.title;
+    }
+    trackAnalyticsEvent('chat_renamed', {});
+  } catch (err) {
+    console.error('Failed to rename chat:', err);
+    showToast(err?.message || 'Unable to rename chat.', { variant: 'error' });
   }
+  await refreshChatList();
+}
 
-  if (state.currentChatId === chatId) {
-    return;
+function applyChatTitle(chatId, title) {
+  state.chats = state.chats.map((chat) => (chat.id === chatId ? { ...chat, title } : chat));
+  if (state.currentChat && state.currentChat.id === chatId) {
+    state.currentChat.title = title;
+  }
+  if (state.chatSearch.query) {
+    state.chatSearch.results.forEach((result) => {
+      if (result.chat.id === chatId) {
+        result.chat.title = title;
+      }
+    });
   }
+  renderChatList(state.currentChatId);
+}
 
-  const chat = await window.api.getChat(chatId);
-  if (!chat) {
-    return;
+async function handleRegenerateChatTitle(chatId) {
+  try {
+    const result = await window.api.regenerateChatTitle(chatId);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to generate a title.');
+    }
+    applyChatTitle(chatId, result.chat.title);
+    trackAnalyticsEvent('chat_title_regenerated', {});
+  } catch (err) {
+    console.error('Failed to regenerate chat title:', err);
+    showToast(err?.message || 'Unable to generate a title.', { variant: 'error' });
   }
+}
 
-  state.currentChatId = chat.id;
-  state.currentChat = chat;
-  renderChatList(chatId);
-  stopAttachmentStatusTimer();
-  setCurrentChatAttachments(chat.attachments || [], { persist: false });
-  renderChat(chat);
-  maybeResetDeepResearchForChat(chat.id);
+async function handleDuplicateChat(chatId) {
+  try {
+    const result = await window.api.duplicateChat(chatId);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to duplicate chat.');
+    }
+    await refreshChatList(result.chat.id);
+    await selectChat(result.chat.id);
+    trackAnalyticsEvent('chat_duplicated', { messages: result.chat.messages?.length || 0 });
+  } catch (err) {
+    console.error('Failed to duplicate chat:', err);
+    showToast(err?.message || 'Unable to duplicate chat.', { variant: 'error' });
+  }
 }
 
-function renderChat(chat) {
-  if (!chat.messages?.length) {
-    chatArea.innerHTML = '';
-    const empty = document.createElement('div');
-    empty.classList.add('empty-state');
-    empty.innerHTML = `
-      <div class="empty-copy">
-        <h2>Ready when you are</h2>
-        <p>Select a model, drop in context, then ask anything.</p>
-        <p>Your conversations stay private.</p>
-      </div>
-    `;
-    chatArea.appendChild(empty);
+async function handleDeleteChat(chatId) {
+  const wasCurrent = state.currentChatId === chatId;
+  try {
+    const result = await window.api.deleteChat(chatId);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to delete chat.');
+    }
+  } catch (err) {
+    console.error('Failed to delete chat:', err);
+    showToast(err?.message || 'Unable to delete chat.', { variant: 'error' });
     return;
   }
 
-  chatArea.innerHTML = '';
-  chat.messages.forEach((message) => {
-    if (message.role === 'user') {
-      appendUserMessage(message.content);
+  state.pendingAssistantByChat.delete(chatId);
+  state.chats = state.chats.filter((chat) => chat.id !== chatId);
+  if (wasCurrent) {
+    state.currentChat = null;
+    state.currentChatId = null;
+    if (state.chats.length) {
+      await selectChat(state.chats[0].id);
     } else {
-      const usedWeb = Boolean(message.meta?.usedWebSearch);
-      const usedDeepResearch =
-        message.meta?.deepResearch &&
-        (message.meta.deepResearch.summary ||
-          message.meta.deepResearch.answer ||
-          (Array.isArray(message.meta.deepResearch.sources) && message.meta.deepResearch.sources.length > 0));
-      const storedThought = formatStoredContext(message.meta || {});
-      const entry = appendAssistantMessage(message.content, {
-        open: state.settings?.openThoughtsByDefault ?? false,
-        thoughts: storedThought.context,
-        summary: usedDeepResearch ? 'Deep research notes & timing' : usedWeb ? 'Web Context' : 'Context',
-      });
-      if (storedThought.reasoning) {
-        entry.setReasoning(storedThought.reasoning);
-      }
-      if (storedThought.timing) {
-        entry.setTiming(storedThought.timing);
-      }
+      await handleNewChat();
     }
+  }
+  await refreshChatList();
+  trackAnalyticsEvent('chat_deleted', { chat_count: state.chats.length });
+
+  showToast('Chat deleted.', {
+    duration: 8000,
+    action: {
+      label: 'Undo',
+      onClick: () => handleRestoreChat(chatId, { select: wasCurrent }),
+    },
   });
 }
 
-function renderChatList(activeId) {
-  chatListNav.innerHTML = '';
+async function handleRestoreChat(chatId, { select = false } = {}) {
+  try {
+    const result = await window.api.restoreChat(chatId);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to restore chat.');
+    }
+    await refreshChatList();
+    if (select && !state.isStreaming) {
+      await selectChat(chatId);
+    }
+  } catch (err) {
+    console.error('Failed to restore chat:', err);
+    showToast(err?.message || 'Unable to restore chat.', { variant: 'error' });
+  }
+}
 
-  if (!state.chats.length) {
+async function runChatSearch() {
+  clearTimeout(state.chatSearch.timer);
+  const query = chatSearchInput?.value.trim() || '';
+  const requestId = state.chatSearch.requestId + 1;
+  state.chatSearch.requestId = requestId;
+
+  if (!query) {
+    state.chatSearch.query = '';
+    state.chatSearch.results = [];
+    renderChatList(state.currentChatId);
+    return;
+  }
+
+  try {
+    const result = await window.api.searchChats(query);
+    if (requestId !== state.chatSearch.requestId) {
+      return;
+    }
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to search chats.');
+    }
+    state.chatSearch.query = query;
+    state.chatSearch.results = result.results || [];
+    renderChatList(state.currentChatId);
+    trackAnalyticsEvent('chats_searched', { results: state.chatSearch.results.length });
+  } catch (err) {
+    console.error('Failed to search chats:', err);
+    showToast(err?.message || 'Unable to search chats.', { variant: 'error' });
+  }
+}
+
+function renderChatSearchResults(activeId) {
+  const { query, results } = state.chatSearch;
+  const terms = Array.from(new Set(query.toLowerCase().split(/\s+/).filter(Boolean)));
+
+  if (!results.length) {
     const empty = document.createElement('div');
     empty.classList.add('chat-item');
-    empty.textContent = 'No chats yet.';
+    empty.textContent = 'No matching chats.';
     empty.style.opacity = '0.6';
     chatListNav.appendChild(empty);
     return;
   }
 
-  state.chats.forEach((chat) => {
-    const item = document.createElement('button');
-    item.type = 'button';
-    item.classList.add('chat-item');
+  results.forEach((result) => {
+    const { chat } = result;
+    const item = document.createElement('div');
+    item.classList.add('chat-item', 'chat-search-result');
     if (chat.id === activeId) {
       item.classList.add('active');
     }
 
     const title = document.createElement('div');
     title.classList.add('chat-item-title');
-    title.textContent = chat.title || 'New Chat';
+    appendHighlightedText(title, chat.title || 'New Chat', terms);
+    item.appendChild(title);
+
+    if (result.attachmentMatches?.length) {
+      const attachments = document.createElement('div');
+      attachments.classList.add('chat-item-meta');
+      appendHighlightedText(attachments, `Attachments: ${result.attachmentMatches.join(', ')}`, terms);
+      item.appendChild(attachments);
+    }
+
+    result.matches.forEach((match) => {
+      const snippet = document.createElement('button');
+      snippet.type = 'button';
+      snippet.classList.add('chat-search-snippet');
+      appendHighlightedText(snippet, `${match.role === 'user' ? 'You' : 'Assistant'}: ${match.snippet}`, terms);
+      snippet.addEventListener('click', (event) => {
+        event.stopPropagation();
+        openChatSearchResult(chat.id, match.messageId);
+      });
+      item.appendChild(snippet);
+    });
 
     const meta = document.createElement('div');
     meta.classList.add('chat-item-meta');
     meta.textContent = formatChatMeta(chat);
-
-    item.appendChild(title);
     item.appendChild(meta);
-    item.addEventListener('click', () => selectChat(chat.id));
+
+    item.dataset.chatId = chat.id;
+    item.addEventListener('click', () => openChatSearchResult(chat.id, result.matches[0]?.messageId ?? null));
+    item.addEventListener('contextmenu', (event) => openChatContextMenu(event, chat.id));
     chatListNav.appendChild(item);
   });
 }
 
-function appendUserMessage(content) {
+function appendHighlightedText(element, text, terms) {
+  const escaped = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!escaped.length) {
+    element.textContent = text;
+    return;
+  }
+
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  text.split(pattern).forEach((part, index) => {
+    if (!part) {
+      return;
+    }
+    if (index % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+async function openChatSearchResult(chatId, messageId) {
+  if (state.isStreaming) {
+    return;
+  }
+
+  if (state.currentChatId === chatId && state.currentChat) {
+    renderChat(state.currentChat);
+  } else {
+    await selectChat(chatId);
+  }
+  if (state.currentChatId !== chatId || !messageId) {
+    return;
+  }
+
+  const findTarget = () => chatArea.querySelector(`[data-message-id="${messageId}"]`);
+  let target = findTarget();
+  if (!target) {
+    // The match lives on another branch of the conversation.
+    await switchChatBranch(messageId);
+    target = state.currentChatId === chatId ? findTarget() : null;
+  }
+  if (!target) {
+    return;
+  }
+  target.scrollIntoView({ block: 'center' });
+  target.classList.add('search-hit');
+  setTimeout(() => target.classList.remove('search-hit'), 2000);
+}
+
+function appendUserMessage(content, { messageId = null, branch = null } = {}) {
   removeEmptyState();
   const container = document.createElement('div');
   container.classList.add('message', 'user');
@@ -3211,12 +6654,196 @@ function appendUserMessage(content) {
   text.classList.add('message-text');
   text.textContent = content;
 
+  const actions = document.createElement('div');
+  actions.classList.add('message-actions', 'user-message-actions');
+  if (branch) {
+    actions.appendChild(createBranchNavigator(branch));
+  }
+  const editButton = document.createElement('button');
+  editButton.type = 'button';
+  editButton.classList.add('message-edit-btn', 'hidden');
+  editButton.textContent = 'Edit';
+  editButton.setAttribute('aria-label', 'Edit and resend this message');
+  editButton.addEventListener('click', () => startUserMessageEdit(container));
+  actions.appendChild(editButton);
+
   container.appendChild(text);
+  container.appendChild(actions);
+  setUserMessageId(container, messageId);
   chatArea.appendChild(container);
   chatArea.scrollTop = chatArea.scrollHeight;
   return container;
 }
 
+function setUserMessageId(container, messageId) {
+  if (!container || !messageId) {
+    return;
+  }
+  container.dataset.messageId = messageId;
+  container.querySelector('.message-edit-btn')?.classList.remove('hidden');
+}
+
+function applyRecordedMessageIds(userMessageId, assistantMessageId) {
+  const messages = state.currentChat?.messages || [];
+  const userMessage = messages[messages.length - 2];
+  const assistantMessage = messages[messages.length - 1];
+  if (userMessage?.role === 'user' && userMessageId) {
+    userMessage.id = userMessageId;
+  }
+  if (assistantMessage?.role === 'assistant' && assistantMessageId) {
+    assistantMessage.id = assistantMessageId;
+  }
+}
+
+function createBranchNavigator(branch) {
+  const nav = document.createElement('div');
+  nav.classList.add('branch-nav');
+
+  const previous = document.createElement('button');
+  previous.type = 'button';
+  previous.textContent = '‹';
+  previous.setAttribute('aria-label', 'Previous version');
+  previous.disabled = branch.index <= 0;
+  previous.addEventListener('click', () => switchChatBranch(branch.siblingIds[branch.index - 1]));
+
+  const label = document.createElement('span');
+  label.textContent = `${branch.index + 1}/${branch.count}`;
+
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.textContent = '›';
+  next.setAttribute('aria-label', 'Next version');
+  next.disabled = branch.index >= branch.count - 1;
+  next.addEventListener('click', () => switchChatBranch(branch.siblingIds[branch.index + 1]));
+
+  nav.appendChild(previous);
+  nav.appendChild(label);
+  nav.appendChild(next);
+  return nav;
+}
+
+function startUserMessageEdit(container) {
+  const messageId = container.dataset.messageId;
+  if (state.isStreaming || !messageId || container.classList.contains('editing')) {
+    return;
+  }
+
+  const text = container.querySelector('.message-text');
+  const actions = container.querySelector('.message-actions');
+  const original = state.currentChat?.messages?.find((message) => message.id === messageId)?.content ?? text.textContent;
+
+  const editor = document.createElement('textarea');
+  editor.classList.add('message-editor');
+  editor.value = original;
+  editor.rows = Math.min(10, Math.max(2, original.split('\n').length));
+  editor.setAttribute('aria-label', 'Edit message');
+
+  const controls = document.createElement('div');
+  controls.classList.add('message-edit-controls');
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.textContent = 'Cancel';
+  const saveButton = document.createElement('button');
+  saveButton.type = 'button';
+  saveButton.classList.add('primary');
+  saveButton.textContent = 'Save & send';
+  controls.appendChild(cancelButton);
+  controls.appendChild(saveButton);
+
+  const close = () => {
+    editor.remove();
+    controls.remove();
+    text.classList.remove('hidden');
+    actions.classList.remove('hidden');
+    container.classList.remove('editing');
+  };
+  const save = () => {
+    const value = editor.value.trim();
+    if (!value || value === original.trim()) {
+      close();
+      return;
+    }
+    handleEditUserMessage(messageId, value);
+  };
+
+  cancelButton.addEventListener('click', close);
+  saveButton.addEventListener('click', save);
+  editor.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+    } else if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+      event.preventDefault();
+      save();
+    }
+  });
+
+  container.classList.add('editing');
+  text.classList.add('hidden');
+  actions.classList.add('hidden');
+  container.insertBefore(editor, actions);
+  container.insertBefore(controls, actions);
+  editor.focus();
+  editor.setSelectionRange(editor.value.length, editor.value.length);
+}
+
+async function handleEditUserMessage(messageId, prompt) {
+  if (state.isStreaming || !state.currentChat) {
+    return;
+  }
+  if (!modelSelect.value) {
+    showToast('Choose a model before resending.', { variant: 'warning' });
+    return;
+  }
+
+  const messages = state.currentChat.messages || [];
+  const index = messages.findIndex((message) => message.id === messageId);
+  if (index === -1) {
+    return;
+  }
+
+  // The edited turn replaces everything after it on screen; the original stays on its own branch.
+  state.currentChat.messages = messages.slice(0, index);
+  renderChat(state.currentChat);
+  await submitPrompt(prompt, { editMessageId: messageId });
+}
+
+async function switchChatBranch(messageId) {
+  const chatId = state.currentChatId;
+  if (state.isStreaming || !chatId || !messageId) {
+    return;
+  }
+
+  try {
+    const result = await window.api.switchChatBranch({ chatId, messageId });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Unable to switch branch.');
+    }
+    if (state.currentChatId !== chatId) {
+      return;
+    }
+    state.currentChat = result.chat;
+    renderChat(result.chat);
+    await refreshChatList(chatId);
+  } catch (err) {
+    console.error('Failed to switch chat branch:', err);
+    showToast(err?.message || 'Unable to switch branch.', { variant: 'error' });
+  }
+}
+
+async function reloadCurrentChat() {
+  const chatId = state.currentChatId;
+  if (!chatId) {
+    return;
+  }
+  const chat = await window.api.getChat(chatId);
+  if (!chat || state.currentChatId !== chatId) {
+    return;
+  }
+  state.currentChat = chat;
+  renderChat(chat);
+}
+
 function appendAssistantMessage(content, options = {}) {
   removeEmptyState();
   const openDefault = state.settings?.openThoughtsByDefault ?? false;
@@ -3225,6 +6852,7 @@ function appendAssistantMessage(content, options = {}) {
     thoughts = '',
     summary = '',
     loading = false,
+    parent = chatArea,
   } = options;
 
   const container = document.createElement('div');
@@ -3280,7 +6908,7 @@ function appendAssistantMessage(content, options = {}) {
 
   container.appendChild(details);
 
-  chatArea.appendChild(container);
+  parent.appendChild(container);
   chatArea.scrollTop = chatArea.scrollHeight;
 
   const defaultSummary = '';
@@ -3425,6 +7053,7 @@ function recordUserMessage(content) {
     if (summary) {
       summary.initialUserPrompt = content;
     }
+    renderChatGoalButton();
   }
   if (!state.currentChat.title || state.currentChat.title === 'New Chat') {
     state.currentChat.title = truncate(content, 60);
@@ -3542,6 +7171,24 @@ function updateInteractivity() {
   if (composerDeepResearchButton) {
     composerDeepResearchButton.disabled = state.isStreaming;
   }
+  if (composerCompareButton) {
+    composerCompareButton.disabled = state.isStreaming;
+  }
+  if (composerTemplatesButton) {
+    composerTemplatesButton.disabled = state.isStreaming;
+  }
+  if (chatSearchPolicySelect) {
+    chatSearchPolicySelect.disabled = state.isStreaming;
+  }
+  if (chatGoalButton) {
+    chatGoalButton.disabled = state.isStreaming || !state.currentChatId;
+  }
+  if (generationParamsButton) {
+    generationParamsButton.disabled = state.isStreaming;
+  }
+  if (chatPersonaSelect) {
+    chatPersonaSelect.disabled = state.isStreaming;
+  }
   if (state.isStreaming) {
     chatListNav.classList.add('disabled');
   } else {
@@ -3582,6 +7229,11 @@ async function handleDeleteAllChats() {
     state.chats = [];
     state.currentChat = null;
     state.currentChatId = null;
+    state.chatSearch.query = '';
+    state.chatSearch.results = [];
+    if (chatSearchInput) {
+      chatSearchInput.value = '';
+    }
     chatArea.innerHTML = '';
     chatListNav.innerHTML = '';
 
@@ -3610,7 +7262,29 @@ function formatSearchPlanThought({ message, queries }) {
   return lines.join('\n').trim() || 'Preparing web search queries.';
 }
 
-function formatContextThought({ message, context, queries, retrievedAt, attachments, warnings }) {
+function describeGoalCheck(goalCheck) {
+  if (!goalCheck || typeof goalCheck !== 'object') {
+    return '';
+  }
+  const mode = GOAL_GUARDRAIL_LABELS[goalCheck.mode] ? goalCheck.mode : 'strict';
+  if (mode === 'off') {
+    return 'Goal check: guardrail off, the chat goal was not used.';
+  }
+  const terms = Array.isArray(goalCheck.sharedTerms) && goalCheck.sharedTerms.length
+    ? `shared terms: ${goalCheck.sharedTerms.join(', ')}`
+    : 'no terms shared with the goal';
+  const verdict = goalCheck.aligned ? 'on topic' : 'looks unrelated to the goal';
+  let outcome = '';
+  if (!goalCheck.aligned) {
+    outcome =
+      mode === 'strict'
+        ? ' Web search was skipped and the model was asked to steer back to the goal.'
+        : ' Soft mode answered it anyway.';
+  }
+  return `Goal check (${GOAL_GUARDRAIL_LABELS[mode].toLowerCase()}): ${verdict} — ${terms}.${outcome}`;
+}
+
+function formatContextThought({ message, context, queries, retrievedAt, attachments, warnings, goalCheck }) {
   const lines = [];
   const rawContext = typeof context === 'string' ? context : '';
   const hasEmbeddedQueries =
@@ -3626,6 +7300,10 @@ function formatContextThought({ message, context, queries, retrievedAt, attachme
   if (message) {
     lines.push(message);
   }
+  const goalLine = describeGoalCheck(goalCheck);
+  if (goalLine) {
+    lines.push(goalLine);
+  }
   if (retrievedAt && !hasEmbeddedTimestamp) {
     lines.push(`Retrieved: ${formatTimestamp(retrievedAt)}`);
   }
@@ -3733,6 +7411,7 @@ function formatStoredContext(meta = {}) {
     retrievedAt: meta.contextRetrievedAt,
     attachments: meta.attachments,
     warnings: meta.attachmentWarnings,
+    goalCheck: meta.goalCheck,
   });
 
   const reasoning = typeof meta.reasoning === 'string' ? meta.reasoning.trim() : '';
@@ -0,0 +1,547 @@
+// Decides whether a prompt needs a web search and which queries to run. Everything here is pure so the
+// planner can be tested without Electron; main.js supplies the settings and conversation signals.
+
+const TOKEN_STOP_WORDS = new Set([
+  'what',
+  "what's",
+  'whats',
+  'is',
+  'are',
+  'was',
+  'were',
+  'be',
+  'been',
+  'being',
+  'it',
+  "it's",
+  'its',
+  'that',
+  'this',
+  'those',
+  'these',
+  'they',
+  'them',
+  'their',
+  'theirs',
+  'he',
+  'she',
+  'him',
+  'her',
+  'hers',
+  'we',
+  'us',
+  'our',
+  'ours',
+  'you',
+  'your',
+  'yours',
+  'me',
+  'do',
+  'does',
+  'did',
+  'done',
+  'have',
+  'has',
+  'had',
+  'will',
+  'would',
+  'can',
+  'could',
+  'should',
+  'about',
+  'the',
+  'a',
+  'an',
+  'and',
+  'or',
+  'of',
+  'to',
+  'for',
+  'on',
+  'in',
+  'at',
+  'with',
+  'from',
+  'as',
+  'so',
+  'just',
+  'really',
+  'thing',
+  'things',
+  'stuff',
+  'one',
+  'something',
+  'give',
+  'more',
+  'some',
+  'another',
+  'else',
+  'info',
+  'information',
+  'details',
+  'bit',
+  'tell',
+  'still',
+  'same',
+]);
+
+const REFERENTIAL_FOLLOW_UP_STOP_WORDS = TOKEN_STOP_WORDS;
+
+function shouldUseWebSearch(prompt) {
+  if (!prompt) {
+    return false;
+  }
+
+  const lower = prompt.toLowerCase();
+  const questionWords = [
+    'who',
+    'what',
+    'when',
+    'where',
+    'why',
+    'how',
+    'latest',
+    'today',
+    'current',
+    'news',
+    'update',
+    'updates',
+    'breaking',
+  ];
+  const looksLikeQuestion = prompt.trim().endsWith('?');
+  const containsKeyword = questionWords.some((word) => lower.includes(word));
+
+  return looksLikeQuestion || containsKeyword;
+}
+
+function createSearchPlan(prompt, prefs = {}, userPrompt = '', options = {}) {
+  const historyPrompt = typeof prompt === 'string' ? prompt : '';
+  const trimmedHistory = historyPrompt.trim();
+  const trimmedUserPrompt = typeof userPrompt === 'string' ? userPrompt.trim() : '';
+  const analysisPrompt = trimmedUserPrompt || trimmedHistory;
+  if (!analysisPrompt) {
+    return {
+      shouldSearch: false,
+      queries: [],
+      genericFresh: false,
+      message: '',
+      disabled: prefs?.autoWebSearch === false,
+    };
+  }
+
+  const autoEnabled = prefs?.autoWebSearch !== false;
+  const directiveInfo = extractDirectiveQuery(trimmedUserPrompt || trimmedHistory);
+  const directiveQuery = directiveInfo.query;
+  const directiveDetected = directiveInfo.detected;
+  const hasRecentContext = Boolean(options?.hasRecentContext);
+  const focusTerms = Array.isArray(options?.focusTerms)
+    ? options.focusTerms.filter((value) => typeof value === 'string' && value.trim().length > 0)
+    : [];
+  const conversationConfidence =
+    typeof options?.conversationConfidence === 'number'
+      ? Math.max(0, Math.min(1, options.conversationConfidence))
+      : 0;
+  const conversationCoverage =
+    typeof options?.conversationCoverage === 'number'
+      ? Math.max(0, Math.min(1, options.conversationCoverage))
+      : 0;
+  const missingTerms = Array.isArray(options?.missingTerms)
+    ? options.missingTerms.map((token) => String(token || '').trim()).filter(Boolean)
+    : [];
+  const promptTokenCount = Number.isFinite(options?.promptTokenCount) ? options.promptTokenCount : null;
+  const longRunning = Boolean(options?.longRunning);
+  const goalAligned = options?.goalAligned !== false;
+  const assistantTurns = Number.isFinite(options?.assistantTurns) ? options.assistantTurns : 0;
+  const webContextTurns = Number.isFinite(options?.webContextTurns) ? options.webContextTurns : 0;
+
+  if (directiveDetected && !directiveQuery) {
+    return {
+      shouldSearch: false,
+      queries: [],
+      genericFresh: false,
+      message: 'Targeted request detected with no searchable title—using provided references only.',
+      disabled: !autoEnabled,
+    };
+  }
+
+  if (
+    hasRecentContext &&
+    !directiveDetected &&
+    trimmedUserPrompt &&
+    (isReferentialFollowUp(trimmedUserPrompt) || focusTerms.length === 0)
+  ) {
+    return {
+      shouldSearch: false,
+      queries: [],
+      genericFresh: false,
+      message: 'Clarifying follow-up detected – using existing web context.',
+      disabled: !autoEnabled,
+    };
+  }
+
+  const basePrompt = directiveQuery || analysisPrompt;
+
+  const genericFresh = !directiveDetected && isGenericFreshInfoPrompt(basePrompt);
+  const baseShouldSearch = shouldUseWebSearch(basePrompt);
+
+  let queries;
+  if (directiveQuery) {
+    queries = [directiveQuery];
+  } else if (focusTerms.length) {
+    queries = buildQueriesFromFocusTerms(focusTerms, trimmedUserPrompt || basePrompt, options.initialGoal);
+  } else {
+    queries = generateSearchQueries(basePrompt);
+  }
+  if (options.initialGoal) {
+    queries.push(options.initialGoal);
+  }
+  queries = Array.from(new Set(queries.filter(Boolean)));
+
+  if (!autoEnabled) {
+    return {
+      shouldSearch: false,
+      queries: queries.length ? queries : [basePrompt],
+      genericFresh,
+      message: 'Web search is disabled in settings.',
+      disabled: true,
+    };
+  }
+
+  const hasQueries = queries.length > 0;
+  let shouldSearch = autoEnabled ? hasQueries || baseShouldSearch || genericFresh : baseShouldSearch || genericFresh;
+  const minimalGaps =
+    missingTerms.length === 0 ||
+    (missingTerms.length === 1 && (promptTokenCount === null || promptTokenCount > 1));
+  let overrideMessage = null;
+
+  if (!directiveDetected) {
+    const highConfidence = conversationConfidence >= 0.65;
+    const veryHighConfidence = conversationConfidence >= 0.85;
+
+    if (veryHighConfidence && !genericFresh) {
+      shouldSearch = false;
+    } else if (
+      highConfidence &&
+      !genericFresh &&
+      minimalGaps &&
+      (conversationCoverage >= 0.6 || !baseShouldSearch)
+    ) {
+      shouldSearch = false;
+    } else if (highConfidence && longRunning && !genericFresh && conversationCoverage >= 0.55) {
+      shouldSearch = false;
+    }
+
+    if (!goalAligned) {
+      shouldSearch = false;
+      overrideMessage = 'Staying on the original objective – skipping new web search.';
+    } else if (assistantTurns >= 2) {
+      if (webContextTurns >= 1) {
+        shouldSearch = false;
+        overrideMessage = 'Reusing earlier web findings instead of refreshing search results.';
+      } else if (
+        !genericFresh &&
+        minimalGaps &&
+        (conversationCoverage >= 0.3 || conversationConfidence >= 0.5)
+      ) {
+        shouldSearch = false;
+        overrideMessage = 'Existing context covers this follow-up – no new web search required.';
+      } else if (shouldSearch) {
+        queries = queries.slice(0, Math.min(2, queries.length));
+        overrideMessage = 'Focused refresh of web context to refine the original goal.';
+      }
+    }
+  }
+
+  const directiveSummary = directiveQuery ? truncateForSearch(directiveQuery, 120) : '';
+  let message = directiveQuery
+    ? `Targeted request detected – gathering information for "${directiveSummary}".`
+    : genericFresh
+      ? 'Broad request detected – gathering current headlines.'
+      : autoEnabled
+        ? 'Automatic web search is enabled – gathering supporting snippets.'
+        : 'Collecting supporting information from the web.';
+
+  if (!directiveDetected && !genericFresh && !shouldSearch && conversationConfidence >= 0.65) {
+    message = 'Leaning on conversation memory – no new web search required.';
+  }
+  if (overrideMessage) {
+    message = overrideMessage;
+  }
+
+  return {
+    shouldSearch,
+    queries: queries.length ? queries : [basePrompt],
+    genericFresh,
+    message,
+    disabled: false,
+  };
+}
+
+function describeSearchDecision(plan, { allowSearch, skippedForOffline, usedDeepResearch } = {}) {
+  if (allowSearch) {
+    return plan?.message || 'Gathering fresh web context for this request.';
+  }
+  if (plan?.disabled) {
+    return plan.message || 'Web search is disabled in settings.';
+  }
+  if (usedDeepResearch) {
+    return 'Skipping web search – deep research findings will be used instead.';
+  }
+  if (skippedForOffline) {
+    return 'Skipping web search – no network connection detected.';
+  }
+  return plan?.message || 'No web search needed for this request.';
+}
+
+function isGenericFreshInfoPrompt(prompt) {
+  const lower = prompt.toLowerCase();
+  const genericPhrases = [
+    'latest news',
+    'whats the latest news',
+    "what's the latest news",
+    'what is the latest news',
+    'what is happening',
+    "what's happening",
+    'current events',
+    'latest updates',
+    'latest headlines',
+    'breaking news',
+  ];
+
+  if (genericPhrases.some((phrase) => lower === phrase || lower.startsWith(`${phrase} `))) {
+    return true;
+  }
+
+  if (prompt.split(/\s+/).length <= 4 && /latest|news|update|updates|headlines/.test(lower)) {
+    return true;
+  }
+
+  return false;
+}
+
+function extractDirectiveQuery(prompt) {
+  const result = { detected: false, query: '' };
+
+  if (!prompt || typeof prompt !== 'string') {
+    return result;
+  }
+
+  const directivePattern =
+    /(fetch|get)\s+(?:me\s+)?(?:this|that|the)?\s*(?:page|information|article|details|story|resource|data)(?:\s+(?:about|on|regarding)\s+)?(.*)/i;
+  const triggerPattern =
+    /(fetch|get)\s+(?:me\s+)?(?:this|that|the)?\s*(?:page|information|article|details|story|resource|data)/i;
+
+  if (!triggerPattern.test(prompt.toLowerCase())) {
+    return result;
+  }
+
+  result.detected = true;
+
+  const lines = prompt.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (!triggerPattern.test(line.toLowerCase())) {
+      continue;
+    }
+
+    let candidate = '';
+
+    const colonIndex = line.lastIndexOf(':');
+    if (colonIndex !== -1 && colonIndex < line.length - 1) {
+      candidate = line.slice(colonIndex + 1).trim();
+    }
+
+    if (!candidate) {
+      const match = line.match(directivePattern);
+      if (match && match[2]) {
+        candidate = match[2].trim();
+      }
+    }
+
+    if (!candidate) {
+      const quoted = line.match(/["“'‘](.+?)["”'’]$/);
+      if (quoted && quoted[1]) {
+        candidate = quoted[1].trim();
+      }
+    }
+
+    if (!candidate && i + 1 < lines.length) {
+      candidate = lines[i + 1];
+    }
+
+    if (!candidate && i > 0) {
+      candidate = lines[i - 1];
+    }
+
+    const cleaned = cleanDirectiveQuery(candidate);
+    if (cleaned) {
+      return { detected: true, query: cleaned };
+    }
+  }
+
+  const fallbackMatch = prompt.match(directivePattern);
+  if (fallbackMatch && fallbackMatch[2]) {
+    const cleaned = cleanDirectiveQuery(fallbackMatch[2]);
+    if (cleaned) {
+      return { detected: true, query: cleaned };
+    }
+  }
+
+  return result;
+}
+
+function cleanDirectiveQuery(raw) {
+  if (!raw || typeof raw !== 'string') {
+    return '';
+  }
+
+  let value = raw.trim();
+  if (!value) {
+    return '';
+  }
+
+  if (/^https?:\/\//i.test(value)) {
+    return '';
+  }
+
+  value = value
+    .replace(/^(?:fetch|get)\s+(?:me\s+)?(?:this|that|the)?\s*(?:page|information|article|details|story|resource|data)/i, '')
+    .replace(/^[:\-–—\s]+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!value || value.length < 3) {
+    return '';
+  }
+
+  return value;
+}
+
+function generateSearchQueries(prompt) {
+  const trimmed = prompt.trim();
+  if (!trimmed) {
+    return [];
+  }
+
+  const lower = trimmed.toLowerCase();
+  const queries = new Set([trimmed]);
+  const today = new Date();
+  const isoDate = today.toISOString().split('T')[0];
+  const readableDate = new Intl.DateTimeFormat('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+  }).format(today);
+
+  if (lower.includes('news')) {
+    const topic = extractNewsTopic(trimmed);
+    const focus = topic || 'world';
+    queries.add(`${focus} news ${readableDate}`);
+    queries.add(`breaking ${focus} news ${isoDate}`);
+    queries.add(`top ${focus} headlines ${isoDate}`);
+  } else if (lower.includes('update') || lower.includes('latest')) {
+    const keyword = trimmed
+      .replace(/(what('?s)?|is|are|the|latest|updates|update)/gi, '')
+      .trim() || 'latest developments';
+    queries.add(`${keyword} updates ${readableDate}`);
+    queries.add(`${keyword} developments ${isoDate}`);
+  }
+
+  return Array.from(queries).slice(0, 4);
+}
+
+function extractNewsTopic(prompt) {
+  const match = prompt.match(/latest\s+news(?:\s+(?:about|on|regarding))?\s*(.*)/i);
+  if (match && match[1]) {
+    const topic = match[1].trim();
+    if (topic) {
+      return topic;
+    }
+  }
+
+  const aboutMatch = prompt.match(/news\s+(?:about|on|regarding)\s+(.*)/i);
+  if (aboutMatch && aboutMatch[1]) {
+    return aboutMatch[1].trim();
+  }
+
+  return '';
+}
+
+function truncateForSearch(text, maxChars = 1200) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  if (normalized.length <= maxChars) {
+    return normalized;
+  }
+
+  return `${normalized.slice(0, maxChars - 1)}…`;
+}
+
+function isReferentialFollowUp(prompt) {
+  if (!prompt || typeof prompt !== 'string') {
+    return false;
+  }
+
+  const normalized = prompt
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .trim();
+
+  if (!normalized) {
+    return false;
+  }
+
+  const tokens = normalized.split(/\s+/).filter(Boolean);
+  if (!tokens.length) {
+    return false;
+  }
+
+  const meaningful = tokens.filter((token) => !REFERENTIAL_FOLLOW_UP_STOP_WORDS.has(token));
+
+  if (!meaningful.length) {
+    return true;
+  }
+
+  if (tokens.length <= 4 && meaningful.length === 1 && meaningful[0].length <= 3) {
+    return true;
+  }
+
+  return false;
+}
+
+function buildQueriesFromFocusTerms(terms, fallbackPrompt, initialGoal) {
+  const unique = Array.from(new Set((terms || []).map((term) => term.trim()).filter(Boolean)));
+  if (!unique.length) {
+    const base = fallbackPrompt || initialGoal;
+    return base ? [base] : [];
+  }
+
+  const queries = [];
+  if (unique.length === 1) {
+    queries.push(unique[0]);
+  } else {
+    queries.push(unique.join(' '));
+    unique.slice(0, 3).forEach((term) => queries.push(term));
+  }
+
+  if (fallbackPrompt) {
+    queries.push(fallbackPrompt);
+  }
+
+  if (initialGoal) {
+    queries.push(initialGoal);
+  }
+
+  return queries.slice(0, 4);
+}
+
+module.exports = {
+  TOKEN_STOP_WORDS,
+  createSearchPlan,
+  describeSearchDecision,
+  truncateForSearch,
+};
@@ -0,0 +1,485 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const fetch = require('node-fetch');
+const { getProviderAdapter, listModels, completeChat, readChatStream } = require('../providers');
+
+// Each route answers `${method} ${url}` with { status, json } or a list of raw body chunks. Chunks are
+// written a few milliseconds apart so lines and JSON objects arrive split across reads; `hold` leaves
+// the response open after the last chunk.
+function startMockServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', async () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+      const route = routes[`${req.method} ${req.url}`];
+      if (!route) {
+        res.writeHead(404).end('not found');
+        return;
+      }
+      if (route.json !== undefined || !route.chunks) {
+        res.writeHead(route.status || 200, { 'Content-Type': 'application/json' });
+        res.end(typeof route.json === 'string' ? route.json : JSON.stringify(route.json));
+        return;
+      }
+      res.writeHead(route.status || 200, { 'Content-Type': route.contentType || 'text/event-stream' });
+      for (const chunk of route.chunks) {
+        if (res.destroyed) {
+          return;
+        }
+        res.write(chunk);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      if (!route.hold) {
+        res.end();
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+          }),
+      });
+    });
+  });
+}
+
+// Mirrors how main.js streams a chat turn: build the request, POST it, feed the body to the parser.
+async function streamChat(profile, payload, onEvent = () => false) {
+  const adapter = getProviderAdapter(profile.apiFlavor);
+  const { url, headers, body } = adapter.buildChatRequest(profile, { ...payload, stream: true });
+  const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+  assert.equal(response.ok, true, `HTTP ${response.status}`);
+  const events = [];
+  await readChatStream(response.body, adapter, (streamEvent) => {
+    events.push(streamEvent);
+    return onEvent(streamEvent);
+  });
+  return events;
+}
+
+function collectText(events, field) {
+  return events.map((streamEvent) => streamEvent[field] || '').join('');
+}
+
+const MESSAGES = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'system', content: 'Cite sources.' },
+  { role: 'user', content: 'Hello' },
+];
+
+describe('ollama adapter', () => {
+  let server;
+  let profile;
+
+  before(async () => {
+    server = await startMockServer({
+      'GET /api/tags': { json: { models: [{ name: 'llama3.2:3b', size: 2019393189 }, { model: 'qwen3' }, {}] } },
+      'POST /api/chat': { json: { message: { content: 'Hi there', thinking: 'greeting' }, done: true } },
+    });
+    profile = { apiFlavor: 'ollama', url: server.url, headers: { 'X-Team': 'research' } };
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it('lists models with their sizes', async () => {
+    const models = await listModels(profile);
+    assert.deepEqual(
+      models.map(({ name, size }) => ({ name, size })),
+      [
+        { name: 'llama3.2:3b', size: 2019393189 },
+        { name: 'qwen3', size: null },
+      ]
+    );
+    assert.equal(server.requests[0].headers['x-team'], 'research');
+  });
+
+  it('sends generation parameters as options and reads the reply', async () => {
+    const result = await completeChat(profile, {
+      model: 'llama3.2:3b',
+      messages: MESSAGES,
+      generation: { temperature: 0.2, numCtx: 8192, maxTokens: 64 },
+    });
+    assert.equal(result.content, 'Hi there');
+    assert.equal(result.reasoning, 'greeting');
+    const { body } = server.requests[0];
+    assert.equal(body.stream, false);
+    assert.deepEqual(body.messages, MESSAGES);
+    assert.deepEqual(body.options, { temperature: 0.2, num_ctx: 8192, num_predict: 64 });
+  });
+
+  it('streams NDJSON lines split across chunks', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /api/chat': {
+        contentType: 'application/x-ndjson',
+        chunks: [
+          '{"message":{"content":"Hel',
+          'lo","thinking":"hmm"}}\n{"message":{"content":" world"}}\n',
+          '{"message":{"content":""},"done":true}',
+        ],
+      },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'llama3.2:3b', messages: MESSAGES });
+    assert.equal(collectText(events, 'content'), 'Hello world');
+    assert.equal(collectText(events, 'reasoning'), 'hmm');
+    assert.equal(events.at(-1).done, true);
+  });
+
+  it('reports error lines', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /api/chat': { contentType: 'application/x-ndjson', chunks: ['{"error":"model \\"nope\\" not found"}\n'] },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'nope', messages: MESSAGES });
+    assert.deepEqual(events, [{ error: 'model "nope" not found' }]);
+  });
+
+  it('keeps multibyte characters that are split across chunks', async () => {
+    const body = Buffer.from('{"message":{"content":"Grüße, 世界"}}\n{"message":{"content":""},"done":true}\n');
+    // Cut inside the two bytes of "ü" and inside the three bytes of "世".
+    const umlaut = body.indexOf(Buffer.from('ü')) + 1;
+    const ideograph = body.indexOf(Buffer.from('世')) + 2;
+    await server.close();
+    server = await startMockServer({
+      'POST /api/chat': {
+        contentType: 'application/x-ndjson',
+        chunks: [body.subarray(0, umlaut), body.subarray(umlaut, ideograph), body.subarray(ideograph)],
+      },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'llama3.2:3b', messages: MESSAGES });
+    assert.equal(collectText(events, 'content'), 'Grüße, 世界');
+  });
+});
+
+describe('ChatGPT-compatible adapter', () => {
+  let server;
+  let profile;
+
+  before(async () => {
+    server = await startMockServer({
+      'GET /v1/models': {
+        json: {
+          data: [
+            { id: 'local-7b', max_model_len: 32768 },
+            {
+              id: 'gateway/vision',
+              context_length: 128000,
+              architecture: { input_modalities: ['text', 'image'] },
+              supported_parameters: ['tools', 'temperature'],
+            },
+          ],
+        },
+      },
+      'POST /v1/chat/completions': { json: { choices: [{ message: { content: 'Hi', reasoning_content: 'plan' } }] } },
+      'GET /v1/models?denied': { status: 401, json: { error: 'bad key' } },
+    });
+    profile = { apiFlavor: 'openai', url: `${server.url}/`, apiKey: 'sk-test' };
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it('lists models with whatever metadata the server reports', async () => {
+    const models = await listModels(profile);
+    assert.deepEqual(models, [
+      { name: 'local-7b', size: null, contextLength: 32768, capabilities: { vision: null, tools: null, thinking: null } },
+      {
+        name: 'gateway/vision',
+        size: null,
+        contextLength: 128000,
+        capabilities: { vision: true, tools: true, thinking: false },
+      },
+    ]);
+    assert.equal(server.requests[0].headers.authorization, 'Bearer sk-test');
+  });
+
+  it('maps generation fields and drops num_ctx', async () => {
+    const result = await completeChat(profile, {
+      model: 'local-7b',
+      messages: MESSAGES,
+      generation: { temperature: 0.7, topP: 0.9, numCtx: 4096, maxTokens: 128, seed: 7 },
+    });
+    assert.equal(result.content, 'Hi');
+    assert.equal(result.reasoning, 'plan');
+    const { body } = server.requests[0];
+    assert.deepEqual(
+      { temperature: body.temperature, top_p: body.top_p, max_tokens: body.max_tokens, seed: body.seed },
+      { temperature: 0.7, top_p: 0.9, max_tokens: 128, seed: 7 }
+    );
+    assert.equal('num_ctx' in body, false);
+  });
+
+  it('throws on an HTTP error status', async () => {
+    await assert.rejects(
+      listModels({ ...profile, url: server.url }, (url, options) => fetch(`${url}?denied`, options)),
+      /HTTP 401/
+    );
+  });
+
+  it('streams SSE deltas through [DONE]', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /v1/chat/completions': {
+        chunks: [
+          ': keep-alive\n\n',
+          'data: {"choices":[{"delta":{"reasoning_content":"think"}}]}\n\ndata: {"choices":[{"delta":{"con',
+          'tent":"He"}}]}\n\n',
+          'data: {"choices":[{"delta":{"content":"llo"},"finish_reason":"stop"}]}\n\n',
+          'data: [DONE]\n\n',
+        ],
+      },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'local-7b', messages: MESSAGES });
+    assert.equal(collectText(events, 'content'), 'Hello');
+    assert.equal(collectText(events, 'reasoning'), 'think');
+    assert.deepEqual(events.at(-1), { done: true });
+    assert.equal(events.at(-2).done, true);
+  });
+
+  it('reports error payloads', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /v1/chat/completions': { chunks: ['data: {"error":{"message":"Rate limit reached"}}\n\n'] },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'local-7b', messages: MESSAGES });
+    assert.deepEqual(events, [{ error: 'Rate limit reached' }]);
+  });
+
+  it('stops reading when the caller asks to', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /v1/chat/completions': {
+        hold: true,
+        chunks: [
+          'data: {"choices":[{"delta":{"content":"First"}}]}\n\n',
+          'data: {"choices":[{"delta":{"content":" second"}}]}\n\n',
+        ],
+      },
+    });
+    profile.url = server.url;
+    // The response never ends, so this only resolves if the reader honours the stop.
+    const events = await streamChat(profile, { model: 'local-7b', messages: MESSAGES }, (streamEvent) =>
+      Boolean(streamEvent.content)
+    );
+    assert.deepEqual(
+      events.map((streamEvent) => streamEvent.content),
+      ['First']
+    );
+  });
+});
+
+describe('Anthropic adapter', () => {
+  let server;
+  let profile;
+
+  before(async () => {
+    server = await startMockServer({
+      'GET /v1/models?limit=1000': { json: { data: [{ id: 'claude-sonnet' }, { type: 'model' }] } },
+      'POST /v1/messages': {
+        json: {
+          content: [
+            { type: 'thinking', thinking: 'Consider tone.' },
+            { type: 'text', text: 'Hello' },
+            { type: 'text', text: ' there' },
+          ],
+        },
+      },
+    });
+    profile = { apiFlavor: 'anthropic', url: server.url, apiKey: 'ak-test' };
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it('lists models with the API key and version headers', async () => {
+    const models = await listModels(profile);
+    assert.deepEqual(
+      models.map((model) => model.name),
+      ['claude-sonnet']
+    );
+    const { headers } = server.requests[0];
+    assert.equal(headers['x-api-key'], 'ak-test');
+    assert.equal(headers['anthropic-version'], '2023-06-01');
+    assert.equal(headers.authorization, undefined);
+  });
+
+  it('moves system messages into the system field and defaults max_tokens', async () => {
+    const result = await completeChat(profile, {
+      model: 'claude-sonnet',
+      messages: [...MESSAGES, { role: 'user', content: 'Again' }],
+      generation: { temperature: 0.5, seed: 3 },
+    });
+    assert.equal(result.content, 'Hello there');
+    assert.equal(result.reasoning, 'Consider tone.');
+    const { body } = server.requests[0];
+    assert.equal(body.system, 'Be brief.\n\nCite sources.');
+    assert.deepEqual(body.messages, [{ role: 'user', content: 'Hello\n\nAgain' }]);
+    assert.equal(body.max_tokens, 4096);
+    assert.equal(body.temperature, 0.5);
+    assert.equal('seed' in body, false);
+  });
+
+  it('streams content_block_delta events until message_stop', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /v1/messages': {
+        chunks: [
+          'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_1"}}\n\n',
+          'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"thinking_delta","thinking":"Hmm"}}\n\n',
+          'event: ping\ndata: {"type":"ping"}\n\nevent: content_block_delta\ndata: {"type":"content_block_delta","index":1,"delta":{"type":"text_del',
+          'ta","text":"Hi"}}\n\n',
+          'event: content_block_delta\ndata: {"type":"content_block_delta","index":1,"delta":{"type":"text_delta","text":"!"}}\n\n',
+          'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+        ],
+      },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'claude-sonnet', messages: MESSAGES });
+    assert.deepEqual(events, [{ reasoning: 'Hmm' }, { content: 'Hi' }, { content: '!' }, { done: true }]);
+  });
+
+  it('reports error events', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /v1/messages': {
+        chunks: ['event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n'],
+      },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'claude-sonnet', messages: MESSAGES });
+    assert.deepEqual(events, [{ error: 'Overloaded' }]);
+  });
+
+  it('includes the response body when a request fails', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /v1/messages': { status: 400, json: { error: { message: 'max_tokens too large' } } },
+    });
+    profile.url = server.url;
+    await assert.rejects(
+      completeChat(profile, { model: 'claude-sonnet', messages: MESSAGES }),
+      /Anthropic chat failed \(HTTP 400\).*max_tokens too large/
+    );
+  });
+});
+
+describe('Google adapter', () => {
+  let server;
+  let profile;
+
+  before(async () => {
+    server = await startMockServer({
+      'GET /v1beta/models?pageSize=1000': {
+        json: {
+          models: [
+            {
+              name: 'models/gemini-flash',
+              inputTokenLimit: 1048576,
+              thinking: true,
+              supportedGenerationMethods: ['generateContent', 'countTokens'],
+            },
+            { name: 'models/text-embedding', supportedGenerationMethods: ['embedContent'] },
+          ],
+        },
+      },
+      'POST /v1beta/models/gemini-flash:generateContent': {
+        json: {
+          candidates: [
+            {
+              content: { parts: [{ text: 'Planning', thought: true }, { text: 'Hello' }] },
+              finishReason: 'STOP',
+            },
+          ],
+        },
+      },
+    });
+    profile = { apiFlavor: 'google', url: server.url, apiKey: 'g-test' };
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it('lists only models that can chat', async () => {
+    const models = await listModels(profile);
+    assert.deepEqual(models, [
+      {
+        name: 'gemini-flash',
+        size: null,
+        contextLength: 1048576,
+        capabilities: { vision: null, tools: null, thinking: true },
+      },
+    ]);
+    assert.equal(server.requests[0].headers['x-goog-api-key'], 'g-test');
+  });
+
+  it('builds contents, systemInstruction and generationConfig', async () => {
+    const result = await completeChat(profile, {
+      model: 'gemini-flash',
+      messages: [...MESSAGES, { role: 'assistant', content: 'Hi' }, { role: 'user', content: 'More' }],
+      generation: { temperature: 0.4, maxTokens: 256, numCtx: 2048 },
+    });
+    assert.equal(result.content, 'Hello');
+    assert.equal(result.reasoning, 'Planning');
+    const { body } = server.requests[0];
+    assert.deepEqual(body.systemInstruction, { parts: [{ text: 'Be brief.\n\nCite sources.' }] });
+    assert.deepEqual(
+      body.contents.map((turn) => turn.role),
+      ['user', 'model', 'user']
+    );
+    assert.deepEqual(body.generationConfig, { temperature: 0.4, maxOutputTokens: 256 });
+  });
+
+  it('streams streamGenerateContent?alt=sse chunks', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /v1beta/models/gemini-flash:streamGenerateContent?alt=sse': {
+        chunks: [
+          'data: {"candidates":[{"content":{"parts":[{"text":"Thinking","thought":true}]}}]}\r\n\r\n',
+          'data: {"candidates":[{"content":{"parts":[{"text":"Hel"}]}}]}\r\n\r\ndata: {"candidates":[{"content":',
+          '{"parts":[{"text":"lo"}]},"finishReason":"STOP"}]}\r\n\r\n',
+        ],
+      },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'gemini-flash', messages: MESSAGES });
+    assert.deepEqual(events, [
+      { content: '', reasoning: 'Thinking', done: false },
+      { content: 'Hel', reasoning: null, done: false },
+      { content: 'lo', reasoning: null, done: true },
+    ]);
+  });
+
+  it('reports error payloads', async () => {
+    await server.close();
+    server = await startMockServer({
+      'POST /v1beta/models/gemini-flash:streamGenerateContent?alt=sse': {
+        chunks: ['data: {"error":{"code":429,"message":"Quota exceeded","status":"RESOURCE_EXHAUSTED"}}\n\n'],
+      },
+    });
+    profile.url = server.url;
+    const events = await streamChat(profile, { model: 'gemini-flash', messages: MESSAGES });
+    assert.deepEqual(events, [{ error: 'Quota exceeded' }]);
+  });
+});
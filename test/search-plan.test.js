@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchPlan } = require('../search-plan');
+
+describe('createSearchPlan', () => {
+  it('searches for a fresh question when automatic search is on', () => {
+    const plan = createSearchPlan('latest news', { autoWebSearch: true }, 'latest news');
+
+    assert.equal(plan.shouldSearch, true);
+    assert.equal(plan.disabled, false);
+  });
+
+  it('stays disabled for a follow-up when automatic search is off', () => {
+    const plan = createSearchPlan('what about that?', { autoWebSearch: false }, 'what about that?', {
+      hasRecentContext: true,
+    });
+
+    assert.equal(plan.shouldSearch, false);
+    assert.equal(plan.disabled, true);
+  });
+
+  it('stays disabled for a directive without a title when automatic search is off', () => {
+    const plan = createSearchPlan('fetch the article', { autoWebSearch: false }, 'fetch the article');
+
+    assert.equal(plan.shouldSearch, false);
+    assert.equal(plan.disabled, true);
+  });
+
+  it('leaves follow-ups enabled when automatic search is on', () => {
+    const plan = createSearchPlan('what about that?', { autoWebSearch: true }, 'what about that?', {
+      hasRecentContext: true,
+    });
+
+    assert.equal(plan.shouldSearch, false);
+    assert.equal(plan.disabled, false);
+  });
+});